@@ -67,6 +67,14 @@ class LemmericHTTPRequestHandler(http.server.SimpleHTTPRequestHandler):
                 self.path = "/search.html"
             print(f"DEV: Rewriting {path} -> /search.html")
         
+        # Handle modlog URLs: /modlog -> modlog.html
+        elif re.match(r'^/modlog/?$', path):
+            if query:
+                self.path = f"/modlog.html?{query}"
+            else:
+                self.path = "/modlog.html"
+            print(f"DEV: Rewriting {path} -> /modlog.html")
+        
         # Handle create post URLs: /create-post -> create_post.html
         elif re.match(r'^/create-post/?$', path):
             if query:
@@ -132,6 +140,7 @@ def main():
         print("  /u/username -> user.html?username=username")
         print("  /c/community_name -> community.html?name=community_name")
         print("  /search -> search.html")
+        print("  /modlog -> modlog.html")
         print("  /create-post -> create_post.html")
         print("  /create-community -> create-community.html")
         print("  /inbox -> inbox.html")
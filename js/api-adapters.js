@@ -0,0 +1,352 @@
+/**
+ * Lemmy API version adapters for Lemmeric
+ *
+ * Lemmy's HTTP API changed shape between releases: 0.18 expects the auth
+ * token as an `auth` parameter, 0.19 expects a bearer header, and 1.0 moves to
+ * /api/v4 with renamed endpoints and fields. LemmyAPI detects the version of
+ * each instance from GET /site and routes every request through the matching
+ * adapter, which builds the request and converts the response to the 0.19
+ * shape the rest of the app is written against.
+ *
+ * @fileoverview Version detection and per-version request/response adapters
+ */
+
+import { CONFIG } from './config.js';
+import { BearerAuthStrategy, LegacyParamAuthStrategy } from './auth-strategy.js';
+
+// ========================================
+// VERSION DETECTION
+// ========================================
+
+/**
+ * How long a detected version is trusted before /site is checked again
+ * @type {number}
+ */
+const VERSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a Lemmy version string
+ * @param {string} version - Version from /site (e.g. '0.19.3', '1.0.0-alpha.5')
+ * @returns {{major: number, minor: number, patch: number}|null} Parsed version, or null if unrecognized
+ */
+export function parseVersion(version) {
+    const match = /^v?(\d+)\.(\d+)(?:\.(\d+))?/.exec(String(version || '').trim());
+    if (!match) {
+        return null;
+    }
+    return {
+        major: Number(match[1]),
+        minor: Number(match[2]),
+        patch: Number(match[3] || 0)
+    };
+}
+
+/**
+ * Read the versions detected on previous page loads
+ * @returns {Object<string, {version: string, detectedAt: number}>} Versions by instance origin
+ */
+function loadStoredVersions() {
+    try {
+        return JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.API_VERSIONS)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Get the version detected earlier for an instance, if still fresh
+ * @param {string} origin - Instance origin (e.g. 'https://lemmy.world')
+ * @returns {string|null} Version string
+ */
+export function getStoredVersion(origin) {
+    const entry = loadStoredVersions()[origin];
+    if (!entry || Date.now() - entry.detectedAt > VERSION_MAX_AGE_MS) {
+        return null;
+    }
+    return entry.version;
+}
+
+/**
+ * Remember the version of an instance across page loads
+ * @param {string} origin - Instance origin
+ * @param {string} version - Version string
+ */
+export function storeVersion(origin, version) {
+    try {
+        const versions = loadStoredVersions();
+        versions[origin] = { version, detectedAt: Date.now() };
+        localStorage.setItem(CONFIG.STORAGE_KEYS.API_VERSIONS, JSON.stringify(versions));
+    } catch (error) {
+        // Storage full or unavailable: detection simply runs again next time
+    }
+}
+
+// ========================================
+// NORMALIZATION HELPERS
+// ========================================
+
+/**
+ * Convert a 1.0 vote (`is_upvote` or `like_score`) to a 0.19 score
+ * @param {Object|null} actions - post_actions / comment_actions
+ * @returns {number} 1, -1 or 0
+ */
+function voteFromActions(actions) {
+    if (!actions) {
+        return 0;
+    }
+    if (typeof actions.like_score === 'number') {
+        return actions.like_score;
+    }
+    if (actions.vote_is_upvote === true) return 1;
+    if (actions.vote_is_upvote === false) return -1;
+    return 0;
+}
+
+/**
+ * Copy the named fields of an object into a new counts object
+ * @param {Object} source - Object holding the counters
+ * @param {string[]} fields - Counter names
+ * @returns {Object} Counts
+ */
+function pickCounts(source, fields) {
+    const counts = {};
+    fields.forEach(field => {
+        if (source[field] !== undefined) {
+            counts[field] = source[field];
+        }
+    });
+    return counts;
+}
+
+const POST_COUNT_FIELDS = ['score', 'upvotes', 'downvotes', 'comments', 'newest_comment_time', 'published'];
+const COMMENT_COUNT_FIELDS = ['score', 'upvotes', 'downvotes', 'child_count', 'published'];
+const COMMUNITY_COUNT_FIELDS = ['subscribers', 'subscribers_local', 'posts', 'comments', 'users_active_day',
+    'users_active_week', 'users_active_month', 'users_active_half_year', 'published'];
+const PERSON_COUNT_FIELDS = ['post_count', 'comment_count', 'post_score', 'comment_score'];
+const SITE_COUNT_FIELDS = ['users', 'posts', 'comments', 'communities', 'users_active_day',
+    'users_active_week', 'users_active_month', 'users_active_half_year'];
+
+/**
+ * Rename 1.0 object fields to their 0.19 names, recursively
+ * (`ap_id` → `actor_id`, `*_at` timestamps → `published` / `updated`)
+ * @param {*} value - Response value
+ * @returns {*} Value with renamed fields (mutated in place)
+ */
+function renameFields(value) {
+    if (Array.isArray(value)) {
+        value.forEach(renameFields);
+        return value;
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    if (value.ap_id !== undefined && value.actor_id === undefined) value.actor_id = value.ap_id;
+    if (value.published_at !== undefined && value.published === undefined) value.published = value.published_at;
+    if (value.updated_at !== undefined && value.updated === undefined) value.updated = value.updated_at;
+
+    Object.values(value).forEach(renameFields);
+    return value;
+}
+
+/**
+ * Rebuild the 0.19 view fields (counts, my_vote, saved, subscribed...) of 1.0 views, recursively
+ * @param {*} value - Response value (after renameFields)
+ * @returns {*} Value with 0.19 view fields (mutated in place)
+ */
+function rebuildViews(value) {
+    if (Array.isArray(value)) {
+        value.forEach(rebuildViews);
+        return value;
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    Object.values(value).forEach(rebuildViews);
+
+    if (value.post && value.creator && !value.comment) {
+        // post_view: counters moved onto the post, personal state into post_actions
+        value.counts = value.counts || pickCounts(value.post, POST_COUNT_FIELDS);
+        if (value.post_actions !== undefined) {
+            value.my_vote = value.my_vote ?? voteFromActions(value.post_actions);
+            value.saved = value.saved ?? Boolean(value.post_actions?.saved_at);
+            value.read = value.read ?? Boolean(value.post_actions?.read_at);
+        }
+    } else if (value.comment && value.creator) {
+        value.counts = value.counts || pickCounts(value.comment, COMMENT_COUNT_FIELDS);
+        if (value.comment_actions !== undefined) {
+            value.my_vote = value.my_vote ?? voteFromActions(value.comment_actions);
+            value.saved = value.saved ?? Boolean(value.comment_actions?.saved_at);
+        }
+    } else if (value.community && !value.post && !value.creator && value.community.subscribers !== undefined) {
+        value.counts = value.counts || pickCounts(value.community, COMMUNITY_COUNT_FIELDS);
+        if (value.community_actions !== undefined) {
+            const followState = value.community_actions?.follow_state;
+            value.subscribed = value.subscribed ?? (
+                followState === 'Accepted' ? 'Subscribed' :
+                followState === 'Pending' || followState === 'ApprovalRequired' ? 'Pending' :
+                'NotSubscribed'
+            );
+            value.blocked = value.blocked ?? Boolean(value.community_actions?.blocked_at);
+        }
+    } else if (value.person && !value.community && value.person.post_count !== undefined) {
+        value.counts = value.counts || pickCounts(value.person, PERSON_COUNT_FIELDS);
+    } else if (value.local_site && value.site && !value.counts) {
+        // site_view: counters moved onto local_site
+        value.counts = pickCounts(value.local_site, SITE_COUNT_FIELDS);
+    }
+
+    return value;
+}
+
+// ========================================
+// ADAPTERS
+// ========================================
+
+/**
+ * Lemmy 0.19: the shape the app is written against
+ * Auth is sent as a bearer header, responses are used as-is.
+ */
+export class LemmyV019Adapter {
+    constructor(version = '0.19') {
+        this.version = version;
+        this.apiPath = '/api/v3';
+        this.authStrategy = new BearerAuthStrategy();
+    }
+
+    /**
+     * Map an app endpoint (0.19 name) to this version's endpoint
+     * @param {string} endpoint - Endpoint with optional query string
+     * @returns {string} Endpoint to request
+     */
+    mapEndpoint(endpoint) {
+        return endpoint;
+    }
+
+    /**
+     * Convert a request body to this version's shape
+     * @param {string} path - App endpoint path
+     * @param {Object} body - Parsed JSON body
+     * @returns {Object} Body to send
+     */
+    mapRequestBody(path, body) {
+        return body;
+    }
+
+    /**
+     * Build the URL and options of a request
+     * @param {Object} request - Request description
+     * @param {string} request.origin - Instance origin
+     * @param {string} request.endpoint - App endpoint (0.19 name, may include a query string)
+     * @param {Object} request.options - Fetch options (method, headers, body)
+     * @param {string|null} request.authToken - JWT to send, or null for anonymous requests
+     * @returns {{url: string, options: Object}} Request to send
+     */
+    buildRequest({ origin, endpoint, options, authToken }) {
+        const path = endpoint.split('?')[0];
+        let body = options.body;
+
+        if (typeof body === 'string') {
+            body = JSON.stringify(this.mapRequestBody(path, JSON.parse(body)));
+        }
+
+        const authorized = this.authStrategy.apply({
+            url: `${origin}${this.apiPath}${this.mapEndpoint(endpoint)}`,
+            method: options.method || 'GET',
+            headers: { ...options.headers },
+            body
+        }, authToken);
+
+        return {
+            url: authorized.url,
+            options: { ...options, headers: authorized.headers, body: authorized.body }
+        };
+    }
+
+    /**
+     * Convert a response to the 0.19 shape
+     * @param {string} path - App endpoint path
+     * @param {*} data - Parsed response
+     * @returns {*} Normalized response
+     */
+    normalizeResponse(path, data) {
+        return data;
+    }
+}
+
+/**
+ * Lemmy 0.18: same routes as 0.19, but the token travels as an `auth`
+ * query parameter (GET) or body field (POST/PUT) and no bearer header is read
+ */
+export class LemmyV018Adapter extends LemmyV019Adapter {
+    constructor(version = '0.18') {
+        super(version);
+        this.authStrategy = new LegacyParamAuthStrategy();
+    }
+}
+
+/**
+ * Lemmy 1.0 (API v4)
+ * The v4 API is not final; this covers the renames known so far and converts
+ * responses back to the 0.19 shape. Unknown endpoints are requested unchanged.
+ */
+export class LemmyV4Adapter extends LemmyV019Adapter {
+    constructor(version = '1.0') {
+        super(version);
+        this.apiPath = '/api/v4';
+
+        /**
+         * App endpoint → v4 endpoint
+         * @type {Object<string, string>}
+         */
+        this.endpointMap = {
+            '/user/login': '/account/auth/login',
+            '/user/register': '/account/auth/register',
+            '/user/logout': '/account/auth/logout',
+            '/user/save_user_settings': '/account/settings/save',
+            '/user/unread_count': '/account/unread_count',
+            '/user/mark_all_as_read': '/account/mark_as_read/all',
+            '/user/block': '/account/block/person',
+            '/community/block': '/account/block/community',
+            '/user': '/person'
+        };
+    }
+
+    mapEndpoint(endpoint) {
+        const [path, query] = endpoint.split('?');
+        const mapped = this.endpointMap[path] || path;
+        return query !== undefined ? `${mapped}?${query}` : mapped;
+    }
+
+    mapRequestBody(path, body) {
+        // Votes are sent as is_upvote (true, false or null to remove the vote)
+        if ((path === '/post/like' || path === '/comment/like') && body.score !== undefined) {
+            const { score, ...rest } = body;
+            return { ...rest, is_upvote: score === 0 ? null : score > 0 };
+        }
+        return body;
+    }
+
+    normalizeResponse(path, data) {
+        return rebuildViews(renameFields(data));
+    }
+}
+
+/**
+ * Create the adapter for a Lemmy version
+ * Unknown or missing versions get the 0.19 adapter.
+ * @param {string|null} version - Version from /site
+ * @returns {LemmyV019Adapter} Adapter
+ */
+export function createAdapter(version) {
+    const parsed = parseVersion(version);
+
+    if (parsed && parsed.major >= 1) {
+        return new LemmyV4Adapter(version);
+    }
+    if (parsed && parsed.major === 0 && parsed.minor <= 18) {
+        return new LemmyV018Adapter(version);
+    }
+    return new LemmyV019Adapter(version || '0.19');
+}
@@ -8,23 +8,99 @@
  * @fileoverview Lemmy API client with rate limiting and caching
  */
 
-import { CONFIG, getInstanceConfig, getAuthToken } from './config.js';
+import { CONFIG, getInstanceConfig, getAuthToken, getCurrentInstance, getUserData } from './config.js';
+import { getTransport } from './transport.js';
+import {
+    ApiError,
+    NetworkError,
+    TimeoutError,
+    RateLimitError,
+    LemmyError,
+    AuthExpiredError,
+    ValidationError,
+    createErrorFromResponse,
+    createAbortError,
+    isAbortError
+} from './errors.js';
+import { responseCache, createCacheKey, getCacheTTL, getEndpointPath } from './cache.js';
+import { getRateLimiter, getRateLimitCategory } from './rate-limiter.js';
+import { createAdapter, getStoredVersion, storeVersion } from './api-adapters.js';
+import { createLogger } from './logger.js';
+import { outbox, isOnline, isIdempotentAction, OUTBOX_STATUS } from './outbox.js';
+import { connectivity } from './offline.js';
+
+// Re-exported so components can recognize cancelled requests without importing errors.js
+export { isAbortError };
+
+const logger = createLogger('API');
 
 // ========================================
-// GLOBAL STORAGE AND CACHE
+// GLOBAL STORAGE
 // ========================================
 
 /**
- * Rate limiting storage for tracking API requests per instance
+ * GET requests currently on the wire, shared by identical callers
  * @type {Map<string, Object>}
  */
-const rateLimitStore = new Map();
+const inFlightRequests = new Map();
 
 /**
- * Request cache for reducing duplicate API requests
- * @type {Map<string, Object>}
+ * Version adapters by instance origin (resolved once per page load)
+ * @type {Map<string, Promise<Object>>}
+ */
+const adapterPromises = new Map();
+
+// ========================================
+// CANCELLATION HELPERS
+// ========================================
+
+/**
+ * Combine several abort signals into one that aborts when any of them does
+ * @param {...(AbortSignal|undefined)} signals - Signals to combine (falsy values are ignored)
+ * @returns {AbortSignal|undefined} Combined signal
+ */
+function combineSignals(...signals) {
+    const activeSignals = signals.filter(Boolean);
+    if (activeSignals.length <= 1) {
+        return activeSignals[0];
+    }
+
+    if (typeof AbortSignal.any === 'function') {
+        return AbortSignal.any(activeSignals);
+    }
+
+    // Fallback for browsers without AbortSignal.any
+    const controller = new AbortController();
+    activeSignals.forEach(signal => {
+        if (signal.aborted) {
+            controller.abort(signal.reason);
+        } else {
+            signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+        }
+    });
+    return controller.signal;
+}
+
+/**
+ * Wait before retrying, stopping early if the request is cancelled
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise<void>} Resolves after the delay
  */
-const requestCache = new Map();
+function waitForRetry(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(createAbortError());
+            return;
+        }
+
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        }, { once: true });
+    });
+}
 
 // ========================================
 // MAIN API CLASS
@@ -35,9 +111,22 @@ const requestCache = new Map();
  * Handles authentication, rate limiting, caching, and error handling
  */
 export class LemmyAPI {
-    constructor(instanceName = null) {
+    /**
+     * @param {string|null} instanceName - Instance to talk to (defaults to the current one)
+     * @param {Object|null} transport - Optional transport overriding the shared one (see transport.js)
+     */
+    constructor(instanceName = null, transport = null) {
+        this.instanceName = instanceName || getCurrentInstance();
         this.instanceConfig = getInstanceConfig(instanceName);
         this.baseURL = this.instanceConfig.api;
+        this.origin = this.baseURL.replace(/\/api\/v\d+\/?$/, '');
+        this.transport = transport;
+
+        // Shared by every client talking to the same instance
+        this.rateLimiter = getRateLimiter(this.baseURL);
+
+        // Cancels every pending read made through this client (see abortPendingRequests)
+        this.abortController = new AbortController();
     }
 
     // ========================================
@@ -45,25 +134,92 @@ export class LemmyAPI {
     // ========================================
 
     /**
-     * Check if we're being rate limited
-     * @returns {boolean} True if rate limited
+     * Apply the rate limits an instance advertises in its /site response
+     * @param {Object} siteData - GET /site response
      */
-    isRateLimited() {
-        const key = this.instanceConfig.url;
-        const now = Date.now();
-        const window = rateLimitStore.get(key) || { requests: [], windowStart: now };
-        
-        // Clean old requests outside the window
-        window.requests = window.requests.filter(time => now - time < CONFIG.API.RATE_LIMIT.WINDOW_MS);
-        
-        if (window.requests.length >= CONFIG.API.RATE_LIMIT.MAX_REQUESTS) {
-            return true;
+    applySiteRateLimits(siteData) {
+        const limits = siteData?.site_view?.local_site_rate_limit;
+        if (limits) {
+            this.rateLimiter.configure(limits);
         }
-        
-        // Add current request
-        window.requests.push(now);
-        rateLimitStore.set(key, window);
-        return false;
+    }
+
+    // ========================================
+    // VERSION DETECTION
+    // ========================================
+
+    /**
+     * Get the adapter for the instance's Lemmy version
+     * The version is read from /site once and remembered across page loads.
+     * @returns {Promise<Object>} Version adapter (see api-adapters.js)
+     */
+    async getAdapter() {
+        if (!adapterPromises.has(this.origin)) {
+            const storedVersion = getStoredVersion(this.origin);
+            adapterPromises.set(this.origin, storedVersion
+                ? Promise.resolve(createAdapter(storedVersion))
+                : this.detectVersion());
+        }
+        return adapterPromises.get(this.origin);
+    }
+
+    /**
+     * Ask the instance which Lemmy version it runs
+     * Tries /api/v3/site first (0.18 and 0.19), then /api/v4/site (1.0).
+     * Falls back to the 0.19 adapter when the instance can't be reached.
+     * @returns {Promise<Object>} Version adapter
+     */
+    async detectVersion() {
+        for (const apiPath of ['/api/v3', '/api/v4']) {
+            try {
+                const response = await this.sendRequest(`${this.origin}${apiPath}/site`, {
+                    headers: { 'accept': 'application/json' },
+                    mode: 'cors',
+                    credentials: 'omit',
+                    signal: AbortSignal.timeout(CONFIG.API.TIMEOUT)
+                });
+                if (response.status === 404) {
+                    continue;
+                }
+                if (!response.ok) {
+                    break;
+                }
+
+                const site = await response.json();
+                const version = site.version || (apiPath === '/api/v4' ? '1.0' : null);
+                if (version) {
+                    logger.debug(`Detected Lemmy ${version} at ${this.origin}`);
+                    storeVersion(this.origin, version);
+                }
+                return createAdapter(version);
+            } catch (error) {
+                console.warn('Lemmy version detection failed:', error);
+                break;
+            }
+        }
+
+        // Try again on the next page load rather than remembering a guess
+        return createAdapter(null);
+    }
+
+    /**
+     * Switch adapters if /site reports a different version than the one in use
+     * (e.g. the instance was upgraded since the version was stored)
+     * @param {Object} adapter - Adapter the request was made with
+     * @param {Object} siteData - GET /site response
+     */
+    updateVersion(adapter, siteData) {
+        const version = siteData?.version;
+        if (!version || version === adapter.version) {
+            return;
+        }
+
+        storeVersion(this.origin, version);
+        const updated = createAdapter(version);
+        if (updated.constructor !== adapter.constructor || updated.apiPath !== adapter.apiPath) {
+            logger.debug(`Lemmy version changed to ${version} at ${this.origin}`);
+        }
+        adapterPromises.set(this.origin, Promise.resolve(updated));
     }
 
     // ========================================
@@ -71,172 +227,354 @@ export class LemmyAPI {
     // ========================================
 
     /**
-     * Make a request with retry logic and error handling
-     * @param {string} endpoint - API endpoint
+     * Send a raw request through this client's transport
+     * @param {string} url - Absolute request URL
      * @param {Object} options - Fetch options
-     * @param {number} retryCount - Current retry attempt
+     * @returns {Promise<Response>} Response object
+     */
+    async sendRequest(url, options) {
+        const transport = this.transport || await getTransport();
+        return transport.request(url, options);
+    }
+
+    /**
+     * Make a request with caching, deduplication and cancellation
+     * Identical GET requests that are already on the wire are shared instead of sent twice.
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Fetch options, plus the options below
+     * @param {AbortSignal} [options.signal] - Cancels the request; the promise rejects with an AbortError
+     * @param {Function} [options.onRevalidate] - Enables stale-while-revalidate: a stale cached
+     *   response is returned immediately and this callback receives the fresh data if it changed
+     * @param {string} [options.cacheMode] - 'reload' to skip reading the cache (the response is still stored)
      * @returns {Promise} Response data
      */
-    async makeRequest(endpoint, options = {}, retryCount = 0) {
-        if (this.isRateLimited()) {
-            throw new Error(CONFIG.ERRORS.RATE_LIMITED);
-        }
+    async makeRequest(endpoint, options = {}) {
+        const { onRevalidate, cacheMode, signal, ...fetchOptions } = options;
 
-        let url = `${this.baseURL}${endpoint}`;
-        const cacheKey = `${url}_${JSON.stringify(options)}`;
+        const url = `${this.baseURL}${endpoint}`;
+        const method = (fetchOptions.method || 'GET').toUpperCase();
+        const requestKey = createCacheKey(url, getAuthToken());
+        const cacheTTL = method === 'GET' ? getCacheTTL(endpoint) : 0;
+        const cacheKey = cacheTTL > 0 ? requestKey : null;
         
-        // Check cache for GET requests (but skip caching for /site endpoint during auth)
-        if ((!options.method || options.method === 'GET') && requestCache.has(cacheKey) && endpoint !== '/site') {
-            const cached = requestCache.get(cacheKey);
-            if (Date.now() - cached.timestamp < 60000) { // 1 minute cache
-                return cached.data;
+        // Serve from the persistent cache when possible
+        if (cacheKey && cacheMode !== 'reload') {
+            const cached = await responseCache.get(cacheKey);
+            if (cached) {
+                const age = Date.now() - cached.timestamp;
+                if (age < cacheTTL) {
+                    return cached.data;
+                }
+                
+                if (onRevalidate) {
+                    // Render the stale copy now and refresh it in the background
+                    this.makeRequest(endpoint, { ...fetchOptions, cacheMode: 'reload' })
+                        .then(freshData => {
+                            if (JSON.stringify(freshData) !== JSON.stringify(cached.data)) {
+                                onRevalidate(freshData);
+                            }
+                        })
+                        .catch(error => {
+                            if (!isAbortError(error)) {
+                                console.warn('Background revalidation failed:', endpoint, error);
+                            }
+                        });
+                    return cached.data;
+                }
             }
-            requestCache.delete(cacheKey);
         }
 
-        const requestOptions = {
-            method: 'GET',
-            headers: {
-                'accept': 'application/json',
-            },
-            mode: 'cors',
-            credentials: 'omit',
-            ...options,
-            signal: AbortSignal.timeout(CONFIG.API.TIMEOUT)
-        };
-
-        // Set Content-Type header only if not using FormData
-        if (!(options.body instanceof FormData)) {
-            requestOptions.headers['content-type'] = 'application/json';
+        // Writes are only cancelled by their caller; switching views must not drop a vote or a comment
+        if (method !== 'GET') {
+            return this.performRequest(endpoint, fetchOptions, cacheKey, signal);
         }
 
-        // Add authentication BEFORE merging custom headers
-        const isAuthEndpoint = endpoint.includes('/login') || endpoint.includes('/register');
+        return this.joinInFlightRequest(
+            requestKey,
+            sharedSignal => this.performRequest(endpoint, fetchOptions, cacheKey, sharedSignal),
+            combineSignals(signal, this.abortController.signal)
+        );
+    }
+
+    /**
+     * Attach to an identical in-flight request, or start it
+     * The shared request is only aborted once every caller waiting on it has cancelled.
+     * @param {string} key - Request key (URL plus auth scope)
+     * @param {Function} start - Starts the request, receives the shared abort signal
+     * @param {AbortSignal} [signal] - This caller's cancellation signal
+     * @returns {Promise} Response data
+     */
+    joinInFlightRequest(key, start, signal) {
+        let entry = inFlightRequests.get(key);
+        
+        if (!entry) {
+            const controller = new AbortController();
+            entry = { controller, waiting: 0, promise: null };
+            entry.promise = start(controller.signal).finally(() => {
+                if (inFlightRequests.get(key) === entry) {
+                    inFlightRequests.delete(key);
+                }
+            });
+            inFlightRequests.set(key, entry);
+        }
         
-        if (!isAuthEndpoint) {
-            const authToken = getAuthToken();
+        const sharedEntry = entry;
+        sharedEntry.waiting++;
+        
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            
+            const leave = () => {
+                settled = true;
+                sharedEntry.waiting--;
+                signal?.removeEventListener('abort', onAbort);
+            };
             
-            if (authToken) {
-                // New format (0.19+): Authorization header (use lowercase to match Lemmy API)
-                requestOptions.headers['authorization'] = `Bearer ${authToken}`;
+            const onAbort = () => {
+                if (settled) return;
+                leave();
                 
-                // For POST/PUT requests, try Authorization header first, fallback to body if needed
-                if (requestOptions.method === 'POST' || requestOptions.method === 'PUT') {
-                    // Start with just the Authorization header (API v3 standard)
-                    console.log('Using Authorization header for POST/PUT request');
-                } else {
-                    // For GET requests, add auth to URL
-                    const separator = url.includes('?') ? '&' : '?';
-                    url = `${url}${separator}auth=${encodeURIComponent(authToken)}`;
+                // Nobody is waiting anymore, stop the request itself
+                if (sharedEntry.waiting === 0) {
+                    sharedEntry.controller.abort();
+                    if (inFlightRequests.get(key) === sharedEntry) {
+                        inFlightRequests.delete(key);
+                    }
                 }
-            } else {
-                console.warn('No auth token found for request to:', endpoint);
+                reject(createAbortError());
+            };
+            
+            if (signal?.aborted) {
+                onAbort();
+                return;
             }
-        }
+            signal?.addEventListener('abort', onAbort, { once: true });
+            
+            sharedEntry.promise.then(data => {
+                if (settled) return;
+                leave();
+                resolve(data);
+            }, error => {
+                if (settled) return;
+                leave();
+                reject(error);
+            });
+        });
+    }
 
-        // Merge custom headers with defaults (but preserve auth headers)
-        if (options.headers) {
-            requestOptions.headers = { ...requestOptions.headers, ...options.headers };
+    /**
+     * Abort every pending read made through this client
+     * In-flight requests shared with other clients keep running for them.
+     * Used when the current view is replaced (e.g. switching instance).
+     */
+    abortPendingRequests() {
+        this.abortController.abort();
+        this.abortController = new AbortController();
+    }
+
+    /**
+     * Send a request with retry logic and error handling
+     * @param {string} endpoint - API endpoint
+     * @param {Object} fetchOptions - Fetch options
+     * @param {string|null} cacheKey - Cache key for storing the response (null if not cacheable)
+     * @param {AbortSignal} [cancelSignal] - Cancellation signal
+     * @param {number} retryCount - Current retry attempt
+     * @returns {Promise} Response data
+     */
+    async performRequest(endpoint, fetchOptions, cacheKey, cancelSignal, retryCount = 0) {
+        if (cancelSignal?.aborted) {
+            throw createAbortError();
         }
 
-        try {
-            // Debug logging for POST requests
-            if (requestOptions.method === 'POST') {
-                console.log('Making POST request to:', url);
-                console.log('Request options:', {
-                    method: requestOptions.method,
-                    headers: requestOptions.headers,
-                    body: requestOptions.body
-                });
+        const method = (fetchOptions.method || 'GET').toUpperCase();
+        const rateLimitCategory = getRateLimitCategory(method, endpoint);
+        const adapter = await this.getAdapter();
+
+        // Waits for a free slot in the instance's rate limit instead of failing
+        await this.rateLimiter.acquire(rateLimitCategory, cancelSignal);
+
+        const headers = {
+            'accept': 'application/json',
+            // Set Content-Type header only if not using FormData
+            ...(fetchOptions.body instanceof FormData ? {} : { 'content-type': 'application/json' }),
+            ...fetchOptions.headers
+        };
+
+        // Login and registration must never carry a (possibly stale) token
+        const isAuthEndpoint = endpoint.includes('/login') || endpoint.includes('/register');
+        const authToken = isAuthEndpoint ? null : getAuthToken();
+
+        // The adapter decides where the token goes and how the endpoint is named for this version
+        const { url, options: requestOptions } = adapter.buildRequest({
+            origin: this.origin,
+            endpoint,
+            authToken,
+            options: {
+                mode: 'cors',
+                credentials: 'omit',
+                ...fetchOptions,
+                method,
+                headers,
+                signal: combineSignals(AbortSignal.timeout(CONFIG.API.TIMEOUT), cancelSignal)
             }
+        });
+
+        try {
+            logger.debug(`${requestOptions.method} ${url}`, {
+                headers: requestOptions.headers,
+                body: requestOptions.body
+            });
             
-            const response = await fetch(url, requestOptions);
+            const response = await this.sendRequest(url, requestOptions);
+            connectivity.reportResponse(response);
             
             if (!response.ok) {
-                if (response.status === 429) {
-                    throw new Error(CONFIG.ERRORS.RATE_LIMITED);
-                } else if (response.status === 401) {
-                    // If we get a 401, try adding auth to the body as fallback
-                    if (requestOptions.method === 'POST' && !isAuthEndpoint) {
-                        console.log('Got 401, trying with auth in body instead...');
-                        const authToken = getAuthToken();
-                        if (authToken && requestOptions.body) {
-                            try {
-                                const bodyData = JSON.parse(requestOptions.body);
-                                bodyData.auth = authToken;
-                                requestOptions.body = JSON.stringify(bodyData);
-                                
-                                // Remove Authorization header for the retry
-                                delete requestOptions.headers['authorization'];
-                                
-                                console.log('Retrying with auth in body:', requestOptions.body);
-                                const retryResponse = await fetch(url, requestOptions);
-                                
-                                if (!retryResponse.ok) {
-                                    const errorText = await retryResponse.text();
-                                    throw new Error(`HTTP ${retryResponse.status}: ${retryResponse.statusText} - ${errorText}`);
-                                }
-                                
-                                const data = await retryResponse.json();
-                                return data;
-                            } catch (e) {
-                                console.error('Failed to retry with auth in body:', e);
-                            }
-                        }
-                    }
-                    
-                    const errorText = await response.text();
-                    throw new Error(`HTTP ${response.status}: ${response.statusText} - ${errorText}`);
-                } else if (response.status >= 500) {
-                    throw new Error(CONFIG.ERRORS.INSTANCE_DOWN);
-                } else {
-                    const errorText = await response.text();
-                    
-                    // For login endpoints, try to parse the error response to preserve specific error info
-                    if (isAuthEndpoint && response.status === 400) {
-                        try {
-                            const errorData = JSON.parse(errorText);
-                            console.log('Preserving error response data for auth endpoint:', errorData);
-                            const error = new Error(`HTTP ${response.status}: ${response.statusText} - ${errorText}`);
-                            error.responseData = errorData; // Attach parsed response data
-                            throw error;
-                        } catch (parseError) {
-                            // If parsing fails, fall back to original error
-                            throw new Error(`HTTP ${response.status}: ${response.statusText} - ${errorText}`);
-                        }
-                    }
-                    
-                    throw new Error(`HTTP ${response.status}: ${response.statusText} - ${errorText}`);
-                }
+                throw await createErrorFromResponse(response, endpoint);
             }
 
-            const data = await response.json();
+            let data;
+            try {
+                data = await response.json();
+            } catch (parseError) {
+                throw new ApiError(CONFIG.ERRORS.INVALID_RESPONSE, { status: response.status, endpoint, cause: parseError });
+            }
             
-            // Cache successful GET requests (but not /site endpoint due to auth state)
-            if ((!options.method || options.method === 'GET') && endpoint !== '/site') {
-                requestCache.set(cacheKey, {
-                    data,
-                    timestamp: Date.now()
-                });
+            const path = getEndpointPath(endpoint);
+            data = adapter.normalizeResponse(path, data);
+            
+            if (path === '/site') {
+                this.updateVersion(adapter, data);
+                this.applySiteRateLimits(data);
             }
+            await this.updateCache(method, endpoint, cacheKey, data);
             
             return data;
             
         } catch (error) {
-            if (error.name === 'AbortError' || error.name === 'TimeoutError') {
-                throw new Error(CONFIG.ERRORS.NETWORK);
+            // Cancelled by the caller: not a failure, never retried
+            if (cancelSignal?.aborted) {
+                throw createAbortError();
             }
             
-            // Don't retry on 400 errors for login endpoints (2FA, invalid credentials, etc.)
-            if (error.message && error.message.includes('HTTP 400') && isAuthEndpoint) {
-                throw error;
+            const apiError = this.toApiError(error, endpoint);
+            if (apiError instanceof NetworkError) {
+                connectivity.reportNetworkError();
+            }
+            
+            // The server's limits are stricter than ours: hold the whole category, then requeue
+            if (apiError instanceof RateLimitError && !apiError.local) {
+                this.rateLimiter.pause(rateLimitCategory, apiError.retryAfter);
+                if (retryCount < CONFIG.API.MAX_RETRIES) {
+                    return this.performRequest(endpoint, fetchOptions, cacheKey, cancelSignal, retryCount + 1);
+                }
+                throw apiError;
             }
             
-            if (retryCount < CONFIG.API.MAX_RETRIES) {
-                await new Promise(resolve => setTimeout(resolve, CONFIG.API.RETRY_DELAY * (retryCount + 1)));
-                return this.makeRequest(endpoint, options, retryCount + 1);
+            // A timeout already waited CONFIG.API.TIMEOUT, don't make the user wait again
+            if (apiError.retryable && !(apiError instanceof TimeoutError) && retryCount < CONFIG.API.MAX_RETRIES) {
+                await waitForRetry(CONFIG.API.RETRY_DELAY * (retryCount + 1), cancelSignal);
+                return this.performRequest(endpoint, fetchOptions, cacheKey, cancelSignal, retryCount + 1);
             }
             
+            throw apiError;
+        }
+    }
+
+    /**
+     * Convert anything thrown while sending a request into an ApiError
+     * @param {Error} error - Thrown error
+     * @param {string} endpoint - API endpoint
+     * @returns {ApiError} Typed error
+     */
+    toApiError(error, endpoint) {
+        if (error instanceof ApiError) {
+            return error;
+        }
+        if (error?.name === 'TimeoutError' || error?.name === 'AbortError') {
+            return new TimeoutError({ endpoint, cause: error });
+        }
+        // fetch rejects with a TypeError when the request can't be sent at all
+        return new NetworkError({ endpoint, cause: error });
+    }
+
+    /**
+     * Store a successful GET response, or drop the entries a mutation made outdated
+     * @param {string} method - HTTP method
+     * @param {string} endpoint - API endpoint
+     * @param {string|null} cacheKey - Cache key (null if the endpoint isn't cacheable)
+     * @param {*} data - Response data
+     * @returns {Promise<void>}
+     */
+    async updateCache(method, endpoint, cacheKey, data) {
+        if (method === 'GET') {
+            if (cacheKey) {
+                await responseCache.set(cacheKey, {
+                    instance: this.baseURL,
+                    path: getEndpointPath(endpoint),
+                    data
+                });
+            }
+        } else {
+            await responseCache.invalidateForMutation(this.baseURL, endpoint);
+        }
+    }
+
+    // ========================================
+    // OFFLINE QUEUE
+    // ========================================
+
+    /**
+     * Send a mutation, or queue it in the outbox if the network is down
+     * Actions are also queued while older ones for this instance are still
+     * waiting, so the server receives them in the order they were made.
+     * A comment or message whose request failed mid-way may have been posted,
+     * so it is kept as unconfirmed rather than sent again automatically.
+     * @param {string} endpoint - API endpoint
+     * @param {Object} body - Request body
+     * @param {Object} queueOptions - How the action is stored
+     * @param {string} queueOptions.kind - Action type (see outbox.js)
+     * @param {string} queueOptions.label - Description shown in the pending-actions panel
+     * @param {string} [queueOptions.coalesceKey] - Queued actions with the same key replace each other
+     * @param {string} [queueOptions.method] - HTTP method (default POST)
+     * @returns {Promise<Object>} Response data, or { queued: true, outboxId } if the action was queued
+     *     (with unconfirmed: true if it is held for the user)
+     */
+    async sendQueueableMutation(endpoint, body, { kind, label, coalesceKey = null, method = 'POST' }) {
+        const queue = async (status = OUTBOX_STATUS.PENDING) => {
+            const action = await outbox.enqueue({
+                instanceName: this.instanceName,
+                personId: getUserData(this.instanceName)?.id ?? null,
+                kind,
+                endpoint,
+                method,
+                body,
+                label,
+                coalesceKey,
+                status
+            });
+            return action.status === OUTBOX_STATUS.UNCONFIRMED
+                ? { queued: true, outboxId: action.id, unconfirmed: true }
+                : { queued: true, outboxId: action.id };
+        };
+
+        if (!isOnline() || await outbox.hasPending(this.instanceName)) {
+            return queue();
+        }
+
+        try {
+            return await this.makeRequest(endpoint, {
+                method,
+                body: JSON.stringify(body)
+            });
+        } catch (error) {
+            if (error instanceof NetworkError) {
+                if (isIdempotentAction({ kind })) {
+                    console.warn(`Network error sending ${endpoint}, queueing for later`);
+                    return queue();
+                }
+                console.warn(`Network error sending ${endpoint}, holding it until the user confirms`);
+                return queue(OUTBOX_STATUS.UNCONFIRMED);
+            }
             throw error;
         }
     }
@@ -248,9 +586,10 @@ export class LemmyAPI {
     /**
      * Get posts from the instance
      * @param {Object} params - Query parameters
+     * @param {Object} requestOptions - Extra makeRequest options (e.g. onRevalidate)
      * @returns {Promise} Posts data
      */
-    async getPosts(params = {}) {
+    async getPosts(params = {}, requestOptions = {}) {
         const queryParams = new URLSearchParams({
             type_: params.type_ || params.type || 'All',
             sort: params.sort || 'Active',
@@ -265,7 +604,7 @@ export class LemmyAPI {
             }
         });
 
-        return this.makeRequest(`/post/list?${queryParams}`);
+        return this.makeRequest(`/post/list?${queryParams}`, requestOptions);
     }
 
     /**
@@ -288,35 +627,40 @@ export class LemmyAPI {
         formData.append('images[]', file);
         
         // Use Pictrs endpoint directly (not through Lemmy API)
-        const pictrsUrl = this.baseURL.replace('/api/v3', '') + '/pictrs/image';
+        const pictrsUrl = `${this.origin}/pictrs/image`;
         
-        const authToken = getAuthToken();
-        const headers = {
-            'accept': 'application/json'
-        };
+        const adapter = await this.getAdapter();
+        const { url, headers, body } = adapter.authStrategy.apply({
+            url: pictrsUrl,
+            method: 'POST',
+            headers: { 'accept': 'application/json' },
+            body: formData
+        }, getAuthToken());
         
-        if (authToken) {
-            headers['authorization'] = `Bearer ${authToken}`;
-        }
+        await this.rateLimiter.acquire(getRateLimitCategory('POST', '/pictrs/image'));
         
-        const response = await fetch(pictrsUrl, {
-            method: 'POST',
-            body: formData,
-            headers: headers,
-            mode: 'cors',
-            credentials: 'omit'
-        });
+        let response;
+        try {
+            response = await this.sendRequest(url, {
+                method: 'POST',
+                body,
+                headers,
+                mode: 'cors',
+                credentials: 'omit'
+            });
+        } catch (error) {
+            throw this.toApiError(error, '/pictrs/image');
+        }
         
         if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            throw await createErrorFromResponse(response, '/pictrs/image');
         }
         
         const data = await response.json();
         
         // Pictrs returns different format, convert to expected format
         if (data.msg === 'ok' && data.files && data.files.length > 0) {
-            const baseUrl = this.baseURL.replace('/api/v3', '');
-            const fullImageUrl = `${baseUrl}/pictrs/image/${data.files[0].file}`;
+            const fullImageUrl = `${this.origin}/pictrs/image/${data.files[0].file}`;
             
             return {
                 url: fullImageUrl,
@@ -324,7 +668,7 @@ export class LemmyAPI {
                     `${pictrsUrl}?delete=${data.files[0].delete_token}` : null
             };
         } else {
-            throw new Error(data.msg || 'Upload failed');
+            throw new LemmyError({ status: response.status, code: data.msg || null, endpoint: '/pictrs/image', message: 'Image upload failed.' });
         }
     }
 
@@ -440,13 +784,13 @@ export class LemmyAPI {
         // Ensure post_id is a number
         const numericPostId = parseInt(params.post_id);
         if (isNaN(numericPostId)) {
-            throw new Error(`Invalid post ID: ${params.post_id}`);
+            throw new ValidationError({ message: `Invalid post ID: ${params.post_id}`, field: 'post_id' });
         }
         
         // Get auth token
         const authToken = getAuthToken();
         if (!authToken) {
-            throw new Error('Authentication required to edit posts');
+            throw new AuthExpiredError({ message: 'Authentication required to edit posts' });
         }
         
         // Prepare request body with only provided parameters
@@ -461,15 +805,10 @@ export class LemmyAPI {
         if (params.nsfw !== undefined) requestBody.nsfw = params.nsfw;
         if (params.language_id !== undefined) requestBody.language_id = params.language_id;
         
-        console.log('Edit post request body:', requestBody);
+        logger.debug('Edit post request body:', requestBody);
         
         const response = await this.makeRequest('/post', {
             method: 'PUT',
-            headers: {
-                'accept': 'application/json',
-                'content-type': 'application/json',
-                'authorization': `Bearer ${authToken}`
-            },
             body: JSON.stringify(requestBody)
         });
         
@@ -486,13 +825,13 @@ export class LemmyAPI {
         // Ensure postId is a number
         const numericPostId = parseInt(postId);
         if (isNaN(numericPostId)) {
-            throw new Error(`Invalid post ID: ${postId}`);
+            throw new ValidationError({ message: `Invalid post ID: ${postId}`, field: 'post_id' });
         }
         
         // Get auth token
         const authToken = getAuthToken();
         if (!authToken) {
-            throw new Error('Authentication required to delete/restore posts');
+            throw new AuthExpiredError({ message: 'Authentication required to delete/restore posts' });
         }
         
         // Use the exact format from the working example
@@ -501,17 +840,10 @@ export class LemmyAPI {
             deleted: deleted
         };
         
-        console.log(`${deleted ? 'Delete' : 'Restore'} post request body:`, requestBody);
-        console.log('Post ID type:', typeof numericPostId, 'Value:', numericPostId);
+        logger.debug(`${deleted ? 'Delete' : 'Restore'} post request body:`, requestBody);
         
-        // Use the exact headers from the working example
         const response = await this.makeRequest('/post/delete', {
             method: 'POST',
-            headers: {
-                'accept': 'application/json',
-                'content-type': 'application/json',
-                'authorization': `Bearer ${authToken}`
-            },
             body: JSON.stringify(requestBody)
         });
         
@@ -522,25 +854,77 @@ export class LemmyAPI {
 
     /**
      * Get comments for a post
+     * With a max depth Lemmy returns a tree (up to 300 comments, ignoring page
+     * and limit); pass maxDepth: null for a flat, paged list instead.
      * @param {number} postId - Post ID
      * @param {Object} params - Query parameters
+     * @param {Object} requestOptions - Extra makeRequest options (e.g. cacheMode)
      * @returns {Promise} Comments data
      */
-    async getComments(postId, params = {}) {
+    async getComments(postId, params = {}, requestOptions = {}) {
+        const maxDepth = 'maxDepth' in params ? params.maxDepth : (params.max_depth ?? 8);
         const queryParams = new URLSearchParams({
             post_id: postId,
             sort: params.sort || 'Hot',
-            max_depth: params.maxDepth || params.max_depth || 8,
             type_: params.type_ || params.type || 'All'
         });
+        if (maxDepth !== null && maxDepth !== undefined) {
+            queryParams.set('max_depth', maxDepth);
+        }
 
         // Add any additional params that aren't already set
         Object.keys(params).forEach(key => {
-            if (!queryParams.has(key)) {
+            if (!queryParams.has(key) && key !== 'maxDepth' && key !== 'max_depth') {
                 queryParams.set(key, params[key]);
             }
         });
 
+        return this.makeRequest(`/comment/list?${queryParams}`, requestOptions);
+    }
+
+    /**
+     * Get a single comment by ID
+     * @param {number} commentId - Comment ID
+     * @returns {Promise} Comment data (comment_view)
+     */
+    async getComment(commentId) {
+        return this.makeRequest(`/comment?id=${commentId}`);
+    }
+
+    /**
+     * Get the logged-in user's saved posts
+     * @param {string} sort - Sort type
+     * @param {number} page - Page number
+     * @param {number} limit - Posts per page
+     * @param {Object} requestOptions - Extra makeRequest options (e.g. onRevalidate)
+     * @returns {Promise} Posts data
+     */
+    async getSavedPosts(sort = 'New', page = 1, limit = CONFIG.DEFAULT_PAGE_SIZE, requestOptions = {}) {
+        return this.getPosts({
+            type_: 'All',
+            sort,
+            page,
+            limit,
+            saved_only: true
+        }, requestOptions);
+    }
+
+    /**
+     * Get the logged-in user's saved comments
+     * @param {string} sort - Sort type
+     * @param {number} page - Page number
+     * @param {number} limit - Comments per page
+     * @returns {Promise} Comments data
+     */
+    async getSavedComments(sort = 'New', page = 1, limit = CONFIG.DEFAULT_PAGE_SIZE) {
+        const queryParams = new URLSearchParams({
+            type_: 'All',
+            sort,
+            page,
+            limit,
+            saved_only: true
+        });
+
         return this.makeRequest(`/comment/list?${queryParams}`);
     }
 
@@ -600,14 +984,49 @@ export class LemmyAPI {
         }
     }
 
+    /**
+     * Follow or unfollow a community
+     * Following a community on another instance stays "Pending" until that instance accepts it.
+     * @param {number} communityId - Community ID
+     * @param {boolean} follow - True to follow, false to unfollow
+     * @returns {Promise} Community response with the updated community_view
+     */
+    async followCommunity(communityId, follow) {
+        return this.makeRequest('/community/follow', {
+            method: 'POST',
+            body: JSON.stringify({
+                community_id: communityId,
+                follow: follow
+            })
+        });
+    }
+
+    /**
+     * Block or unblock a community
+     * Posts from blocked communities are hidden from your feeds.
+     * @param {number} communityId - Community ID
+     * @param {boolean} block - True to block, false to unblock
+     * @returns {Promise} Block response with the updated community_view
+     */
+    async blockCommunity(communityId, block) {
+        return this.makeRequest('/community/block', {
+            method: 'POST',
+            body: JSON.stringify({
+                community_id: communityId,
+                block: block
+            })
+        });
+    }
+
     /**
      * Get posts from a specific community
      * @param {string|number} communityId - Community ID or name
      * @param {string} sort - Sort method (Active, Hot, New, etc.)
      * @param {number} page - Page number
+     * @param {Object} requestOptions - Extra makeRequest options (e.g. onRevalidate)
      * @returns {Promise} Community posts data
      */
-    async getCommunityPosts(communityId, sort = 'Active', page = 1) {
+    async getCommunityPosts(communityId, sort = 'Active', page = 1, requestOptions = {}) {
         try {
             // Use the same approach as getPosts but with community parameters
             const params = {
@@ -629,7 +1048,7 @@ export class LemmyAPI {
             console.log('Community posts params:', params);
             
             // Use the same method as getPosts
-            return this.getPosts(params);
+            return this.getPosts(params, requestOptions);
         } catch (error) {
             console.error('Failed to get community posts:', error);
             throw error;
@@ -700,6 +1119,16 @@ export class LemmyAPI {
         return this.makeRequest(`/search?${queryParams}`);
     }
 
+    /**
+     * Look up a community, user, post or comment from another instance
+     * The instance fetches it over federation if it hasn't seen it yet.
+     * @param {string} query - ActivityPub ID (URL) or `!community@host` / `@user@host`
+     * @returns {Promise} Object with one of community, person, post or comment
+     */
+    async resolveObject(query) {
+        return this.makeRequest(`/resolve_object?q=${encodeURIComponent(query)}`);
+    }
+
     /**
      * Get user information
      * @param {string} username - Username
@@ -715,9 +1144,10 @@ export class LemmyAPI {
      * @param {string} sort - Sort type (New, Old, TopDay, TopWeek, TopMonth, TopYear, TopAll)
      * @param {number} page - Page number
      * @param {number} limit - Number of posts per page
+     * @param {Object} requestOptions - Extra makeRequest options (e.g. onRevalidate)
      * @returns {Promise} User posts data
      */
-    async getUserPosts(userId, sort = 'New', page = 1, limit = 20) {
+    async getUserPosts(userId, sort = 'New', page = 1, limit = 20, requestOptions = {}) {
         const params = new URLSearchParams({
             sort,
             page: page.toString(),
@@ -740,7 +1170,7 @@ export class LemmyAPI {
             params: params.toString()
         });
 
-        return this.makeRequest(`/user?${params.toString()}`);
+        return this.makeRequest(`/user?${params.toString()}`, requestOptions);
     }
 
     /**
@@ -749,9 +1179,10 @@ export class LemmyAPI {
      * @param {string} sort - Sort type (New, Old, TopDay, TopWeek, TopMonth, TopYear, TopAll)
      * @param {number} page - Page number
      * @param {number} limit - Number of comments per page
+     * @param {Object} requestOptions - Extra makeRequest options (e.g. onRevalidate)
      * @returns {Promise} User comments data
      */
-    async getUserComments(userId, sort = 'New', page = 1, limit = 20) {
+    async getUserComments(userId, sort = 'New', page = 1, limit = 20, requestOptions = {}) {
         const params = new URLSearchParams({
             sort,
             page: page.toString(),
@@ -766,7 +1197,41 @@ export class LemmyAPI {
             params.append('person_id', userId.toString());
         }
 
-        return this.makeRequest(`/user?${params.toString()}`);
+        return this.makeRequest(`/user?${params.toString()}`, requestOptions);
+    }
+
+    /**
+     * Block or unblock a person
+     * Lemmy hides a blocked person's posts and comments from your feeds.
+     * @param {number} personId - Person ID
+     * @param {boolean} block - True to block, false to unblock
+     * @returns {Promise} Block response with the updated person_view
+     */
+    async blockPerson(personId, block) {
+        return this.makeRequest('/user/block', {
+            method: 'POST',
+            body: JSON.stringify({
+                person_id: personId,
+                block: block
+            })
+        });
+    }
+
+    /**
+     * Block or unblock an instance
+     * Communities on a blocked instance are hidden from your combined feeds.
+     * @param {number} instanceId - Instance ID (the instance_id of a person or community)
+     * @param {boolean} block - True to block, false to unblock
+     * @returns {Promise} Block response
+     */
+    async blockInstance(instanceId, block) {
+        return this.makeRequest('/site/block', {
+            method: 'POST',
+            body: JSON.stringify({
+                instance_id: instanceId,
+                block: block
+            })
+        });
     }
 
     /**
@@ -1036,15 +1501,16 @@ export class LemmyAPI {
      * @param {Object} params - Message parameters
      * @param {string} params.content - Message content
      * @param {number} params.recipient_id - Recipient user ID
-     * @returns {Promise} Create message response
+     * @param {string} [params.label] - Description used if the message has to be queued
+     * @returns {Promise} Create message response, or { queued: true, outboxId } while offline
      */
     async createPrivateMessage(params) {
-        return this.makeRequest('/private_message', {
-            method: 'POST',
-            body: JSON.stringify({
-                content: params.content,
-                recipient_id: params.recipient_id
-            })
+        return this.sendQueueableMutation('/private_message', {
+            content: params.content,
+            recipient_id: params.recipient_id
+        }, {
+            kind: 'private_message',
+            label: params.label || 'Private message'
         });
     }
 
@@ -1173,6 +1639,9 @@ export class LemmyAPI {
     /**
      * Remove/hide a post
      * @param {Object} params - Parameters
+     * @param {number} params.post_id - Post ID
+     * @param {boolean} params.removed - True to remove, false to restore
+     * @param {string} [params.reason] - Reason shown in the modlog
      * @returns {Promise} API response
      */
     async removePost(params) {
@@ -1182,10 +1651,40 @@ export class LemmyAPI {
         });
     }
 
+    /**
+     * Lock or unlock a post (locked posts take no new comments)
+     * @param {number} postId - Post ID
+     * @param {boolean} locked - True to lock, false to unlock
+     * @returns {Promise} API response with post_view
+     */
+    async lockPost(postId, locked) {
+        return this.makeRequest('/post/lock', {
+            method: 'POST',
+            body: JSON.stringify({ post_id: postId, locked })
+        });
+    }
+
+    /**
+     * Pin or unpin a post
+     * @param {number} postId - Post ID
+     * @param {boolean} featured - True to pin, false to unpin
+     * @param {string} featureType - 'Community' (moderators) or 'Local' (front page, admins only)
+     * @returns {Promise} API response with post_view
+     */
+    async featurePost(postId, featured, featureType = 'Community') {
+        return this.makeRequest('/post/feature', {
+            method: 'POST',
+            body: JSON.stringify({ post_id: postId, featured, feature_type: featureType })
+        });
+    }
+
     /**
      * Remove/hide a comment
      * @param {Object} params - Parameters
-     * @returns {Promise} API response
+     * @param {number} params.comment_id - Comment ID
+     * @param {boolean} params.removed - True to remove, false to restore
+     * @param {string} [params.reason] - Reason shown in the modlog
+     * @returns {Promise} API response with comment_view
      */
     async removeComment(params) {
         return this.makeRequest('/comment/remove', {
@@ -1194,6 +1693,35 @@ export class LemmyAPI {
         });
     }
 
+    /**
+     * Distinguish a comment (moderators, on their own comments only)
+     * Distinguished comments are marked as speaking for the moderators and
+     * listed first among their siblings.
+     * @param {number} commentId - Comment ID
+     * @param {boolean} distinguished - True to distinguish, false to undo it
+     * @returns {Promise} API response with comment_view
+     */
+    async distinguishComment(commentId, distinguished) {
+        return this.makeRequest('/comment/distinguish', {
+            method: 'POST',
+            body: JSON.stringify({ comment_id: commentId, distinguished })
+        });
+    }
+
+    /**
+     * Lock or unlock a comment and its replies (Lemmy 1.0 and later)
+     * @param {number} commentId - Comment ID
+     * @param {boolean} locked - True to lock, false to unlock
+     * @param {string} [reason] - Reason shown in the modlog
+     * @returns {Promise} API response with comment_view
+     */
+    async lockComment(commentId, locked, reason = '') {
+        return this.makeRequest('/comment/lock', {
+            method: 'POST',
+            body: JSON.stringify({ comment_id: commentId, locked, ...(reason ? { reason } : {}) })
+        });
+    }
+
     /**
      * Delete/undelete a comment (soft delete)
      * @param {Object} params - Parameters
@@ -1232,19 +1760,47 @@ export class LemmyAPI {
         });
     }
 
+    /**
+     * Get the moderation log
+     * Each kind of action is paged separately: a page holds up to `limit`
+     * entries of every kind.
+     * @param {Object} params - Filters
+     * @param {number} [params.community_id] - Only actions in this community
+     * @param {number} [params.mod_person_id] - Only actions by this moderator
+     * @param {number} [params.other_person_id] - Only actions against this person
+     * @param {string} [params.type_] - ModlogActionType (e.g. 'ModRemovePost'), 'All' by default
+     * @param {number} [params.page=1] - Page number
+     * @param {number} [params.limit=20] - Entries per kind of action
+     * @returns {Promise} Modlog with one array per kind (removed_posts, banned...)
+     */
+    async getModlog(params = {}) {
+        const queryParams = new URLSearchParams({
+            type_: params.type_ || 'All',
+            page: params.page || 1,
+            limit: params.limit || 20
+        });
+        ['community_id', 'mod_person_id', 'other_person_id'].forEach(key => {
+            if (params[key]) {
+                queryParams.set(key, params[key]);
+            }
+        });
+        return this.makeRequest(`/modlog?${queryParams}`);
+    }
+
     /**
      * Vote on a post
      * @param {number} postId - Post ID
      * @param {number} score - Vote score (1 for upvote, -1 for downvote, 0 to remove vote)
-     * @returns {Promise} Vote response
+     * @returns {Promise} Vote response, or { queued: true, outboxId } while offline
      */
     async votePost(postId, score) {
-        return this.makeRequest('/post/like', {
-            method: 'POST',
-            body: JSON.stringify({
-                post_id: postId,
-                score: score
-            })
+        return this.sendQueueableMutation('/post/like', {
+            post_id: postId,
+            score: score
+        }, {
+            kind: 'post_vote',
+            label: score === 0 ? `Remove vote on post #${postId}` : `${score > 0 ? 'Upvote' : 'Downvote'} post #${postId}`,
+            coalesceKey: `post_vote:${postId}`
         });
     }
 
@@ -1252,15 +1808,52 @@ export class LemmyAPI {
      * Vote on a comment
      * @param {number} commentId - Comment ID
      * @param {number} score - Vote score (1 for upvote, -1 for downvote, 0 to remove vote)
-     * @returns {Promise} Vote response
+     * @returns {Promise} Vote response, or { queued: true, outboxId } while offline
      */
     async voteComment(commentId, score) {
-        return this.makeRequest('/comment/like', {
-            method: 'POST',
-            body: JSON.stringify({
-                comment_id: commentId,
-                score: score
-            })
+        return this.sendQueueableMutation('/comment/like', {
+            comment_id: commentId,
+            score: score
+        }, {
+            kind: 'comment_vote',
+            label: score === 0 ? `Remove vote on comment #${commentId}` : `${score > 0 ? 'Upvote' : 'Downvote'} comment #${commentId}`,
+            coalesceKey: `comment_vote:${commentId}`
+        });
+    }
+
+    /**
+     * Save or unsave a post
+     * @param {number} postId - Post ID
+     * @param {boolean} save - True to save, false to unsave
+     * @returns {Promise} Post response, or { queued: true, outboxId } while offline
+     */
+    async savePost(postId, save) {
+        return this.sendQueueableMutation('/post/save', {
+            post_id: postId,
+            save: save
+        }, {
+            kind: 'post_save',
+            label: `${save ? 'Save' : 'Unsave'} post #${postId}`,
+            coalesceKey: `post_save:${postId}`,
+            method: 'PUT'
+        });
+    }
+
+    /**
+     * Save or unsave a comment
+     * @param {number} commentId - Comment ID
+     * @param {boolean} save - True to save, false to unsave
+     * @returns {Promise} Comment response, or { queued: true, outboxId } while offline
+     */
+    async saveComment(commentId, save) {
+        return this.sendQueueableMutation('/comment/save', {
+            comment_id: commentId,
+            save: save
+        }, {
+            kind: 'comment_save',
+            label: `${save ? 'Save' : 'Unsave'} comment #${commentId}`,
+            coalesceKey: `comment_save:${commentId}`,
+            method: 'PUT'
         });
     }
 
@@ -1270,7 +1863,7 @@ export class LemmyAPI {
      * @param {string} params.content - Comment content
      * @param {number} params.post_id - Post ID to comment on
      * @param {number} params.parent_id - Parent comment ID for replies (optional)
-     * @returns {Promise} Comment creation response
+     * @returns {Promise} Comment creation response, or { queued: true, outboxId } while offline
      */
     async createComment(params) {
         const commentData = {
@@ -1283,9 +1876,11 @@ export class LemmyAPI {
             commentData.parent_id = params.parent_id;
         }
 
-        return this.makeRequest('/comment', {
-            method: 'POST',
-            body: JSON.stringify(commentData)
+        return this.sendQueueableMutation('/comment', commentData, {
+            kind: 'comment',
+            label: params.parent_id
+                ? `Reply to comment #${params.parent_id}`
+                : `Comment on post #${params.post_id}`
         });
     }
 
@@ -1301,13 +1896,13 @@ export class LemmyAPI {
         // Ensure comment_id is a number
         const numericCommentId = parseInt(params.comment_id);
         if (isNaN(numericCommentId)) {
-            throw new Error(`Invalid comment ID: ${params.comment_id}`);
+            throw new ValidationError({ message: `Invalid comment ID: ${params.comment_id}`, field: 'comment_id' });
         }
         
         // Get auth token
         const authToken = getAuthToken();
         if (!authToken) {
-            throw new Error('Authentication required to edit comments');
+            throw new AuthExpiredError({ message: 'Authentication required to edit comments' });
         }
         
         // Prepare request body
@@ -1321,15 +1916,10 @@ export class LemmyAPI {
             requestBody.language_id = params.language_id;
         }
         
-        console.log('Edit comment request body:', requestBody);
+        logger.debug('Edit comment request body:', requestBody);
         
         const response = await this.makeRequest('/comment', {
             method: 'PUT',
-            headers: {
-                'accept': 'application/json',
-                'content-type': 'application/json',
-                'authorization': `Bearer ${authToken}`
-            },
             body: JSON.stringify(requestBody)
         });
         
@@ -1432,6 +2022,11 @@ export const APIUtils = {
             thumbnail: postData.thumbnail_url,
             nsfw: postData.nsfw || false,
             deleted: postData.deleted || false,
+            // Moderation state
+            removed: postData.removed || false,
+            locked: postData.locked || false,
+            featuredCommunity: postData.featured_community || false,
+            featuredLocal: postData.featured_local || false,
             published: new Date(postData.published),
             updated: postData.updated ? new Date(postData.updated) : null,
             // Include embedded content fields for external URLs
@@ -1441,20 +2036,25 @@ export const APIUtils = {
             urlContentType: postData.url_content_type,
             // User's vote on this post (1 for upvote, -1 for downvote, 0 for no vote)
             myVote: postView.my_vote || 0,
+            saved: postView.saved || false,
             author: {
+                id: creator?.id,
                 name: creator?.name || 'Unknown',
                 displayName: creator?.display_name || creator?.name || 'Unknown',
                 avatar: creator?.avatar,
                 local: creator?.local !== false,
-                actor_id: creator?.actor_id
+                actor_id: creator?.actor_id,
+                instance_id: creator?.instance_id
             },
             community: {
                 id: community?.id,
+                instance_id: community?.instance_id,
                 name: community?.name || 'unknown',
                 title: community?.title || community?.name || 'Unknown Community',
                 icon: community?.icon,
                 local: community?.local !== false,
-                actor_id: community?.actor_id
+                actor_id: community?.actor_id,
+                subscribed: postView.subscribed || 'NotSubscribed'
             },
             stats: {
                 upvotes: counts?.upvotes || 0,
@@ -1635,6 +2235,7 @@ export const APIUtils = {
             updated: userData.updated ? new Date(userData.updated) : null,
             actor_id: userData.actor_id,
             local: userData.local,
+            instance_id: userData.instance_id,
             deleted: userData.deleted,
             admin: userData.admin,
             bot_account: userData.bot_account,
@@ -1687,5 +2288,15 @@ export const APIUtils = {
     }
 };
 
+// ========================================
+// OUTBOX REPLAY
+// ========================================
+
+// Queued actions are replayed through a client for the instance they were made on
+outbox.setSender(action => new LemmyAPI(action.instanceName).makeRequest(action.endpoint, {
+    method: action.method,
+    body: JSON.stringify(action.body)
+}));
+
 // Export a default instance
 export default new LemmyAPI(); 
\ No newline at end of file
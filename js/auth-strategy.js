@@ -0,0 +1,78 @@
+/**
+ * Authentication strategies for Lemmeric
+ *
+ * Decides where the JWT goes on an outgoing request. Modern servers (0.19+)
+ * only ever get an Authorization header, so the token never appears in URLs,
+ * server access logs or browser history. Lemmy 0.18 doesn't read that header,
+ * so for instances detected as 0.18 the token is sent as an `auth` body field
+ * (POST/PUT) or query parameter (GET) instead. This is the only module that
+ * places tokens on requests; each version adapter (api-adapters.js) picks
+ * the strategy its servers understand.
+ *
+ * @fileoverview Where the auth token is sent, per Lemmy version
+ */
+
+// ========================================
+// STRATEGIES
+// ========================================
+
+/**
+ * Sends the token as `Authorization: Bearer <jwt>` (Lemmy 0.19 and later)
+ */
+export class BearerAuthStrategy {
+    constructor() {
+        this.name = 'bearer';
+    }
+
+    /**
+     * Add the token to a request
+     * @param {Object} request - Request parts
+     * @param {string} request.url - Request URL
+     * @param {string} request.method - HTTP method
+     * @param {Object} request.headers - Request headers
+     * @param {*} request.body - Request body (JSON string, FormData or undefined)
+     * @param {string|null} authToken - JWT, or null for anonymous requests
+     * @returns {{url: string, headers: Object, body: *}} Request parts with auth applied
+     */
+    apply({ url, headers, body }, authToken) {
+        if (!authToken) {
+            return { url, headers, body };
+        }
+        return { url, headers: { ...headers, 'authorization': `Bearer ${authToken}` }, body };
+    }
+}
+
+/**
+ * Sends the token as an `auth` field (Lemmy 0.18 and older)
+ * GET requests have no body, so the token has to go in the query string there.
+ */
+export class LegacyParamAuthStrategy {
+    constructor() {
+        this.name = 'legacy-param';
+    }
+
+    /**
+     * Add the token to a request
+     * @param {Object} request - Request parts (see BearerAuthStrategy.apply)
+     * @param {string|null} authToken - JWT, or null for anonymous requests
+     * @returns {{url: string, headers: Object, body: *}} Request parts with auth applied
+     */
+    apply({ url, method, headers, body }, authToken) {
+        if (!authToken) {
+            return { url, headers, body };
+        }
+
+        if (method === 'GET' || method === 'HEAD') {
+            const separator = url.includes('?') ? '&' : '?';
+            return { url: `${url}${separator}auth=${encodeURIComponent(authToken)}`, headers, body };
+        }
+
+        if (typeof body === 'string' || body === undefined || body === null) {
+            const data = body ? JSON.parse(body) : {};
+            return { url, headers, body: JSON.stringify({ ...data, auth: authToken }) };
+        }
+
+        // Multipart uploads (pict-rs) only authenticate with the jwt cookie on 0.18
+        return { url, headers, body };
+    }
+}
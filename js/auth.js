@@ -19,6 +19,26 @@ import {
     getCurrentInstance 
 } from './config.js';
 import { LemmyAPI } from './api.js';
+import { ApiError, AuthExpiredError, hasErrorCode } from './errors.js';
+import { responseCache } from './cache.js';
+import { clearOfflineContent } from './offline.js';
+import { blocklist } from './blocklist.js';
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Communities the user moderates, from the my_user part of /site
+ * @param {Object} myUser - my_user from /site
+ * @returns {Array<Object>} Communities with id, name and actor_id
+ */
+function getModeratedCommunities(myUser) {
+    return (myUser?.moderates || [])
+        .map(entry => entry.community)
+        .filter(Boolean)
+        .map(community => ({ id: community.id, name: community.name, actor_id: community.actor_id }));
+}
 
 // ========================================
 // AUTHENTICATION MANAGER CLASS
@@ -119,11 +139,14 @@ export class AuthManager {
                         avatar: person.avatar,
                         banner: person.banner,
                         bio: person.bio,
+                        admin: localUser.admin ?? person.admin,
+                        moderates: getModeratedCommunities(userInfo.my_user),
                         counts: counts
                     };
                     
                     setUserData(refreshedUserData);
                     this.currentUser = refreshedUserData;
+                    blocklist.setFromMyUser(userInfo.my_user);
                     this.notifyListeners('userLoaded', refreshedUserData);
                 } else {
                     // Token is invalid, clean up
@@ -197,7 +220,8 @@ export class AuthManager {
                 avatar: person.avatar,
                 banner: person.banner,
                 bio: person.bio,
-                admin: person.admin,
+                admin: localUser.admin ?? person.admin,
+                moderates: getModeratedCommunities(userInfo.my_user),
                 banned: person.banned,
                 published: person.published,
                 updated: person.updated,
@@ -212,6 +236,7 @@ export class AuthManager {
 
             setUserData(userData);
             this.currentUser = userData;
+            blocklist.setFromMyUser(userInfo.my_user);
 
             // Notify listeners
             this.notifyListeners('login', userData);
@@ -225,7 +250,7 @@ export class AuthManager {
             console.error('Login error:', error);
             
             // Check if 2FA is required BEFORE cleaning up state
-            if (error.responseData && error.responseData.error === 'missing_totp_token') {
+            if (hasErrorCode(error, 'missing_totp_token')) {
                 console.log('2FA required - detected from response data');
                 return {
                     success: false,
@@ -234,29 +259,16 @@ export class AuthManager {
                 };
             }
             
-            // Fallback check for 2FA requirement in error message
-            if (error.message && error.message.includes('missing_totp_token')) {
-                return {
-                    success: false,
-                    requires2FA: true,
-                    error: 'Two-factor authentication required'
-                };
-            }
-            
             // Clean up any partial login state only if not 2FA
             this.logout(false);
             
-            // Provide more specific error messages
-            let errorMessage = 'Login failed';
-            if (error.message.includes('incorrect_login')) {
-                errorMessage = 'Incorrect username or password. Make sure you have an account on this instance.';
-            } else if (error.message.includes('Unauthorized')) {
+            // API errors carry a user-facing message for their Lemmy error code
+            let errorMessage;
+            if (error instanceof AuthExpiredError) {
                 errorMessage = 'Invalid credentials. Please check your username and password.';
-            } else if (error.message.includes('Network')) {
-                errorMessage = 'Network error. Please check your internet connection.';
-            } else if (error.message.includes('400')) {
-                errorMessage = 'Invalid request format. Please try again.';
-            } else if (error.message.includes('Failed to get user information')) {
+            } else if (error instanceof ApiError) {
+                errorMessage = error.message;
+            } else if (error.message && error.message.includes('Failed to get user information')) {
                 errorMessage = 'Login successful but failed to retrieve user profile. Please try refreshing the page.';
             } else {
                 errorMessage = error.message || 'Login failed';
@@ -293,6 +305,13 @@ export class AuthManager {
             removeUserData(instance);
             this.currentUser = null;
             
+            // Don't leave the account's cached responses behind in IndexedDB
+            if (this.api) {
+                responseCache.invalidate(this.api.baseURL);
+            }
+            clearOfflineContent();
+            blocklist.clear();
+            
             // Notify listeners
             this.notifyListeners('logout');
         }
@@ -318,6 +337,27 @@ export class AuthManager {
         return isAuthenticated() && this.currentUser !== null;
     }
 
+    /**
+     * Check if the logged-in user is an admin of the current instance
+     * @returns {boolean} True if admin
+     */
+    isAdmin() {
+        return this.isAuthenticated() && this.currentUser.admin === true;
+    }
+
+    /**
+     * Check if the logged-in user can moderate a community (moderators and admins)
+     * @param {Object} community - Community with id or actor_id
+     * @returns {boolean} True if the user can use moderator actions there
+     */
+    canModerate(community) {
+        if (!this.isAuthenticated() || !community) return false;
+        if (this.isAdmin()) return true;
+
+        return (this.currentUser.moderates || []).some(moderated =>
+            moderated.id === community.id || (moderated.actor_id && moderated.actor_id === community.actor_id));
+    }
+
     /**
      * Get authentication status for UI updates
      * @returns {Object} Authentication status object
@@ -376,11 +416,14 @@ export class AuthManager {
                     show_scores: localUser.show_scores,
                     show_avatars: localUser.show_avatars,
                     send_notifications_to_email: localUser.send_notifications_to_email,
+                    admin: localUser.admin ?? person.admin,
+                    moderates: getModeratedCommunities(userInfo.my_user),
                     counts: counts
                 };
 
                 setUserData(userData);
                 this.currentUser = userData;
+                blocklist.setFromMyUser(userInfo.my_user);
                 this.notifyListeners('userUpdate', userData);
                 return true;
             }
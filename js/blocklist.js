@@ -0,0 +1,354 @@
+/**
+ * Block list for Lemmeric
+ *
+ * Keeps track of the people, instances and communities the logged-in user has
+ * blocked, so feeds and comment trees can hide their content as soon as the
+ * block is made. Lemmy filters blocked content itself, but only in responses
+ * made after the block; posts already on screen or served from the cache are
+ * hidden here.
+ *
+ * The list comes from the my_user part of /site and is kept per instance in
+ * localStorage, so it applies before /site has loaded on the next visit.
+ *
+ * @fileoverview Client-side block list
+ */
+
+import { CONFIG, getCurrentInstance } from './config.js';
+import { URLUtils } from './utils.js';
+
+// ========================================
+// BLOCK LIST CLASS
+// ========================================
+
+/**
+ * Block list class
+ *
+ * Holds the blocked people, instances and communities of the current instance
+ */
+class BlockList {
+    constructor() {
+        this.instance = null;
+        this.people = new Map();
+        this.instances = new Map();
+        this.communities = new Map();
+        this.listeners = new Set();
+    }
+
+    // ========================================
+    // EVENT HANDLING METHODS
+    // ========================================
+
+    /**
+     * Add a listener called whenever the block list changes
+     * @param {Function} callback - Callback function
+     */
+    addListener(callback) {
+        this.listeners.add(callback);
+    }
+
+    /**
+     * Remove a listener
+     * @param {Function} callback - Callback function
+     */
+    removeListener(callback) {
+        this.listeners.delete(callback);
+    }
+
+    /**
+     * Notify all listeners of a change
+     */
+    notifyListeners() {
+        this.listeners.forEach(callback => {
+            try {
+                callback(this);
+            } catch (error) {
+                console.error('Error in block list listener:', error);
+            }
+        });
+    }
+
+    // ========================================
+    // LOADING AND STORAGE
+    // ========================================
+
+    /**
+     * Replace the block list with the one from a /site response
+     * @param {Object} myUser - my_user from /site
+     */
+    setFromMyUser(myUser) {
+        this.ensureLoaded();
+
+        this.people = new Map((myUser?.person_blocks || [])
+            .map(block => block.target)
+            .filter(Boolean)
+            .map(person => [person.id, this.toPersonEntry(person)]));
+        this.instances = new Map((myUser?.instance_blocks || [])
+            .map(block => block.instance)
+            .filter(Boolean)
+            .map(instance => [instance.id, { id: instance.id, domain: instance.domain }]));
+        this.communities = new Map((myUser?.community_blocks || [])
+            .map(block => block.community)
+            .filter(Boolean)
+            .map(community => [community.id, this.toCommunityEntry(community)]));
+
+        this.save();
+        this.notifyListeners();
+    }
+
+    /**
+     * Forget the block list of the current instance (on logout)
+     */
+    clear() {
+        this.ensureLoaded();
+        this.people.clear();
+        this.instances.clear();
+        this.communities.clear();
+        this.save();
+        this.notifyListeners();
+    }
+
+    /**
+     * Load the stored list if the current instance changed since the last call
+     */
+    ensureLoaded() {
+        const instance = getCurrentInstance();
+        if (this.instance === instance) return;
+
+        this.instance = instance;
+        const stored = this.readStorage()[instance] || {};
+        this.people = new Map((stored.people || []).map(person => [person.id, person]));
+        this.instances = new Map((stored.instances || []).map(item => [item.id, item]));
+        this.communities = new Map((stored.communities || []).map(community => [community.id, community]));
+    }
+
+    /**
+     * Store the list of the current instance
+     */
+    save() {
+        const all = this.readStorage();
+        if (this.people.size || this.instances.size || this.communities.size) {
+            all[this.instance] = {
+                people: Array.from(this.people.values()),
+                instances: Array.from(this.instances.values()),
+                communities: Array.from(this.communities.values())
+            };
+        } else {
+            delete all[this.instance];
+        }
+
+        try {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.BLOCKLIST, JSON.stringify(all));
+        } catch (error) {
+            console.warn('Failed to store block list:', error);
+        }
+    }
+
+    /**
+     * Read the stored lists of all instances
+     * @returns {Object} Lists keyed by instance
+     */
+    readStorage() {
+        try {
+            return JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.BLOCKLIST)) || {};
+        } catch {
+            return {};
+        }
+    }
+
+    // ========================================
+    // UPDATING
+    // ========================================
+
+    /**
+     * Record that a person was blocked or unblocked
+     * @param {Object} person - Lemmy person (id, name, actor_id...)
+     * @param {boolean} blocked - New state
+     */
+    setPersonBlocked(person, blocked) {
+        this.ensureLoaded();
+        if (blocked) {
+            this.people.set(person.id, this.toPersonEntry(person));
+        } else {
+            this.people.delete(person.id);
+        }
+        this.save();
+        this.notifyListeners();
+    }
+
+    /**
+     * Record that an instance was blocked or unblocked
+     * @param {Object} instance - Instance with id and domain
+     * @param {boolean} blocked - New state
+     */
+    setInstanceBlocked(instance, blocked) {
+        this.ensureLoaded();
+        if (blocked) {
+            this.instances.set(instance.id, { id: instance.id, domain: instance.domain });
+        } else {
+            this.instances.delete(instance.id);
+        }
+        this.save();
+        this.notifyListeners();
+    }
+
+    /**
+     * Record that a community was blocked or unblocked
+     * @param {Object} community - Lemmy community (id, name, actor_id...)
+     * @param {boolean} blocked - New state
+     */
+    setCommunityBlocked(community, blocked) {
+        this.ensureLoaded();
+        if (blocked) {
+            this.communities.set(community.id, this.toCommunityEntry(community));
+        } else {
+            this.communities.delete(community.id);
+        }
+        this.save();
+        this.notifyListeners();
+    }
+
+    // ========================================
+    // QUERIES
+    // ========================================
+
+    /**
+     * Get the blocked people, instances and communities
+     * @returns {Object} Arrays of people, instances and communities
+     */
+    getAll() {
+        this.ensureLoaded();
+        return {
+            people: Array.from(this.people.values()),
+            instances: Array.from(this.instances.values()),
+            communities: Array.from(this.communities.values())
+        };
+    }
+
+    /**
+     * Check if a person is blocked
+     * @param {Object} person - Person or post/comment author (id, actor_id)
+     * @returns {boolean} True if blocked
+     */
+    isPersonBlocked(person) {
+        if (!person) return false;
+        this.ensureLoaded();
+
+        if (person.id !== undefined && this.people.has(person.id)) {
+            return true;
+        }
+        return !!person.actor_id &&
+            Array.from(this.people.values()).some(blocked => blocked.actor_id === person.actor_id);
+    }
+
+    /**
+     * Check if a community is blocked
+     * @param {Object} community - Community (id, actor_id)
+     * @returns {boolean} True if blocked
+     */
+    isCommunityBlocked(community) {
+        if (!community) return false;
+        this.ensureLoaded();
+
+        if (community.id !== undefined && this.communities.has(community.id)) {
+            return true;
+        }
+        return !!community.actor_id &&
+            Array.from(this.communities.values()).some(blocked => blocked.actor_id === community.actor_id);
+    }
+
+    /**
+     * Check if the instance a person or community lives on is blocked
+     * @param {Object} entity - Person or community (instance_id, actor_id)
+     * @returns {boolean} True if its instance is blocked
+     */
+    isInstanceBlocked(entity) {
+        if (!entity || this.getInstanceCount() === 0) return false;
+
+        if (entity.instance_id !== undefined && this.instances.has(entity.instance_id)) {
+            return true;
+        }
+        const domain = entity.actor_id ? URLUtils.getDomain(entity.actor_id) : null;
+        return !!domain && Array.from(this.instances.values()).some(instance => instance.domain === domain);
+    }
+
+    /**
+     * Check if a post should be hidden
+     * Posts are hidden when their author or community is blocked, or when the
+     * author or the community is on a blocked instance.
+     * @param {Object} post - Post formatted by APIUtils.formatPost
+     * @param {Object} [options] - Check options
+     * @param {boolean} [options.skipCommunity=false] - Ignore community blocks (on the community's own page)
+     * @returns {boolean} True if the post should be hidden
+     */
+    isPostHidden(post, options = {}) {
+        if (!post) return false;
+        return this.isPersonBlocked(post.author) ||
+            (!options.skipCommunity && this.isCommunityBlocked(post.community)) ||
+            this.isInstanceBlocked(post.author) ||
+            this.isInstanceBlocked(post.community);
+    }
+
+    /**
+     * Check if a comment should be hidden
+     * @param {Object} comment - Formatted comment with an author
+     * @returns {boolean} True if the comment should be hidden
+     */
+    isCommentHidden(comment) {
+        if (!comment) return false;
+        return this.isPersonBlocked(comment.author) || this.isInstanceBlocked(comment.author);
+    }
+
+    // ========================================
+    // UTILITY METHODS
+    // ========================================
+
+    /**
+     * Number of blocked instances
+     * @returns {number} Count
+     */
+    getInstanceCount() {
+        this.ensureLoaded();
+        return this.instances.size;
+    }
+
+    /**
+     * Keep only the person fields the block list needs
+     * @param {Object} person - Lemmy person or formatted author
+     * @returns {Object} Stored entry
+     */
+    toPersonEntry(person) {
+        return {
+            id: person.id,
+            name: person.name,
+            display_name: person.display_name || person.displayName || null,
+            avatar: person.avatar || null,
+            actor_id: person.actor_id,
+            local: person.local !== false,
+            instance_id: person.instance_id
+        };
+    }
+
+    /**
+     * Keep only the community fields the block list needs
+     * @param {Object} community - Lemmy community
+     * @returns {Object} Stored entry
+     */
+    toCommunityEntry(community) {
+        return {
+            id: community.id,
+            name: community.name,
+            title: community.title || community.name,
+            icon: community.icon || null,
+            actor_id: community.actor_id,
+            local: community.local !== false
+        };
+    }
+}
+
+// ========================================
+// SINGLETON INSTANCE
+// ========================================
+
+export const blocklist = new BlockList();
+
+export default blocklist;
@@ -0,0 +1,391 @@
+/**
+ * Persistent response cache for Lemmeric
+ *
+ * This module stores API responses in IndexedDB so they survive full page
+ * navigations (every HTML page reloads the modules). Entries are kept in an
+ * in-memory map as well for fast repeat lookups. Freshness is decided per
+ * endpoint (CONFIG.API.CACHE.TTL_MS), stale entries can be served while a
+ * fresh copy is fetched, and mutations invalidate the endpoints they affect.
+ *
+ * @fileoverview IndexedDB-backed API response cache with stale-while-revalidate
+ */
+
+import { CONFIG } from './config.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+const DB_NAME = 'lemmeric-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'responses';
+
+/**
+ * Cached endpoints affected by each mutating endpoint
+ * A missing entry means "unknown mutation": everything for the instance is dropped.
+ * An empty array means the mutation doesn't touch any cached endpoint.
+ * @type {Object<string, string[]>}
+ */
+const MUTATION_INVALIDATIONS = {
+    '/post': ['/post/list', '/post', '/user', '/search', '/community'],
+    '/post/like': ['/post/list', '/post', '/user', '/search'],
+    '/post/save': ['/post/list', '/post', '/user', '/search'],
+    '/post/delete': ['/post/list', '/post', '/user', '/search', '/community'],
+    '/post/remove': ['/post/list', '/post', '/user', '/search', '/community'],
+    '/post/lock': ['/post/list', '/post', '/user', '/search'],
+    '/post/feature': ['/post/list', '/post', '/user', '/search', '/community'],
+    '/comment': ['/comment/list', '/comment', '/post', '/post/list', '/user', '/search'],
+    '/comment/like': ['/comment/list', '/comment', '/user', '/search'],
+    '/comment/save': ['/comment/list', '/comment', '/user', '/search'],
+    '/comment/delete': ['/comment/list', '/comment', '/post', '/post/list', '/user', '/search'],
+    '/comment/remove': ['/comment/list', '/comment', '/post', '/post/list', '/user', '/search'],
+    '/comment/distinguish': ['/comment/list', '/comment', '/user', '/search'],
+    '/comment/lock': ['/comment/list', '/comment'],
+    '/community': ['/community', '/community/list', '/post/list', '/post', '/search'],
+    '/community/follow': ['/community', '/community/list', '/post/list', '/post'],
+    '/community/block': ['/community', '/community/list', '/post/list', '/post', '/comment/list', '/search'],
+    '/community/ban_user': ['/community', '/post/list', '/comment/list', '/user'],
+    '/user/block': ['/post/list', '/post', '/comment/list', '/user', '/search'],
+    '/site/block': ['/post/list', '/post', '/comment/list', '/community/list', '/search'],
+    '/user/save_user_settings': ['/user', '/post/list', '/comment/list', '/search'],
+    '/user/login': [],
+    '/user/register': [],
+    '/private_message': [],
+    '/private_message/mark_as_read': [],
+    '/private_message/report': [],
+    '/user/mark_comment_reply_as_read': [],
+    '/user/mark_person_mention_as_read': [],
+    '/user/mark_all_as_read': [],
+    '/post/report': [],
+    '/comment/report': [],
+    '/post/report/resolve': [],
+    '/comment/report/resolve': [],
+    '/private_message/report/resolve': [],
+    '/admin/registration_application/approve': []
+};
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Get the path of an endpoint without its query string
+ * @param {string} endpoint - API endpoint (e.g. '/post/list?page=1')
+ * @returns {string} Endpoint path (e.g. '/post/list')
+ */
+export function getEndpointPath(endpoint) {
+    return endpoint.split('?')[0];
+}
+
+/**
+ * Get how long a response from an endpoint stays fresh
+ * @param {string} endpoint - API endpoint
+ * @returns {number} TTL in milliseconds (0 means never cache)
+ */
+export function getCacheTTL(endpoint) {
+    const cacheConfig = CONFIG.API.CACHE;
+    if (!cacheConfig?.ENABLED) {
+        return 0;
+    }
+
+    const ttl = cacheConfig.TTL_MS[getEndpointPath(endpoint)];
+    return ttl !== undefined ? ttl : cacheConfig.DEFAULT_TTL_MS;
+}
+
+/**
+ * Build a cache key for a request
+ * The auth token is hashed into the key so each account gets its own entries
+ * without the token itself ever being written to IndexedDB.
+ * @param {string} url - Full request URL (without auth parameters)
+ * @param {string|null} authToken - Current auth token
+ * @returns {string} Cache key
+ */
+export function createCacheKey(url, authToken = null) {
+    if (!authToken) {
+        return `anon|${url}`;
+    }
+
+    // FNV-1a hash of the token
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < authToken.length; i++) {
+        hash ^= authToken.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `${(hash >>> 0).toString(16)}|${url}`;
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// ========================================
+// RESPONSE CACHE CLASS
+// ========================================
+
+/**
+ * Two-level (memory + IndexedDB) cache of API responses
+ */
+export class ResponseCache {
+    constructor() {
+        this.memory = new Map();
+        this.dbPromise = null;
+        this.writesSincePrune = 0;
+    }
+
+    // ========================================
+    // DATABASE ACCESS
+    // ========================================
+
+    /**
+     * Open the cache database
+     * Resolves to null when IndexedDB is unavailable (private mode, old browsers),
+     * in which case the cache silently works from memory only.
+     * @returns {Promise<IDBDatabase|null>} Database connection
+     */
+    openDatabase() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            try {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                        store.createIndex('instance', 'instance', { unique: false });
+                        store.createIndex('timestamp', 'timestamp', { unique: false });
+                    }
+                };
+
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Let other tabs upgrade the schema without blocking them
+                    db.onversionchange = () => db.close();
+                    resolve(db);
+                };
+
+                request.onerror = () => {
+                    console.warn('Response cache: IndexedDB unavailable, using memory only', request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                console.warn('Response cache: IndexedDB unavailable, using memory only', error);
+                resolve(null);
+            }
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a callback against the object store
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} callback - Receives the object store, may return a promise
+     * @returns {Promise<*>} Callback result, or null if IndexedDB is unavailable or fails
+     */
+    async withStore(mode, callback) {
+        const db = await this.openDatabase();
+        if (!db) {
+            return null;
+        }
+
+        try {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const done = new Promise((resolve, reject) => {
+                transaction.oncomplete = resolve;
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+            const result = await callback(transaction.objectStore(STORE_NAME));
+            await done;
+            return result;
+        } catch (error) {
+            console.warn('Response cache: IndexedDB operation failed', error);
+            return null;
+        }
+    }
+
+    // ========================================
+    // CACHE OPERATIONS
+    // ========================================
+
+    /**
+     * Look up a cached response
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} Entry with data and timestamp, or null
+     */
+    async get(key) {
+        // A long-lived tab can keep an entry in memory well past MAX_STALE_MS
+        const entry = this.memory.has(key)
+            ? this.memory.get(key)
+            : await this.withStore('readonly', store => promisifyRequest(store.get(key)));
+        if (!entry) {
+            return null;
+        }
+
+        if (Date.now() - entry.timestamp > CONFIG.API.CACHE.MAX_STALE_MS) {
+            this.delete(key);
+            return null;
+        }
+
+        this.memory.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Store a response
+     * @param {string} key - Cache key
+     * @param {Object} entry - Entry data
+     * @param {string} entry.instance - API base URL the response came from
+     * @param {string} entry.path - Endpoint path (used for invalidation)
+     * @param {*} entry.data - Response data
+     * @returns {Promise<void>}
+     */
+    async set(key, { instance, path, data }) {
+        const entry = { key, instance, path, data, timestamp: Date.now() };
+        this.memory.set(key, entry);
+
+        await this.withStore('readwrite', store => {
+            store.put(entry);
+        });
+
+        // Pruning walks the whole store, so only do it every so often
+        this.writesSincePrune++;
+        if (this.writesSincePrune >= 50) {
+            this.writesSincePrune = 0;
+            this.prune();
+        }
+    }
+
+    /**
+     * Remove a single entry
+     * @param {string} key - Cache key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        this.memory.delete(key);
+        await this.withStore('readwrite', store => {
+            store.delete(key);
+        });
+    }
+
+    /**
+     * Remove entries for an instance
+     * @param {string} instance - API base URL
+     * @param {string[]|null} paths - Endpoint paths to drop, or null for all of them
+     * @returns {Promise<void>}
+     */
+    async invalidate(instance, paths = null) {
+        if (Array.isArray(paths) && paths.length === 0) {
+            return;
+        }
+
+        const matches = entry => entry.instance === instance && (!paths || paths.includes(entry.path));
+
+        this.memory.forEach((entry, key) => {
+            if (matches(entry)) {
+                this.memory.delete(key);
+            }
+        });
+
+        await this.withStore('readwrite', store => new Promise((resolve, reject) => {
+            const request = store.index('instance').openCursor(IDBKeyRange.only(instance));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                if (matches(cursor.value)) {
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    /**
+     * Remove the entries made outdated by a successful mutation
+     * @param {string} instance - API base URL
+     * @param {string} endpoint - Mutating endpoint (e.g. '/post/like')
+     * @returns {Promise<void>}
+     */
+    async invalidateForMutation(instance, endpoint) {
+        const paths = MUTATION_INVALIDATIONS[getEndpointPath(endpoint)];
+        await this.invalidate(instance, paths === undefined ? null : paths);
+    }
+
+    /**
+     * Remove every cached response
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.memory.clear();
+        await this.withStore('readwrite', store => {
+            store.clear();
+        });
+    }
+
+    /**
+     * Drop expired entries and keep the store under CONFIG.API.CACHE.MAX_ENTRIES
+     * @returns {Promise<void>}
+     */
+    async prune() {
+        const { MAX_STALE_MS, MAX_ENTRIES } = CONFIG.API.CACHE;
+        const cutoff = Date.now() - MAX_STALE_MS;
+
+        this.memory.forEach((entry, key) => {
+            if (entry.timestamp < cutoff) {
+                this.memory.delete(key);
+            }
+        });
+
+        await this.withStore('readwrite', async store => {
+            const total = await promisifyRequest(store.count());
+            let excess = Math.max(0, total - MAX_ENTRIES);
+
+            // Oldest first, so expired entries and overflow are removed in one pass
+            await new Promise((resolve, reject) => {
+                const request = store.index('timestamp').openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor || (cursor.value.timestamp >= cutoff && excess <= 0)) {
+                        resolve();
+                        return;
+                    }
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            });
+        });
+    }
+}
+
+// ========================================
+// SINGLETON INSTANCE
+// ========================================
+
+/**
+ * Shared response cache used by every LemmyAPI instance
+ * @type {ResponseCache}
+ */
+export const responseCache = new ResponseCache();
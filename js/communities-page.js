@@ -24,6 +24,7 @@ import {
 import { LemmyAPI, APIUtils } from './api.js';
 import { DOM, PerformanceUtils } from './utils.js';
 import { router } from './router.js';
+import { CommunityActionsComponent } from './components/community-actions.js';
 
 /**
  * Communities page application class
@@ -567,6 +568,10 @@ class LemmericCommunitiesApp {
             const spacer = DOM.createElement('div', { style: 'height: 2.6em;' });
             cardBody.appendChild(spacer);
         }
+
+        // Join / block buttons
+        const actions = new CommunityActionsComponent(community, { compact: true });
+        cardBody.appendChild(DOM.createElement('div', { className: 'mb-1' }, [actions.render()]));
         
         card.appendChild(cardBody);
         
@@ -718,6 +723,10 @@ class LemmericCommunitiesApp {
             }, this.truncateText(community.description, 120));
             textContainer.appendChild(description);
         }
+
+        // Join / block buttons
+        const actions = new CommunityActionsComponent(community, { compact: true });
+        textContainer.appendChild(DOM.createElement('div', { className: 'mt-2' }, [actions.render()]));
         
         titleContainer.appendChild(textContainer);
         titleCol.appendChild(titleContainer);
@@ -189,6 +189,11 @@ class LemmericCommunityApp {
         window.addEventListener('communityUpdated', (e) => {
             this.handleCommunityUpdated(e.detail.community);
         });
+
+        // Listen for joins, leaves and blocks (from the sidebar or a post card)
+        window.addEventListener('communityFollowChanged', (e) => {
+            this.handleCommunityFollowChanged(e.detail);
+        });
     }
 
     /**
@@ -251,7 +256,7 @@ class LemmericCommunityApp {
         this.postFeed = new PostFeed(this.elements.postsContainer, {
             initialPage: 1, // Explicitly ensure we start at page 1
             enableInfiniteScroll: false, // Disable infinite scroll during initialization
-            fetchFunction: async (params) => {
+            fetchFunction: async (params, requestOptions) => {
                 // Use community ID if we have community data, otherwise fall back to name
                 const communityIdentifier = this.communityData ? 
                     this.communityData.community.id : 
@@ -260,12 +265,15 @@ class LemmericCommunityApp {
                 return await this.api.getCommunityPosts(
                     communityIdentifier,
                     this.state.currentSort,
-                    params.page
+                    params.page,
+                    requestOptions
                 );
             },
             emptyMessage: 'No posts found',
             emptyDescription: 'This community doesn\'t have any posts yet, or they might not be visible from this instance.',
-            emptyIcon: 'bi-inbox'
+            emptyIcon: 'bi-inbox',
+            // Muting or blocking a community only applies to combined feeds, not its own page
+            filterOptions: { skipCommunityRules: true }
         });
     }
 
@@ -529,6 +537,26 @@ class LemmericCommunityApp {
         DOM.showToast('Community updated successfully!', 'success');
     }
 
+    /**
+     * Handle community follow/block change event
+     * @param {Object} detail - Event detail with communityId, subscribed, blocked and counts
+     */
+    handleCommunityFollowChanged(detail) {
+        if (!this.communityData || this.communityData.community.id !== detail.communityId) {
+            return;
+        }
+
+        const { communityId, counts, ...changes } = detail;
+        Object.assign(this.communityData, changes);
+        if (counts) {
+            this.communityData.counts = counts;
+        }
+
+        // Re-render sidebar so the subscriber count is current
+        const formattedCommunity = APIUtils.formatCommunity(this.communityData);
+        this.renderCommunitySidebar(formattedCommunity, this.moderators || [], this.currentUser);
+    }
+
     // Note: navigateToCreatePost is now handled by the navbar component
     // The navbar checks for community context automatically
 
@@ -0,0 +1,116 @@
+/**
+ * Block actions for Lemmeric
+ *
+ * Blocks and unblocks people and instances from anywhere in the UI (user
+ * sidebar, comment author menus, the Blocked tab in settings). Each action
+ * asks for confirmation before blocking, sends the request, updates the
+ * client-side block list so feeds hide the content straight away, and reports
+ * the result with a toast.
+ *
+ * @fileoverview Shared block/unblock actions for people and instances
+ */
+
+import { DOM, URLUtils } from '../utils.js';
+import { LemmyAPI } from '../api.js';
+import { ApiError } from '../errors.js';
+import { authManager } from '../auth.js';
+import { blocklist } from '../blocklist.js';
+
+// ========================================
+// NAME HELPERS
+// ========================================
+
+/**
+ * Name of a person as shown in messages (name@host for remote people)
+ * @param {Object} person - Person or formatted author (name, local, actor_id)
+ * @returns {string} Display name
+ */
+export function getPersonLabel(person) {
+    const host = person.local === false && person.actor_id ? URLUtils.getDomain(person.actor_id) : null;
+    return host ? `${person.name}@${host}` : person.name;
+}
+
+/**
+ * Instance a person or community lives on
+ * @param {Object} entity - Person or community (instance_id, actor_id)
+ * @returns {Object|null} Instance with id and domain, or null if unknown
+ */
+export function getInstanceOf(entity) {
+    if (!entity || entity.instance_id === undefined || !entity.actor_id) {
+        return null;
+    }
+    return { id: entity.instance_id, domain: URLUtils.getDomain(entity.actor_id) };
+}
+
+// ========================================
+// ACTIONS
+// ========================================
+
+/**
+ * Block or unblock a person
+ * @param {Object} person - Person or formatted author (id, name, actor_id...)
+ * @param {boolean} block - True to block, false to unblock
+ * @returns {Promise<boolean>} True if the change was made
+ */
+export async function changePersonBlock(person, block) {
+    const label = getPersonLabel(person);
+    if (!checkAuthenticated()) return false;
+    if (block && !confirm(`Block ${label}? Their posts and comments will be hidden.`)) {
+        return false;
+    }
+
+    try {
+        const api = new LemmyAPI();
+        const response = await api.blockPerson(person.id, block);
+        const blocked = response?.blocked ?? block;
+
+        blocklist.setPersonBlocked(response?.person_view?.person || person, blocked);
+        DOM.showToast(blocked ? `Blocked ${label}` : `Unblocked ${label}`, 'success');
+        return true;
+    } catch (error) {
+        const action = block ? 'block' : 'unblock';
+        console.error(`Failed to ${action} user:`, error);
+        DOM.showToast(error instanceof ApiError ? error.message : `Failed to ${action} ${label}. Please try again.`, 'error');
+        return false;
+    }
+}
+
+/**
+ * Block or unblock an instance
+ * @param {Object} instance - Instance with id and domain
+ * @param {boolean} block - True to block, false to unblock
+ * @returns {Promise<boolean>} True if the change was made
+ */
+export async function changeInstanceBlock(instance, block) {
+    if (!checkAuthenticated()) return false;
+    if (block && !confirm(`Block ${instance.domain}? Posts and comments from its communities and users will be hidden.`)) {
+        return false;
+    }
+
+    try {
+        const api = new LemmyAPI();
+        const response = await api.blockInstance(instance.id, block);
+        const blocked = response?.blocked ?? block;
+
+        blocklist.setInstanceBlocked(instance, blocked);
+        DOM.showToast(blocked ? `Blocked ${instance.domain}` : `Unblocked ${instance.domain}`, 'success');
+        return true;
+    } catch (error) {
+        const action = block ? 'block' : 'unblock';
+        console.error(`Failed to ${action} instance:`, error);
+        DOM.showToast(error instanceof ApiError ? error.message : `Failed to ${action} ${instance.domain}. Please try again.`, 'error');
+        return false;
+    }
+}
+
+/**
+ * Ask the user to log in if they aren't
+ * @returns {boolean} True if authenticated
+ */
+function checkAuthenticated() {
+    if (authManager.isAuthenticated()) {
+        return true;
+    }
+    DOM.showToast('Please log in to block users and instances', 'info');
+    return false;
+}
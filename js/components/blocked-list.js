@@ -0,0 +1,210 @@
+/**
+ * Blocked List Component for Lemmeric
+ *
+ * Lists the people, instances and communities the logged-in user has blocked,
+ * with a button to unblock each. Used by the Blocked tab in settings. The list
+ * follows the client-side block list, so blocks made elsewhere in the app show
+ * up here without a reload.
+ *
+ * @fileoverview Blocked people, instances and communities in settings
+ */
+
+import { DOM, URLUtils } from '../utils.js';
+import { authManager } from '../auth.js';
+import { blocklist } from '../blocklist.js';
+import { changePersonBlock, changeInstanceBlock, getPersonLabel } from './block-actions.js';
+import { CommunityActionsComponent } from './community-actions.js';
+
+// ========================================
+// BLOCKED LIST CLASS
+// ========================================
+
+/**
+ * Blocked list component class
+ *
+ * Renders the block list into a container and keeps it up to date
+ */
+export class BlockedListComponent {
+    /**
+     * Initialize the component
+     * @param {HTMLElement} container - Element to render into
+     */
+    constructor(container) {
+        this.container = container;
+        this.render = this.render.bind(this);
+    }
+
+    // ========================================
+    // LIFECYCLE
+    // ========================================
+
+    /**
+     * Render the stored list, then refresh it from the server
+     * @returns {Promise<void>}
+     */
+    async mount() {
+        blocklist.addListener(this.render);
+        this.render();
+
+        // Picks up blocks made in other clients; the listener re-renders
+        await authManager.refreshUserData();
+    }
+
+    /**
+     * Stop following block list changes
+     */
+    destroy() {
+        blocklist.removeListener(this.render);
+        this.container = null;
+    }
+
+    // ========================================
+    // RENDERING METHODS
+    // ========================================
+
+    /**
+     * Render the three sections
+     */
+    render() {
+        if (!this.container) return;
+
+        const { people, instances, communities } = blocklist.getAll();
+
+        this.container.innerHTML = '';
+        this.container.appendChild(this.renderSection(
+            'Users', 'bi-person-slash', people, 'You haven\'t blocked anyone.',
+            person => this.renderPersonItem(person)
+        ));
+        this.container.appendChild(this.renderSection(
+            'Instances', 'bi-globe', instances, 'You haven\'t blocked any instances.',
+            instance => this.renderInstanceItem(instance)
+        ));
+        this.container.appendChild(this.renderSection(
+            'Communities', 'bi-people', communities, 'You haven\'t blocked any communities.',
+            community => this.renderCommunityItem(community)
+        ));
+    }
+
+    /**
+     * Render one section of the list
+     * @param {string} title - Section heading
+     * @param {string} icon - Bootstrap icon class
+     * @param {Array} items - Blocked entries
+     * @param {string} emptyMessage - Shown when there are none
+     * @param {Function} renderItem - Renders one entry
+     * @returns {HTMLElement} Section element
+     */
+    renderSection(title, icon, items, emptyMessage, renderItem) {
+        const sorted = [...items].sort((a, b) =>
+            (a.name || a.domain || '').localeCompare(b.name || b.domain || ''));
+
+        return DOM.createElement('div', { className: 'mb-4' }, [
+            DOM.createElement('h6', { className: 'mb-2' }, [
+                DOM.createElement('i', { className: `bi ${icon} me-1` }),
+                title,
+                DOM.createElement('span', { className: 'badge bg-secondary ms-2' }, String(items.length))
+            ]),
+            DOM.createElement('ul', { className: 'list-group' }, sorted.length > 0
+                ? sorted.map(renderItem)
+                : [DOM.createElement('li', { className: 'list-group-item text-muted small' }, emptyMessage)])
+        ]);
+    }
+
+    /**
+     * Render a blocked person
+     * @param {Object} person - Blocked person entry
+     * @returns {HTMLElement} List item
+     */
+    renderPersonItem(person) {
+        const label = getPersonLabel(person);
+
+        return DOM.createElement('li', {
+            className: 'list-group-item d-flex align-items-center gap-2'
+        }, [
+            person.avatar ? DOM.createElement('img', {
+                src: person.avatar,
+                alt: '',
+                className: 'rounded-circle',
+                style: 'width: 24px; height: 24px; object-fit: cover;'
+            }) : DOM.createElement('i', { className: 'bi bi-person-circle text-muted' }),
+            DOM.createElement('a', {
+                href: `/u/${label}`,
+                className: 'flex-grow-1 text-decoration-none'
+            }, [
+                person.display_name || person.name,
+                DOM.createElement('small', { className: 'text-muted ms-2' }, `@${label}`)
+            ]),
+            this.renderUnblockButton(`Unblock ${label}`, () => changePersonBlock(person, false))
+        ]);
+    }
+
+    /**
+     * Render a blocked instance
+     * @param {Object} instance - Blocked instance entry
+     * @returns {HTMLElement} List item
+     */
+    renderInstanceItem(instance) {
+        return DOM.createElement('li', {
+            className: 'list-group-item d-flex align-items-center gap-2'
+        }, [
+            DOM.createElement('i', { className: 'bi bi-globe text-muted' }),
+            DOM.createElement('span', { className: 'flex-grow-1' }, instance.domain),
+            this.renderUnblockButton(`Unblock ${instance.domain}`, () => changeInstanceBlock(instance, false))
+        ]);
+    }
+
+    /**
+     * Render a blocked community, using the community actions for the Unblock button
+     * @param {Object} community - Blocked community entry
+     * @returns {HTMLElement} List item
+     */
+    renderCommunityItem(community) {
+        const host = community.actor_id ? URLUtils.getDomain(community.actor_id) : '';
+        const fullName = community.local ? community.name : `${community.name}@${host}`;
+        const actions = new CommunityActionsComponent({ ...community, blocked: true }, { compact: true });
+
+        return DOM.createElement('li', {
+            className: 'list-group-item d-flex align-items-center gap-2'
+        }, [
+            community.icon ? DOM.createElement('img', {
+                src: community.icon,
+                alt: '',
+                className: 'rounded-circle',
+                style: 'width: 24px; height: 24px; object-fit: cover;'
+            }) : DOM.createElement('i', { className: 'bi bi-people-fill text-muted' }),
+            DOM.createElement('a', {
+                href: `/c/${fullName}`,
+                className: 'flex-grow-1 text-decoration-none'
+            }, [
+                community.title,
+                DOM.createElement('small', { className: 'text-muted ms-2' }, `!${fullName}`)
+            ]),
+            actions.render()
+        ]);
+    }
+
+    /**
+     * Render an Unblock button that disables itself while the request runs
+     * @param {string} title - Button title
+     * @param {Function} action - Async function sending the request
+     * @returns {HTMLElement} Button
+     */
+    renderUnblockButton(title, action) {
+        const button = DOM.createElement('button', {
+            type: 'button',
+            className: 'btn btn-sm btn-outline-secondary',
+            title,
+            onClick: async () => {
+                button.disabled = true;
+                // On success the block list listener re-renders without this item
+                if (!await action()) {
+                    button.disabled = false;
+                }
+            }
+        }, [
+            DOM.createElement('i', { className: 'bi bi-unlock me-1' }),
+            'Unblock'
+        ]);
+        return button;
+    }
+}
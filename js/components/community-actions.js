@@ -0,0 +1,305 @@
+/**
+ * Community Actions Component for Lemmeric
+ *
+ * Join/Leave and Block/Unblock buttons for a community. Used by the community
+ * sidebar, the community cards on the communities page and post headers.
+ * Every rendered copy for the same community is kept in sync, so joining from
+ * one post card updates the other cards from that community too.
+ *
+ * Following a community on another instance is "Pending" until that instance
+ * accepts it; a pending follow can be cancelled like a normal one.
+ *
+ * @fileoverview Follow and block buttons for communities
+ */
+
+import { DOM } from '../utils.js';
+import { LemmyAPI } from '../api.js';
+import { authManager } from '../auth.js';
+import { blocklist } from '../blocklist.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+/**
+ * Subscription states returned by the API (SubscribedType)
+ * @type {Object<string, string>}
+ */
+export const SUBSCRIBED_TYPE = {
+    SUBSCRIBED: 'Subscribed',
+    PENDING: 'Pending',
+    NOT_SUBSCRIBED: 'NotSubscribed'
+};
+
+/**
+ * Class on every rendered copy, used to keep them in sync
+ * @type {string}
+ */
+const ACTIONS_CLASS = 'community-actions';
+
+/**
+ * Rendered elements and the component that owns each
+ * @type {WeakMap<HTMLElement, CommunityActionsComponent>}
+ */
+const componentsByElement = new WeakMap();
+
+// ========================================
+// COMMUNITY ACTIONS CLASS
+// ========================================
+
+/**
+ * Community actions component class
+ *
+ * Renders the buttons and sends follow/block requests
+ */
+export class CommunityActionsComponent {
+    /**
+     * Initialize the component
+     * @param {Object} community - Community with id, name, subscribed and blocked
+     * @param {Object} options - Display options
+     * @param {boolean} [options.showBlock=true] - Show the Block button
+     * @param {boolean} [options.compact=false] - Smaller buttons for post headers and cards
+     * @param {boolean} [options.hideWhenLoggedOut=false] - Render nothing for logged-out users
+     */
+    constructor(community, options = {}) {
+        this.community = community;
+        this.options = {
+            showBlock: true,
+            compact: false,
+            hideWhenLoggedOut: false,
+            ...options
+        };
+        this.element = null;
+        this.isBusy = false;
+    }
+
+    // ========================================
+    // RENDERING METHODS
+    // ========================================
+
+    /**
+     * Render the buttons
+     * @returns {HTMLElement} Actions element
+     */
+    render() {
+        this.element = DOM.createElement('div', {
+            className: `${ACTIONS_CLASS} d-inline-flex align-items-center gap-1`,
+            'data-community-id': this.community.id
+        });
+        componentsByElement.set(this.element, this);
+
+        // The actions sit inside clickable cards and links
+        this.element.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+        });
+
+        this.renderButtons();
+        return this.element;
+    }
+
+    /**
+     * Re-render the buttons for the current state
+     */
+    renderButtons() {
+        if (!this.element) return;
+
+        this.element.innerHTML = '';
+
+        if (this.options.hideWhenLoggedOut && !authManager.isAuthenticated()) {
+            return;
+        }
+
+        if (!this.community.blocked) {
+            this.element.appendChild(this.renderFollowButton());
+        }
+
+        if (this.options.showBlock || this.community.blocked) {
+            this.element.appendChild(this.renderBlockButton());
+        }
+    }
+
+    /**
+     * Render the Join / Leave / Pending button
+     * @returns {HTMLElement} Follow button
+     */
+    renderFollowButton() {
+        const state = this.getSubscribedType();
+        const size = this.options.compact ? 'btn-sm py-0 px-2' : 'btn-sm';
+
+        const looks = {
+            [SUBSCRIBED_TYPE.SUBSCRIBED]: { className: 'btn-outline-secondary', icon: 'bi-check-lg', label: 'Joined', title: 'Leave community' },
+            [SUBSCRIBED_TYPE.PENDING]: { className: 'btn-outline-warning', icon: 'bi-hourglass-split', label: 'Pending', title: 'Waiting for the community\'s instance to accept. Click to cancel.' },
+            [SUBSCRIBED_TYPE.NOT_SUBSCRIBED]: { className: 'btn-primary', icon: 'bi-plus-lg', label: 'Join', title: 'Join community' }
+        }[state];
+
+        const button = DOM.createElement('button', {
+            type: 'button',
+            className: `btn ${size} ${looks.className}`,
+            title: looks.title,
+            'aria-pressed': String(state !== SUBSCRIBED_TYPE.NOT_SUBSCRIBED),
+            onClick: () => this.handleFollow()
+        }, [
+            DOM.createElement('i', { className: `bi ${looks.icon} me-1` }),
+            looks.label
+        ]);
+        button.disabled = this.isBusy;
+        return button;
+    }
+
+    /**
+     * Render the Block / Unblock button
+     * @returns {HTMLElement} Block button
+     */
+    renderBlockButton() {
+        const blocked = !!this.community.blocked;
+        const size = this.options.compact ? 'btn-sm py-0 px-2' : 'btn-sm';
+
+        // Compact buttons show only the icon until the community is blocked
+        const showLabel = blocked || !this.options.compact;
+
+        const button = DOM.createElement('button', {
+            type: 'button',
+            className: `btn ${size} ${blocked ? 'btn-danger' : 'btn-outline-danger'}`,
+            title: blocked ? 'Unblock community' : 'Block community',
+            'aria-label': blocked ? 'Unblock community' : 'Block community',
+            'aria-pressed': String(blocked),
+            onClick: () => this.handleBlock()
+        }, [
+            DOM.createElement('i', { className: `bi ${blocked ? 'bi-slash-circle-fill' : 'bi-slash-circle'}${showLabel ? ' me-1' : ''}` }),
+            showLabel ? (blocked ? 'Unblock' : 'Block') : null
+        ].filter(Boolean));
+        button.disabled = this.isBusy;
+        return button;
+    }
+
+    // ========================================
+    // ACTIONS
+    // ========================================
+
+    /**
+     * Join the community, or leave it (also cancels a pending follow)
+     */
+    async handleFollow() {
+        if (!this.checkAuthenticated('join communities')) return;
+
+        const follow = this.getSubscribedType() === SUBSCRIBED_TYPE.NOT_SUBSCRIBED;
+
+        await this.runAction(async () => {
+            const api = new LemmyAPI();
+            const response = await api.followCommunity(this.community.id, follow);
+            const subscribed = response?.community_view?.subscribed ||
+                (follow ? SUBSCRIBED_TYPE.SUBSCRIBED : SUBSCRIBED_TYPE.NOT_SUBSCRIBED);
+
+            this.applyChanges({ subscribed }, response?.community_view?.counts);
+
+            if (subscribed === SUBSCRIBED_TYPE.PENDING) {
+                DOM.showToast(`Follow request sent to ${this.community.name}. It will show as joined once accepted.`, 'info');
+            } else {
+                DOM.showToast(follow ? `Joined ${this.community.name}` : `Left ${this.community.name}`, 'success');
+            }
+        }, follow ? 'Failed to join community' : 'Failed to leave community');
+    }
+
+    /**
+     * Block the community, or unblock it
+     */
+    async handleBlock() {
+        if (!this.checkAuthenticated('block communities')) return;
+
+        const block = !this.community.blocked;
+        if (block && !confirm(`Block ${this.community.name}? Its posts will be hidden from your feeds.`)) {
+            return;
+        }
+
+        await this.runAction(async () => {
+            const api = new LemmyAPI();
+            const response = await api.blockCommunity(this.community.id, block);
+            const changes = { blocked: response?.blocked ?? block };
+
+            // Lemmy unfollows a community when it is blocked
+            if (response?.community_view?.subscribed) {
+                changes.subscribed = response.community_view.subscribed;
+            } else if (block) {
+                changes.subscribed = SUBSCRIBED_TYPE.NOT_SUBSCRIBED;
+            }
+
+            this.applyChanges(changes, response?.community_view?.counts);
+            blocklist.setCommunityBlocked(response?.community_view?.community || this.community, changes.blocked);
+            DOM.showToast(block ? `Blocked ${this.community.name}` : `Unblocked ${this.community.name}`, 'success');
+        }, block ? 'Failed to block community' : 'Failed to unblock community');
+    }
+
+    /**
+     * Disable the buttons while a request runs and report failures
+     * @param {Function} action - Async function sending the request
+     * @param {string} errorMessage - Toast shown if it fails
+     */
+    async runAction(action, errorMessage) {
+        if (this.isBusy) return;
+
+        this.isBusy = true;
+        this.renderButtons();
+
+        try {
+            await action();
+        } catch (error) {
+            console.error(`${errorMessage}:`, error);
+            DOM.showToast(`${errorMessage}. Please try again.`, 'error');
+        } finally {
+            this.isBusy = false;
+            this.renderButtons();
+        }
+    }
+
+    /**
+     * Update this community's state everywhere it is shown
+     * @param {Object} changes - New subscribed / blocked values
+     * @param {Object} [counts] - Updated community counts
+     */
+    applyChanges(changes, counts = null) {
+        document.querySelectorAll(`.${ACTIONS_CLASS}[data-community-id="${this.community.id}"]`).forEach(element => {
+            const component = componentsByElement.get(element);
+            if (component && component !== this) {
+                Object.assign(component.community, changes);
+                component.renderButtons();
+            }
+        });
+        Object.assign(this.community, changes);
+
+        window.dispatchEvent(new CustomEvent('communityFollowChanged', {
+            detail: {
+                communityId: this.community.id,
+                ...changes,
+                counts
+            }
+        }));
+    }
+
+    // ========================================
+    // UTILITY METHODS
+    // ========================================
+
+    /**
+     * Get the subscription state, treating a missing value as not subscribed
+     * @returns {string} One of SUBSCRIBED_TYPE
+     */
+    getSubscribedType() {
+        return Object.values(SUBSCRIBED_TYPE).includes(this.community.subscribed)
+            ? this.community.subscribed
+            : SUBSCRIBED_TYPE.NOT_SUBSCRIBED;
+    }
+
+    /**
+     * Ask the user to log in if they aren't
+     * @param {string} action - What needs a login, for the message
+     * @returns {boolean} True if authenticated
+     */
+    checkAuthenticated(action) {
+        if (authManager.isAuthenticated()) {
+            return true;
+        }
+        DOM.showToast(`Please log in to ${action}`, 'info');
+        return false;
+    }
+}
@@ -393,18 +393,11 @@ export class CommunityEditModal {
      * Format edit error
      */
     formatEditError(error) {
-        const errorMessage = ErrorUtils.formatError(error);
-        
-        // Handle specific error messages
-        if (errorMessage.includes('not_a_moderator')) {
-            return 'You do not have permission to edit this community.';
-        }
-        if (errorMessage.includes('not_an_admin')) {
-            return 'You do not have permission to edit communities on this instance.';
-        }
-        if (errorMessage.includes('rate_limit')) {
-            return 'You are making changes too quickly. Please wait a moment and try again.';
-        }
+        const errorMessage = ErrorUtils.formatError(error, {
+            not_a_moderator: 'You do not have permission to edit this community.',
+            not_an_admin: 'You do not have permission to edit communities on this instance.',
+            rate_limit_error: 'You are making changes too quickly. Please wait a moment and try again.'
+        });
         
         return errorMessage || 'Failed to update community. Please try again.';
     }
@@ -12,6 +12,7 @@
 import { DOM } from '../utils.js';
 import { APIUtils } from '../api.js';
 import { processSidebarContent } from '../markdown-it-setup.js';
+import { CommunityActionsComponent } from './community-actions.js';
 
 /**
  * Community sidebar component class
@@ -91,8 +92,11 @@ export class CommunitySidebarComponent {
         const statusElement = this.renderCommunityStatus();
         if (statusElement) cardElements.push(statusElement);
 
-        // Edit button (if user is moderator)
-        const editButtonElement = this.renderEditButton();
+        // Join / block buttons
+        cardElements.push(this.renderCommunityActions());
+
+        // Modlog link, and edit button (if user is moderator)
+        const headerButtons = [this.renderModlogButton(), this.renderEditButton()].filter(Boolean);
 
         return DOM.createElement('div', {
             className: 'card border-secondary mb-3'
@@ -103,10 +107,10 @@ export class CommunitySidebarComponent {
                 DOM.createElement('h6', {
                     className: 'mb-0'
                 }, 'Community'),
-                editButtonElement ? DOM.createElement('div', {
+                DOM.createElement('div', {
                     className: 'btn-group btn-group-sm'
-                }, [editButtonElement]) : null
-            ].filter(Boolean)),
+                }, headerButtons)
+            ]),
             DOM.createElement('div', {
                 className: 'card-body'
             }, cardElements)
@@ -288,6 +292,17 @@ export class CommunitySidebarComponent {
         }, statusItems);
     }
 
+    /**
+     * Render the Join and Block buttons
+     * @returns {HTMLElement} Actions element
+     */
+    renderCommunityActions() {
+        const actions = new CommunityActionsComponent(this.community);
+        return DOM.createElement('div', {
+            className: 'mt-2'
+        }, [actions.render()]);
+    }
+
     /**
      * Render moderators card
      * @returns {HTMLElement} Moderators card element
@@ -428,6 +443,33 @@ export class CommunitySidebarComponent {
         ]);
     }
 
+    /**
+     * Render the link to the community's moderation log
+     * @returns {HTMLElement} Modlog link element
+     */
+    renderModlogButton() {
+        // Same community name format as the community link (name@host for remote ones)
+        let communityName = this.community.name;
+        if (!this.community.local && this.community.actor_id) {
+            try {
+                communityName = `${this.community.name}@${new URL(this.community.actor_id).hostname}`;
+            } catch (e) {
+                console.warn('Failed to parse community actor_id:', this.community.actor_id);
+            }
+        }
+
+        return DOM.createElement('a', {
+            className: 'btn btn-outline-secondary btn-sm',
+            href: `/modlog?community=${encodeURIComponent(communityName)}`,
+            title: 'Moderation log of this community'
+        }, [
+            DOM.createElement('i', {
+                className: 'bi bi-journal-text me-1'
+            }),
+            'Modlog'
+        ]);
+    }
+
     /**
      * Render edit button (if user is moderator)
      * @returns {HTMLElement|null} Edit button element or null
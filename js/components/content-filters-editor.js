@@ -0,0 +1,206 @@
+/**
+ * Content Filters Editor Component for Lemmeric
+ *
+ * The Filters tab in settings: the NSFW setting, a form to add keyword,
+ * regex, domain and community rules, and the list of rules with a Remove
+ * button for each.
+ *
+ * @fileoverview Settings editor for the client-side content filters
+ */
+
+import { DOM } from '../utils.js';
+import { contentFilters, FILTER_MODE, FILTER_TYPE, NSFW_MODE } from '../filters.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+/**
+ * Labels and input placeholders for each rule type
+ * @type {Object<string, Object>}
+ */
+const TYPE_LABELS = {
+    [FILTER_TYPE.KEYWORD]: { label: 'Keyword', placeholder: 'e.g. spoilers' },
+    [FILTER_TYPE.REGEX]: { label: 'Regular expression', placeholder: 'e.g. \\bcrypto(currency)?\\b' },
+    [FILTER_TYPE.DOMAIN]: { label: 'Link domain', placeholder: 'e.g. example.com' },
+    [FILTER_TYPE.COMMUNITY]: { label: 'Community', placeholder: 'e.g. memes or memes@lemmy.world' }
+};
+
+/**
+ * Labels for the modes
+ * @type {Object<string, string>}
+ */
+const MODE_LABELS = {
+    [NSFW_MODE.SHOW]: 'Show',
+    [FILTER_MODE.COLLAPSE]: 'Collapse',
+    [FILTER_MODE.HIDE]: 'Hide'
+};
+
+// ========================================
+// CONTENT FILTERS EDITOR CLASS
+// ========================================
+
+/**
+ * Content filters editor component class
+ *
+ * Renders the filter settings into a container
+ */
+export class ContentFiltersEditorComponent {
+    /**
+     * Initialize the component
+     * @param {HTMLElement} container - Element to render into
+     */
+    constructor(container) {
+        this.container = container;
+        this.elements = {};
+    }
+
+    /**
+     * Render the editor
+     */
+    mount() {
+        this.renderLayout();
+        this.renderRules();
+    }
+
+    // ========================================
+    // RENDERING METHODS
+    // ========================================
+
+    /**
+     * Render the NSFW setting, the add form and the (empty) rule list
+     */
+    renderLayout() {
+        const settings = contentFilters.getSettings();
+
+        const nsfwSelect = DOM.createElement('select', {
+            className: 'form-select form-select-sm w-auto',
+            id: 'filters-nsfw-mode',
+            onChange: (event) => {
+                contentFilters.setNsfwMode(event.target.value);
+                DOM.showToast('NSFW filter saved', 'success');
+            }
+        }, Object.values(NSFW_MODE).map(mode => DOM.createElement('option', {
+            value: mode,
+            ...(mode === settings.nsfw ? { selected: 'selected' } : {})
+        }, MODE_LABELS[mode])));
+
+        this.elements.type = DOM.createElement('select', {
+            className: 'form-select form-select-sm',
+            'aria-label': 'Filter type',
+            onChange: () => this.updatePlaceholder()
+        }, Object.entries(TYPE_LABELS).map(([type, { label }]) => DOM.createElement('option', { value: type }, label)));
+
+        this.elements.value = DOM.createElement('input', {
+            type: 'text',
+            className: 'form-control form-control-sm',
+            'aria-label': 'Filter value',
+            onKeydown: (event) => {
+                if (event.key === 'Enter') {
+                    event.preventDefault();
+                    this.handleAddRule();
+                }
+            }
+        });
+
+        this.elements.mode = DOM.createElement('select', {
+            className: 'form-select form-select-sm',
+            'aria-label': 'What to do with matching posts and comments'
+        }, [FILTER_MODE.COLLAPSE, FILTER_MODE.HIDE].map(mode => DOM.createElement('option', { value: mode }, MODE_LABELS[mode])));
+
+        this.elements.error = DOM.createElement('div', { className: 'invalid-feedback d-block small' });
+        this.elements.list = DOM.createElement('ul', { className: 'list-group' });
+
+        this.container.innerHTML = '';
+        [
+            DOM.createElement('div', { className: 'd-flex align-items-center gap-2 mb-4' }, [
+                DOM.createElement('label', { className: 'form-label mb-0', for: 'filters-nsfw-mode' }, 'NSFW posts'),
+                nsfwSelect
+            ]),
+            DOM.createElement('h6', {}, 'Add a filter'),
+            DOM.createElement('div', { className: 'row g-2 align-items-center' }, [
+                DOM.createElement('div', { className: 'col-sm-3' }, [this.elements.type]),
+                DOM.createElement('div', { className: 'col-sm-5' }, [this.elements.value]),
+                DOM.createElement('div', { className: 'col-sm-2' }, [this.elements.mode]),
+                DOM.createElement('div', { className: 'col-sm-2 d-grid' }, [
+                    DOM.createElement('button', {
+                        type: 'button',
+                        className: 'btn btn-sm btn-primary',
+                        onClick: () => this.handleAddRule()
+                    }, [DOM.createElement('i', { className: 'bi bi-plus-lg me-1' }), 'Add'])
+                ])
+            ]),
+            this.elements.error,
+            DOM.createElement('h6', { className: 'mt-4' }, 'Your filters'),
+            this.elements.list
+        ].forEach(element => this.container.appendChild(element));
+
+        this.updatePlaceholder();
+    }
+
+    /**
+     * Render the rule list
+     */
+    renderRules() {
+        const list = this.elements.list;
+        const { rules } = contentFilters.getSettings();
+
+        list.innerHTML = '';
+        if (rules.length === 0) {
+            list.appendChild(DOM.createElement('li', {
+                className: 'list-group-item text-muted small'
+            }, 'No filters yet. Everything the instance returns is shown.'));
+            return;
+        }
+
+        rules.forEach(rule => {
+            list.appendChild(DOM.createElement('li', {
+                className: 'list-group-item d-flex align-items-center gap-2'
+            }, [
+                DOM.createElement('span', { className: 'badge bg-secondary' }, TYPE_LABELS[rule.type]?.label || rule.type),
+                DOM.createElement('code', { className: 'flex-grow-1 text-break' }, rule.value),
+                DOM.createElement('span', {
+                    className: `badge ${rule.mode === FILTER_MODE.HIDE ? 'bg-danger' : 'bg-warning text-dark'}`
+                }, MODE_LABELS[rule.mode]),
+                DOM.createElement('button', {
+                    type: 'button',
+                    className: 'btn btn-sm btn-outline-danger',
+                    title: 'Remove filter',
+                    'aria-label': `Remove filter ${rule.value}`,
+                    onClick: () => {
+                        contentFilters.removeRule(rule.id);
+                        this.renderRules();
+                    }
+                }, [DOM.createElement('i', { className: 'bi bi-trash' })])
+            ]));
+        });
+    }
+
+    /**
+     * Show an example for the selected rule type
+     */
+    updatePlaceholder() {
+        this.elements.value.placeholder = TYPE_LABELS[this.elements.type.value].placeholder;
+    }
+
+    // ========================================
+    // ACTIONS
+    // ========================================
+
+    /**
+     * Add the rule from the form
+     */
+    handleAddRule() {
+        this.elements.error.textContent = '';
+
+        try {
+            contentFilters.addRule(this.elements.type.value, this.elements.value.value, this.elements.mode.value);
+        } catch (error) {
+            this.elements.error.textContent = error.message;
+            return;
+        }
+
+        this.elements.value.value = '';
+        this.renderRules();
+    }
+}
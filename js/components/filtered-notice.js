@@ -0,0 +1,43 @@
+/**
+ * Filtered Notice Component for Lemmeric
+ *
+ * The notice shown in place of a post or comment that a content filter
+ * collapsed. It names the rule that matched and has a Show button that
+ * reveals the item.
+ *
+ * @fileoverview Placeholder for collapsed (filtered) posts and comments
+ */
+
+import { DOM } from '../utils.js';
+
+/**
+ * Render a filtered notice
+ * @param {Object} match - Filter match with a reason
+ * @param {Function} onReveal - Called when the user clicks Show
+ * @param {Object} options - Display options
+ * @param {string} [options.label='Post'] - What was filtered, for the text
+ * @param {string} [options.className=''] - Extra classes for the container
+ * @param {Object} [options.attributes={}] - Extra attributes for the container
+ * @returns {HTMLElement} Notice element
+ */
+export function renderFilteredNotice(match, onReveal, options = {}) {
+    const { label = 'Post', className = '', attributes = {} } = options;
+
+    return DOM.createElement('div', {
+        className: `filtered-notice d-flex align-items-center gap-2 text-muted small ${className}`.trim(),
+        ...attributes
+    }, [
+        DOM.createElement('i', { className: 'bi bi-funnel' }),
+        DOM.createElement('span', { className: 'flex-grow-1' }, `${label} filtered: ${match.reason}`),
+        DOM.createElement('button', {
+            type: 'button',
+            className: 'btn btn-sm btn-link p-0',
+            title: 'Show it anyway',
+            onClick: (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                onReveal();
+            }
+        }, 'Show')
+    ]);
+}
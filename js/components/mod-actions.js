@@ -0,0 +1,426 @@
+/**
+ * Moderator actions for Lemmeric
+ *
+ * Lock, pin, remove and NSFW actions on posts, shared by the post cards and
+ * the post page, and remove, distinguish and lock actions on comments.
+ * Moderators of the community and instance admins get a shield menu with the
+ * post actions and extra items in the comment options menu; everyone sees the
+ * resulting state as badges (Locked, Pinned, Removed, Distinguished).
+ *
+ * Each action sends the request, reports the result with a toast and returns
+ * the updated post or comment view, which the caller uses to refresh its
+ * badges and menus.
+ *
+ * @fileoverview Shared moderator post and comment actions, menus and status badges
+ */
+
+import { DOM } from '../utils.js';
+import { LemmyAPI, APIUtils } from '../api.js';
+import { ApiError, hasErrorCode } from '../errors.js';
+import { authManager } from '../auth.js';
+import { askForReason } from './reason-dialog.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+/**
+ * data-action values of the moderator menu items
+ * @type {Object<string, string>}
+ */
+export const POST_MOD_ACTION = {
+    LOCK: 'mod-lock-post',
+    FEATURE_COMMUNITY: 'mod-feature-community',
+    FEATURE_LOCAL: 'mod-feature-local',
+    REMOVE: 'mod-remove-post',
+    NSFW: 'mod-nsfw-post'
+};
+
+/**
+ * data-action values of the moderator items in the comment options menu
+ * @type {Object<string, string>}
+ */
+export const COMMENT_MOD_ACTION = {
+    REMOVE: 'mod-remove-comment',
+    DISTINGUISH: 'mod-distinguish-comment',
+    LOCK: 'mod-lock-comment',
+    SHOW_REMOVED: 'mod-show-removed-comment'
+};
+
+// ========================================
+// PERMISSIONS
+// ========================================
+
+/**
+ * Check if the logged-in user can moderate a post
+ * @param {Object} post - Post formatted by APIUtils.formatPost
+ * @returns {boolean} True for moderators of its community and admins
+ */
+export function canModeratePost(post) {
+    return Boolean(post) && authManager.canModerate(post.community);
+}
+
+// ========================================
+// RENDERING
+// ========================================
+
+/**
+ * Render the badges showing a post's moderation state
+ * @param {Object} post - Post formatted by APIUtils.formatPost
+ * @returns {HTMLElement} Badge container (empty when there is nothing to show)
+ */
+export function renderPostStatusBadges(post) {
+    const badge = (className, icon, text, title) => DOM.createElement('span', {
+        className: `badge ${className} ms-2 d-inline-flex align-items-center`,
+        style: 'font-size: 0.7rem;',
+        title
+    }, [DOM.createElement('i', { className: `bi ${icon} me-1` }), text]);
+
+    return DOM.createElement('span', { className: 'post-status-badges' }, [
+        post.featuredLocal ? badge('bg-success', 'bi-pin-fill', 'Pinned', 'Pinned on the front page of the instance') : null,
+        post.featuredCommunity ? badge('bg-success', 'bi-pin-angle-fill', 'Pinned', 'Pinned in the community') : null,
+        post.locked ? badge('bg-warning text-dark', 'bi-lock-fill', 'Locked', 'Locked: new comments are not allowed') : null,
+        post.removed ? badge('bg-danger', 'bi-shield-x', 'Removed', 'Removed by a moderator') : null,
+        post.nsfw ? DOM.createElement('span', { className: 'badge bg-danger ms-2' }, 'NSFW') : null
+    ]);
+}
+
+/**
+ * Render the badges showing a comment's moderation state
+ * @param {Object} comment - Comment formatted by PostDetailComponent
+ * @param {Object} options - Display options
+ * @param {boolean} [options.showLocked=true] - Show the Locked badge (off for replies inside a locked thread)
+ * @returns {Array<HTMLElement>} Badges (empty when there is nothing to show)
+ */
+export function renderCommentStatusBadges(comment, options = {}) {
+    const { showLocked = true } = options;
+    const badge = (className, icon, text, title) => DOM.createElement('small', {
+        className: `badge ${className} me-2 d-inline-flex align-items-center`,
+        title
+    }, [DOM.createElement('i', { className: `bi ${icon} me-1` }), text]);
+
+    return [
+        comment.distinguished ? badge('bg-success', 'bi-megaphone-fill', 'Moderator', 'Distinguished: written as a moderator of the community') : null,
+        comment.locked && showLocked ? badge('bg-warning text-dark', 'bi-lock-fill', 'Locked', 'Locked: this comment and its replies take no new replies') : null,
+        comment.removed ? badge('bg-danger', 'bi-shield-x', 'Removed', 'Removed by a moderator') : null
+    ].filter(Boolean);
+}
+
+/**
+ * Render the moderator menu for a post
+ * @param {Object} post - Post formatted by APIUtils.formatPost
+ * @param {boolean} [canModerate] - Whether to show it (defaults to canModeratePost)
+ * @returns {HTMLElement|null} Dropdown, or null if the user can't moderate the post
+ */
+export function renderPostModerationMenu(post, canModerate = canModeratePost(post)) {
+    if (!canModerate) {
+        return null;
+    }
+
+    const item = (action, icon, text, className = '') => DOM.createElement('li', {}, [
+        DOM.createElement('button', {
+            type: 'button',
+            className: `dropdown-item ${className}`.trim(),
+            'data-action': action
+        }, [DOM.createElement('i', { className: `bi ${icon} me-2` }), text])
+    ]);
+
+    return DOM.createElement('div', {
+        className: 'dropdown post-moderation-menu'
+    }, [
+        DOM.createElement('button', {
+            type: 'button',
+            className: 'btn btn-sm btn-outline-success dropdown-toggle',
+            'data-bs-toggle': 'dropdown',
+            'aria-expanded': 'false',
+            title: 'Moderator actions'
+        }, [DOM.createElement('i', { className: 'bi bi-shield-check me-1' }), 'Mod']),
+        DOM.createElement('ul', { className: 'dropdown-menu dropdown-menu-end' }, [
+            item(POST_MOD_ACTION.LOCK, post.locked ? 'bi-unlock' : 'bi-lock',
+                post.locked ? 'Unlock comments' : 'Lock comments'),
+            item(POST_MOD_ACTION.FEATURE_COMMUNITY, post.featuredCommunity ? 'bi-pin-angle' : 'bi-pin-angle-fill',
+                post.featuredCommunity ? 'Unpin from community' : 'Pin in community'),
+            authManager.isAdmin() ? item(POST_MOD_ACTION.FEATURE_LOCAL, post.featuredLocal ? 'bi-pin' : 'bi-pin-fill',
+                post.featuredLocal ? 'Unpin from front page' : 'Pin on front page') : null,
+            item(POST_MOD_ACTION.NSFW, 'bi-exclamation-octagon', post.nsfw ? 'Unmark NSFW' : 'Mark NSFW'),
+            DOM.createElement('li', {}, [DOM.createElement('hr', { className: 'dropdown-divider' })]),
+            item(POST_MOD_ACTION.REMOVE, post.removed ? 'bi-arrow-counterclockwise' : 'bi-shield-x',
+                post.removed ? 'Restore post' : 'Remove post', post.removed ? 'text-success' : 'text-danger')
+        ])
+    ]);
+}
+
+/**
+ * Render the moderator items of a comment's options menu
+ * @param {Object} comment - Comment formatted by PostDetailComponent
+ * @param {Object} options - Which items apply
+ * @param {boolean} [options.isOwnComment=false] - Lemmy only lets moderators distinguish their own comments
+ * @returns {Array<HTMLElement>} Menu items, starting with a divider and header
+ */
+export function renderCommentModerationItems(comment, options = {}) {
+    const { isOwnComment = false } = options;
+
+    const item = (action, icon, text, className = '') => DOM.createElement('li', {}, [
+        DOM.createElement('button', {
+            type: 'button',
+            className: `dropdown-item ${className}`.trim(),
+            'data-action': action,
+            'data-comment-id': comment.id
+        }, [DOM.createElement('i', { className: `bi ${icon} me-2` }), text])
+    ]);
+
+    return [
+        DOM.createElement('li', {}, [DOM.createElement('hr', { className: 'dropdown-divider' })]),
+        DOM.createElement('li', {}, [DOM.createElement('h6', { className: 'dropdown-header' }, 'Moderation')]),
+        isOwnComment && !comment.deleted ? item(COMMENT_MOD_ACTION.DISTINGUISH, 'bi-megaphone',
+            comment.distinguished ? 'Undistinguish' : 'Distinguish as moderator') : null,
+        // Instances before Lemmy 1.0 don't send a locked flag and can't lock threads
+        comment.locked !== null ? item(COMMENT_MOD_ACTION.LOCK, comment.locked ? 'bi-unlock' : 'bi-lock',
+            comment.locked ? 'Unlock thread' : 'Lock thread') : null,
+        item(COMMENT_MOD_ACTION.REMOVE, comment.removed ? 'bi-arrow-counterclockwise' : 'bi-shield-x',
+            comment.removed ? 'Restore comment' : 'Remove comment', comment.removed ? 'text-success' : 'text-danger')
+    ].filter(Boolean);
+}
+
+// ========================================
+// ACTIONS
+// ========================================
+
+/**
+ * Run a moderator menu action on a post
+ * @param {string} action - One of POST_MOD_ACTION
+ * @param {Object} post - Post formatted by APIUtils.formatPost
+ * @returns {Promise<Object|null>} Updated post view, or null if nothing changed
+ */
+export async function runPostModerationAction(action, post) {
+    switch (action) {
+        case POST_MOD_ACTION.LOCK:
+            return changePostLock(post, !post.locked);
+        case POST_MOD_ACTION.FEATURE_COMMUNITY:
+            return changePostFeatured(post, !post.featuredCommunity, 'Community');
+        case POST_MOD_ACTION.FEATURE_LOCAL:
+            return changePostFeatured(post, !post.featuredLocal, 'Local');
+        case POST_MOD_ACTION.REMOVE:
+            return changePostRemoved(post, !post.removed);
+        case POST_MOD_ACTION.NSFW:
+            return changePostNsfw(post, !post.nsfw);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Lock or unlock a post
+ * @param {Object} post - Post formatted by APIUtils.formatPost
+ * @param {boolean} locked - True to lock
+ * @returns {Promise<Object|null>} Updated post view, or null on failure
+ */
+export async function changePostLock(post, locked) {
+    return postViewOf(await sendModeration(
+        api => api.lockPost(post.id, locked),
+        locked ? 'Post locked' : 'Post unlocked',
+        locked ? 'lock the post' : 'unlock the post'
+    ));
+}
+
+/**
+ * Pin or unpin a post
+ * @param {Object} post - Post formatted by APIUtils.formatPost
+ * @param {boolean} featured - True to pin
+ * @param {string} featureType - 'Community' or 'Local'
+ * @returns {Promise<Object|null>} Updated post view, or null on failure
+ */
+export async function changePostFeatured(post, featured, featureType) {
+    const where = featureType === 'Local' ? 'the front page' : 'the community';
+    return postViewOf(await sendModeration(
+        api => api.featurePost(post.id, featured, featureType),
+        featured ? `Post pinned in ${where}` : `Post unpinned from ${where}`,
+        featured ? 'pin the post' : 'unpin the post'
+    ));
+}
+
+/**
+ * Remove or restore a post, asking for the reason
+ * @param {Object} post - Post formatted by APIUtils.formatPost
+ * @param {boolean} removed - True to remove
+ * @returns {Promise<Object|null>} Updated post view, or null if cancelled or failed
+ */
+export async function changePostRemoved(post, removed) {
+    const reason = await askForReason({
+        title: removed ? 'Remove post' : 'Restore post',
+        message: removed ?
+            `"${post.title}" will be hidden from the community. The reason is shown in the modlog.` :
+            `"${post.title}" will be visible in the community again.`,
+        confirmLabel: removed ? 'Remove' : 'Restore',
+        confirmClass: removed ? 'btn-danger' : 'btn-success'
+    });
+    if (reason === null) return null;
+
+    return postViewOf(await sendModeration(
+        api => api.removePost({ post_id: post.id, removed, ...(reason ? { reason } : {}) }),
+        removed ? 'Post removed' : 'Post restored',
+        removed ? 'remove the post' : 'restore the post'
+    ));
+}
+
+/**
+ * Mark or unmark a post as NSFW
+ * Lemmy only accepts this edit from the post's author unless the instance
+ * lets moderators change the flag too.
+ * @param {Object} post - Post formatted by APIUtils.formatPost
+ * @param {boolean} nsfw - True to mark NSFW
+ * @returns {Promise<Object|null>} Updated post view, or null on failure
+ */
+export async function changePostNsfw(post, nsfw) {
+    return postViewOf(await sendModeration(
+        api => api.editPost({ post_id: post.id, nsfw }),
+        nsfw ? 'Post marked NSFW' : 'Post no longer marked NSFW',
+        nsfw ? 'mark the post NSFW' : 'unmark the post as NSFW',
+        { no_post_edit_allowed: 'This instance only lets the author change the NSFW flag of a post.' }
+    ));
+}
+
+/**
+ * Run a moderator menu action on a comment
+ * COMMENT_MOD_ACTION.SHOW_REMOVED only changes the display and is left to the caller.
+ * @param {string} action - One of COMMENT_MOD_ACTION
+ * @param {Object} comment - Comment formatted by PostDetailComponent
+ * @returns {Promise<Object|null>} Updated comment view, or null if nothing changed
+ */
+export async function runCommentModerationAction(action, comment) {
+    switch (action) {
+        case COMMENT_MOD_ACTION.REMOVE:
+            return changeCommentRemoved(comment, !comment.removed);
+        case COMMENT_MOD_ACTION.DISTINGUISH:
+            return changeCommentDistinguished(comment, !comment.distinguished);
+        case COMMENT_MOD_ACTION.LOCK:
+            return changeCommentLock(comment, !comment.locked);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Remove or restore a comment, asking for the reason
+ * @param {Object} comment - Comment formatted by PostDetailComponent
+ * @param {boolean} removed - True to remove
+ * @returns {Promise<Object|null>} Updated comment view, or null if cancelled or failed
+ */
+export async function changeCommentRemoved(comment, removed) {
+    const reason = await askForReason({
+        title: removed ? 'Remove comment' : 'Restore comment',
+        message: removed ?
+            `The comment by ${comment.author.name} will be hidden. Its replies stay visible. The reason is shown in the modlog.` :
+            `The comment by ${comment.author.name} will be visible again.`,
+        confirmLabel: removed ? 'Remove' : 'Restore',
+        confirmClass: removed ? 'btn-danger' : 'btn-success'
+    });
+    if (reason === null) return null;
+
+    return commentViewOf(await sendModeration(
+        api => api.removeComment({ comment_id: comment.id, removed, ...(reason ? { reason } : {}) }),
+        removed ? 'Comment removed' : 'Comment restored',
+        removed ? 'remove the comment' : 'restore the comment'
+    ));
+}
+
+/**
+ * Distinguish a comment or undo it
+ * @param {Object} comment - Comment formatted by PostDetailComponent
+ * @param {boolean} distinguished - True to distinguish
+ * @returns {Promise<Object|null>} Updated comment view, or null on failure
+ */
+export async function changeCommentDistinguished(comment, distinguished) {
+    return commentViewOf(await sendModeration(
+        api => api.distinguishComment(comment.id, distinguished),
+        distinguished ? 'Comment distinguished' : 'Comment no longer distinguished',
+        distinguished ? 'distinguish the comment' : 'undistinguish the comment',
+        { no_comment_edit_allowed: 'You can only distinguish your own comments.' }
+    ));
+}
+
+/**
+ * Lock or unlock a comment thread, asking for the reason when locking
+ * @param {Object} comment - Comment formatted by PostDetailComponent
+ * @param {boolean} locked - True to lock
+ * @returns {Promise<Object|null>} Updated comment view, or null if cancelled or failed
+ */
+export async function changeCommentLock(comment, locked) {
+    const reason = locked ? await askForReason({
+        title: 'Lock thread',
+        message: 'Nobody will be able to reply to this comment or to the replies below it.',
+        confirmLabel: 'Lock',
+        confirmClass: 'btn-warning'
+    }) : '';
+    if (reason === null) return null;
+
+    return commentViewOf(await sendModeration(
+        api => api.lockComment(comment.id, locked, reason),
+        locked ? 'Thread locked' : 'Thread unlocked',
+        locked ? 'lock the thread' : 'unlock the thread'
+    ));
+}
+
+/**
+ * Copy the moderation state of a post view onto a formatted post
+ * @param {Object} post - Post formatted by APIUtils.formatPost (changed in place)
+ * @param {Object} postView - Post view from the API
+ */
+export function applyModerationState(post, postView) {
+    const updated = APIUtils.formatPost(postView);
+    if (!updated) return;
+
+    ['removed', 'locked', 'featuredCommunity', 'featuredLocal', 'nsfw'].forEach(key => {
+        post[key] = updated[key];
+    });
+}
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Send a moderator request and report the result
+ * @param {Function} request - Called with a LemmyAPI, returns the request promise
+ * @param {string} successMessage - Toast shown on success
+ * @param {string} failedAction - What failed, for the error toast ("lock the post")
+ * @param {Object<string, string>} [errorMessages] - Messages for specific Lemmy error codes
+ * @returns {Promise<Object|null>} API response, or null on failure
+ */
+async function sendModeration(request, successMessage, failedAction, errorMessages = {}) {
+    if (!authManager.isAuthenticated()) {
+        DOM.showToast('Please log in to moderate', 'info');
+        return null;
+    }
+
+    try {
+        const response = await request(new LemmyAPI());
+        DOM.showToast(successMessage, 'success');
+        return response || null;
+    } catch (error) {
+        console.error(`Failed to ${failedAction}:`, error);
+        const code = Object.keys(errorMessages).find(errorCode => hasErrorCode(error, errorCode));
+        const message = code ? errorMessages[code] :
+            error instanceof ApiError ? error.message : `Failed to ${failedAction}. Please try again.`;
+        DOM.showToast(message, 'error');
+        return null;
+    }
+}
+
+/**
+ * Get the post view of a moderator response
+ * @param {Object|null} response - API response
+ * @returns {Object|null} Post view
+ */
+function postViewOf(response) {
+    return response?.post_view || null;
+}
+
+/**
+ * Get the comment view of a moderator response
+ * @param {Object|null} response - API response
+ * @returns {Object|null} Comment view
+ */
+function commentViewOf(response) {
+    return response?.comment_view || null;
+}
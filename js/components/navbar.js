@@ -13,6 +13,7 @@
 
 // Core configuration and utilities
 import { 
+    CONFIG,
     getAllInstances, 
     getCurrentInstance, 
     setCurrentInstance, 
@@ -21,9 +22,17 @@ import {
     addCustomInstance,
     isSingleInstanceMode,
     getInstanceBranding,
-    updateFaviconFromBranding
+    updateFaviconFromBranding,
+    updateManifestFromBranding
 } from '../config.js';
 import { authManager } from '../auth.js';
+import { ErrorUtils } from '../utils.js';
+import { outbox } from '../outbox.js';
+import { PendingActionsPanel } from './pending-actions.js';
+import { OfflineBanner } from './offline-banner.js';
+import { registerServiceWorker } from '../offline.js';
+import { installPrompt } from '../install.js';
+import { shortcuts } from '../shortcuts.js';
 
 /**
  * Navbar component class
@@ -41,6 +50,8 @@ class Navbar {
         this.currentPage = null;
         this.authStatus = { isAuthenticated: false, user: null };
         this.skipHTMLLoad = skipHTMLLoad;
+        this.pendingActions = null;
+        this.offlineBanner = null;
         
         // Only auto-init if HTML load is not skipped (normal case)
         if (!skipHTMLLoad) {
@@ -65,6 +76,7 @@ class Navbar {
             
             this.bindElements();
             this.setupEventListeners();
+            this.setupKeyboardShortcuts();
             this.setupAuthListeners();
             this.loadTheme();
             this.updateNavigation();
@@ -85,6 +97,16 @@ class Navbar {
             
             // Update auth UI after user session is loaded
             this.updateAuthUI();
+
+            // Show actions queued while offline and send them when possible
+            this.pendingActions = new PendingActionsPanel();
+            await this.pendingActions.mount();
+            outbox.start();
+
+            // App shell caching and offline reading
+            this.offlineBanner = new OfflineBanner();
+            this.offlineBanner.mount();
+            registerServiceWorker();
         } catch (error) {
             console.error('Failed to initialize navbar:', error);
         }
@@ -122,6 +144,7 @@ class Navbar {
             signInBtn: document.getElementById('sign-in-btn'),
             guestSettingsBtn: document.getElementById('guest-settings-btn'),
             createBtn: document.getElementById('create-btn'),
+            installAppBtn: document.getElementById('install-app-btn'),
             siteTitle: document.getElementById('site-title')
         };
     }
@@ -163,6 +186,9 @@ class Navbar {
                 // This will use the instance icon if available, otherwise fall back to Lemmeric logo
                 updateFaviconFromBranding();
                 
+                // Installed apps get the instance's name, icon and theme color too
+                updateManifestFromBranding();
+                
                 // Update the page title with instance name and description
                 if (branding.name && branding.description) {
                     document.title = `${branding.name} | ${branding.description}`;
@@ -175,6 +201,15 @@ class Navbar {
         }
     }
 
+    /**
+     * Show the install button while the browser can install the app
+     */
+    updateInstallButton() {
+        if (this.elements.installAppBtn) {
+            this.elements.installAppBtn.style.display = installPrompt.canInstall() ? '' : 'none';
+        }
+    }
+
     /**
      * Update the favicon with the instance icon
      * @param {string} iconUrl - URL of the icon to use as favicon
@@ -263,6 +298,15 @@ class Navbar {
             });
         }
 
+        // Install button (only shown when the browser offers to install)
+        if (this.elements.installAppBtn) {
+            this.elements.installAppBtn.addEventListener('click', () => {
+                installPrompt.promptInstall();
+            });
+            installPrompt.addListener(() => this.updateInstallButton());
+            this.updateInstallButton();
+        }
+
         // Sign in button
         if (this.elements.signInBtn) {
             this.elements.signInBtn.addEventListener('click', () => {
@@ -345,6 +389,19 @@ class Navbar {
         this.setupModalEventListeners();
     }
 
+    /**
+     * Register the shortcuts available on every page
+     */
+    setupKeyboardShortcuts() {
+        shortcuts.register('/', () => {
+            this.elements.searchInput?.focus();
+            this.elements.searchInput?.select();
+        });
+        shortcuts.register('h', () => this.navigateToHome());
+        shortcuts.register('t', () => this.toggleTheme());
+        shortcuts.register('?', () => shortcuts.showHelp());
+    }
+
     /**
      * Navigate to home/feed page
      */
@@ -504,7 +561,13 @@ class Navbar {
         }
     }
 
-
+    /**
+     * Switch between the light and dark themes
+     */
+    toggleTheme() {
+        const theme = getCurrentTheme() === CONFIG.THEMES.DARK ? CONFIG.THEMES.LIGHT : CONFIG.THEMES.DARK;
+        setCurrentTheme(theme);
+    }
 
     /**
      * Update navigation state based on current page
@@ -1183,13 +1246,9 @@ class Navbar {
             }
         } catch (error) {
             console.error('Registration error:', error);
-            let errorMessage = 'Registration failed. Please try again.';
-            
-            if (error.message.includes('email')) {
-                errorMessage = 'Invalid email address or email already in use.';
-            } else if (error.message.includes('username')) {
-                errorMessage = 'Username already taken. Please choose another.';
-            }
+            const errorMessage = error.code
+                ? ErrorUtils.formatError(error)
+                : 'Registration failed. Please try again.';
             
             this.showToast(errorMessage, 'error');
         } finally {
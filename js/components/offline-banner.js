@@ -0,0 +1,90 @@
+/**
+ * Offline Banner Component for Lemmeric
+ *
+ * Thin banner under the navbar shown while the app can't reach the instance.
+ * The message is CONFIG.ERRORS.NETWORK, the same text NetworkError uses, with
+ * a note when the page is showing copies saved by the service worker.
+ *
+ * @fileoverview Banner shown while the app is offline
+ */
+
+import { CONFIG } from '../config.js';
+import { DOM } from '../utils.js';
+import { connectivity } from '../offline.js';
+
+/**
+ * Offline banner class
+ *
+ * Shows and hides itself from connectivity events
+ */
+export class OfflineBanner {
+    constructor() {
+        this.element = null;
+        this.handleConnectivityChange = this.handleConnectivityChange.bind(this);
+    }
+
+    /**
+     * Add the banner to the page and start listening for connectivity changes
+     */
+    mount() {
+        if (this.element) {
+            return;
+        }
+
+        this.element = DOM.createElement('div', {
+            className: 'offline-banner alert alert-warning rounded-0 border-0 border-bottom mb-0 py-2 text-center small',
+            role: 'status'
+        });
+        this.element.style.display = 'none';
+
+        // Directly under the navbar when there is one
+        const navbar = document.getElementById('main-navbar');
+        if (navbar) {
+            navbar.insertAdjacentElement('afterend', this.element);
+        } else {
+            document.body.prepend(this.element);
+        }
+
+        connectivity.addListener(this.handleConnectivityChange);
+        this.render();
+    }
+
+    /**
+     * Remove the banner and stop listening
+     */
+    destroy() {
+        connectivity.removeListener(this.handleConnectivityChange);
+        this.element?.remove();
+        this.element = null;
+    }
+
+    /**
+     * Re-render when the app goes offline or comes back
+     */
+    handleConnectivityChange() {
+        this.render();
+    }
+
+    /**
+     * Show or hide the banner for the current state
+     */
+    render() {
+        if (!this.element) {
+            return;
+        }
+
+        if (!connectivity.isOffline()) {
+            this.element.style.display = 'none';
+            return;
+        }
+
+        const note = connectivity.showingOfflineCopy
+            ? 'You are reading a saved copy.'
+            : 'Recently viewed posts are still available.';
+
+        this.element.innerHTML = '';
+        this.element.appendChild(DOM.createElement('i', { className: 'bi bi-wifi-off me-2' }));
+        this.element.appendChild(document.createTextNode(`${CONFIG.ERRORS.NETWORK} ${note}`));
+        this.element.style.display = '';
+    }
+}
@@ -0,0 +1,223 @@
+/**
+ * Pending Actions Panel Component for Lemmeric
+ *
+ * Small floating panel listing the votes, comments and messages waiting in
+ * the offline outbox. It stays hidden while the outbox is empty. Actions the
+ * server refused on replay are shown with the reason and can be retried or
+ * discarded. Comments and messages whose send was interrupted are shown the
+ * same way, since only the user can tell whether they were posted.
+ *
+ * @fileoverview Floating panel showing queued and failed offline actions
+ */
+
+import { DOM } from '../utils.js';
+import { outbox, OUTBOX_STATUS } from '../outbox.js';
+
+/**
+ * Pending actions panel class
+ *
+ * Renders the outbox contents and keeps them in sync through outbox events
+ */
+export class PendingActionsPanel {
+    constructor() {
+        this.element = null;
+        this.isOpen = false;
+        this.actions = [];
+
+        this.handleOutboxEvent = this.handleOutboxEvent.bind(this);
+    }
+
+    // ========================================
+    // LIFECYCLE
+    // ========================================
+
+    /**
+     * Add the panel to the page and start listening to the outbox
+     * @returns {Promise<void>}
+     */
+    async mount() {
+        if (this.element) {
+            return;
+        }
+
+        this.element = DOM.createElement('div', {
+            className: 'pending-actions position-fixed bottom-0 start-0 m-3',
+            'aria-live': 'polite'
+        });
+        this.element.style.display = 'none';
+        document.body.appendChild(this.element);
+
+        outbox.addListener(this.handleOutboxEvent);
+        await this.refresh();
+    }
+
+    /**
+     * Remove the panel and stop listening
+     */
+    destroy() {
+        outbox.removeListener(this.handleOutboxEvent);
+        this.element?.remove();
+        this.element = null;
+    }
+
+    /**
+     * Reload the actions whenever the outbox changes
+     * @param {string} event - Outbox event name
+     */
+    handleOutboxEvent(event) {
+        if (event === 'failed' || event === 'unconfirmed') {
+            // Failures need the user's attention: show why without an extra click
+            this.isOpen = true;
+        }
+        this.refresh();
+    }
+
+    /**
+     * Read the outbox and re-render
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        try {
+            this.actions = await outbox.getAll();
+        } catch (error) {
+            console.error('Failed to read outbox:', error);
+            this.actions = [];
+        }
+        this.render();
+    }
+
+    // ========================================
+    // RENDERING
+    // ========================================
+
+    /**
+     * Render the toggle button and, when open, the action list
+     */
+    render() {
+        if (!this.element) {
+            return;
+        }
+
+        this.element.innerHTML = '';
+
+        if (this.actions.length === 0) {
+            this.isOpen = false;
+            this.element.style.display = 'none';
+            return;
+        }
+
+        this.element.style.display = '';
+
+        const failedCount = this.actions.filter(action => action.status === OUTBOX_STATUS.FAILED).length;
+        const attentionCount = failedCount +
+            this.actions.filter(action => action.status === OUTBOX_STATUS.UNCONFIRMED).length;
+
+        if (this.isOpen) {
+            this.element.appendChild(this.renderList(failedCount, attentionCount));
+        }
+
+        this.element.appendChild(DOM.createElement('button', {
+            type: 'button',
+            className: `btn btn-sm shadow ${attentionCount > 0 ? 'btn-warning' : 'btn-secondary'}`,
+            'aria-expanded': String(this.isOpen),
+            title: 'Actions waiting to be sent',
+            onClick: () => {
+                this.isOpen = !this.isOpen;
+                this.render();
+            }
+        }, [
+            DOM.createElement('i', { className: attentionCount > 0 ? 'bi bi-exclamation-triangle me-1' : 'bi bi-cloud-arrow-up me-1' }),
+            `${this.actions.length} pending`
+        ]));
+    }
+
+    /**
+     * Render the list of actions
+     * @param {number} failedCount - Number of failed actions
+     * @param {number} attentionCount - Number of failed and unconfirmed actions
+     * @returns {HTMLElement} Card element
+     */
+    renderList(failedCount, attentionCount) {
+        const header = DOM.createElement('div', {
+            className: 'card-header d-flex align-items-center justify-content-between py-2'
+        }, [
+            DOM.createElement('strong', { className: 'small' }, 'Waiting to be sent'),
+            failedCount > 0
+                ? DOM.createElement('button', {
+                    type: 'button',
+                    className: 'btn btn-link btn-sm p-0',
+                    onClick: () => this.retryAll()
+                }, 'Retry all')
+                : DOM.createElement('span', { className: 'small text-muted' }, attentionCount > 0
+                    ? 'Check before sending'
+                    : navigator.onLine === false ? 'Offline' : 'Sending...')
+        ]);
+
+        const list = DOM.createElement('ul', {
+            className: 'list-group list-group-flush'
+        }, this.actions.map(action => this.renderAction(action)));
+
+        return DOM.createElement('div', {
+            className: 'card shadow mb-2 pending-actions-list'
+        }, [header, list]);
+    }
+
+    /**
+     * Render one action
+     * @param {Object} action - Outbox action
+     * @returns {HTMLElement} List item
+     */
+    renderAction(action) {
+        const failed = action.status === OUTBOX_STATUS.FAILED;
+        const unconfirmed = action.status === OUTBOX_STATUS.UNCONFIRMED;
+
+        let statusClass = 'text-muted';
+        if (failed) {
+            statusClass = 'text-danger';
+        } else if (unconfirmed) {
+            statusClass = 'text-warning-emphasis';
+        }
+
+        const details = DOM.createElement('div', { className: 'me-2 small' }, [
+            DOM.createElement('div', {}, action.label),
+            DOM.createElement('div', {
+                className: statusClass
+            }, failed || unconfirmed ? action.error : `Queued ${new Date(action.createdAt).toLocaleTimeString()}`)
+        ]);
+
+        const buttons = DOM.createElement('div', { className: 'btn-group btn-group-sm flex-shrink-0' }, [
+            failed || unconfirmed ? DOM.createElement('button', {
+                type: 'button',
+                className: 'btn btn-outline-primary',
+                title: unconfirmed ? 'Send again' : 'Try again',
+                onClick: () => outbox.retry(action.id)
+            }, [DOM.createElement('i', { className: unconfirmed ? 'bi bi-send' : 'bi bi-arrow-clockwise' })]) : null,
+            DOM.createElement('button', {
+                type: 'button',
+                className: 'btn btn-outline-danger',
+                title: 'Discard',
+                onClick: () => outbox.remove(action.id)
+            }, [DOM.createElement('i', { className: 'bi bi-x-lg' })])
+        ].filter(Boolean));
+
+        return DOM.createElement('li', {
+            className: 'list-group-item d-flex align-items-start justify-content-between'
+        }, [details, buttons]);
+    }
+
+    // ========================================
+    // ACTIONS
+    // ========================================
+
+    /**
+     * Put every failed action back in the queue
+     * @returns {Promise<void>}
+     */
+    async retryAll() {
+        try {
+            await outbox.retryAll();
+        } catch (error) {
+            console.error('Failed to retry actions:', error);
+        }
+    }
+}
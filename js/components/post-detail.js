@@ -5,9 +5,24 @@
 
 import { DOM, TextUtils, URLUtils, AnimationUtils, PerformanceUtils } from '../utils.js';
 import { LemmyAPI, APIUtils } from '../api.js';
-import { getCurrentInstance } from '../config.js';
+import { LemmyError, AuthExpiredError, RateLimitError, hasErrorCode } from '../errors.js';
+import { CONFIG, getCurrentInstance } from '../config.js';
 import { processPostContent, processCommentContent } from '../markdown-it-setup.js';
 import { authManager } from '../auth.js';
+import { outbox, isQueuedResponse, isUnconfirmedResponse } from '../outbox.js';
+import { CommunityActionsComponent } from './community-actions.js';
+import { blocklist } from '../blocklist.js';
+import { contentFilters, FILTER_MODE } from '../filters.js';
+import { renderFilteredNotice } from './filtered-notice.js';
+import { changePersonBlock, changeInstanceBlock, getInstanceOf, getPersonLabel } from './block-actions.js';
+import { shortcuts, FocusNavigator, clickAction } from '../shortcuts.js';
+import { VirtualList } from '../virtual-list.js';
+import { postVisits } from '../post-visits.js';
+import { openReportDialog } from './report-dialog.js';
+import {
+    canModeratePost, renderPostStatusBadges, renderPostModerationMenu, runPostModerationAction, applyModerationState,
+    COMMENT_MOD_ACTION, renderCommentStatusBadges, renderCommentModerationItems, runCommentModerationAction
+} from './mod-actions.js';
 
 // Import bootstrap for modal functionality
 let bootstrap;
@@ -15,9 +30,47 @@ if (typeof window !== 'undefined') {
     bootstrap = window.bootstrap;
 }
 
+/**
+ * Levels of replies fetched at once; deeper replies are reached through "Continue this thread"
+ * @type {number}
+ */
+const COMMENT_TREE_DEPTH = 8;
+
+/**
+ * Describe why editing, deleting or restoring a post or comment failed
+ * @param {Error} error - Error thrown by the API
+ * @param {string} action - Verb for the message (e.g. 'edit')
+ * @param {string} noun - 'post' or 'comment'
+ * @returns {string} Message for a toast
+ */
+function describeContentError(error, action, noun) {
+    if (error instanceof RateLimitError) {
+        return 'Rate limited. Please wait a moment before trying again.';
+    }
+    if (error instanceof AuthExpiredError || hasErrorCode(error, 'no_post_edit_allowed', 'no_comment_edit_allowed', 'not_a_moderator', 'not_an_admin')) {
+        return `You are not authorized to ${action} this ${noun}.`;
+    }
+    if (error.status === 404 || hasErrorCode(error, 'couldnt_find_post', 'couldnt_find_comment')) {
+        return `${noun === 'post' ? 'Post' : 'Comment'} not found or already deleted.`;
+    }
+    if (error instanceof LemmyError) {
+        return error.message;
+    }
+    return `Failed to ${action} ${noun}. Please try again.`;
+}
+
 export class PostDetailComponent {
-    constructor(postData) {
+    /**
+     * @param {Object} postData - Post view from the API
+     * @param {Object} options - View options
+     * @param {number} [options.commentId] - Show only this comment, its parents and its replies (comment links, "Continue this thread")
+     */
+    constructor(postData, options = {}) {
         this.post = APIUtils.formatPost(postData);
+        this.contextCommentId = options.commentId || null;
+        this.unloadedParentIds = []; // Parents of the context comment fetched only when "Show N parents" is clicked
+        this.contextScrolled = false;
+        this.baseDepth = 0; // Depth of the first comment shown, so it renders at depth 0
         this.api = new LemmyAPI();
         this.element = null;
         this.comments = [];
@@ -27,10 +80,30 @@ export class PostDetailComponent {
         this.communityId = null;
         this.isLoadingComments = false;
         this.currentCommentSort = 'Top'; // Track current comment sort order
+        this.queuedVoteRollbacks = new Map(); // Vote state to restore if an offline vote fails, by comment ID
+        this.queuedPostVoteRollback = null; // Same, for the post itself
+        this.commentList = null; // Top-level threads, rendered as they near the viewport
+        this.replyLists = new Map(); // Comment ID -> list windowing its replies, for comments with many replies
+        this.threadOfComment = new Map(); // Comment ID -> ID of the top-level comment of its thread
+        this.collapsedComments = new Set(); // Collapsed threads, kept across re-renders
+        this.repliesExhausted = new Set(); // Comments whose missing replies couldn't be loaded (e.g. blocked authors)
+        this.revealedRemovedComments = new Set(); // Removed comments a moderator chose to read
+        this.lastSeenAt = postVisits.getLastSeen(this.post.id); // Previous visit; later comments are highlighted
+        this.pendingComments = new Map(); // New comments found by the background check, by ID, until shown
+        this.liveCommentIds = new Set(); // Comments added from the background check, highlighted like new ones
+        this.liveUpdateTimer = null;
+        this.newCommentsPill = null;
+        this.commentNavigator = new FocusNavigator(
+            () => this.getCommentElements(),
+            'data-comment-id',
+            node => this.mountCommentNode(node)
+        );
+        this.shortcutBindings = [];
 
         // Bind event handlers
         this.handleCommentActions = this.handleCommentActions.bind(this);
         this.handlePostActions = this.handlePostActions.bind(this);
+        this.handleBlocklistChange = this.handleBlocklistChange.bind(this);
     }
 
     /**
@@ -58,6 +131,12 @@ export class PostDetailComponent {
         // Add event delegation for post actions
         this.element.addEventListener('click', this.handlePostActions);
 
+        // Hide comments as soon as their author or instance is blocked
+        blocklist.addListener(this.handleBlocklistChange);
+
+        // j/k through the comments, voting and collapsing from the keyboard
+        this.shortcutBindings = this.setupKeyboardShortcuts();
+
         // Add event listener for comment sort dropdown
         const sortDropdown = this.element.querySelector('#comment-sort');
         if (sortDropdown) {
@@ -125,7 +204,8 @@ export class PostDetailComponent {
                     DOM.createElement('small', {
                         className: 'text-muted'
                     }, this.post.community.title || this.post.community.name)
-                ])
+                ]),
+                new CommunityActionsComponent(this.post.community, { compact: true }).render()
             ]),
             DOM.createElement('h4', {
                 className: 'post-title mb-2'
@@ -152,9 +232,8 @@ export class PostDetailComponent {
                     }),
                     'Crosspost'
                 ]) : null,
-                this.post.nsfw ? DOM.createElement('span', {
-                    className: 'badge bg-danger'
-                }, 'NSFW') : null
+                // Pinned, locked, removed and NSFW badges
+                renderPostStatusBadges(this.post)
             ].filter(Boolean))
         ]);
     }
@@ -884,13 +963,14 @@ export class PostDetailComponent {
                 'Share'
             ]),
             DOM.createElement('button', {
-                className: 'btn btn-sm btn-outline-secondary',
-                'data-action': 'save'
+                className: `btn btn-sm btn-outline-secondary${this.post.saved ? ' active' : ''}`,
+                'data-action': 'save',
+                'aria-pressed': String(this.post.saved)
             }, [
                 DOM.createElement('i', {
-                    className: 'bi bi-bookmark me-1'
+                    className: `bi ${this.post.saved ? 'bi-bookmark-fill' : 'bi-bookmark'} me-1`
                 }),
-                'Save'
+                DOM.createElement('span', {}, this.post.saved ? 'Saved' : 'Save')
             ]),
             DOM.createElement('button', {
                 className: 'btn btn-sm btn-outline-secondary',
@@ -901,8 +981,21 @@ export class PostDetailComponent {
                 }),
                 'Cross-post'
             ]),
+            // Report (logged-in users other than the author)
+            this.isCurrentUserPost() === false ? DOM.createElement('button', {
+                className: 'btn btn-sm btn-outline-warning',
+                'data-action': 'report',
+                title: 'Report this post to the moderators'
+            }, [
+                DOM.createElement('i', {
+                    className: 'bi bi-flag me-1'
+                }),
+                'Report'
+            ]) : null,
             // Post management dropdown (only for post author)
-            this.shouldShowPostManagement() ? this.renderPostManagementDropdown() : null
+            this.shouldShowPostManagement() ? this.renderPostManagementDropdown() : null,
+            // Moderator actions (moderators of the community and admins)
+            renderPostModerationMenu(this.post, this.canModerate())
         ]);
 
         actionsContainer.appendChild(actionsRow);
@@ -1040,6 +1133,7 @@ export class PostDetailComponent {
                     DOM.createElement('option', { value: 'Old' }, 'Old')
                 ])
             ]),
+            this.renderLockedNotice(),
             this.renderCommentForm(),
             DOM.createElement('div', {
                 className: 'comments-container',
@@ -1106,10 +1200,9 @@ export class PostDetailComponent {
             
             // Fetch comments and site info in parallel
             const [commentsResponse, siteResponse] = await Promise.all([
-                this.api.getComments(this.post.id, {
-                    sort: sortType,
-                    maxDepth: 8
-                }),
+                this.contextCommentId ?
+                    this.fetchCommentContext(sortType) :
+                    this.api.getComments(this.post.id, { sort: sortType, maxDepth: COMMENT_TREE_DEPTH }),
                 this.api.getSite().catch(err => {
                     return { admins: [] };
                 })
@@ -1140,9 +1233,22 @@ export class PostDetailComponent {
             
             // Update post author indicators now that we have moderator/admin data
             this.updatePostAuthorIndicators();
+            this.refreshModerationState();
             
             this.renderComments();
 
+            // Bring the linked comment into view the first time its context loads
+            if (this.contextCommentId && !this.contextScrolled) {
+                this.contextScrolled = true;
+                this.findCommentElement(this.contextCommentId)?.scrollIntoView({ block: 'center' });
+            }
+
+            // Everything the "new comments" pill offered is in the tree now
+            this.pendingComments.clear();
+            this.updateNewCommentsPill();
+            postVisits.markSeen(this.post.id);
+            this.startLiveUpdates();
+
         } catch (error) {
             const container = document.getElementById('comments-container');
             if (container) {
@@ -1160,8 +1266,15 @@ export class PostDetailComponent {
         const container = document.getElementById('comments-container');
         if (!container) return;
 
+        // Clear the lists first, while they can still see which comments are on screen
+        this.commentList?.clear();
+        this.replyLists.forEach(list => list.clear());
         DOM.clearChildren(container);
 
+        if (this.contextCommentId) {
+            container.appendChild(this.renderContextBanner());
+        }
+
         if (this.comments.length === 0) {
             container.appendChild(DOM.createElement('div', {
                 className: 'text-center text-muted p-4'
@@ -1175,25 +1288,178 @@ export class PostDetailComponent {
             return;
         }
 
+        const startTime = performance.now();
+
+        const comments = this.comments;
+        if (this.contextCommentId) {
+            // The context starts at the first comment shown, not at the top of the post
+            this.baseDepth = Math.min(...comments.map(view => this.getDepthFromComment(view.comment.path)));
+        }
+
         // Build comment tree (this also formats the comments)
-        const commentTree = this.buildCommentTree(this.comments);
+        const commentTree = this.buildCommentTree(comments);
         
         // Store the formatted comments in a flat array for easy searching
         this.formattedComments = [];
-        const collectFormattedComments = (comments) => {
+        this.threadOfComment.clear();
+        const collectFormattedComments = (comments, threadId) => {
             comments.forEach(comment => {
                 this.formattedComments.push(comment);
+                this.threadOfComment.set(String(comment.id), threadId ?? comment.id);
                 if (comment.children && comment.children.length > 0) {
-                    collectFormattedComments(comment.children);
+                    collectFormattedComments(comment.children, threadId ?? comment.id);
                 }
             });
         };
-        collectFormattedComments(commentTree);
+        collectFormattedComments(commentTree, null);
         
-        // Render comment tree
-        commentTree.forEach(comment => {
-            container.appendChild(this.renderComment(comment, 0));
+        // Render the first threads now and the rest as they near the viewport
+        // (comments hidden by a filter render as null and are left out)
+        if (this.commentList?.container !== container) {
+            this.commentList?.destroy();
+            this.commentList = new VirtualList(container, {
+                name: 'comments',
+                estimatedHeight: CONFIG.VIRTUAL_LIST.ESTIMATED_THREAD_HEIGHT
+            });
+        }
+        this.sortDistinguishedFirst(commentTree).forEach((comment, index) => {
+            this.commentList.append(comment.id, () => this.renderComment(comment, 0), {
+                lazy: index >= CONFIG.VIRTUAL_LIST.INITIAL_COMMENT_THREADS
+            });
         });
+
+        this.commentList.logTiming(`rendered ${this.formattedComments.length} comments in ${commentTree.length} threads`, startTime);
+    }
+
+    /**
+     * Find a comment's element, including threads detached while off screen
+     * @param {number|string} commentId - Comment ID
+     * @returns {HTMLElement|null} Comment element, or null if not rendered
+     */
+    findCommentElement(commentId) {
+        const selector = `[data-comment-id="${commentId}"]`;
+        const attached = document.querySelector(selector);
+        if (attached) return attached;
+
+        for (const list of [this.commentList, ...this.replyLists.values()]) {
+            const element = list?.querySelector(selector);
+            if (element) return element;
+        }
+        return null;
+    }
+
+    /**
+     * Render and attach the thread containing a comment (e.g. before scrolling to it)
+     * @param {number|string} commentId - Comment ID
+     * @returns {HTMLElement|null} Comment element, or null if the comment isn't loaded
+     */
+    mountComment(commentId) {
+        const threadId = this.threadOfComment.get(String(commentId));
+        if (threadId === undefined || !this.commentList) return null;
+
+        this.commentList.mount(threadId);
+
+        // Then the reply on the way down in every windowed reply list
+        const comment = this.findCommentById(commentId);
+        const pathIds = comment?.path ? comment.path.split('.').slice(1) : [];
+        pathIds.slice(0, -1).forEach((parentId, index) => {
+            const child = this.findCommentById(pathIds[index + 1]);
+            if (child) {
+                this.replyLists.get(String(parentId))?.mount(child.id);
+            }
+        });
+        return this.findCommentElement(commentId);
+    }
+
+    /**
+     * Same as mountComment, for a comment element or placeholder (keyboard navigation)
+     * @param {HTMLElement} node - Comment element or placeholder
+     * @returns {HTMLElement} The rendered element, or the node itself
+     */
+    mountCommentNode(node) {
+        for (const list of [this.commentList, ...this.replyLists.values()]) {
+            if (list && list.getKey(node) !== undefined) {
+                return list.mountNode(node);
+            }
+        }
+        return node;
+    }
+
+    /**
+     * Load the replies missing below a comment and add them to its thread
+     * @param {string} commentId - Comment ID
+     */
+    async handleLoadMoreReplies(commentId) {
+        const comment = this.findCommentById(commentId);
+        const button = this.findCommentElement(commentId)?.querySelector(':scope > [data-action="load-more-replies"]');
+        if (!comment || !button) return;
+
+        button.disabled = true;
+        button.textContent = 'Loading replies...';
+
+        try {
+            // Only as deep as the rest of the tree, so the same comments get "Continue this thread"
+            const response = await this.api.getComments(this.post.id, {
+                sort: this.currentCommentSort,
+                maxDepth: COMMENT_TREE_DEPTH - 1 - comment.depth,
+                parent_id: comment.id
+            });
+
+            if (this.insertReplies(response.comments || []) === 0) {
+                this.repliesExhausted.add(String(comment.id));
+            }
+            this.rerenderThread(comment.id);
+        } catch (error) {
+            console.error('Failed to load replies:', error);
+            DOM.showToast('Failed to load replies. Please try again.', 'error');
+            button.disabled = false;
+            button.textContent = this.getMoreRepliesLabel(comment);
+        }
+    }
+
+    /**
+     * Add fetched replies to the comment tree, under their parents
+     * Existing comments keep their current state (votes, edits made here).
+     * @param {Array} commentViews - Comment views from the API
+     * @returns {number} Number of comments added
+     */
+    insertReplies(commentViews) {
+        const commentsById = new Map(this.formattedComments
+            .filter(comment => Array.isArray(comment?.children))
+            .map(comment => [String(comment.id), comment]));
+
+        // Parents before their replies
+        const newViews = commentViews
+            .filter(view => !commentsById.has(String(view.comment.id)))
+            .sort((a, b) => a.comment.path.split('.').length - b.comment.path.split('.').length);
+
+        let added = 0;
+        newViews.forEach(view => {
+            const comment = this.formatComment(view);
+            const parent = commentsById.get(String(this.getCommentParentId(comment.path)));
+            if (!parent) return;
+
+            parent.children.push(comment);
+            commentsById.set(String(comment.id), comment);
+            this.comments.push(view);
+            this.formattedComments.push(comment);
+            this.threadOfComment.set(String(comment.id), this.threadOfComment.get(String(parent.id)));
+            added++;
+        });
+        return added;
+    }
+
+    /**
+     * Render a thread again from the comment tree (after replies were added)
+     * @param {number|string} commentId - Any comment in the thread
+     */
+    rerenderThread(commentId) {
+        const threadId = this.threadOfComment.get(String(commentId));
+        const root = threadId !== undefined ? this.findCommentById(threadId) : null;
+        const element = root ? this.renderComment(root, 0) : null;
+        if (element && this.commentList) {
+            this.commentList.replace(threadId, element);
+        }
     }
 
     /**
@@ -1225,6 +1491,15 @@ export class PostDetailComponent {
         return rootComments;
     }
 
+    /**
+     * Order comments so distinguished ones come first, keeping the order otherwise
+     * @param {Array} comments - Sibling comments
+     * @returns {Array} Sorted copy
+     */
+    sortDistinguishedFirst(comments) {
+        return [...comments].sort((a, b) => Number(b.distinguished) - Number(a.distinguished));
+    }
+
     /**
      * Get parent comment ID from path (Lemmy's threading system)
      * @param {string} path - Comment path (e.g., "0.123.456")
@@ -1307,14 +1582,19 @@ export class PostDetailComponent {
         return {
             id: comment.id,
             path: comment.path,
-            depth: this.getDepthFromComment(comment.path),
+            depth: this.getDepthFromComment(comment.path) - this.baseDepth,
             content: comment.content,
             published: new Date(comment.published),
             updated: comment.updated ? new Date(comment.updated) : null,
             // Check if comment is deleted
             deleted: comment.deleted || false,
+            removed: comment.removed || false,
+            distinguished: comment.distinguished || false,
+            // null on instances that can't lock threads (before Lemmy 1.0)
+            locked: typeof comment.locked === 'boolean' ? comment.locked : null,
             // User's vote on this comment (1 for upvote, -1 for downvote, 0 for no vote)
             myVote: commentView.my_vote || 0,
+            saved: commentView.saved || false,
             author: {
                 name: creator.name,
                 displayName: creator.display_name,
@@ -1322,6 +1602,7 @@ export class PostDetailComponent {
                 id: creator.id,
                 local: creator.local !== false,
                 actor_id: creator.actor_id,
+                instance_id: creator.instance_id,
                 instance: creatorInstanceInfo
             },
             stats: {
@@ -1329,6 +1610,8 @@ export class PostDetailComponent {
                 downvotes: counts.downvotes,
                 score: counts.score
             },
+            // Replies at every level below, including ones not loaded
+            childCount: counts.child_count || 0,
             children: []
         };
     }
@@ -1337,7 +1620,7 @@ export class PostDetailComponent {
      * Render individual comment
      * @param {Object} comment - Comment data
      * @param {number} renderDepth - Rendering depth (for recursive calls)
-     * @returns {HTMLElement} Comment element
+     * @returns {HTMLElement|null} Comment element, or null if a filter hides it
      */
     renderComment(comment, renderDepth = 0) {
         // Use the depth calculated from the path, not the render depth
@@ -1346,8 +1629,21 @@ export class PostDetailComponent {
         const maxDepth = 6;
         const clampedDepth = Math.min(actualDepth, maxDepth);
 
+        // Comments from blocked people collapse to a placeholder that keeps the replies
+        if (blocklist.isCommentHidden(comment)) {
+            return this.renderBlockedComment(comment, renderDepth, clampedDepth);
+        }
+
+        // Content filters hide the comment or collapse it behind a notice
+        const filterMatch = contentFilters.matchComment(comment, this.post.community);
+        if (filterMatch) {
+            return this.renderFilteredComment(comment, filterMatch, renderDepth, clampedDepth);
+        }
+
+        const isContextComment = String(comment.id) === String(this.contextCommentId);
+        const isNew = this.isNewComment(comment);
         const commentElement = DOM.createElement('div', {
-            className: `comment ${isNested ? 'nested-comment' : ''}`,
+            className: `comment ${isNested ? 'nested-comment' : ''} ${isContextComment ? 'comment-context-target' : ''} ${isNew ? 'comment-new' : ''} ${comment.distinguished ? 'comment-distinguished' : ''}`,
             'data-comment-id': comment.id,
             'data-depth': clampedDepth,
             'id': `comment-${comment.id}`
@@ -1369,6 +1665,11 @@ export class PostDetailComponent {
             DOM.createElement('small', {
                 className: 'text-muted me-2'
             }, APIUtils.formatTime(comment.published)),
+            isNew ? DOM.createElement('small', {
+                className: 'badge text-bg-primary me-2',
+                title: 'Posted since your last visit'
+            }, 'new') : null,
+            ...renderCommentStatusBadges(comment, { showLocked: !this.isParentLocked(comment) }),
             ...(comment.children && comment.children.length > 0 ? [DOM.createElement('small', {
                 className: 'badge bg-secondary me-2',
                 title: `${comment.children.length} ${comment.children.length === 1 ? 'reply' : 'replies'}`
@@ -1398,6 +1699,14 @@ export class PostDetailComponent {
                     className: 'text-muted'
                 }, 'The content is no longer available')
             ]));
+        } else if (comment.removed) {
+            commentContentElement.appendChild(this.renderRemovedNotice(comment));
+            if (this.revealedRemovedComments.has(String(comment.id))) {
+                commentContentElement.appendChild(DOM.createElement('div', {
+                    className: 'comment-removed-content'
+                }));
+                commentContentElement.lastChild.innerHTML = processCommentContent(comment.content);
+            }
         } else {
             // Show normal comment content
             commentContentElement.innerHTML = processCommentContent(comment.content);
@@ -1457,21 +1766,531 @@ export class PostDetailComponent {
 
         // Add children comments
         if (comment.children && comment.children.length > 0) {
-            const childrenContainer = DOM.createElement('div', {
-                className: 'comment-children',
-                'data-children-for': comment.id
+            commentElement.appendChild(this.renderReplies(comment, renderDepth));
+
+            // Threads collapsed before a re-render stay collapsed
+            if (this.collapsedComments.has(String(comment.id))) {
+                this.setCommentCollapsed(commentElement, comment.id, true);
+            }
+        }
+
+        // Replies the tree fetch didn't include
+        const moreReplies = this.renderMoreReplies(comment);
+        if (moreReplies) {
+            commentElement.appendChild(moreReplies);
+        }
+
+        return commentElement;
+    }
+
+    /**
+     * Render the placeholder shown instead of a blocked person's comment
+     * @param {Object} comment - Comment data
+     * @param {number} renderDepth - Rendering depth
+     * @param {number} clampedDepth - Depth used for indentation
+     * @returns {HTMLElement} Placeholder element with the comment's replies
+     */
+    renderBlockedComment(comment, renderDepth, clampedDepth) {
+        const commentElement = DOM.createElement('div', {
+            className: `comment blocked-comment ${comment.depth > 0 ? 'nested-comment' : ''}`,
+            'data-comment-id': comment.id,
+            'data-depth': clampedDepth,
+            'id': `comment-${comment.id}`
+        }, [
+            DOM.createElement('div', {
+                className: 'comment-content text-muted fst-italic small mb-2'
+            }, [
+                DOM.createElement('i', {
+                    className: 'bi bi-slash-circle me-1'
+                }),
+                'Comment from a blocked user'
+            ])
+        ]);
+
+        if (comment.children && comment.children.length > 0) {
+            commentElement.appendChild(this.renderReplies(comment, renderDepth));
+        }
+
+        return commentElement;
+    }
+
+    /**
+     * Render the replies of a comment
+     * Comments with many direct replies get their own windowed list, so one
+     * huge thread renders its first replies now and the rest as they near the
+     * viewport, like the top-level threads.
+     * @param {Object} comment - Comment data with children
+     * @param {number} renderDepth - Rendering depth of the comment
+     * @returns {HTMLElement} Replies container
+     */
+    renderReplies(comment, renderDepth) {
+        const container = DOM.createElement('div', {
+            className: 'comment-children',
+            'data-children-for': comment.id
+        });
+        const children = this.sortDistinguishedFirst(comment.children);
+        const previousList = this.replyLists.get(String(comment.id));
+        this.replyLists.delete(String(comment.id));
+
+        if (children.length <= CONFIG.VIRTUAL_LIST.LARGE_REPLY_COUNT) {
+            previousList?.destroy();
+            children.forEach(child => {
+                const childElement = this.renderComment(child, renderDepth + 1);
+                if (childElement) {
+                    container.appendChild(childElement);
+                }
             });
+            return container;
+        }
+
+        const list = new VirtualList(container, {
+            name: `replies to ${comment.id}`,
+            estimatedHeight: CONFIG.VIRTUAL_LIST.ESTIMATED_REPLY_HEIGHT
+        });
+        if (previousList) {
+            list.adoptLayout(previousList);
+        }
+        this.replyLists.set(String(comment.id), list);
 
-            comment.children.forEach(child => {
-                childrenContainer.appendChild(this.renderComment(child, renderDepth + 1));
+        children.forEach((child, index) => {
+            list.append(child.id, () => this.renderComment(child, renderDepth + 1), {
+                lazy: index >= CONFIG.VIRTUAL_LIST.INITIAL_REPLIES
             });
+        });
+        return container;
+    }
 
-            commentElement.appendChild(childrenContainer);
+    /**
+     * Render a comment matched by a content filter
+     * Hidden comments are left out unless they have replies; those, like
+     * collapsed comments, show a notice that reveals the comment.
+     * @param {Object} comment - Comment data
+     * @param {Object} match - Filter match
+     * @param {number} renderDepth - Rendering depth
+     * @param {number} clampedDepth - Depth used for indentation
+     * @returns {HTMLElement|null} Notice element with the comment's replies, or null
+     */
+    renderFilteredComment(comment, match, renderDepth, clampedDepth) {
+        const hasChildren = comment.children && comment.children.length > 0;
+        if (match.mode === FILTER_MODE.HIDE && !hasChildren) {
+            return null;
+        }
+
+        const commentElement = DOM.createElement('div', {
+            className: `comment filtered-comment ${comment.depth > 0 ? 'nested-comment' : ''}`,
+            'data-comment-id': comment.id,
+            'data-depth': clampedDepth,
+            'id': `comment-${comment.id}`
+        }, [
+            renderFilteredNotice(match, () => {
+                contentFilters.reveal('comment', comment.id);
+                commentElement.replaceWith(this.renderComment(comment, renderDepth));
+            }, {
+                label: 'Comment',
+                className: 'comment-content mb-2'
+            })
+        ]);
+
+        if (hasChildren) {
+            commentElement.appendChild(this.renderReplies(comment, renderDepth));
         }
 
         return commentElement;
     }
 
+    /**
+     * Render the link or button for replies the tree fetch didn't include
+     * Comments at the depth limit link to their own thread; others can load
+     * the missing replies in place.
+     * @param {Object} comment - Comment data
+     * @returns {HTMLElement|null} Control, or null if nothing is missing
+     */
+    renderMoreReplies(comment) {
+        if (this.getMissingReplyCount(comment) === 0) {
+            return null;
+        }
+
+        if (comment.depth >= COMMENT_TREE_DEPTH - 1) {
+            return DOM.createElement('a', {
+                href: this.getThreadUrl(comment.id),
+                className: 'comment-more-replies btn btn-sm btn-link p-0 mt-2'
+            }, [
+                DOM.createElement('i', { className: 'bi bi-arrow-return-right me-1' }),
+                `Continue this thread (${this.getMissingReplyCount(comment)} more)`
+            ]);
+        }
+
+        return DOM.createElement('button', {
+            type: 'button',
+            className: 'comment-more-replies btn btn-sm btn-link p-0 mt-2',
+            'data-action': 'load-more-replies'
+        }, this.getMoreRepliesLabel(comment));
+    }
+
+    /**
+     * Count the replies below a comment that weren't loaded
+     * child_count covers every level below the comment, so the loaded
+     * children and everything under them are subtracted.
+     * @param {Object} comment - Comment data
+     * @returns {number} Missing replies
+     */
+    getMissingReplyCount(comment) {
+        if (this.repliesExhausted.has(String(comment.id))) {
+            return 0;
+        }
+        const loaded = (comment.children || []).reduce((total, child) => total + 1 + (child.childCount || 0), 0);
+        return Math.max((comment.childCount || 0) - loaded, 0);
+    }
+
+    /**
+     * Label for the "load more replies" button
+     * @param {Object} comment - Comment data
+     * @returns {string} Label
+     */
+    getMoreRepliesLabel(comment) {
+        const missing = this.getMissingReplyCount(comment);
+        return `Load ${missing} more ${missing === 1 ? 'reply' : 'replies'}`;
+    }
+
+    /**
+     * Link to a comment's context view
+     * @param {number} commentId - Comment ID
+     * @returns {string} URL
+     */
+    getThreadUrl(commentId) {
+        return `/post/${this.post.id}?comment=${commentId}`;
+    }
+
+    // ========================================
+    // LIVE UPDATES
+    // ========================================
+
+    /**
+     * Check if a comment should be highlighted as new
+     * New means posted since the previous visit to this post, or added by the
+     * background check during this one. The user's own comments never are.
+     * @param {Object} comment - Comment data
+     * @returns {boolean} True if the comment is new
+     */
+    isNewComment(comment) {
+        if (this.liveCommentIds.has(String(comment.id))) {
+            return true;
+        }
+        return Boolean(this.lastSeenAt) && comment.published > this.lastSeenAt && !this.isCurrentUserComment(comment);
+    }
+
+    /**
+     * Start checking for new comments in the background
+     */
+    startLiveUpdates() {
+        if (this.liveUpdateTimer || !CONFIG.FEATURES.LIVE_COMMENTS) return;
+        this.liveUpdateTimer = setInterval(() => this.checkForNewComments(), CONFIG.LIVE_COMMENTS.POLL_INTERVAL_MS);
+    }
+
+    /**
+     * Stop checking for new comments
+     */
+    stopLiveUpdates() {
+        clearInterval(this.liveUpdateTimer);
+        this.liveUpdateTimer = null;
+    }
+
+    /**
+     * Fetch the newest comments and offer the ones not shown yet
+     * Nothing is added to the page here; the "new comments" pill does that
+     * when clicked, so the thread doesn't move while it's being read.
+     */
+    async checkForNewComments() {
+        // Skip checks nobody would see, and ones that would race a reload
+        if (document.hidden || !navigator.onLine || this.isLoadingComments) return;
+
+        try {
+            // A flat list: with a max depth Lemmy would return the tree and ignore the limit
+            const response = await this.api.getComments(this.post.id, {
+                sort: 'New',
+                maxDepth: null,
+                page: 1,
+                limit: CONFIG.LIVE_COMMENTS.POLL_LIMIT
+            }, { cacheMode: 'reload' });
+
+            // The post may have been closed or reloaded while the request ran
+            if (!this.element || this.isLoadingComments) return;
+
+            (response.comments || []).forEach(view => {
+                const id = String(view.comment.id);
+                if (this.pendingComments.has(id) || this.findCommentById(id)) return;
+                if (this.isCurrentUserComment(this.formatComment(view))) return;
+                this.pendingComments.set(id, view);
+            });
+            this.updateNewCommentsPill();
+        } catch (error) {
+            // Try again at the next check
+            console.warn('Failed to check for new comments:', error);
+        }
+    }
+
+    /**
+     * Get the pending comments that can be added to the tree, parents first
+     * Replies need their parent on the page; the context view only takes replies.
+     * @returns {Array} Comment views
+     */
+    getMergeableComments() {
+        const known = new Set(this.formattedComments.map(comment => String(comment.id)));
+
+        return Array.from(this.pendingComments.values())
+            .sort((a, b) => a.comment.path.split('.').length - b.comment.path.split('.').length ||
+                new Date(a.comment.published) - new Date(b.comment.published))
+            .filter(view => {
+                const parentId = this.getCommentParentId(view.comment.path);
+                const fits = parentId ? known.has(String(parentId)) : !this.contextCommentId;
+                if (fits) {
+                    known.add(String(view.comment.id));
+                }
+                return fits;
+            });
+    }
+
+    /**
+     * Show, update or hide the "N new comments" pill
+     */
+    updateNewCommentsPill() {
+        if (!this.element) return;
+
+        const count = this.getMergeableComments().length;
+        if (!this.newCommentsPill) {
+            if (count === 0) return;
+            this.newCommentsPill = DOM.createElement('button', {
+                type: 'button',
+                className: 'new-comments-pill btn btn-primary btn-sm rounded-pill shadow',
+                'aria-live': 'polite',
+                onClick: () => this.showNewComments()
+            });
+            this.element.appendChild(this.newCommentsPill);
+        }
+
+        this.newCommentsPill.replaceChildren(
+            DOM.createElement('i', { className: 'bi bi-chat-dots me-1' }),
+            `${count} new ${count === 1 ? 'comment' : 'comments'}`
+        );
+        this.newCommentsPill.classList.toggle('d-none', count === 0);
+    }
+
+    /**
+     * Add the pending comments to the tree and scroll to the first one
+     * Replies are added to their threads; new top-level comments go first.
+     */
+    showNewComments() {
+        const views = this.getMergeableComments();
+        this.pendingComments.clear();
+        this.updateNewCommentsPill();
+        if (views.length === 0) return;
+
+        const hadThreads = Boolean(this.commentList?.items.size);
+        const changedThreads = new Set();
+        const newThreads = [];
+        let firstAdded = null;
+
+        views.forEach(view => {
+            const comment = this.updateCommentInTree(view.comment.id, view);
+            if (!comment) return;
+
+            firstAdded = firstAdded || comment;
+            this.liveCommentIds.add(String(comment.id));
+            if (this.getCommentParentId(comment.path)) {
+                changedThreads.add(this.threadOfComment.get(String(comment.id)));
+            } else {
+                newThreads.push(comment);
+            }
+        });
+
+        if (hadThreads) {
+            changedThreads.forEach(threadId => this.rerenderThread(threadId));
+            // Oldest first, so the newest ends up on top
+            newThreads.forEach(comment => this.commentList.prepend(comment.id, () => this.renderComment(comment, 0)));
+        } else {
+            // Replaces the "No comments yet" message
+            this.renderComments();
+        }
+
+        postVisits.markSeen(this.post.id);
+        if (firstAdded) {
+            this.mountComment(firstAdded.id)?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        }
+    }
+
+    // ========================================
+    // COMMENT CONTEXT
+    // ========================================
+
+    /**
+     * Fetch the context comment with its nearest parent and its replies
+     * Replies are fetched as deep as a thread on the full post page, so a
+     * continued thread shows the same levels instead of only direct replies.
+     * The other parents come from the comment's path, one request each, so
+     * they're only fetched when "Show N parents" is clicked. If the comment
+     * can't be loaded (deleted or purged), the whole thread is shown instead.
+     * @param {string} sortType - Sort for the replies
+     * @returns {Promise<Object>} Response shaped like getComments' ({ comments })
+     */
+    async fetchCommentContext(sortType) {
+        let target;
+        try {
+            ({ comment_view: target } = await this.api.getComment(this.contextCommentId));
+        } catch (error) {
+            console.warn('Failed to load the linked comment:', error);
+            DOM.showToast("The linked comment couldn't be loaded. Showing the whole thread.", 'info');
+            this.contextCommentId = null;
+            this.unloadedParentIds = [];
+            return this.api.getComments(this.post.id, { sort: sortType, maxDepth: COMMENT_TREE_DEPTH });
+        }
+
+        // Path is "0.<root>...<parent>.<comment>"
+        const parentIds = target.comment.path.split('.').slice(1, -1).map(Number);
+        const nearestParentId = parentIds.pop();
+
+        const [nearestParent, repliesResponse] = await Promise.all([
+            nearestParentId ? this.fetchCommentView(nearestParentId) : null,
+            this.api.getComments(this.post.id, {
+                sort: sortType,
+                maxDepth: COMMENT_TREE_DEPTH - 1,
+                parent_id: this.contextCommentId
+            })
+        ]);
+        this.unloadedParentIds = parentIds;
+
+        const replies = (repliesResponse.comments || []).filter(view => view.comment.id !== target.comment.id);
+        return { comments: [nearestParent, target, ...replies].filter(Boolean) };
+    }
+
+    /**
+     * Fetch one comment, or null if it can't be loaded
+     * @param {number} commentId - Comment ID
+     * @returns {Promise<Object|null>} Comment view
+     */
+    async fetchCommentView(commentId) {
+        try {
+            return (await this.api.getComment(commentId)).comment_view;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Fetch and show the remaining parents of the context comment
+     * @param {HTMLElement} button - The "Show N parents" button
+     */
+    async showContextParents(button) {
+        if (this.unloadedParentIds.length === 0) return;
+
+        button.disabled = true;
+        button.textContent = 'Loading parents...';
+
+        const parents = (await Promise.all(this.unloadedParentIds.map(id => this.fetchCommentView(id)))).filter(Boolean);
+        const loadedIds = new Set(this.comments.map(view => view.comment.id));
+        this.unloadedParentIds = [];
+        this.comments = [...parents.filter(view => !loadedIds.has(view.comment.id)), ...this.comments];
+        this.renderComments();
+    }
+
+    /**
+     * Render the notice above a comment's context
+     * @returns {HTMLElement} Notice element
+     */
+    renderContextBanner() {
+        const hidden = this.unloadedParentIds.length;
+
+        return DOM.createElement('div', {
+            className: 'alert alert-secondary d-flex flex-wrap align-items-center gap-2 py-2 small'
+        }, [
+            DOM.createElement('i', { className: 'bi bi-diagram-3' }),
+            DOM.createElement('span', { className: 'flex-grow-1' }, "You are viewing a single comment's thread."),
+            hidden > 0 ? DOM.createElement('button', {
+                type: 'button',
+                className: 'btn btn-link btn-sm alert-link p-0',
+                'data-action': 'show-context-parents'
+            }, `Show ${hidden} ${hidden === 1 ? 'parent' : 'parents'}`) : null,
+            DOM.createElement('a', {
+                href: `/post/${this.post.id}#comment-${this.contextCommentId}`,
+                className: 'alert-link'
+            }, 'View full thread')
+        ]);
+    }
+
+    /**
+     * Re-render the comments when the block list changes
+     */
+    handleBlocklistChange() {
+        if (this.comments.length > 0) {
+            this.renderComments();
+        }
+    }
+
+    /**
+     * Register j/k navigation through the comments and the comment shortcuts
+     * Vote and save act on the focused comment, or on the post when no
+     * comment is focused.
+     * @returns {Array<Object>} Registered bindings
+     */
+    setupKeyboardShortcuts() {
+        const ownAction = (action) => clickAction(this.commentNavigator.getCurrent(), action, '.comment');
+
+        return shortcuts.registerAll([
+            { key: 'j', description: 'Next comment', handler: () => this.commentNavigator.next() },
+            { key: 'k', description: 'Previous comment', handler: () => this.commentNavigator.previous() },
+            {
+                key: 'o',
+                description: 'Open the post\'s link',
+                handler: () => {
+                    if (this.post.url) {
+                        window.open(this.post.url, '_blank', 'noopener');
+                    }
+                }
+            },
+            {
+                key: 'c',
+                description: 'Reply to comment (or comment on the post)',
+                handler: () => {
+                    if (!this.commentNavigator.getCurrent()) {
+                        this.showCommentForm();
+                    } else {
+                        ownAction('reply-comment');
+                    }
+                }
+            },
+            {
+                key: 'a',
+                description: 'Upvote comment or post',
+                handler: () => this.commentNavigator.getCurrent() ? ownAction('upvote-comment') : this.handleVote(1)
+            },
+            {
+                key: 'z',
+                description: 'Downvote comment or post',
+                handler: () => this.commentNavigator.getCurrent() ? ownAction('downvote-comment') : this.handleVote(-1)
+            },
+            {
+                key: 's',
+                description: 'Save comment or post',
+                handler: () => this.commentNavigator.getCurrent() ? ownAction('save-comment') : this.handleSave()
+            },
+            { key: 'x', handler: () => ownAction('toggle-collapse') }
+        ], {
+            group: 'Post and comments',
+            when: () => this.element?.isConnected
+        });
+    }
+
+    /**
+     * Get the rendered comment elements in page order
+     * Threads detached while off screen are represented by their virtual list placeholder.
+     * @returns {Array<HTMLElement>} Comment elements, including blocked and filtered placeholders
+     */
+    getCommentElements() {
+        return this.element ? Array.from(this.element.querySelectorAll(
+            '#comments-container .comment[data-comment-id], #comments-container > .virtual-placeholder, ' +
+            '#comments-container .comment-children > .virtual-placeholder'
+        )) : [];
+    }
+
     /**
      * Get the rendered element
      * @returns {HTMLElement} The post detail element
@@ -1484,6 +2303,14 @@ export class PostDetailComponent {
      * Destroy the component
      */
     destroy() {
+        this.stopLiveUpdates();
+        blocklist.removeListener(this.handleBlocklistChange);
+        shortcuts.unregisterAll(this.shortcutBindings);
+        this.commentNavigator.clear();
+        this.commentList?.destroy();
+        this.commentList = null;
+        this.replyLists.forEach(list => list.destroy());
+        this.replyLists.clear();
         if (this.element) {
             this.element.removeEventListener('click', this.handleCommentActions);
             
@@ -1519,6 +2346,12 @@ export class PostDetailComponent {
             case 'toggle-collapse':
                 this.toggleCommentCollapse(commentId);
                 break;
+            case 'load-more-replies':
+                this.handleLoadMoreReplies(commentId);
+                break;
+            case 'show-context-parents':
+                this.showContextParents(target.closest('[data-action]'));
+                break;
             case 'upvote-comment':
                 this.handleCommentVote(commentId, 1);
                 break;
@@ -1529,6 +2362,9 @@ export class PostDetailComponent {
                 this.handleCommentReply(commentId).catch(error => {
                 });
                 break;
+            case 'save-comment':
+                this.handleCommentSave(commentId);
+                break;
             case 'edit-comment':
                 this.handleEditComment(commentId);
                 break;
@@ -1538,6 +2374,18 @@ export class PostDetailComponent {
             case 'report-comment':
                 this.handleReportComment(commentId);
                 break;
+            case COMMENT_MOD_ACTION.REMOVE:
+            case COMMENT_MOD_ACTION.DISTINGUISH:
+            case COMMENT_MOD_ACTION.LOCK:
+            case COMMENT_MOD_ACTION.SHOW_REMOVED:
+                this.handleCommentModeration(action, commentId);
+                break;
+            case 'block-comment-author':
+                this.handleBlockCommentAuthor(commentId);
+                break;
+            case 'block-comment-instance':
+                this.handleBlockCommentInstance(commentId);
+                break;
             case 'show-comment-form':
                 this.showCommentForm();
                 break;
@@ -1573,30 +2421,48 @@ export class PostDetailComponent {
      * @param {string} commentId - Comment ID to toggle
      */
     toggleCommentCollapse(commentId) {
-        const commentElement = document.querySelector(`[data-comment-id="${commentId}"]`);
+        const commentElement = this.findCommentElement(commentId);
         const childrenContainer = commentElement?.querySelector(`[data-children-for="${commentId}"]`);
-        const collapseBtn = commentElement?.querySelector('[data-action="toggle-collapse"]');
-
-        if (!commentElement || !childrenContainer || !collapseBtn) return;
 
-        const isCollapsed = childrenContainer.style.display === 'none';
+        if (!commentElement || !childrenContainer) return;
 
-        if (isCollapsed) {
-            // Expand
-            childrenContainer.style.display = '';
-            collapseBtn.innerHTML = [
-                DOM.createElement('i', { className: 'bi bi-dash-square me-1' }),
-                'Collapse'
-            ].map(el => el.outerHTML || el).join('');
-            collapseBtn.setAttribute('aria-label', 'Collapse comment thread');
+        const collapse = childrenContainer.style.display !== 'none';
+        if (collapse) {
+            this.collapsedComments.add(String(commentId));
         } else {
-            // Collapse
-            childrenContainer.style.display = 'none';
+            this.collapsedComments.delete(String(commentId));
+        }
+        this.setCommentCollapsed(commentElement, commentId, collapse);
+    }
+
+    /**
+     * Show a comment's replies or hide them, and update its collapse button
+     * @param {HTMLElement} commentElement - Comment element
+     * @param {string|number} commentId - Comment ID
+     * @param {boolean} collapsed - True to hide the replies
+     */
+    setCommentCollapsed(commentElement, commentId, collapsed) {
+        const childrenContainer = commentElement.querySelector(`[data-children-for="${commentId}"]`);
+        const collapseBtn = Array.from(commentElement.querySelectorAll('[data-action="toggle-collapse"]'))
+            .find(button => button.dataset.commentId === String(commentId));
+
+        if (childrenContainer) {
+            childrenContainer.style.display = collapsed ? 'none' : '';
+        }
+        if (!collapseBtn) return;
+
+        if (collapsed) {
             collapseBtn.innerHTML = [
                 DOM.createElement('i', { className: 'bi bi-plus-square me-1' }),
                 'Expand'
             ].map(el => el.outerHTML || el).join('');
             collapseBtn.setAttribute('aria-label', 'Expand comment thread');
+        } else {
+            collapseBtn.innerHTML = [
+                DOM.createElement('i', { className: 'bi bi-dash-square me-1' }),
+                'Collapse'
+            ].map(el => el.outerHTML || el).join('');
+            collapseBtn.setAttribute('aria-label', 'Collapse comment thread');
         }
     }
 
@@ -1615,6 +2481,8 @@ export class PostDetailComponent {
             return;
         }
 
+        let previousVote = null;
+
         try {
             // Find the comment in our data structure
             const comment = this.findCommentById(commentId);
@@ -1635,7 +2503,7 @@ export class PostDetailComponent {
             }
 
             // Disable vote buttons during request
-            const commentElement = document.querySelector(`[data-comment-id="${commentId}"]`);
+            const commentElement = this.findCommentElement(commentId);
             const voteButtons = commentElement?.querySelectorAll('[data-action*="vote-comment"]');
             voteButtons?.forEach(btn => btn.disabled = true);
 
@@ -1645,18 +2513,27 @@ export class PostDetailComponent {
             if (isNaN(numericCommentId)) {
                 throw new Error(`Invalid comment ID: ${commentId}`);
             }
+
+            // Show the vote right away; the server response corrects the counts
+            previousVote = this.getCommentVoteState(comment);
+            this.setCommentVoteState(commentId, comment, {
+                myVote: newVoteScore,
+                upvotes: previousVote.upvotes - (currentVote === 1 ? 1 : 0) + (newVoteScore === 1 ? 1 : 0),
+                downvotes: previousVote.downvotes - (currentVote === -1 ? 1 : 0) + (newVoteScore === -1 ? 1 : 0),
+                score: previousVote.score - currentVote + newVoteScore
+            });
+
             const voteResponse = await this.api.voteComment(numericCommentId, newVoteScore);
+
+            if (isQueuedResponse(voteResponse)) {
+                // Offline: keep the optimistic state until the outbox sends the vote
+                DOM.showToast('You are offline. Your vote will be sent when you reconnect.', 'info');
+                this.reconcileQueuedCommentVote(voteResponse.outboxId, commentId, comment, previousVote);
+                return;
+            }
             
             if (voteResponse && voteResponse.comment_view) {
-                // Update comment data with new vote information
-                const updatedComment = voteResponse.comment_view;
-                comment.myVote = updatedComment.my_vote || 0;
-                comment.stats.upvotes = updatedComment.counts?.upvotes || 0;
-                comment.stats.downvotes = updatedComment.counts?.downvotes || 0;
-                comment.stats.score = updatedComment.counts?.score || 0;
-                
-                // Update UI to reflect new vote state
-                this.updateCommentVoteDisplay(commentId, comment);
+                this.applyServerCommentVote(commentId, comment, voteResponse.comment_view);
                 
                 // Show success message only for vote removal
                 if (newVoteScore === 0) {
@@ -1665,15 +2542,179 @@ export class PostDetailComponent {
             }
 
         } catch (error) {
+            if (previousVote) {
+                this.setCommentVoteState(commentId, this.findCommentById(commentId), previousVote);
+            }
             DOM.showToast('Failed to vote. Please try again.', 'error');
         } finally {
             // Re-enable vote buttons
-            const commentElement = document.querySelector(`[data-comment-id="${commentId}"]`);
+            const commentElement = this.findCommentElement(commentId);
             const voteButtons = commentElement?.querySelectorAll('[data-action*="vote-comment"]');
             voteButtons?.forEach(btn => btn.disabled = false);
         }
     }
 
+    /**
+     * Get a comment's vote and counts, to restore them if a vote fails
+     * @param {Object} comment - Formatted comment
+     * @returns {Object} Vote state
+     */
+    getCommentVoteState(comment) {
+        return {
+            myVote: comment.myVote || 0,
+            upvotes: comment.stats.upvotes || 0,
+            downvotes: comment.stats.downvotes || 0,
+            score: comment.stats.score || 0
+        };
+    }
+
+    /**
+     * Set a comment's vote state and refresh its display
+     * @param {string} commentId - Comment ID
+     * @param {Object|null} comment - Formatted comment
+     * @param {Object} state - State from getCommentVoteState()
+     */
+    setCommentVoteState(commentId, comment, state) {
+        if (!comment) {
+            return;
+        }
+        comment.myVote = state.myVote;
+        comment.stats.upvotes = state.upvotes;
+        comment.stats.downvotes = state.downvotes;
+        comment.stats.score = state.score;
+        this.updateCommentVoteDisplay(commentId, comment);
+    }
+
+    /**
+     * Update a comment's vote from a server comment_view
+     * @param {string} commentId - Comment ID
+     * @param {Object|null} comment - Formatted comment
+     * @param {Object} commentView - comment_view from the vote response
+     */
+    applyServerCommentVote(commentId, comment, commentView) {
+        this.setCommentVoteState(commentId, comment, {
+            myVote: commentView.my_vote || 0,
+            upvotes: commentView.counts?.upvotes || 0,
+            downvotes: commentView.counts?.downvotes || 0,
+            score: commentView.counts?.score || 0
+        });
+    }
+
+    /**
+     * Settle a comment vote that was queued while offline
+     * Queued votes on the same comment are merged, so the state from before
+     * the first of them is the one restored on failure.
+     * @param {number} outboxId - Outbox action ID
+     * @param {string} commentId - Comment ID
+     * @param {Object} comment - Formatted comment
+     * @param {Object} previousVote - State from before this vote
+     */
+    reconcileQueuedCommentVote(outboxId, commentId, comment, previousVote) {
+        const key = String(commentId);
+        if (!this.queuedVoteRollbacks.has(key)) {
+            this.queuedVoteRollbacks.set(key, previousVote);
+        }
+
+        outbox.waitFor(outboxId)
+            .then(response => {
+                this.queuedVoteRollbacks.delete(key);
+                if (response?.comment_view) {
+                    this.applyServerCommentVote(commentId, this.findCommentById(commentId) || comment, response.comment_view);
+                }
+            })
+            .catch(error => {
+                const rollback = this.queuedVoteRollbacks.get(key);
+                if (!rollback) {
+                    return;
+                }
+                this.queuedVoteRollbacks.delete(key);
+                this.setCommentVoteState(commentId, this.findCommentById(commentId) || comment, rollback);
+                DOM.showToast(`Your offline vote was not saved: ${error.message}`, 'warning');
+            });
+    }
+
+    /**
+     * Handle saving or unsaving a comment
+     * @param {string} commentId - Comment ID
+     */
+    async handleCommentSave(commentId) {
+        if (!authManager.isAuthenticated()) {
+            DOM.showToast('Please log in to save comments', 'info');
+            return;
+        }
+
+        const comment = this.findCommentById(commentId);
+        if (!comment) {
+            return;
+        }
+
+        const wasSaved = comment.saved;
+        const commentElement = this.findCommentElement(commentId);
+        const button = commentElement?.querySelector(`[data-action="save-comment"][data-comment-id="${commentId}"]`);
+        if (button) {
+            button.disabled = true;
+        }
+
+        // Show the new state right away; revert it if the request fails
+        this.setCommentSavedState(commentId, comment, !wasSaved);
+
+        try {
+            const response = await this.api.saveComment(parseInt(commentId), !wasSaved);
+
+            if (isQueuedResponse(response)) {
+                DOM.showToast('You are offline. The comment will be saved when you reconnect.', 'info');
+                outbox.waitFor(response.outboxId)
+                    .then(result => {
+                        if (result?.comment_view) {
+                            this.setCommentSavedState(commentId, this.findCommentById(commentId) || comment, result.comment_view.saved || false);
+                        }
+                    })
+                    .catch(error => {
+                        this.setCommentSavedState(commentId, this.findCommentById(commentId) || comment, wasSaved);
+                        DOM.showToast(`Your offline save was not applied: ${error.message}`, 'warning');
+                    });
+                return;
+            }
+
+            if (response?.comment_view) {
+                this.setCommentSavedState(commentId, comment, response.comment_view.saved || false);
+            }
+            DOM.showToast(comment.saved ? 'Comment saved' : 'Comment removed from saved', 'success');
+        } catch (error) {
+            console.error('Error saving comment:', error);
+            this.setCommentSavedState(commentId, comment, wasSaved);
+            DOM.showToast('Failed to save comment. Please try again.', 'error');
+        } finally {
+            if (button) {
+                button.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * Update a comment's saved flag and its save button
+     * @param {string} commentId - Comment ID
+     * @param {Object} comment - Formatted comment
+     * @param {boolean} saved - Whether the comment is saved
+     */
+    setCommentSavedState(commentId, comment, saved) {
+        if (comment) {
+            comment.saved = saved;
+        }
+
+        const commentElement = this.findCommentElement(commentId);
+        const button = commentElement?.querySelector(`[data-action="save-comment"][data-comment-id="${commentId}"]`);
+        if (!button) return;
+
+        button.setAttribute('aria-pressed', String(saved));
+        button.title = saved ? 'Unsave' : 'Save';
+        button.innerHTML = '';
+        button.appendChild(DOM.createElement('i', {
+            className: `bi ${saved ? 'bi-bookmark-fill' : 'bi-bookmark'} me-1`
+        }));
+        button.appendChild(DOM.createElement('span', {}, saved ? 'Saved' : 'Save'));
+    }
+
     /**
      * Find a comment by ID in the comments tree
      * @param {string} commentId - Comment ID to find
@@ -1730,51 +2771,35 @@ export class PostDetailComponent {
     }
 
     /**
-     * Update a comment in the tree structure
+     * Update a comment in the tree, or add it under its parent if it's new
+     * Known comments are updated in place, so the tree keeps pointing at them.
+     * A new reply needs its parent loaded; a new top-level comment is added as
+     * its own thread (the caller renders it).
      * @param {string} commentId - Comment ID to update
-     * @param {Object} updatedComment - Updated comment data
+     * @param {Object} commentView - Comment view from the API
+     * @returns {Object|null} The comment in the tree, or null if it has nowhere to go
      */
-    updateCommentInTree(commentId, updatedComment) {
-        // Update in formatted comments array for faster access
-        if (this.formattedComments && Array.isArray(this.formattedComments)) {
-            const formattedIndex = this.formattedComments.findIndex(c => c.id === commentId);
-            if (formattedIndex !== -1) {
-                this.formattedComments[formattedIndex] = updatedComment;
-            }
-        }
+    updateCommentInTree(commentId, commentView) {
+        const viewIndex = this.comments.findIndex(view => String(view.comment?.id) === String(commentId));
+        const existing = this.findCommentById(commentId);
 
-        // Update in the tree structure
-        const updateInComments = (comments) => {
-            if (!Array.isArray(comments)) {
-                return false;
-            }
-            
-            for (let i = 0; i < comments.length; i++) {
-                const comment = comments[i];
-                if (!comment || !comment.id) {
-                    continue;
-                }
-                
-                // Compare both as strings to handle integer/string mismatches
-                if (comment.id.toString() === commentId.toString() || 
-                    parseInt(comment.id) === parseInt(commentId)) {
-                    // Update the comment while preserving the children
-                    const children = comment.children || [];
-                    comments[i] = { ...updatedComment, children };
-                    return true;
-                }
-                
-                // Check children recursively
-                if (comment.children && comment.children.length > 0) {
-                    if (updateInComments(comment.children)) {
-                        return true;
-                    }
-                }
+        if (existing) {
+            if (viewIndex !== -1) {
+                this.comments[viewIndex] = commentView;
             }
-            return false;
-        };
-        
-        updateInComments(this.comments);
+            Object.assign(existing, this.formatComment(commentView), { children: existing.children });
+            return existing;
+        }
+
+        if (this.getCommentParentId(commentView.comment.path)) {
+            return this.insertReplies([commentView]) > 0 ? this.findCommentById(commentId) : null;
+        }
+
+        const comment = this.formatComment(commentView);
+        this.comments.push(commentView);
+        this.formattedComments.push(comment);
+        this.threadOfComment.set(String(comment.id), comment.id);
+        return comment;
     }
 
     /**
@@ -1814,7 +2839,7 @@ export class PostDetailComponent {
      * @param {Object} comment - Updated comment data
      */
     updateCommentVoteDisplay(commentId, comment) {
-        const commentElement = document.querySelector(`[data-comment-id="${commentId}"]`);
+        const commentElement = this.findCommentElement(commentId);
         if (!commentElement) return;
 
         const upvoteBtn = commentElement.querySelector('[data-action="upvote-comment"]');
@@ -1865,7 +2890,7 @@ export class PostDetailComponent {
      * @param {Object} comment - Comment data
      */
     updateCommentVoteRatioBar(commentId, comment) {
-        const commentElement = document.querySelector(`[data-comment-id="${commentId}"]`);
+        const commentElement = this.findCommentElement(commentId);
         if (!commentElement) return;
 
         const ratioBar = commentElement.querySelector('.vote-ratio-bar');
@@ -1913,7 +2938,7 @@ export class PostDetailComponent {
         this.hideAllReplyForms();
 
         // Find the comment element
-        const commentElement = document.querySelector(`[data-comment-id="${commentId}"]`);
+        const commentElement = this.findCommentElement(commentId);
         if (!commentElement) {
             return;
         }
@@ -2189,6 +3214,20 @@ export class PostDetailComponent {
             };
 
             const response = await this.api.createComment(replyData);
+
+            if (isUnconfirmedResponse(response)) {
+                DOM.showToast('The connection dropped while posting your reply. Check whether it went through, then send it again from the pending actions.', 'warning');
+                replyForm.remove();
+                this.watchQueuedComment(response.outboxId);
+                return;
+            }
+
+            if (isQueuedResponse(response)) {
+                DOM.showToast('You are offline. Your reply will be posted when you reconnect.', 'info');
+                replyForm.remove();
+                this.watchQueuedComment(response.outboxId);
+                return;
+            }
             
             if (response && response.comment_view) {
                 // Show success message
@@ -2220,6 +3259,24 @@ export class PostDetailComponent {
         }
     }
 
+    /**
+     * Show a comment queued while offline once the outbox has posted it
+     * @param {number} outboxId - Outbox action ID
+     */
+    watchQueuedComment(outboxId) {
+        outbox.waitFor(outboxId)
+            .then(async (response) => {
+                DOM.showToast('Your offline comment was posted', 'success');
+                await this.loadComments(this.currentCommentSort);
+                if (response?.comment_view) {
+                    this.scrollToNewComment(response.comment_view.comment.id);
+                }
+            })
+            .catch(error => {
+                DOM.showToast(`Your offline comment was not posted: ${error.message}`, 'warning');
+            });
+    }
+
     /**
      * Preview reply content
      * @param {string} commentId - Parent comment ID
@@ -2372,7 +3429,7 @@ export class PostDetailComponent {
                 DOM.showToast(successText, 'success');
 
                 // Update the comment element in the DOM to show deleted state
-                const commentElement = this.element.querySelector(`[data-comment-id="${commentId}"]`);
+                const commentElement = this.findCommentElement(commentId);
                 if (commentElement) {
                     if (newDeletedState) {
                         commentElement.classList.add('deleted-comment-indicator');
@@ -2434,19 +3491,7 @@ export class PostDetailComponent {
                 throw new Error('Invalid response from server');
             }
         } catch (error) {
-            
-            // Provide more specific error messages based on error type
-            let errorMessage = 'Failed to delete comment. Please try again.';
-            
-            if (error.message && error.message.includes('rate')) {
-                errorMessage = 'Rate limited. Please wait a moment before trying again.';
-            } else if (error.message && error.message.includes('unauthorized')) {
-                errorMessage = 'You are not authorized to delete this comment.';
-            } else if (error.message && error.message.includes('not found')) {
-                errorMessage = 'Comment not found or already deleted.';
-            }
-            
-            DOM.showToast(errorMessage, 'error');
+            DOM.showToast(describeContentError(error, 'delete', 'comment'), 'error');
         }
     }
 
@@ -2455,8 +3500,37 @@ export class PostDetailComponent {
      * @param {string} commentId - Comment ID to report
      */
     handleReportComment(commentId) {
-        // TODO: Implement comment reporting functionality
-        DOM.showToast('Report comment functionality coming soon!', 'info');
+        if (!authManager.isAuthenticated()) {
+            DOM.showToast('Please log in to report comments', 'info');
+            return;
+        }
+
+        const comment = this.findCommentById(commentId);
+        openReportDialog({
+            kind: 'comment',
+            id: commentId,
+            api: this.api,
+            community: this.post.community,
+            excerpt: comment?.content || ''
+        });
+    }
+
+    /**
+     * Handle post reporting
+     */
+    handleReportPost() {
+        if (!authManager.isAuthenticated()) {
+            DOM.showToast('Please log in to report posts', 'info');
+            return;
+        }
+
+        openReportDialog({
+            kind: 'post',
+            id: this.post.id,
+            api: this.api,
+            community: this.post.community,
+            excerpt: this.post.title
+        });
     }
 
     /**
@@ -2478,6 +3552,19 @@ export class PostDetailComponent {
         return currentUser.name === comment.author.name;
     }
 
+    /**
+     * Check if the post belongs to the current user
+     * @returns {boolean|null} True for the author, false for anyone else, null when logged out
+     */
+    isCurrentUserPost() {
+        const currentUser = authManager.isAuthenticated() ? authManager.getCurrentUser() : null;
+        if (!currentUser) {
+            return null;
+        }
+
+        return currentUser.name === this.post.author?.name;
+    }
+
     /**
      * Handle comment sort dropdown change
      * @param {Event} event - Change event
@@ -2564,9 +3651,124 @@ export class PostDetailComponent {
             ]));
         }
 
+        // Add author menu with block options
+        const authorMenu = this.renderCommentAuthorMenu(comment, authorUrl);
+        if (authorMenu) {
+            authorContainer.appendChild(authorMenu);
+        }
+
         return authorContainer;
     }
 
+    /**
+     * Render the dropdown next to a comment author's name
+     * @param {Object} comment - Comment data
+     * @param {string} authorUrl - Profile URL of the author
+     * @returns {HTMLElement|null} Author menu element, or null for logged-out users and own comments
+     */
+    renderCommentAuthorMenu(comment, authorUrl) {
+        if (!authManager.isAuthenticated() || this.isCurrentUserComment(comment)) {
+            return null;
+        }
+
+        const menuItems = [
+            DOM.createElement('li', {}, [
+                DOM.createElement('a', {
+                    className: 'dropdown-item',
+                    href: authorUrl
+                }, [
+                    DOM.createElement('i', {
+                        className: 'bi bi-person me-2'
+                    }),
+                    'View Profile'
+                ])
+            ]),
+            DOM.createElement('li', {}, [
+                DOM.createElement('hr', {
+                    className: 'dropdown-divider'
+                })
+            ]),
+            DOM.createElement('li', {}, [
+                DOM.createElement('button', {
+                    className: 'dropdown-item text-danger',
+                    type: 'button',
+                    'data-action': 'block-comment-author',
+                    'data-comment-id': comment.id,
+                    title: 'Hide posts and comments from this user'
+                }, [
+                    DOM.createElement('i', {
+                        className: 'bi bi-person-slash me-2'
+                    }),
+                    'Block User'
+                ])
+            ])
+        ];
+
+        // Your own instance can't be blocked
+        const instance = comment.author.local ? null : getInstanceOf(comment.author);
+        if (instance) {
+            menuItems.push(DOM.createElement('li', {}, [
+                DOM.createElement('button', {
+                    className: 'dropdown-item text-danger',
+                    type: 'button',
+                    'data-action': 'block-comment-instance',
+                    'data-comment-id': comment.id,
+                    title: `Hide posts and comments from ${instance.domain}`
+                }, [
+                    DOM.createElement('i', {
+                        className: 'bi bi-globe me-2'
+                    }),
+                    `Block ${instance.domain}`
+                ])
+            ]));
+        }
+
+        return DOM.createElement('div', {
+            className: 'dropdown comment-author-menu ms-1'
+        }, [
+            DOM.createElement('button', {
+                className: 'btn btn-sm btn-link text-muted p-0 lh-1',
+                type: 'button',
+                'data-bs-toggle': 'dropdown',
+                'aria-expanded': 'false',
+                'aria-label': `Options for ${getPersonLabel(comment.author)}`,
+                title: 'User options'
+            }, [
+                DOM.createElement('i', {
+                    className: 'bi bi-chevron-down',
+                    style: 'font-size: 0.7rem;'
+                })
+            ]),
+            DOM.createElement('ul', {
+                className: 'dropdown-menu'
+            }, menuItems)
+        ]);
+    }
+
+    /**
+     * Block the author of a comment
+     * @param {string} commentId - Comment ID
+     */
+    async handleBlockCommentAuthor(commentId) {
+        const comment = this.findCommentById(commentId);
+        if (!comment) return;
+
+        // The block list listener re-renders the comments
+        await changePersonBlock(comment.author, true);
+    }
+
+    /**
+     * Block the instance of a comment's author
+     * @param {string} commentId - Comment ID
+     */
+    async handleBlockCommentInstance(commentId) {
+        const comment = this.findCommentById(commentId);
+        const instance = comment ? getInstanceOf(comment.author) : null;
+        if (!instance) return;
+
+        await changeInstanceBlock(instance, true);
+    }
+
     /**
      * Render post author with moderator and admin indicators
      * @returns {HTMLElement} Post author element
@@ -3005,6 +4207,22 @@ export class PostDetailComponent {
             };
 
             const response = await this.api.createComment(commentData);
+
+            if (isUnconfirmedResponse(response)) {
+                DOM.showToast('The connection dropped while posting your comment. Check whether it went through, then send it again from the pending actions.', 'warning');
+                this.clearComment();
+                this.closeCommentForm();
+                this.watchQueuedComment(response.outboxId);
+                return;
+            }
+
+            if (isQueuedResponse(response)) {
+                DOM.showToast('You are offline. Your comment will be posted when you reconnect.', 'info');
+                this.clearComment();
+                this.closeCommentForm();
+                this.watchQueuedComment(response.outboxId);
+                return;
+            }
             
             if (response && response.comment_view) {
                 // Show success message
@@ -3113,6 +4331,10 @@ export class PostDetailComponent {
                 ])
             );
         }
+
+        if (this.canModerate()) {
+            menuItems.push(...renderCommentModerationItems(comment, { isOwnComment }));
+        }
         
         return menuItems;
     }
@@ -3167,20 +4389,6 @@ export class PostDetailComponent {
                 ])
             );
             
-            // Add collapse button if comment has children
-            if (comment.children && comment.children.length > 0) {
-                actionButtons.push(DOM.createElement('button', {
-                    className: 'btn btn-sm btn-link text-muted p-0',
-                    'data-action': 'toggle-collapse',
-                    'data-comment-id': comment.id,
-                    'aria-label': 'Collapse comment thread'
-                }, [
-                    DOM.createElement('i', {
-                        className: 'bi bi-dash-square me-1'
-                    }),
-                    'Collapse'
-                ]));
-            }
         } else {
             // Normal comment actions for non-deleted comments
             actionButtons.push(
@@ -3212,7 +4420,8 @@ export class PostDetailComponent {
                         className: 'vote-count'
                     }, APIUtils.formatNumber(comment.stats.downvotes))
                 ]),
-                DOM.createElement('button', {
+                // Locked threads take no replies
+                comment.locked ? null : DOM.createElement('button', {
                     className: 'btn btn-sm btn-link text-muted p-0',
                     'data-action': 'reply-comment',
                     'data-comment-id': comment.id
@@ -3222,6 +4431,18 @@ export class PostDetailComponent {
                     }),
                     'Reply'
                 ]),
+                DOM.createElement('button', {
+                    className: 'btn btn-sm btn-link text-muted p-0',
+                    'data-action': 'save-comment',
+                    'data-comment-id': comment.id,
+                    'aria-pressed': String(comment.saved),
+                    title: comment.saved ? 'Unsave' : 'Save'
+                }, [
+                    DOM.createElement('i', {
+                        className: `bi ${comment.saved ? 'bi-bookmark-fill' : 'bi-bookmark'} me-1`
+                    }),
+                    DOM.createElement('span', {}, comment.saved ? 'Saved' : 'Save')
+                ]),
                 // Comment options dropdown
                 DOM.createElement('div', {
                     className: 'dropdown comment-options-dropdown'
@@ -3245,9 +4466,22 @@ export class PostDetailComponent {
             );
         }
 
+        // Add collapse button if comment has children
+        if (comment.children && comment.children.length > 0) {
+            actionButtons.push(DOM.createElement('button', {
+                className: 'btn btn-sm btn-link text-muted p-0',
+                'data-action': 'toggle-collapse',
+                'data-comment-id': comment.id,
+                'aria-label': 'Collapse comment thread'
+            }, [
+                DOM.createElement('i', {
+                    className: 'bi bi-dash-square me-1'
+                }),
+                'Collapse'
+            ]));
+        }
 
-
-        return actionButtons;
+        return actionButtons.filter(Boolean);
     }
 
     /**
@@ -3257,7 +4491,7 @@ export class PostDetailComponent {
     scrollToNewComment(commentId) {
         // Wait a bit for the comment to be rendered
         setTimeout(() => {
-            const commentElement = document.querySelector(`[data-comment-id="${commentId}"]`);
+            const commentElement = this.mountComment(commentId);
             if (commentElement) {
                 commentElement.scrollIntoView({ 
                     behavior: 'smooth', 
@@ -3296,6 +4530,9 @@ export class PostDetailComponent {
             case 'crosspost':
                 this.handleCrosspost();
                 break;
+            case 'report':
+                this.handleReportPost();
+                break;
             case 'edit-post':
                 this.handleEditPost();
                 break;
@@ -3308,9 +4545,154 @@ export class PostDetailComponent {
             case 'downvote':
                 this.handleVote(-1);
                 break;
+            default:
+                if (action.startsWith('mod-')) {
+                    this.handleModeration(action);
+                }
+                break;
+        }
+    }
+
+    // ========================================
+    // MODERATION
+    // ========================================
+
+    /**
+     * Check if the logged-in user can moderate this post
+     * Besides the communities listed for the account, the community's own
+     * moderator list and the instance admins are checked once comments load.
+     * @returns {boolean} True for moderators of the community and admins
+     */
+    canModerate() {
+        if (canModeratePost(this.post)) return true;
+
+        const user = authManager.isAuthenticated() ? authManager.getCurrentUser() : null;
+        return Boolean(user) && (this.isUserModerator(user.name, user.id) || this.isUserAdmin(user.name, user.id));
+    }
+
+    /**
+     * Handle a moderator menu action
+     * @param {string} action - Menu item's data-action
+     */
+    async handleModeration(action) {
+        const postView = await runPostModerationAction(action, this.post);
+        if (postView && this.element) {
+            applyModerationState(this.post, postView);
+            this.refreshModerationState();
+        }
+    }
+
+    /**
+     * Re-render the status badges, moderator menu and locked notice
+     */
+    refreshModerationState() {
+        if (!this.element) return;
+
+        this.element.querySelector('.post-status-badges')?.replaceWith(renderPostStatusBadges(this.post));
+
+        const oldMenu = this.element.querySelector('.post-moderation-menu');
+        const menu = renderPostModerationMenu(this.post, this.canModerate());
+        if (oldMenu && menu) {
+            oldMenu.replaceWith(menu);
+        } else if (oldMenu) {
+            oldMenu.remove();
+        } else if (menu) {
+            this.element.querySelector('.post-detail-actions')?.appendChild(menu);
+        }
+
+        this.element.querySelector('.post-locked-notice')?.classList.toggle('d-none', !this.post.locked);
+    }
+
+    /**
+     * Handle a moderator action from a comment's options menu
+     * @param {string} action - One of COMMENT_MOD_ACTION
+     * @param {string} commentId - Comment ID
+     */
+    async handleCommentModeration(action, commentId) {
+        const comment = this.findCommentById(commentId);
+        if (!comment) return;
+
+        if (action === COMMENT_MOD_ACTION.SHOW_REMOVED) {
+            const key = String(comment.id);
+            if (!this.revealedRemovedComments.delete(key)) {
+                this.revealedRemovedComments.add(key);
+            }
+            this.rerenderThread(comment.id);
+            return;
+        }
+
+        const commentView = await runCommentModerationAction(action, comment);
+        if (!commentView || !this.element) return;
+
+        const wasDistinguished = comment.distinguished;
+        this.updateCommentInTree(commentId, commentView);
+
+        // The server locks the replies too; mirror that for the ones loaded
+        if (action === COMMENT_MOD_ACTION.LOCK) {
+            const setLocked = replies => replies.forEach(reply => {
+                reply.locked = comment.locked;
+                setLocked(reply.children || []);
+            });
+            setLocked(comment.children || []);
+        }
+
+        // A top-level comment changing place needs the whole list re-rendered
+        const isThreadRoot = String(this.threadOfComment.get(String(comment.id))) === String(comment.id);
+        if (isThreadRoot && wasDistinguished !== comment.distinguished) {
+            this.renderComments();
+        } else {
+            this.rerenderThread(comment.id);
         }
     }
 
+    /**
+     * Check if a comment's parent is locked (its Locked badge already covers the reply)
+     * @param {Object} comment - Comment data
+     * @returns {boolean} True if the parent is loaded and locked
+     */
+    isParentLocked(comment) {
+        if (!comment.locked) return false;
+        const parentId = this.getCommentParentId(comment.path);
+        return Boolean(parentId && this.findCommentById(parentId)?.locked);
+    }
+
+    /**
+     * Render the notice shown in place of a removed comment's text
+     * Moderators and admins get the text from the server and can show it.
+     * @param {Object} comment - Comment data
+     * @returns {HTMLElement} Notice element
+     */
+    renderRemovedNotice(comment) {
+        const revealed = this.revealedRemovedComments.has(String(comment.id));
+        const canReveal = Boolean(comment.content) && this.canModerate();
+
+        return DOM.createElement('div', {
+            className: 'removed-comment-notice d-flex align-items-center gap-2 text-muted small'
+        }, [
+            DOM.createElement('i', { className: 'bi bi-shield-x text-danger' }),
+            DOM.createElement('span', { className: 'fst-italic' }, 'Removed by a moderator'),
+            canReveal ? DOM.createElement('button', {
+                type: 'button',
+                className: 'btn btn-sm btn-link p-0',
+                'data-action': COMMENT_MOD_ACTION.SHOW_REMOVED,
+                'data-comment-id': comment.id
+            }, revealed ? 'Hide removed content' : 'View removed content') : null
+        ]);
+    }
+
+    /**
+     * Render the notice shown on locked posts
+     * @returns {HTMLElement} Notice (hidden while the post isn't locked)
+     */
+    renderLockedNotice() {
+        return DOM.createElement('div', {
+            className: `post-locked-notice alert alert-warning d-flex align-items-center gap-2 py-2 small ${this.post.locked ? '' : 'd-none'}`
+        }, [
+            DOM.createElement('i', { className: 'bi bi-lock-fill' }),
+            'This post is locked. New comments are not allowed.'
+        ]);
+    }
+
     /**
      * Handle post sharing
      */
@@ -3341,7 +4723,70 @@ export class PostDetailComponent {
      * Handle post saving
      */
     async handleSave() {
-        // TODO: Implement post saving functionality
+        if (!authManager.isAuthenticated()) {
+            DOM.showToast('Please log in to save posts', 'info');
+            return;
+        }
+
+        const wasSaved = this.post.saved;
+        const button = this.element?.querySelector('.post-detail-actions [data-action="save"]');
+        if (button) {
+            button.disabled = true;
+        }
+
+        // Show the new state right away; revert it if the request fails
+        this.setPostSavedState(!wasSaved);
+
+        try {
+            const response = await this.api.savePost(this.post.id, !wasSaved);
+
+            if (isQueuedResponse(response)) {
+                DOM.showToast('You are offline. The post will be saved when you reconnect.', 'info');
+                outbox.waitFor(response.outboxId)
+                    .then(result => {
+                        if (result?.post_view) {
+                            this.setPostSavedState(result.post_view.saved || false);
+                        }
+                    })
+                    .catch(error => {
+                        this.setPostSavedState(wasSaved);
+                        DOM.showToast(`Your offline save was not applied: ${error.message}`, 'warning');
+                    });
+                return;
+            }
+
+            if (response?.post_view) {
+                this.setPostSavedState(response.post_view.saved || false);
+            }
+            DOM.showToast(this.post.saved ? 'Post saved' : 'Post removed from saved', 'success');
+        } catch (error) {
+            console.error('Error saving post:', error);
+            this.setPostSavedState(wasSaved);
+            DOM.showToast('Failed to save post. Please try again.', 'error');
+        } finally {
+            if (button) {
+                button.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * Update the post's saved flag and the save button
+     * @param {boolean} saved - Whether the post is saved
+     */
+    setPostSavedState(saved) {
+        this.post.saved = saved;
+
+        const button = this.element?.querySelector('.post-detail-actions [data-action="save"]');
+        if (!button) return;
+
+        button.classList.toggle('active', saved);
+        button.setAttribute('aria-pressed', String(saved));
+        button.innerHTML = '';
+        button.appendChild(DOM.createElement('i', {
+            className: `bi ${saved ? 'bi-bookmark-fill' : 'bi-bookmark'} me-1`
+        }));
+        button.appendChild(DOM.createElement('span', {}, saved ? 'Saved' : 'Save'));
     }
 
     /**
@@ -4270,16 +5715,7 @@ export class PostDetailComponent {
 
         } catch (error) {
             
-            let errorMessage = 'Failed to edit post. Please try again.';
-            if (error.message && error.message.includes('rate')) {
-                errorMessage = 'Rate limited. Please wait a moment before trying again.';
-            } else if (error.message && error.message.includes('unauthorized')) {
-                errorMessage = 'You are not authorized to edit this post.';
-            } else if (error.message && error.message.includes('not found')) {
-                errorMessage = 'Post not found or already deleted.';
-            }
-            
-            DOM.showToast(errorMessage, 'error');
+            DOM.showToast(describeContentError(error, 'edit', 'post'), 'error');
         } finally {
             // Re-enable submit button
             submitBtn.disabled = false;
@@ -4326,6 +5762,9 @@ export class PostDetailComponent {
 
         // Update post meta to show "edited" indicator
         this.updatePostMeta();
+
+        // The NSFW flag may have changed
+        this.refreshModerationState();
     }
 
     /**
@@ -4409,16 +5848,7 @@ export class PostDetailComponent {
 
             } catch (error) {
                 
-                let errorMessage = `Failed to ${action} post. Please try again.`;
-                if (error.message && error.message.includes('rate')) {
-                    errorMessage = 'Rate limited. Please wait a moment before trying again.';
-                } else if (error.message && error.message.includes('unauthorized')) {
-                    errorMessage = `You are not authorized to ${action} this post.`;
-                } else if (error.message && error.message.includes('not found')) {
-                    errorMessage = 'Post not found or already deleted.';
-                }
-                
-                DOM.showToast(errorMessage, 'error');
+                DOM.showToast(describeContentError(error, action, 'post'), 'error');
             }
         }
     }
@@ -4456,17 +5886,46 @@ export class PostDetailComponent {
 
             // Make API call to vote
             const voteResponse = await this.api.votePost(this.post.id, newVoteScore);
+
+            if (isQueuedResponse(voteResponse)) {
+                // Offline: show the vote now, settle it when the outbox sends it
+                const previousVote = {
+                    myVote: currentVote,
+                    upvotes: this.post.stats.upvotes || 0,
+                    downvotes: this.post.stats.downvotes || 0,
+                    score: this.post.stats.score || 0
+                };
+                this.setPostVoteState({
+                    myVote: newVoteScore,
+                    upvotes: previousVote.upvotes - (currentVote === 1 ? 1 : 0) + (newVoteScore === 1 ? 1 : 0),
+                    downvotes: previousVote.downvotes - (currentVote === -1 ? 1 : 0) + (newVoteScore === -1 ? 1 : 0),
+                    score: previousVote.score - currentVote + newVoteScore
+                });
+                DOM.showToast('You are offline. Your vote will be sent when you reconnect.', 'info');
+
+                if (!this.queuedPostVoteRollback) {
+                    this.queuedPostVoteRollback = previousVote;
+                }
+                outbox.waitFor(voteResponse.outboxId)
+                    .then(response => {
+                        this.queuedPostVoteRollback = null;
+                        if (response?.post_view) {
+                            this.applyServerPostVote(response.post_view);
+                        }
+                    })
+                    .catch(error => {
+                        if (!this.queuedPostVoteRollback) {
+                            return;
+                        }
+                        this.setPostVoteState(this.queuedPostVoteRollback);
+                        this.queuedPostVoteRollback = null;
+                        DOM.showToast(`Your offline vote was not saved: ${error.message}`, 'warning');
+                    });
+                return;
+            }
             
             if (voteResponse && voteResponse.post_view) {
-                // Update post data with new vote information
-                const updatedPost = voteResponse.post_view;
-                this.post.myVote = updatedPost.my_vote || 0;
-                this.post.stats.upvotes = updatedPost.counts?.upvotes || 0;
-                this.post.stats.downvotes = updatedPost.counts?.downvotes || 0;
-                this.post.stats.score = updatedPost.counts?.score || 0;
-                
-                // Update UI to reflect new vote state
-                this.updateVoteDisplay();
+                this.applyServerPostVote(voteResponse.post_view);
                 
                 // Show success message only for vote removal
                 if (newVoteScore === 0) {
@@ -4483,6 +5942,31 @@ export class PostDetailComponent {
         }
     }
 
+    /**
+     * Set the post's vote state and refresh the vote display
+     * @param {Object} state - { myVote, upvotes, downvotes, score }
+     */
+    setPostVoteState(state) {
+        this.post.myVote = state.myVote;
+        this.post.stats.upvotes = state.upvotes;
+        this.post.stats.downvotes = state.downvotes;
+        this.post.stats.score = state.score;
+        this.updateVoteDisplay();
+    }
+
+    /**
+     * Update the post's vote from a server post_view
+     * @param {Object} postView - post_view from the vote response
+     */
+    applyServerPostVote(postView) {
+        this.setPostVoteState({
+            myVote: postView.my_vote || 0,
+            upvotes: postView.counts?.upvotes || 0,
+            downvotes: postView.counts?.downvotes || 0,
+            score: postView.counts?.score || 0
+        });
+    }
+
     /**
      * Update vote display after voting
      */
@@ -4828,16 +6312,7 @@ export class PostDetailComponent {
 
         } catch (error) {
             
-            let errorMessage = 'Failed to edit comment. Please try again.';
-            if (error.message && error.message.includes('rate')) {
-                errorMessage = 'Rate limited. Please wait a moment before trying again.';
-            } else if (error.message && error.message.includes('unauthorized')) {
-                errorMessage = 'You are not authorized to edit this comment.';
-            } else if (error.message && error.message.includes('not found')) {
-                errorMessage = 'Comment not found or already deleted.';
-            }
-            
-            DOM.showToast(errorMessage, 'error');
+            DOM.showToast(describeContentError(error, 'edit', 'comment'), 'error');
         } finally {
             // Re-enable submit button
             submitBtn.disabled = false;
@@ -4870,7 +6345,7 @@ export class PostDetailComponent {
      * @param {string} commentId - Comment ID
      */
     async refreshCommentDisplay(commentId) {
-        const commentElement = this.element.querySelector(`[data-comment-id="${commentId}"]`);
+        const commentElement = this.findCommentElement(commentId);
         if (!commentElement) return;
 
         // Update comment content
@@ -4897,7 +6372,7 @@ export class PostDetailComponent {
      * @param {string} commentId - Comment ID
      */
     updateCommentMeta(commentId) {
-        const commentElement = this.element.querySelector(`[data-comment-id="${commentId}"]`);
+        const commentElement = this.findCommentElement(commentId);
         if (!commentElement) return;
 
         const comment = this.findCommentById(commentId);
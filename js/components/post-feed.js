@@ -11,10 +11,14 @@
 // Core utilities and configuration
 import { DOM } from '../utils.js';
 import { CONFIG } from '../config.js';
+import { isAbortError } from '../api.js';
+import { createLogger } from '../logger.js';
 
 // Components
 import { PostListManager } from './post.js';
 
+const logger = createLogger('PostFeed');
+
 /**
  * PostFeed component class
  * 
@@ -48,6 +52,8 @@ export class PostFeed {
             // Behavior options
             enableInfiniteScroll: true,
             showCommunityInfo: false, // Whether to show community info in posts
+            hideBlocked: true, // Leave out posts by blocked people, communities and instances
+            filterOptions: {}, // Options for the content filters (see contentFilters.matchPost)
             
             // Callbacks
             onLoadStart: null,
@@ -64,13 +70,20 @@ export class PostFeed {
             hasMorePosts: true,
             currentPage: this.options.initialPage,
             posts: [],
-            initialLoadComplete: false // Track if initial load is complete
+            initialLoadComplete: false, // Track if initial load is complete
+            feedGeneration: 0 // Bumped on every reset so late revalidations can be discarded
         };
         
 
         
+        // Cancels the request of the load in progress when it is superseded
+        this.abortController = null;
+        
         // Managers
-        this.postListManager = new PostListManager(this.container);
+        this.postListManager = new PostListManager(this.container, {
+            hideBlocked: this.options.hideBlocked,
+            filterOptions: this.options.filterOptions
+        });
         
         // Bind methods
         this.loadPosts = this.loadPosts.bind(this);
@@ -128,13 +141,20 @@ export class PostFeed {
      * @async
      */
     async loadPosts(reset = true, params = {}) {
-        if (this.state.isLoading) return;
+        if (this.state.isLoading) {
+            // A reset (new sort, new listing type...) supersedes whatever is loading
+            if (!reset) return;
+            this.abortController?.abort();
+        }
         
         if (!this.options.fetchFunction) {
             console.error('PostFeed: fetchFunction is required');
             return;
         }
         
+        const abortController = new AbortController();
+        this.abortController = abortController;
+        
         try {
             this.state.isLoading = true;
             
@@ -144,6 +164,7 @@ export class PostFeed {
             }
             
             if (reset) {
+                this.state.feedGeneration++;
                 this.state.currentPage = this.options.initialPage;
                 this.state.hasMorePosts = true;
                 this.state.posts = [];
@@ -161,7 +182,20 @@ export class PostFeed {
             
             console.log('PostFeed fetchParams:', fetchParams, 'reset:', reset);
             
-            const response = await this.options.fetchFunction(fetchParams);
+            // The first page may come from the cache; if so, swap in the fresh copy when it arrives
+            const generation = this.state.feedGeneration;
+            const page = this.state.currentPage;
+            const requestOptions = {
+                signal: abortController.signal,
+                onRevalidate: (freshResponse) => this.applyRevalidatedPage(generation, page, freshResponse)
+            };
+            
+            const response = await this.options.fetchFunction(fetchParams, requestOptions);
+            
+            // Superseded while waiting (fetch functions may ignore the signal)
+            if (abortController.signal.aborted) {
+                return;
+            }
             
             if (reset) {
                 DOM.clearChildren(this.container);
@@ -206,6 +240,11 @@ export class PostFeed {
             }
             
         } catch (error) {
+            if (isAbortError(error) || abortController.signal.aborted) {
+                logger.debug('Load cancelled');
+                return;
+            }
+            
             console.error('PostFeed: Failed to load posts:', error);
             
             if (reset) {
@@ -219,7 +258,45 @@ export class PostFeed {
                 this.options.onLoadError(error);
             }
         } finally {
-            this.state.isLoading = false;
+            // A newer load owns the loading state now
+            if (this.abortController === abortController) {
+                this.abortController = null;
+                this.state.isLoading = false;
+            }
+        }
+    }
+    
+    /**
+     * Replace a page rendered from stale cache data with fresh data
+     * Only the first page is swapped, and only while the feed still shows it alone;
+     * once more pages are loaded, re-rendering would shift posts under the reader.
+     * @param {number} generation - Feed generation the request belonged to
+     * @param {number} page - Page number that was requested
+     * @param {Object} response - Fresh response from the server
+     */
+    applyRevalidatedPage(generation, page, response) {
+        if (!this.state || this.state.feedGeneration !== generation || this.state.isLoading) {
+            return;
+        }
+        if (page !== this.options.initialPage || this.state.currentPage !== page) {
+            return;
+        }
+        if (!response || !response.posts || response.posts.length === 0) {
+            return;
+        }
+        
+        logger.debug('Applying revalidated posts for page', page);
+        this.state.posts = response.posts;
+        this.state.hasMorePosts = response.posts.length === this.options.pageSize;
+        this.postListManager.replacePosts(response.posts);
+        
+        // replacePosts may rebuild the list, keep the sentinel last
+        if (this.scrollSentinel && this.container) {
+            this.container.appendChild(this.scrollSentinel);
+        }
+        
+        if (this.options.onPostsLoaded) {
+            this.options.onPostsLoaded(response.posts, this.state.posts.length);
         }
     }
     
@@ -374,6 +451,12 @@ export class PostFeed {
      * Destroy the post feed
      */
     destroy() {
+        // Cancel any load in progress
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+        
         // Clean up scroll observer
         if (this.scrollObserver) {
             this.scrollObserver.disconnect();
@@ -11,6 +11,14 @@
 // Core utilities and API
 import { DOM, TextUtils, URLUtils, AnimationUtils, PerformanceUtils } from '../utils.js';
 import { APIUtils } from '../api.js';
+import { outbox, isQueuedResponse } from '../outbox.js';
+import { CommunityActionsComponent } from './community-actions.js';
+import { blocklist } from '../blocklist.js';
+import { contentFilters, FILTER_MODE } from '../filters.js';
+import { renderFilteredNotice } from './filtered-notice.js';
+import { renderPostStatusBadges, renderPostModerationMenu, runPostModerationAction, applyModerationState } from './mod-actions.js';
+import { shortcuts, FocusNavigator, clickAction } from '../shortcuts.js';
+import { VirtualList } from '../virtual-list.js';
 
 /**
  * Post component class
@@ -22,12 +30,16 @@ export class PostComponent {
      * Initialize the post component
      * @param {Object} postData - Raw post data from API
      * @param {HTMLElement} container - Container element for the post
+     * @param {Object} [formattedPost] - postData already formatted by APIUtils.formatPost
      */
-    constructor(postData, container) {
+    constructor(postData, container, formattedPost = null) {
         // Core component data
-        this.post = APIUtils.formatPost(postData);
+        this.post = formattedPost || APIUtils.formatPost(postData);
         this.container = container;
         this.element = null;
+
+        // Vote state to restore if a vote queued while offline fails
+        this.queuedVoteRollback = null;
     }
 
     // ========================================
@@ -191,10 +203,26 @@ export class PostComponent {
                     dateTime: this.post.published.toISOString(),
                     title: this.post.published.toLocaleString()
                 }, APIUtils.formatTime(this.post.published))
-            ])
+            ]),
+            this.renderCommunityActions()
         ]);
     }
 
+    /**
+     * Render the Join button for the post's community
+     * @returns {HTMLElement} Actions element
+     */
+    renderCommunityActions() {
+        const actions = new CommunityActionsComponent(this.post.community, {
+            compact: true,
+            showBlock: false,
+            hideWhenLoggedOut: true
+        });
+        return DOM.createElement('div', {
+            className: 'ms-auto'
+        }, [actions.render()]);
+    }
+
     /**
      * Render post title
      * @returns {HTMLElement} Title element
@@ -261,11 +289,8 @@ export class PostComponent {
             }));
         }
 
-        if (this.post.nsfw) {
-            titleElement.appendChild(DOM.createElement('span', {
-                className: 'badge bg-danger ms-2'
-            }, 'NSFW'));
-        }
+        // Pinned, locked, removed and NSFW badges
+        titleElement.appendChild(renderPostStatusBadges(this.post));
 
         // Add deleted post indicator
         if (this.post.deleted) {
@@ -493,6 +518,8 @@ export class PostComponent {
             this.renderVoteButtons(),
             this.renderCommentButton(),
             this.renderShareButton(),
+            this.renderSaveButton(),
+            renderPostModerationMenu(this.post),
             this.renderMetaInfo()
         ]);
 
@@ -622,6 +649,24 @@ export class PostComponent {
         ]);
     }
 
+    /**
+     * Render save button
+     * @returns {HTMLElement} Save button element
+     */
+    renderSaveButton() {
+        return DOM.createElement('button', {
+            className: `btn btn-sm btn-outline-secondary${this.post.saved ? ' active' : ''}`,
+            'data-action': 'save',
+            'aria-label': this.post.saved ? 'Unsave post' : 'Save post',
+            'aria-pressed': String(this.post.saved),
+            title: this.post.saved ? 'Unsave' : 'Save'
+        }, [
+            DOM.createElement('i', {
+                className: this.post.saved ? 'bi bi-bookmark-fill' : 'bi bi-bookmark'
+            })
+        ]);
+    }
+
     /**
      * Render meta information
      * @returns {HTMLElement} Meta element
@@ -808,6 +853,14 @@ export class PostComponent {
                 case 'share':
                     this.handleShare();
                     break;
+                case 'save':
+                    this.handleSave();
+                    break;
+                default:
+                    if (action.startsWith('mod-')) {
+                        this.handleModeration(action);
+                    }
+                    break;
             }
         });
 
@@ -860,6 +913,8 @@ export class PostComponent {
             return;
         }
 
+        const previousVote = this.getVoteState();
+
         try {
             const button = this.element.querySelector(`[data-action="${voteType}"]`);
             if (button) {
@@ -878,21 +933,22 @@ export class PostComponent {
                 newVoteScore = currentVote === -1 ? 0 : -1;
             }
 
+            // Show the vote right away; the server response corrects the counts
+            this.applyOptimisticVote(newVoteScore);
+
             // Make API call to vote
             const api = new LemmyAPI();
             const voteResponse = await api.votePost(this.post.id, newVoteScore);
+
+            if (isQueuedResponse(voteResponse)) {
+                // Offline: keep the optimistic state until the outbox sends the vote
+                this.showNotification('You are offline. Your vote will be sent when you reconnect.', 'info');
+                this.reconcileQueuedVote(voteResponse.outboxId, previousVote);
+                return;
+            }
             
             if (voteResponse && voteResponse.post_view) {
-                // Update post data with new vote information
-                const updatedPost = voteResponse.post_view;
-                this.post.myVote = updatedPost.my_vote || 0;
-                this.post.stats.upvotes = updatedPost.counts?.upvotes || 0;
-                this.post.stats.downvotes = updatedPost.counts?.downvotes || 0;
-                this.post.stats.score = updatedPost.counts?.score || 0;
-                
-                // Update UI to reflect new vote state
-                this.updateVoteButtons();
-                this.updateVoteCounts();
+                this.applyServerVote(voteResponse.post_view);
                 
                 // Show success message only for vote removal
                 if (newVoteScore === 0) {
@@ -902,6 +958,7 @@ export class PostComponent {
 
         } catch (error) {
             console.error('Error voting on post:', error);
+            this.setVoteState(previousVote);
             this.showNotification('Failed to vote. Please try again.', 'error');
         } finally {
             // Re-enable buttons
@@ -912,6 +969,91 @@ export class PostComponent {
         }
     }
 
+    /**
+     * Get the current vote and counts, to restore them if a vote fails
+     * @returns {Object} Vote state
+     */
+    getVoteState() {
+        return {
+            myVote: this.post.myVote || 0,
+            upvotes: this.post.stats.upvotes || 0,
+            downvotes: this.post.stats.downvotes || 0,
+            score: this.post.stats.score || 0
+        };
+    }
+
+    /**
+     * Restore a vote state and refresh the buttons and counts
+     * @param {Object} state - State from getVoteState()
+     */
+    setVoteState(state) {
+        this.post.myVote = state.myVote;
+        this.post.stats.upvotes = state.upvotes;
+        this.post.stats.downvotes = state.downvotes;
+        this.post.stats.score = state.score;
+        this.updateVoteButtons();
+        this.updateVoteCounts();
+    }
+
+    /**
+     * Show a vote before the server confirms it
+     * @param {number} newVoteScore - 1, -1 or 0
+     */
+    applyOptimisticVote(newVoteScore) {
+        const state = this.getVoteState();
+        const upvotes = state.upvotes - (state.myVote === 1 ? 1 : 0) + (newVoteScore === 1 ? 1 : 0);
+        const downvotes = state.downvotes - (state.myVote === -1 ? 1 : 0) + (newVoteScore === -1 ? 1 : 0);
+
+        this.setVoteState({
+            myVote: newVoteScore,
+            upvotes,
+            downvotes,
+            score: state.score - state.myVote + newVoteScore
+        });
+    }
+
+    /**
+     * Update the vote and counts from a server post_view
+     * @param {Object} postView - post_view from the vote response
+     */
+    applyServerVote(postView) {
+        this.setVoteState({
+            myVote: postView.my_vote || 0,
+            upvotes: postView.counts?.upvotes || 0,
+            downvotes: postView.counts?.downvotes || 0,
+            score: postView.counts?.score || 0
+        });
+    }
+
+    /**
+     * Settle a vote that was queued while offline
+     * Several queued votes on the post are merged into one action, so the
+     * state from before the first of them is the one restored on failure.
+     * @param {number} outboxId - Outbox action ID
+     * @param {Object} previousVote - State from before this vote
+     */
+    reconcileQueuedVote(outboxId, previousVote) {
+        if (!this.queuedVoteRollback) {
+            this.queuedVoteRollback = previousVote;
+        }
+
+        outbox.waitFor(outboxId)
+            .then(response => {
+                this.queuedVoteRollback = null;
+                if (response?.post_view) {
+                    this.applyServerVote(response.post_view);
+                }
+            })
+            .catch(error => {
+                if (!this.queuedVoteRollback) {
+                    return;
+                }
+                this.setVoteState(this.queuedVoteRollback);
+                this.queuedVoteRollback = null;
+                this.showNotification(`Your offline vote was not saved: ${error.message}`, 'warning');
+            });
+    }
+
     /**
      * Handle view post action
      */
@@ -983,6 +1125,103 @@ export class PostComponent {
         }
     }
 
+    /**
+     * Handle save action (toggles between saved and not saved)
+     */
+    async handleSave() {
+        const { authManager } = await import('../auth.js');
+        const { LemmyAPI } = await import('../api.js');
+
+        if (!authManager.isAuthenticated()) {
+            this.showNotification('Please log in to save posts', 'info');
+            return;
+        }
+
+        const wasSaved = this.post.saved;
+        const button = this.element.querySelector('[data-action="save"]');
+        button?.classList.add('disabled');
+
+        // Show the new state right away; revert it if the request fails
+        this.setSavedState(!wasSaved);
+
+        try {
+            const api = new LemmyAPI();
+            const response = await api.savePost(this.post.id, !wasSaved);
+
+            if (isQueuedResponse(response)) {
+                this.showNotification('You are offline. The post will be saved when you reconnect.', 'info');
+                outbox.waitFor(response.outboxId)
+                    .then(result => {
+                        if (result?.post_view) {
+                            this.setSavedState(result.post_view.saved || false);
+                        }
+                    })
+                    .catch(error => {
+                        this.setSavedState(wasSaved);
+                        this.showNotification(`Your offline save was not applied: ${error.message}`, 'warning');
+                    });
+                return;
+            }
+
+            if (response?.post_view) {
+                this.setSavedState(response.post_view.saved || false);
+            }
+            this.showNotification(this.post.saved ? 'Post saved' : 'Post removed from saved', 'success');
+        } catch (error) {
+            console.error('Error saving post:', error);
+            this.setSavedState(wasSaved);
+            this.showNotification('Failed to save post. Please try again.', 'error');
+        } finally {
+            button?.classList.remove('disabled');
+        }
+    }
+
+    /**
+     * Update the saved flag and the save button
+     * @param {boolean} saved - Whether the post is saved
+     */
+    setSavedState(saved) {
+        this.post.saved = saved;
+
+        const button = this.element?.querySelector('[data-action="save"]');
+        if (!button) return;
+
+        button.classList.toggle('active', saved);
+        button.setAttribute('aria-pressed', String(saved));
+        button.setAttribute('aria-label', saved ? 'Unsave post' : 'Save post');
+        button.title = saved ? 'Unsave' : 'Save';
+
+        const icon = button.querySelector('i');
+        if (icon) {
+            icon.className = saved ? 'bi bi-bookmark-fill' : 'bi bi-bookmark';
+        }
+    }
+
+    /**
+     * Handle a moderator menu action
+     * @param {string} action - Menu item's data-action
+     */
+    async handleModeration(action) {
+        const postView = await runPostModerationAction(action, this.post);
+        if (postView && this.element) {
+            applyModerationState(this.post, postView);
+            this.refreshModerationState();
+        }
+    }
+
+    /**
+     * Re-render the status badges and moderator menu after a moderator action
+     */
+    refreshModerationState() {
+        this.element.querySelector('.post-status-badges')?.replaceWith(renderPostStatusBadges(this.post));
+
+        const menu = renderPostModerationMenu(this.post);
+        const oldMenu = this.element.querySelector('.post-moderation-menu');
+        if (oldMenu && menu) {
+            oldMenu.replaceWith(menu);
+        }
+    }
+
     /**
      * Generate proper user URL for both local and remote users
      * @param {string} username - Username
@@ -1159,11 +1398,86 @@ export class PostComponent {
  * Post list manager for handling multiple posts
  */
 export class PostListManager {
-    constructor(container) {
+    /**
+     * Initialize the post list
+     * @param {HTMLElement} container - Container element for the posts
+     * @param {Object} options - List options
+     * @param {boolean} [options.hideBlocked=true] - Leave out posts by blocked people, communities and instances
+     * @param {Object} [options.filterOptions={}] - Options for contentFilters.matchPost
+     */
+    constructor(container, options = {}) {
         this.container = container;
+        this.options = {
+            hideBlocked: true,
+            filterOptions: {},
+            ...options
+        };
         this.posts = new Map();
+        this.filteredNotices = new Map(); // Notices shown instead of collapsed posts, by post ID
         this.observer = null;
         this.setupIntersectionObserver();
+
+        // Posts far from the viewport are swapped for placeholders so long feeds stay fast
+        this.virtualList = new VirtualList(container, { name: 'posts' });
+        this.navigator = new FocusNavigator(
+            () => this.getPostElements(),
+            'data-post-id',
+            node => this.virtualList.mountNode(node)
+        );
+        this.shortcutBindings = this.setupKeyboardShortcuts();
+
+        this.handleBlocklistChange = this.handleBlocklistChange.bind(this);
+        if (this.options.hideBlocked) {
+            blocklist.addListener(this.handleBlocklistChange);
+        }
+    }
+
+    /**
+     * Register j/k navigation and the post shortcuts
+     * They apply while the list has visible posts, so a list in a hidden tab
+     * leaves the keys to the one on screen.
+     * @returns {Array<Object>} Registered bindings
+     */
+    setupKeyboardShortcuts() {
+        const withFocusedPost = (callback) => () => {
+            const postComponent = this.getFocusedPost();
+            if (postComponent) {
+                callback(postComponent);
+            }
+        };
+
+        return shortcuts.registerAll([
+            { key: 'j', description: 'Next post', handler: () => this.navigator.next() },
+            { key: 'k', description: 'Previous post', handler: () => this.navigator.previous() },
+            { key: 'o', handler: withFocusedPost(postComponent => postComponent.handleViewPost()) },
+            { key: 'c', handler: withFocusedPost(postComponent => postComponent.handleViewComments()) },
+            { key: 'a', description: 'Upvote post', handler: withFocusedPost(postComponent => clickAction(postComponent.element, 'upvote')) },
+            { key: 'z', description: 'Downvote post', handler: withFocusedPost(postComponent => clickAction(postComponent.element, 'downvote')) },
+            { key: 's', description: 'Save post', handler: withFocusedPost(postComponent => clickAction(postComponent.element, 'save')) }
+        ], {
+            group: 'Posts',
+            when: () => this.navigator.hasItems()
+        });
+    }
+
+    /**
+     * Get the posts in page order (collapsed posts are skipped)
+     * Posts detached by the virtual list are represented by their placeholder.
+     * @returns {Array<HTMLElement>} Post elements and placeholders
+     */
+    getPostElements() {
+        return Array.from(this.posts.keys())
+            .filter(postId => !this.filteredNotices.has(postId))
+            .map(postId => this.virtualList.getNode(postId));
+    }
+
+    /**
+     * Get the post the keyboard focus is on
+     * @returns {PostComponent|null} Focused post, or null
+     */
+    getFocusedPost() {
+        const element = this.navigator.getCurrent();
+        return element ? this.posts.get(parseInt(element.dataset.postId)) || null : null;
     }
 
     /**
@@ -1191,14 +1505,24 @@ export class PostListManager {
      * @param {Array} postsData - Array of post data
      */
     addPosts(postsData) {
-        const fragment = document.createDocumentFragment();
+        this.appendPosts(this.getVisiblePosts(postsData));
+    }
+
+    /**
+     * Render posts already checked by getVisiblePosts
+     * @param {Array<Object>} visiblePosts - Entries from getVisiblePosts
+     */
+    appendPosts(visiblePosts) {
+        const startTime = performance.now();
 
-        postsData.forEach(postData => {
-            const postComponent = new PostComponent(postData, this.container);
+        visiblePosts.forEach(({ postData, post, match }) => {
+            const postComponent = new PostComponent(postData, this.container, post);
             const postElement = postComponent.render();
             
-            this.posts.set(postData.post.id, postComponent);
-            fragment.appendChild(postElement);
+            this.posts.set(post.id, postComponent);
+
+            // Collapsed posts wait behind a notice until revealed
+            this.virtualList.append(post.id, match ? this.renderCollapsedPost(postComponent, match) : postElement);
             
             // Observe for viewport intersection
             this.observer.observe(postElement);
@@ -1207,7 +1531,103 @@ export class PostListManager {
             AnimationUtils.fadeIn(postElement);
         });
 
-        this.container.appendChild(fragment);
+        this.virtualList.logTiming(`added ${visiblePosts.length} posts`, startTime);
+    }
+
+    /**
+     * Replace the rendered posts with a fresh set
+     * Posts are updated in place when the list is unchanged, so counts refresh
+     * without re-rendering; otherwise the list is rebuilt.
+     * @param {Array} postsData - Array of post data
+     */
+    replacePosts(postsData) {
+        const visiblePosts = this.getVisiblePosts(postsData);
+        const currentIds = Array.from(this.posts.keys());
+        const sameOrder = currentIds.length === visiblePosts.length &&
+            visiblePosts.every(({ post }, index) => post.id === currentIds[index]);
+        
+        if (sameOrder) {
+            visiblePosts.forEach(({ postData, post }) => this.posts.get(post.id).update(postData));
+            return;
+        }
+        
+        this.clearPosts();
+        this.appendPosts(visiblePosts);
+    }
+
+    /**
+     * Leave out posts the block list or a "hide" content filter hides
+     * Each post is formatted and matched once here, and rendered from the result.
+     * @param {Array} postsData - Array of post data
+     * @returns {Array<Object>} Posts to render, as { postData, post, match }
+     */
+    getVisiblePosts(postsData) {
+        return postsData
+            .map(postData => {
+                const post = APIUtils.formatPost(postData);
+                if (this.options.hideBlocked && this.isBlocked(post)) {
+                    return null;
+                }
+                const match = contentFilters.matchPost(post, this.options.filterOptions);
+                return match?.mode === FILTER_MODE.HIDE ? null : { postData, post, match };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Render the notice shown instead of a collapsed post
+     * @param {PostComponent} postComponent - The collapsed post
+     * @param {Object} match - Filter match
+     * @returns {HTMLElement} Notice element
+     */
+    renderCollapsedPost(postComponent, match) {
+        const postId = postComponent.post.id;
+        const notice = renderFilteredNotice(match, () => {
+            contentFilters.reveal('post', postId);
+            this.filteredNotices.delete(postId);
+            this.virtualList.replace(postId, postComponent.element);
+        }, {
+            className: 'card post-card filtered-post px-3 py-2'
+        });
+
+        this.filteredNotices.set(postId, notice);
+        return notice;
+    }
+
+    /**
+     * Check if the block list hides a post
+     * A community's own page keeps showing its posts after the community is blocked.
+     * @param {Object} post - Formatted post
+     * @returns {boolean} True if the post should be hidden
+     */
+    isBlocked(post) {
+        return blocklist.isPostHidden(post, { skipCommunity: this.options.filterOptions.skipCommunityRules });
+    }
+
+    /**
+     * Remove rendered posts that became hidden after a block
+     */
+    handleBlocklistChange() {
+        this.posts.forEach((postComponent, postId) => {
+            if (this.isBlocked(postComponent.post)) {
+                this.removePost(postId);
+            }
+        });
+    }
+
+    /**
+     * Remove one post (or the notice standing in for it)
+     * @param {number} postId - Post ID
+     */
+    removePost(postId) {
+        const postComponent = this.posts.get(postId);
+        if (postComponent) {
+            this.observer.unobserve(postComponent.element);
+            postComponent.destroy();
+            this.posts.delete(postId);
+        }
+        this.virtualList.remove(postId);
+        this.filteredNotices.delete(postId);
     }
 
     /**
@@ -1219,6 +1639,9 @@ export class PostListManager {
             post.destroy();
         });
         this.posts.clear();
+        this.filteredNotices.clear();
+        this.virtualList.clear();
+        this.navigator.clear();
         DOM.clearChildren(this.container);
     }
 
@@ -1237,10 +1660,13 @@ export class PostListManager {
      * Destroy the post list manager
      */
     destroy() {
+        blocklist.removeListener(this.handleBlocklistChange);
+        shortcuts.unregisterAll(this.shortcutBindings);
         if (this.observer) {
             this.observer.disconnect();
         }
         this.clearPosts();
+        this.virtualList.destroy();
         this.container = null;
     }
 }
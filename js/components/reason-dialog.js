@@ -0,0 +1,119 @@
+/**
+ * Reason Dialog Component for Lemmeric
+ *
+ * A small modal asking for the reason behind an action, such as a moderator
+ * removing a post. It resolves with the text typed, or with null when the
+ * dialog is cancelled or closed.
+ *
+ * @fileoverview Modal prompt for moderation reasons
+ */
+
+import { DOM } from '../utils.js';
+
+/**
+ * Ask for a reason
+ * @param {Object} options - Dialog options
+ * @param {string} options.title - Dialog title
+ * @param {string} [options.message] - Text above the input
+ * @param {string} [options.label='Reason'] - Input label
+ * @param {string} [options.placeholder=''] - Input placeholder
+ * @param {string} [options.value=''] - Text the input starts with
+ * @param {string} [options.confirmLabel='Confirm'] - Confirm button text
+ * @param {string} [options.confirmClass='btn-danger'] - Confirm button class
+ * @param {boolean} [options.required=false] - Don't accept an empty reason
+ * @returns {Promise<string|null>} Reason (possibly empty), or null if cancelled
+ */
+export function askForReason(options = {}) {
+    const {
+        title,
+        message = null,
+        label = 'Reason',
+        placeholder = '',
+        value = '',
+        confirmLabel = 'Confirm',
+        confirmClass = 'btn-danger',
+        required = false
+    } = options;
+
+    return new Promise(resolve => {
+        let result = null;
+
+        const input = DOM.createElement('textarea', {
+            className: 'form-control',
+            id: 'reason-dialog-input',
+            rows: '3',
+            placeholder,
+            textContent: value,
+            onKeydown: (event) => {
+                // Enter confirms, Shift+Enter adds a line
+                if (event.key === 'Enter' && !event.shiftKey) {
+                    event.preventDefault();
+                    confirm();
+                }
+            }
+        });
+        const error = DOM.createElement('div', { className: 'invalid-feedback' }, 'Please enter a reason.');
+
+        const modalElement = DOM.createElement('div', {
+            className: 'modal fade reason-dialog',
+            tabindex: '-1',
+            'aria-labelledby': 'reason-dialog-title',
+            'aria-hidden': 'true'
+        }, [
+            DOM.createElement('div', { className: 'modal-dialog' }, [
+                DOM.createElement('div', { className: 'modal-content' }, [
+                    DOM.createElement('div', { className: 'modal-header' }, [
+                        DOM.createElement('h5', { className: 'modal-title', id: 'reason-dialog-title' }, title),
+                        DOM.createElement('button', {
+                            type: 'button',
+                            className: 'btn-close',
+                            'data-bs-dismiss': 'modal',
+                            'aria-label': 'Close'
+                        })
+                    ]),
+                    DOM.createElement('div', { className: 'modal-body' }, [
+                        message ? DOM.createElement('p', { className: 'small text-muted' }, message) : null,
+                        DOM.createElement('label', { className: 'form-label', for: 'reason-dialog-input' },
+                            required ? label : `${label} (optional)`),
+                        input,
+                        error
+                    ]),
+                    DOM.createElement('div', { className: 'modal-footer' }, [
+                        DOM.createElement('button', {
+                            type: 'button',
+                            className: 'btn btn-secondary',
+                            'data-bs-dismiss': 'modal'
+                        }, 'Cancel'),
+                        DOM.createElement('button', {
+                            type: 'button',
+                            className: `btn ${confirmClass}`,
+                            onClick: () => confirm()
+                        }, confirmLabel)
+                    ])
+                ])
+            ])
+        ]);
+
+        const modal = new window.bootstrap.Modal(modalElement);
+
+        function confirm() {
+            const reason = input.value.trim();
+            if (required && !reason) {
+                input.classList.add('is-invalid');
+                return;
+            }
+            result = reason;
+            modal.hide();
+        }
+
+        modalElement.addEventListener('shown.bs.modal', () => input.focus());
+        modalElement.addEventListener('hidden.bs.modal', () => {
+            modal.dispose();
+            modalElement.remove();
+            resolve(result);
+        });
+
+        document.body.appendChild(modalElement);
+        modal.show();
+    });
+}
@@ -0,0 +1,372 @@
+/**
+ * Report Dialog Component for Lemmeric
+ *
+ * The modal used to report a post, comment or private message. Next to the
+ * free text reason it offers the rules of the community and of the instance
+ * as presets, so the report tells moderators which rule was broken.
+ *
+ * Lemmy has no separate rules field: rules are the numbered or bulleted list
+ * under a "Rules" heading in the community description or the site sidebar.
+ * When neither has one, the dialog only asks for a reason.
+ *
+ * @fileoverview Modal for reporting content to moderators
+ */
+
+import { DOM, TextUtils, ErrorUtils } from '../utils.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+/**
+ * Longest reason Lemmy accepts
+ * @type {number}
+ */
+export const MAX_REPORT_LENGTH = 1000;
+
+/**
+ * Most rules offered from one source
+ * @type {number}
+ */
+const MAX_RULES = 15;
+
+/**
+ * Longest rule text kept as a preset
+ * @type {number}
+ */
+const MAX_RULE_LENGTH = 200;
+
+/**
+ * What can be reported, with the API call and wording for each
+ * @type {Object<string, Object>}
+ */
+const REPORT_KINDS = {
+    post: {
+        noun: 'post',
+        idKey: 'post_id',
+        submit: (api, data) => api.createPostReport(data)
+    },
+    comment: {
+        noun: 'comment',
+        idKey: 'comment_id',
+        submit: (api, data) => api.createCommentReport(data)
+    },
+    message: {
+        noun: 'message',
+        idKey: 'private_message_id',
+        submit: (api, data) => api.createPrivateMessageReport(data)
+    }
+};
+
+// ========================================
+// RULES
+// ========================================
+
+/**
+ * Pull the rules list out of a community description or site sidebar
+ * @param {string} markdown - Description or sidebar markdown
+ * @returns {string[]} Rule texts, without numbering or formatting
+ */
+export function extractRules(markdown) {
+    if (!markdown) return [];
+
+    const rules = [];
+    let inRules = false;
+
+    for (const rawLine of markdown.split('\n')) {
+        const line = rawLine.trim();
+        const isHeading = /^#{1,6}\s/.test(line) || /^(\*\*|__)[^*_]+(\*\*|__):?$/.test(line);
+
+        if (isHeading) {
+            // A later heading ends the list; a second rules heading starts a new one
+            inRules = /\brules?\b/i.test(line);
+            continue;
+        }
+        if (!inRules) continue;
+
+        const item = line.match(/^(?:\d+[.)]|[-*+])\s+(.+)$/);
+        if (!item) continue;
+
+        const text = stripMarkdown(item[1]);
+        if (text) {
+            rules.push(TextUtils.truncate(text, MAX_RULE_LENGTH));
+        }
+        if (rules.length >= MAX_RULES) break;
+    }
+
+    return rules;
+}
+
+/**
+ * Reduce a line of markdown to plain text
+ * @param {string} text - Markdown text
+ * @returns {string} Plain text
+ */
+function stripMarkdown(text) {
+    return text
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/(\*\*|__|\*|_|~~|`)/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Load the community and instance rules for the dialog
+ * Messages don't belong to a community, so only instance rules apply to them.
+ * Rules are a convenience: any failure just leaves that group out.
+ * @param {LemmyAPI} api - API client
+ * @param {Object|null} community - Community of the reported content
+ * @returns {Promise<Array<Object>>} Groups of { title, rules }
+ */
+async function loadRules(api, community) {
+    const [communityResponse, siteResponse] = await Promise.all([
+        community?.id ? api.getCommunityDetails(Number(community.id)).catch(() => null) : null,
+        api.getSite().catch(() => null)
+    ]);
+
+    const communityName = community?.title || community?.name;
+    return [
+        {
+            title: communityName ? `${communityName} rules` : 'Community rules',
+            rules: extractRules(communityResponse?.community_view?.community?.description)
+        },
+        {
+            title: 'Instance rules',
+            rules: extractRules(siteResponse?.site_view?.site?.sidebar)
+        }
+    ].filter(group => group.rules.length > 0);
+}
+
+// ========================================
+// DIALOG
+// ========================================
+
+/**
+ * Open the report dialog and send the report
+ * @param {Object} options - Dialog options
+ * @param {string} options.kind - 'post', 'comment' or 'message'
+ * @param {number|string} options.id - ID of the reported content
+ * @param {LemmyAPI} options.api - API client used to load rules and send the report
+ * @param {Object} [options.community] - Community the content was posted in
+ * @param {string} [options.excerpt] - Text of the content, shown as a reminder
+ * @returns {Promise<boolean>} True once the report was sent, false if cancelled
+ */
+export function openReportDialog(options) {
+    const { kind, id, api, community = null, excerpt = '' } = options;
+    const reportKind = REPORT_KINDS[kind];
+
+    return new Promise(resolve => {
+        let sent = false;
+        let submitting = false;
+
+        const rulesContainer = DOM.createElement('div', { className: 'report-dialog-rules mb-3' }, [
+            DOM.createElement('div', { className: 'small text-muted' }, [
+                DOM.createElement('span', { className: 'spinner-border spinner-border-sm me-2', role: 'status' }),
+                'Loading rules...'
+            ])
+        ]);
+
+        const input = DOM.createElement('textarea', {
+            className: 'form-control',
+            id: 'report-dialog-input',
+            rows: '3',
+            maxlength: String(MAX_REPORT_LENGTH),
+            placeholder: `Why should moderators look at this ${reportKind.noun}?`,
+            onInput: () => {
+                input.classList.remove('is-invalid');
+                updateCounter();
+            }
+        });
+        const counter = DOM.createElement('div', { className: 'form-text text-end' });
+        const inputError = DOM.createElement('div', { className: 'invalid-feedback' },
+            'Pick a rule or describe the problem.');
+        const submitError = DOM.createElement('div', { className: 'alert alert-danger small d-none mb-0 mt-3' });
+
+        const submitSpinner = DOM.createElement('span', {
+            className: 'spinner-border spinner-border-sm me-2 d-none',
+            role: 'status'
+        });
+        const submitButton = DOM.createElement('button', {
+            type: 'button',
+            className: 'btn btn-warning',
+            onClick: () => submit()
+        }, [submitSpinner, 'Submit Report']);
+
+        const modalElement = DOM.createElement('div', {
+            className: 'modal fade report-dialog',
+            tabindex: '-1',
+            'aria-labelledby': 'report-dialog-title',
+            'aria-hidden': 'true'
+        }, [
+            DOM.createElement('div', { className: 'modal-dialog modal-dialog-scrollable' }, [
+                DOM.createElement('div', { className: 'modal-content' }, [
+                    DOM.createElement('div', { className: 'modal-header' }, [
+                        DOM.createElement('h5', { className: 'modal-title', id: 'report-dialog-title' },
+                            `Report ${reportKind.noun}`),
+                        DOM.createElement('button', {
+                            type: 'button',
+                            className: 'btn-close',
+                            'data-bs-dismiss': 'modal',
+                            'aria-label': 'Close'
+                        })
+                    ]),
+                    DOM.createElement('div', { className: 'modal-body' }, [
+                        excerpt ? DOM.createElement('blockquote', {
+                            className: 'report-dialog-excerpt small text-muted border-start ps-2 mb-3'
+                        }, TextUtils.truncate(excerpt, 200)) : null,
+                        rulesContainer,
+                        DOM.createElement('label', { className: 'form-label', for: 'report-dialog-input' }, 'Details'),
+                        input,
+                        inputError,
+                        counter,
+                        DOM.createElement('div', { className: 'form-text' }, kind === 'message'
+                            ? 'Message reports are reviewed by the instance admins.'
+                            : 'Reports are reviewed by the community moderators.'),
+                        submitError
+                    ]),
+                    DOM.createElement('div', { className: 'modal-footer' }, [
+                        DOM.createElement('button', {
+                            type: 'button',
+                            className: 'btn btn-secondary',
+                            'data-bs-dismiss': 'modal'
+                        }, 'Cancel'),
+                        submitButton
+                    ])
+                ])
+            ])
+        ]);
+
+        const modal = new window.bootstrap.Modal(modalElement);
+
+        /**
+         * Rule picked as a preset, or null for none
+         * @returns {string|null} Rule text
+         */
+        function selectedRule() {
+            return modalElement.querySelector('input[name="report-dialog-rule"]:checked')?.value || null;
+        }
+
+        /**
+         * Combine the picked rule and the details into the reason sent
+         * @returns {string} Reason text
+         */
+        function buildReason() {
+            const rule = selectedRule();
+            const details = input.value.trim();
+            if (rule && details) return `${rule}: ${details}`;
+            return rule || details;
+        }
+
+        /**
+         * Show the length of the reason against the limit
+         */
+        function updateCounter() {
+            const length = buildReason().length;
+            counter.textContent = `${length}/${MAX_REPORT_LENGTH}`;
+            counter.classList.toggle('text-danger', length > MAX_REPORT_LENGTH);
+        }
+
+        /**
+         * Replace the loading note with the rule presets, or drop it if there are none
+         * @param {Array<Object>} groups - Groups of { title, rules } from loadRules()
+         */
+        function renderRules(groups) {
+            DOM.clearChildren(rulesContainer);
+            if (groups.length === 0) {
+                rulesContainer.remove();
+                return;
+            }
+
+            groups.forEach((group, groupIndex) => {
+                rulesContainer.appendChild(DOM.createElement('div', { className: 'fw-semibold small mb-1' }, group.title));
+                group.rules.forEach((rule, ruleIndex) => {
+                    const radioId = `report-dialog-rule-${groupIndex}-${ruleIndex}`;
+                    rulesContainer.appendChild(DOM.createElement('div', { className: 'form-check' }, [
+                        DOM.createElement('input', {
+                            className: 'form-check-input',
+                            type: 'radio',
+                            name: 'report-dialog-rule',
+                            id: radioId,
+                            value: rule,
+                            onChange: () => {
+                                input.classList.remove('is-invalid');
+                                updateCounter();
+                            }
+                        }),
+                        DOM.createElement('label', { className: 'form-check-label small', for: radioId }, rule)
+                    ]));
+                });
+            });
+
+            // A way back to a free text reason once a rule was picked
+            rulesContainer.appendChild(DOM.createElement('button', {
+                type: 'button',
+                className: 'btn btn-link btn-sm p-0 mt-1',
+                onClick: () => {
+                    modalElement.querySelectorAll('input[name="report-dialog-rule"]').forEach(radio => {
+                        radio.checked = false;
+                    });
+                    updateCounter();
+                }
+            }, 'Clear selection'));
+        }
+
+        /**
+         * Check the reason and send the report
+         * @returns {Promise<void>}
+         */
+        async function submit() {
+            if (submitting) return;
+
+            const reason = buildReason();
+            if (!reason) {
+                inputError.textContent = 'Pick a rule or describe the problem.';
+                input.classList.add('is-invalid');
+                input.focus();
+                return;
+            }
+            if (reason.length > MAX_REPORT_LENGTH) {
+                inputError.textContent = `Reports can be at most ${MAX_REPORT_LENGTH} characters.`;
+                input.classList.add('is-invalid');
+                input.focus();
+                return;
+            }
+
+            submitting = true;
+            submitButton.disabled = true;
+            submitSpinner.classList.remove('d-none');
+            submitError.classList.add('d-none');
+
+            try {
+                await reportKind.submit(api, { [reportKind.idKey]: parseInt(id, 10), reason });
+                sent = true;
+                modal.hide();
+                DOM.showToast('Report submitted. Thanks for letting the moderators know.', 'success');
+            } catch (error) {
+                console.error(`Failed to report ${reportKind.noun}:`, error);
+                submitError.textContent = ErrorUtils.formatError(error, {
+                    report_reason_required: 'Please give a reason for the report.'
+                });
+                submitError.classList.remove('d-none');
+            } finally {
+                submitting = false;
+                submitButton.disabled = false;
+                submitSpinner.classList.add('d-none');
+            }
+        }
+
+        modalElement.addEventListener('shown.bs.modal', () => input.focus());
+        modalElement.addEventListener('hidden.bs.modal', () => {
+            modal.dispose();
+            modalElement.remove();
+            resolve(sent);
+        });
+
+        updateCounter();
+        document.body.appendChild(modalElement);
+        modal.show();
+
+        loadRules(api, kind === 'message' ? null : community).then(renderRules);
+    });
+}
@@ -0,0 +1,639 @@
+/**
+ * Subscriptions Manager Component for Lemmeric
+ *
+ * Lists every community the logged-in account follows (the `follows` list of
+ * /site) with search, bulk unsubscribe, and JSON/CSV export and import.
+ * Exports identify communities by their ActivityPub ID, so a list exported
+ * from one account can be imported into an account on any other instance;
+ * communities the instance hasn't seen yet are fetched with resolve_object.
+ *
+ * @fileoverview Manage, export and import followed communities
+ */
+
+import { DOM } from '../utils.js';
+import { LemmyAPI } from '../api.js';
+import { getCurrentInstance } from '../config.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+/**
+ * Value of the `format` field in JSON exports
+ * @type {string}
+ */
+const EXPORT_FORMAT = 'lemmeric-subscriptions';
+
+/**
+ * Version of the JSON export format
+ * @type {number}
+ */
+const EXPORT_VERSION = 1;
+
+/**
+ * CSV columns, in order
+ * @type {string[]}
+ */
+const CSV_COLUMNS = ['name', 'host', 'actor_id', 'title'];
+
+// ========================================
+// EXPORT / IMPORT HELPERS
+// ========================================
+
+/**
+ * Get the host of a community from its ActivityPub ID
+ * @param {string} actorId - Community actor_id
+ * @returns {string} Host name, or '' if the ID isn't a URL
+ */
+function getActorHost(actorId) {
+    try {
+        return new URL(actorId).hostname;
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Quote a CSV field if needed
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Split CSV text into rows of fields (handles quoted fields)
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows
+ */
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * Build the JSON export
+ * @param {Object[]} communities - Followed communities
+ * @param {Object} source - Where they were exported from
+ * @returns {string} JSON text
+ */
+export function serializeSubscriptionsJson(communities, source) {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exported: new Date().toISOString(),
+        instance: source.instance,
+        account: source.account,
+        communities: communities.map(community => ({
+            name: community.name,
+            host: community.host,
+            actor_id: community.actor_id,
+            title: community.title
+        }))
+    }, null, 2);
+}
+
+/**
+ * Build the CSV export
+ * @param {Object[]} communities - Followed communities
+ * @returns {string} CSV text
+ */
+export function serializeSubscriptionsCsv(communities) {
+    const lines = [CSV_COLUMNS.join(',')];
+    communities.forEach(community => {
+        lines.push(CSV_COLUMNS.map(column => toCsvField(community[column])).join(','));
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Read communities from a JSON or CSV export
+ * Also accepts a bare JSON array and CSV files with only some of the columns,
+ * as long as each row has an actor_id or a name and host.
+ * @param {string} text - File contents
+ * @returns {Object[]} Communities with name, host and actor_id
+ * @throws {Error} If the file can't be read as either format
+ */
+export function parseSubscriptions(text) {
+    const trimmed = text.trim();
+    let entries;
+
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        const data = JSON.parse(trimmed);
+        entries = Array.isArray(data) ? data : data.communities;
+        if (!Array.isArray(entries)) {
+            throw new Error('The JSON file has no communities list');
+        }
+    } else {
+        const [header, ...rows] = parseCsvRows(trimmed);
+        const columns = (header || []).map(column => column.trim().toLowerCase());
+        if (!columns.includes('actor_id') && !(columns.includes('name') && columns.includes('host'))) {
+            throw new Error('The CSV file needs an actor_id column, or name and host columns');
+        }
+        entries = rows.map(fields => Object.fromEntries(columns.map((column, i) => [column, (fields[i] || '').trim()])));
+    }
+
+    return entries
+        .map(entry => {
+            const actorId = entry.actor_id || '';
+            return {
+                name: entry.name || actorId.split('/').pop() || '',
+                host: entry.host || getActorHost(actorId),
+                actor_id: actorId,
+                title: entry.title || ''
+            };
+        })
+        .filter(entry => entry.actor_id || (entry.name && entry.host));
+}
+
+// ========================================
+// SUBSCRIPTIONS MANAGER CLASS
+// ========================================
+
+/**
+ * Subscriptions manager component class
+ *
+ * Loads the account's follows and renders the management view into a container
+ */
+export class SubscriptionsManagerComponent {
+    /**
+     * Initialize the component
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} currentUser - Logged-in user (name is used in export file names)
+     */
+    constructor(container, currentUser = null) {
+        this.container = container;
+        this.currentUser = currentUser;
+        this.api = new LemmyAPI();
+        this.communities = [];
+        this.selected = new Set();
+        this.filter = '';
+        this.isBusy = false;
+        this.elements = {};
+    }
+
+    // ========================================
+    // LIFECYCLE
+    // ========================================
+
+    /**
+     * Render the view and load the follows
+     * @returns {Promise<void>}
+     */
+    async mount() {
+        this.renderLayout();
+        await this.loadSubscriptions();
+    }
+
+    /**
+     * Fetch the follows list from /site
+     * @returns {Promise<void>}
+     */
+    async loadSubscriptions() {
+        this.setStatus('Loading subscriptions...');
+
+        try {
+            const site = await this.api.getCurrentUser();
+            const follows = site?.my_user?.follows || [];
+
+            this.communities = follows
+                .map(follow => follow.community)
+                .filter(Boolean)
+                .map(community => ({
+                    id: community.id,
+                    name: community.name,
+                    title: community.title || community.name,
+                    icon: community.icon,
+                    actor_id: community.actor_id,
+                    host: getActorHost(community.actor_id),
+                    local: community.local !== false
+                }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+
+            // Drop selections for communities that are no longer followed
+            const ids = new Set(this.communities.map(community => community.id));
+            this.selected = new Set([...this.selected].filter(id => ids.has(id)));
+
+            this.setStatus('');
+        } catch (error) {
+            console.error('Failed to load subscriptions:', error);
+            this.communities = [];
+            this.setStatus('Failed to load subscriptions. Please try again.', 'danger');
+        }
+
+        this.renderList();
+    }
+
+    // ========================================
+    // RENDERING METHODS
+    // ========================================
+
+    /**
+     * Render the toolbar and the (empty) list
+     */
+    renderLayout() {
+        this.elements.search = DOM.createElement('input', {
+            type: 'search',
+            className: 'form-control form-control-sm',
+            placeholder: 'Search subscriptions...',
+            'aria-label': 'Search subscriptions',
+            onInput: (event) => {
+                this.filter = event.target.value.trim().toLowerCase();
+                this.renderList();
+            }
+        });
+
+        this.elements.selectAll = DOM.createElement('input', {
+            type: 'checkbox',
+            className: 'form-check-input',
+            id: 'subscriptions-select-all',
+            onChange: (event) => this.handleSelectAll(event.target.checked)
+        });
+
+        this.elements.unsubscribeBtn = DOM.createElement('button', {
+            type: 'button',
+            className: 'btn btn-sm btn-outline-danger',
+            onClick: () => this.handleBulkUnsubscribe()
+        }, [
+            DOM.createElement('i', { className: 'bi bi-x-circle me-1' }),
+            'Unsubscribe selected'
+        ]);
+
+        this.elements.importInput = DOM.createElement('input', {
+            type: 'file',
+            accept: '.json,.csv,application/json,text/csv',
+            className: 'd-none',
+            onChange: (event) => this.handleImportFile(event.target.files?.[0])
+        });
+
+        const exportMenu = DOM.createElement('div', { className: 'btn-group btn-group-sm' }, [
+            DOM.createElement('button', {
+                type: 'button',
+                className: 'btn btn-outline-secondary',
+                title: 'Export as JSON',
+                onClick: () => this.handleExport('json')
+            }, [DOM.createElement('i', { className: 'bi bi-download me-1' }), 'JSON']),
+            DOM.createElement('button', {
+                type: 'button',
+                className: 'btn btn-outline-secondary',
+                title: 'Export as CSV',
+                onClick: () => this.handleExport('csv')
+            }, 'CSV'),
+            DOM.createElement('button', {
+                type: 'button',
+                className: 'btn btn-outline-primary',
+                title: 'Import a JSON or CSV export',
+                onClick: () => this.elements.importInput.click()
+            }, [DOM.createElement('i', { className: 'bi bi-upload me-1' }), 'Import'])
+        ]);
+
+        const toolbar = DOM.createElement('div', {
+            className: 'd-flex flex-wrap align-items-center gap-2 mb-3'
+        }, [
+            DOM.createElement('div', { className: 'flex-grow-1', style: 'min-width: 180px;' }, [this.elements.search]),
+            this.elements.unsubscribeBtn,
+            exportMenu,
+            this.elements.importInput
+        ]);
+
+        this.elements.status = DOM.createElement('div', { className: 'small mb-2' });
+
+        this.elements.header = DOM.createElement('div', {
+            className: 'form-check mb-2'
+        }, [
+            this.elements.selectAll,
+            DOM.createElement('label', {
+                className: 'form-check-label small text-muted',
+                for: 'subscriptions-select-all'
+            }, 'Select all shown')
+        ]);
+
+        this.elements.list = DOM.createElement('ul', { className: 'list-group' });
+
+        this.container.innerHTML = '';
+        [toolbar, this.elements.status, this.elements.header, this.elements.list].forEach(element => {
+            this.container.appendChild(element);
+        });
+    }
+
+    /**
+     * Render the communities matching the search
+     */
+    renderList() {
+        const list = this.elements.list;
+        if (!list) return;
+
+        list.innerHTML = '';
+        const shown = this.getFilteredCommunities();
+
+        if (shown.length === 0) {
+            list.appendChild(DOM.createElement('li', {
+                className: 'list-group-item text-center text-muted py-4'
+            }, this.communities.length === 0 ? 'You are not subscribed to any communities.' : 'No subscriptions match your search.'));
+        } else {
+            shown.forEach(community => list.appendChild(this.renderCommunityItem(community)));
+        }
+
+        this.updateSelectionControls();
+    }
+
+    /**
+     * Render one followed community
+     * @param {Object} community - Community
+     * @returns {HTMLElement} List item
+     */
+    renderCommunityItem(community) {
+        const checkboxId = `subscription-${community.id}`;
+        const fullName = community.local ? `!${community.name}` : `!${community.name}@${community.host}`;
+        const communityUrl = community.local ? `/c/${community.name}` : `/c/${community.name}@${community.host}`;
+
+        return DOM.createElement('li', {
+            className: 'list-group-item d-flex align-items-center gap-2'
+        }, [
+            DOM.createElement('input', {
+                type: 'checkbox',
+                className: 'form-check-input mt-0',
+                id: checkboxId,
+                ...(this.selected.has(community.id) ? { checked: 'checked' } : {}),
+                onChange: (event) => {
+                    if (event.target.checked) {
+                        this.selected.add(community.id);
+                    } else {
+                        this.selected.delete(community.id);
+                    }
+                    this.updateSelectionControls();
+                }
+            }),
+            community.icon ? DOM.createElement('img', {
+                src: community.icon,
+                alt: '',
+                className: 'rounded-circle',
+                style: 'width: 24px; height: 24px; object-fit: cover;'
+            }) : DOM.createElement('i', { className: 'bi bi-people-fill text-muted' }),
+            DOM.createElement('label', {
+                className: 'flex-grow-1 min-width-0',
+                for: checkboxId
+            }, [
+                DOM.createElement('a', {
+                    href: communityUrl,
+                    className: 'text-decoration-none fw-medium'
+                }, community.title),
+                DOM.createElement('small', { className: 'text-muted ms-2' }, fullName)
+            ])
+        ]);
+    }
+
+    /**
+     * Enable or disable the bulk controls for the current selection
+     */
+    updateSelectionControls() {
+        const shown = this.getFilteredCommunities();
+        const selectedShown = shown.filter(community => this.selected.has(community.id)).length;
+
+        if (this.elements.selectAll) {
+            this.elements.selectAll.checked = shown.length > 0 && selectedShown === shown.length;
+            this.elements.selectAll.indeterminate = selectedShown > 0 && selectedShown < shown.length;
+            this.elements.selectAll.disabled = this.isBusy || shown.length === 0;
+        }
+
+        if (this.elements.unsubscribeBtn) {
+            this.elements.unsubscribeBtn.disabled = this.isBusy || this.selected.size === 0;
+            this.elements.unsubscribeBtn.lastChild.textContent = this.selected.size > 0
+                ? `Unsubscribe selected (${this.selected.size})`
+                : 'Unsubscribe selected';
+        }
+    }
+
+    /**
+     * Show a status line above the list
+     * @param {string} message - Message ('' hides it)
+     * @param {string} type - Bootstrap text color (muted, success, danger, ...)
+     */
+    setStatus(message, type = 'muted') {
+        if (!this.elements.status) return;
+        this.elements.status.className = `small mb-2 text-${type}`;
+        this.elements.status.textContent = message;
+    }
+
+    // ========================================
+    // ACTIONS
+    // ========================================
+
+    /**
+     * Select or clear every community matching the search
+     * @param {boolean} checked - Whether to select
+     */
+    handleSelectAll(checked) {
+        this.getFilteredCommunities().forEach(community => {
+            if (checked) {
+                this.selected.add(community.id);
+            } else {
+                this.selected.delete(community.id);
+            }
+        });
+        this.renderList();
+    }
+
+    /**
+     * Unsubscribe from every selected community
+     * @returns {Promise<void>}
+     */
+    async handleBulkUnsubscribe() {
+        const targets = this.communities.filter(community => this.selected.has(community.id));
+        if (targets.length === 0 || this.isBusy) return;
+
+        if (!confirm(`Unsubscribe from ${targets.length} ${targets.length === 1 ? 'community' : 'communities'}?`)) {
+            return;
+        }
+
+        const failed = await this.runBatch(targets, 'Unsubscribing', async (community) => {
+            await this.api.followCommunity(community.id, false);
+            this.selected.delete(community.id);
+        });
+
+        await this.loadSubscriptions();
+        this.reportBatch(`Unsubscribed from ${targets.length - failed.length} of ${targets.length}.`, failed);
+    }
+
+    /**
+     * Download the follows list
+     * @param {string} format - 'json' or 'csv'
+     */
+    handleExport(format) {
+        if (this.communities.length === 0) {
+            DOM.showToast('There are no subscriptions to export', 'info');
+            return;
+        }
+
+        const instance = getCurrentInstance();
+        const account = this.currentUser?.name || 'account';
+        const content = format === 'csv'
+            ? serializeSubscriptionsCsv(this.communities)
+            : serializeSubscriptionsJson(this.communities, { instance, account });
+
+        const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = DOM.createElement('a', {
+            href: url,
+            download: `subscriptions-${account}@${instance}.${format}`
+        });
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Follow every community in an export file that isn't followed yet
+     * @param {File} file - JSON or CSV file
+     * @returns {Promise<void>}
+     */
+    async handleImportFile(file) {
+        this.elements.importInput.value = '';
+        if (!file || this.isBusy) return;
+
+        let entries;
+        try {
+            entries = parseSubscriptions(await file.text());
+        } catch (error) {
+            console.error('Failed to read subscriptions file:', error);
+            DOM.showToast(`Could not read ${file.name}: ${error.message}`, 'error');
+            return;
+        }
+
+        const followed = new Set(this.communities.map(community => community.actor_id));
+        const targets = entries.filter(entry => !followed.has(entry.actor_id));
+        const alreadyFollowed = entries.length - targets.length;
+
+        if (targets.length === 0) {
+            DOM.showToast(`All ${entries.length} communities in ${file.name} are already followed`, 'info');
+            return;
+        }
+
+        if (!confirm(`Subscribe to ${targets.length} ${targets.length === 1 ? 'community' : 'communities'} from ${file.name}?`)) {
+            return;
+        }
+
+        const failed = await this.runBatch(targets, 'Subscribing', async (entry) => {
+            const community = await this.resolveCommunity(entry);
+            await this.api.followCommunity(community.id, true);
+        });
+
+        await this.loadSubscriptions();
+        const skipped = alreadyFollowed > 0 ? ` ${alreadyFollowed} were already followed.` : '';
+        this.reportBatch(`Subscribed to ${targets.length - failed.length} of ${targets.length}.${skipped}`, failed);
+    }
+
+    /**
+     * Find an imported community on the current instance
+     * @param {Object} entry - Entry from parseSubscriptions()
+     * @returns {Promise<Object>} Community with an id on this instance
+     */
+    async resolveCommunity(entry) {
+        const query = entry.actor_id || `!${entry.name}@${entry.host}`;
+        const response = await this.api.resolveObject(query);
+        const community = response?.community?.community;
+        if (!community) {
+            throw new Error('not found on this instance');
+        }
+        return community;
+    }
+
+    /**
+     * Run a request for each item one after another, showing progress
+     * Requests go one at a time so the rate limiter can pace them.
+     * @param {Object[]} items - Communities or import entries
+     * @param {string} verb - Progress label ('Subscribing', ...)
+     * @param {Function} action - Async function called with each item
+     * @returns {Promise<Array<{item: Object, error: Error}>>} Items that failed
+     */
+    async runBatch(items, verb, action) {
+        const failed = [];
+        this.isBusy = true;
+        this.updateSelectionControls();
+
+        for (let i = 0; i < items.length; i++) {
+            this.setStatus(`${verb} ${i + 1} of ${items.length}...`);
+            try {
+                await action(items[i]);
+            } catch (error) {
+                console.warn(`${verb} failed for ${items[i].name}:`, error);
+                failed.push({ item: items[i], error });
+            }
+        }
+
+        this.isBusy = false;
+        this.updateSelectionControls();
+        return failed;
+    }
+
+    /**
+     * Show the result of a batch
+     * @param {string} summary - Summary sentence
+     * @param {Array<{item: Object, error: Error}>} failed - Failures from runBatch()
+     */
+    reportBatch(summary, failed) {
+        if (failed.length === 0) {
+            this.setStatus(summary, 'success');
+            return;
+        }
+
+        const names = failed.map(({ item, error }) => `${item.name}@${item.host} (${error.message})`).join(', ');
+        this.setStatus(`${summary} Failed: ${names}`, 'danger');
+    }
+
+    // ========================================
+    // UTILITY METHODS
+    // ========================================
+
+    /**
+     * Get the communities matching the search box
+     * @returns {Object[]} Communities
+     */
+    getFilteredCommunities() {
+        if (!this.filter) {
+            return this.communities;
+        }
+        return this.communities.filter(community =>
+            [community.name, community.title, community.host].some(value => value?.toLowerCase().includes(this.filter)));
+    }
+}
@@ -395,15 +395,10 @@ export class UserEditModal {
      * Format save error
      */
     formatSaveError(error) {
-        const errorMessage = ErrorUtils.formatError(error);
-        
-        // Handle specific error messages
-        if (errorMessage.includes('not_an_admin')) {
-            return 'You do not have permission to edit user settings.';
-        }
-        if (errorMessage.includes('rate_limit')) {
-            return 'You are making changes too quickly. Please wait a moment and try again.';
-        }
+        const errorMessage = ErrorUtils.formatError(error, {
+            not_an_admin: 'You do not have permission to edit user settings.',
+            rate_limit_error: 'You are making changes too quickly. Please wait a moment and try again.'
+        });
         
         return errorMessage || 'Failed to update profile. Please try again.';
     }
@@ -7,6 +7,9 @@ import { DOM } from '../utils.js';
 import { APIUtils } from '../api.js';
 import { processSidebarContent } from '../markdown-it-setup.js';
 import { authManager } from '../auth.js';
+import { isQueuedResponse, isUnconfirmedResponse } from '../outbox.js';
+import { blocklist } from '../blocklist.js';
+import { changePersonBlock, changeInstanceBlock, getInstanceOf } from './block-actions.js';
 
 export class UserSidebarComponent {
     constructor(userData) {
@@ -76,6 +79,10 @@ export class UserSidebarComponent {
         const sendMessageElement = this.renderSendMessageButton();
         if (sendMessageElement) cardElements.push(sendMessageElement);
 
+        // Block user / instance buttons
+        const blockElement = this.renderBlockActions();
+        if (blockElement) cardElements.push(blockElement);
+
         // Edit button (only for current user)
         const editButtonElement = this.renderEditButton();
         if (editButtonElement) cardElements.push(editButtonElement);
@@ -353,6 +360,90 @@ export class UserSidebarComponent {
         ]);
     }
 
+    /**
+     * Render the Block user / Block instance buttons
+     * @returns {HTMLElement|null} Block actions element or null
+     */
+    renderBlockActions() {
+        if (!authManager || !authManager.isAuthenticated() || this.isCurrentUser()) {
+            return null;
+        }
+
+        const element = DOM.createElement('div', {
+            className: 'user-block-actions mt-2 d-flex gap-2',
+            'data-person-id': this.user.id
+        });
+        this.fillBlockActions(element);
+        return element;
+    }
+
+    /**
+     * Fill a block actions element with buttons for the current block state
+     * @param {HTMLElement} element - Block actions element
+     */
+    fillBlockActions(element) {
+        element.innerHTML = '';
+
+        const personBlocked = blocklist.isPersonBlocked(this.user);
+        element.appendChild(DOM.createElement('button', {
+            type: 'button',
+            className: `btn btn-sm flex-fill ${personBlocked ? 'btn-danger' : 'btn-outline-danger'}`,
+            title: personBlocked ? 'Show this user\'s posts and comments again' : 'Hide this user\'s posts and comments',
+            onclick: () => this.handleBlockPerson(!personBlocked)
+        }, [
+            DOM.createElement('i', {
+                className: 'bi bi-person-slash me-1'
+            }),
+            personBlocked ? 'Unblock User' : 'Block User'
+        ]));
+
+        // Your own instance can't be blocked
+        const instance = this.user.local === false ? getInstanceOf(this.user) : null;
+        if (instance) {
+            const instanceBlocked = blocklist.isInstanceBlocked(this.user);
+            element.appendChild(DOM.createElement('button', {
+                type: 'button',
+                className: `btn btn-sm flex-fill ${instanceBlocked ? 'btn-danger' : 'btn-outline-danger'}`,
+                title: `${instanceBlocked ? 'Unblock' : 'Block'} ${instance.domain}`,
+                onclick: () => this.handleBlockInstance(instance, !instanceBlocked)
+            }, [
+                DOM.createElement('i', {
+                    className: 'bi bi-globe me-1'
+                }),
+                instanceBlocked ? 'Unblock Instance' : 'Block Instance'
+            ]));
+        }
+    }
+
+    /**
+     * Block or unblock the displayed user
+     * @param {boolean} block - True to block, false to unblock
+     */
+    async handleBlockPerson(block) {
+        if (await changePersonBlock(this.user, block)) {
+            this.refreshBlockActions();
+        }
+    }
+
+    /**
+     * Block or unblock the displayed user's instance
+     * @param {Object} instance - Instance with id and domain
+     * @param {boolean} block - True to block, false to unblock
+     */
+    async handleBlockInstance(instance, block) {
+        if (await changeInstanceBlock(instance, block)) {
+            this.refreshBlockActions();
+        }
+    }
+
+    /**
+     * Update every rendered copy of the block buttons (desktop and mobile sidebars)
+     */
+    refreshBlockActions() {
+        document.querySelectorAll(`.user-block-actions[data-person-id="${this.user.id}"]`)
+            .forEach(element => this.fillBlockActions(element));
+    }
+
     /**
      * Check if the displayed user is the current user
      * @returns {boolean} True if this is the current user
@@ -599,7 +690,13 @@ export class UserSidebarComponent {
                 }
 
                 // Show success toast
-                this.showToast('Message sent successfully!', 'success');
+                if (isUnconfirmedResponse(response)) {
+                    this.showToast('The connection dropped while sending your message. Check whether it went through, then send it again from the pending actions.', 'warning');
+                } else if (isQueuedResponse(response)) {
+                    this.showToast('You are offline. Your message will be sent when you reconnect.', 'info');
+                } else {
+                    this.showToast('Message sent successfully!', 'success');
+                }
                 
                 // Clear the message content
                 messageContent.value = '';
@@ -148,7 +148,13 @@ export const CONFIG = {
         VISITED_POSTS: 'lemmeric_visited_posts',
         CUSTOM_INSTANCES: 'lemmeric_custom_instances',
         AUTH_TOKEN: 'lemmeric_auth_token',
-        USER_DATA: 'lemmeric_user_data'
+        USER_DATA: 'lemmeric_user_data',
+        MOCK_BACKEND: 'lemmeric_mock_backend',
+        API_VERSIONS: 'lemmeric_api_versions',
+        DEBUG: 'lemmeric_debug',
+        BLOCKLIST: 'lemmeric_blocklist',
+        CONTENT_FILTERS: 'lemmeric_content_filters',
+        REPORT_NOTES: 'lemmeric_report_notes'
     },
     
     // ========================================
@@ -161,10 +167,51 @@ export const CONFIG = {
         MAX_RETRIES: 3,
         RETRY_DELAY: 1000, // 1 second
         
-        // Rate limiting
+        // Rate limiting (token buckets per Lemmy rate-limit category)
         RATE_LIMIT: {
-            MAX_REQUESTS: 60,
-            WINDOW_MS: 60000 // 1 minute
+            // Lemmy's defaults, used until the instance's own limits are read from /site
+            // (count requests allowed every perSecond seconds)
+            DEFAULT_LIMITS: {
+                message: { count: 180, perSecond: 60 },
+                post: { count: 6, perSecond: 600 },
+                register: { count: 10, perSecond: 3600 },
+                image: { count: 6, perSecond: 3600 },
+                comment: { count: 6, perSecond: 600 },
+                search: { count: 60, perSecond: 600 }
+            },
+            MAX_QUEUE_WAIT_MS: 30000, // Fail instead of queueing when the wait would be longer
+            DEFAULT_RETRY_AFTER_MS: 5000 // Pause after a 429 without a Retry-After header
+        },
+        
+        // Response cache (IndexedDB, shared across pages)
+        CACHE: {
+            ENABLED: true,
+            DEFAULT_TTL_MS: 60000, // 1 minute for endpoints not listed below
+            MAX_STALE_MS: 86400000, // Stale entries older than a day are never shown
+            MAX_ENTRIES: 500,
+            
+            // How long each endpoint's responses stay fresh (0 = never cached)
+            TTL_MS: {
+                '/site': 0, // Used to validate the login, must always hit the server
+                '/post/list': 60000,
+                '/post': 120000,
+                '/comment/list': 30000,
+                '/comment': 30000,
+                '/community/list': 600000,
+                '/community': 300000,
+                '/user': 120000,
+                '/search': 60000,
+                '/resolve_object': 0,
+                '/user/replies': 0,
+                '/user/mention': 0,
+                '/user/unread_count': 0,
+                '/private_message/list': 0,
+                '/post/report/list': 0,
+                '/comment/report/list': 0,
+                '/private_message/report/list': 0,
+                '/admin/registration_application/list': 0,
+                '/modlog': 0 // Audit trail, always read fresh
+            }
         }
     },
     
@@ -190,7 +237,41 @@ export const CONFIG = {
         INFINITE_SCROLL: true,
         AUTO_REFRESH: false,
         KEYBOARD_SHORTCUTS: true,
-        ACCESSIBILITY_MODE: false
+        ACCESSIBILITY_MODE: false,
+        OFFLINE_MODE: true, // Service worker (sw.js): the app shell and recently viewed posts work offline
+        VIRTUALIZED_LISTS: true, // Detach off-screen posts and comment threads (js/virtual-list.js)
+        LIVE_COMMENTS: true // Check an open post for new comments in the background
+    },
+
+    // Live comment updates on an open post
+    LIVE_COMMENTS: {
+        POLL_INTERVAL_MS: 30000, // How often an open post checks for new comments
+        POLL_LIMIT: 50, // Newest comments fetched by each check
+        REMEMBERED_POSTS: 500 // Posts whose last visit is kept for "new" highlighting
+    },
+
+    // Windowed rendering of feeds and comment threads
+    VIRTUAL_LIST: {
+        OVERSCAN_PX: 1500, // Items this far above or below the viewport stay rendered
+        ESTIMATED_THREAD_HEIGHT: 180, // Placeholder height for comment threads not rendered yet
+        INITIAL_COMMENT_THREADS: 15, // Top-level threads rendered straight away; the rest render as they near the viewport
+        LARGE_REPLY_COUNT: 50, // Comments with more direct replies than this window their replies as well
+        INITIAL_REPLIES: 20, // Replies of such a comment rendered straight away
+        ESTIMATED_REPLY_HEIGHT: 120 // Placeholder height for replies not rendered yet
+    },
+    
+    // ========================================
+    // DEVELOPMENT CONFIGURATION
+    // ========================================
+    
+    // Development settings
+    // MOCK_BACKEND serves all API requests from an in-memory Lemmy instance
+    // (js/mock/) so the UI can be developed offline. On localhost it can also be
+    // toggled per browser by visiting any page with ?mock=1 (and ?mock=0 to turn off).
+    DEVELOPMENT: {
+        MOCK_BACKEND: false,
+        MOCK_LATENCY_MS: 150, // Simulated network delay for mock responses
+        DEBUG_API: false // Log request details (secrets redacted); also enabled by the lemmeric_debug localStorage key
     },
     
     // ========================================
@@ -224,6 +305,10 @@ export const CONFIG = {
         'j': 'Next post',
         'o': 'Open post',
         'c': 'Open comments',
+        'a': 'Upvote',
+        'z': 'Downvote',
+        's': 'Save',
+        'x': 'Collapse thread',
         'h': 'Go home',
         't': 'Toggle theme',
         'r': 'Refresh',
@@ -289,10 +374,22 @@ export function isSingleInstanceMode() {
 // BRANDING AND FAVICON FUNCTIONS
 // ========================================
 
+/**
+ * Theme color used when none can be read from the instance icon (Lemmeric's blue)
+ * @type {string}
+ */
+const DEFAULT_THEME_COLOR = '#0d6efd';
+
+/**
+ * Object URL of the generated manifest, revoked when it is replaced
+ * @type {string|null}
+ */
+let manifestObjectUrl = null;
+
 /**
  * Get instance branding information (name and icon)
  * This is fetched from the instance's /site API endpoint
- * @returns {Promise<Object>} Instance branding data with name and icon
+ * @returns {Promise<Object>} Instance branding data with name, icon and description
  */
 export async function getInstanceBranding() {
     if (!isSingleInstanceMode()) {
@@ -373,6 +470,142 @@ export async function updateFaviconFromBranding() {
     }
 }
 
+/**
+ * Read the main color of an image
+ * Averages the opaque, saturated pixels so white or black backgrounds don't
+ * wash it out. Resolves to null if the image can't be loaded or read (an icon
+ * on another origin without CORS headers can't be inspected).
+ * @param {string} url - Image URL
+ * @returns {Promise<string|null>} Hex color, or null
+ */
+function readImageColor(url) {
+    return new Promise((resolve) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+
+        image.onload = () => {
+            try {
+                const size = 16;
+                const canvas = document.createElement('canvas');
+                canvas.width = size;
+                canvas.height = size;
+                const context = canvas.getContext('2d');
+                context.drawImage(image, 0, 0, size, size);
+                const { data } = context.getImageData(0, 0, size, size);
+
+                const total = [0, 0, 0];
+                let count = 0;
+                for (let i = 0; i < data.length; i += 4) {
+                    const [red, green, blue, alpha] = data.slice(i, i + 4);
+                    if (alpha < 128 || Math.max(red, green, blue) - Math.min(red, green, blue) < 40) {
+                        continue;
+                    }
+                    total[0] += red;
+                    total[1] += green;
+                    total[2] += blue;
+                    count++;
+                }
+
+                resolve(count > 0
+                    ? `#${total.map(sum => Math.round(sum / count).toString(16).padStart(2, '0')).join('')}`
+                    : null);
+            } catch (error) {
+                resolve(null);
+            }
+        };
+        image.onerror = () => resolve(null);
+        image.src = url;
+    });
+}
+
+/**
+ * Get the theme color of the installed app from instance branding
+ * The /site data has no color of its own, so it is taken from the instance icon.
+ * @param {Object} branding - Branding from getInstanceBranding()
+ * @returns {Promise<string>} Hex color
+ */
+export async function getBrandingThemeColor(branding) {
+    if (!branding.icon || branding.icon.includes('Lemmeric Logo')) {
+        return DEFAULT_THEME_COLOR;
+    }
+    return (await readImageColor(branding.icon)) || DEFAULT_THEME_COLOR;
+}
+
+/**
+ * Build a web app manifest from instance branding
+ * URLs are absolute because the manifest is loaded from a blob: URL.
+ * @param {Object} branding - Branding from getInstanceBranding()
+ * @param {string} themeColor - Color from getBrandingThemeColor()
+ * @returns {Object} Web app manifest
+ */
+export function buildWebManifest(branding, themeColor = DEFAULT_THEME_COLOR) {
+    const origin = window.location.origin;
+    const absolute = url => new URL(url, origin).href;
+    const shortName = branding.name.length > 12 ? branding.name.split(/\s+/)[0].slice(0, 12) : branding.name;
+
+    const icons = [];
+    if (branding.icon && !branding.icon.includes('Lemmeric Logo')) {
+        // Instance icons come in any size; 'any' lets the browser scale them
+        icons.push({ src: absolute(branding.icon), sizes: 'any', purpose: 'any' });
+    }
+    icons.push(
+        { src: absolute('/assets/images/Lemmeric Logo - No BG.png'), sizes: '1024x1024', type: 'image/png', purpose: 'any' },
+        { src: absolute('/assets/images/Lemmeric Logo.png'), sizes: '1024x1024', type: 'image/png', purpose: 'maskable' }
+    );
+
+    return {
+        name: branding.name,
+        short_name: shortName,
+        description: branding.description,
+        id: absolute('/'),
+        start_url: absolute('/'),
+        scope: absolute('/'),
+        display: 'standalone',
+        background_color: '#ffffff',
+        theme_color: themeColor,
+        icons
+    };
+}
+
+/**
+ * Point the page's manifest and theme color at the current instance branding
+ * The manifest is served from a blob: URL, which shares the page's origin
+ * (browsers ignore a manifest from a data: URL). In multi-instance mode the
+ * static manifest.webmanifest (Lemmeric branding) is kept.
+ */
+export async function updateManifestFromBranding() {
+    if (!isSingleInstanceMode()) {
+        return;
+    }
+
+    try {
+        const branding = await getInstanceBranding();
+        const manifest = buildWebManifest(branding, await getBrandingThemeColor(branding));
+
+        let manifestLink = document.querySelector('link[rel="manifest"]');
+        if (!manifestLink) {
+            manifestLink = document.createElement('link');
+            manifestLink.rel = 'manifest';
+            document.head.appendChild(manifestLink);
+        }
+        if (manifestObjectUrl) {
+            URL.revokeObjectURL(manifestObjectUrl);
+        }
+        manifestObjectUrl = URL.createObjectURL(new Blob([JSON.stringify(manifest)], { type: 'application/manifest+json' }));
+        manifestLink.href = manifestObjectUrl;
+
+        let themeColorMeta = document.querySelector('meta[name="theme-color"]');
+        if (!themeColorMeta) {
+            themeColorMeta = document.createElement('meta');
+            themeColorMeta.name = 'theme-color';
+            document.head.appendChild(themeColorMeta);
+        }
+        themeColorMeta.content = manifest.theme_color;
+    } catch (error) {
+        console.warn('Failed to update manifest from branding:', error);
+    }
+}
+
 // ========================================
 // INSTANCE STATE FUNCTIONS
 // ========================================
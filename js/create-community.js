@@ -500,21 +500,11 @@ class CreateCommunityPage {
     }
 
     formatCreateError(error) {
-        const errorMessage = ErrorUtils.formatError(error);
-        
-        // Handle specific error messages
-        if (errorMessage.includes('community_already_exists')) {
-            return 'A community with this name already exists. Please choose a different name.';
-        }
-        if (errorMessage.includes('invalid_name')) {
-            return 'Community name is invalid. Please use only lowercase letters, numbers, and underscores.';
-        }
-        if (errorMessage.includes('not_an_admin')) {
-            return 'You do not have permission to create communities on this instance.';
-        }
-        if (errorMessage.includes('rate_limit')) {
-            return 'You are creating communities too quickly. Please wait a moment and try again.';
-        }
+        const errorMessage = ErrorUtils.formatError(error, {
+            invalid_name: 'Community name is invalid. Please use only lowercase letters, numbers, and underscores.',
+            not_an_admin: 'You do not have permission to create communities on this instance.',
+            rate_limit_error: 'You are creating communities too quickly. Please wait a moment and try again.'
+        });
         
         return errorMessage || 'Failed to create community. Please try again.';
     }
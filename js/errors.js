@@ -0,0 +1,364 @@
+/**
+ * API error types for Lemmeric
+ *
+ * LemmyAPI rejects with one of the classes below instead of a plain Error, so
+ * callers can branch on the kind of failure (instanceof, `code`, `status`,
+ * `retryable`) rather than matching message text. Every error's `message` is
+ * safe to show to the user; Lemmy's own error code is kept in `code`.
+ *
+ * @fileoverview Typed API errors and user-facing messages for Lemmy error codes
+ */
+
+import { CONFIG } from './config.js';
+
+// ========================================
+// LEMMY ERROR MESSAGES
+// ========================================
+
+/**
+ * User-facing messages for the error codes returned by Lemmy
+ * (the `error` field of a failed response)
+ * @type {Object<string, string>}
+ */
+export const LEMMY_ERROR_MESSAGES = {
+    // Authentication
+    incorrect_login: 'Incorrect username or password. Make sure you have an account on this instance.',
+    missing_totp_token: 'Two-factor authentication required.',
+    incorrect_totp_token: 'The two-factor authentication code is incorrect.',
+    not_logged_in: 'Your session has expired. Please sign in again.',
+    email_not_verified: 'Please verify your email address before signing in.',
+    registration_application_is_pending: 'Your registration application is still waiting for approval.',
+    registration_denied: 'Your registration application was denied.',
+    registration_closed: 'Registration is closed on this instance.',
+    site_ban: 'You are banned from this instance.',
+    deleted: 'This account has been deleted.',
+
+    // Registration and validation
+    user_already_exists: 'Username already taken. Please choose another.',
+    email_already_exists: 'An account with this email address already exists.',
+    email_required: 'An email address is required to register on this instance.',
+    passwords_do_not_match: 'The passwords do not match.',
+    password_incorrect: 'The password is incorrect.',
+    invalid_password: 'The password must be between 10 and 60 characters.',
+    registration_application_answer_required: 'Please answer the registration question.',
+    captcha_incorrect: 'The captcha answer is incorrect.',
+    invalid_name: 'The name is invalid. Use only lowercase letters, numbers, and underscores.',
+    invalid_display_name: 'The display name is invalid.',
+    invalid_matrix_id: 'The Matrix ID is invalid.',
+    invalid_post_title: 'The post title is invalid.',
+    invalid_body_field: 'The text is too long or contains invalid characters.',
+    invalid_url: 'The URL is invalid.',
+    bio_length_overflow: 'The bio is too long.',
+    report_reason_required: 'Please give a reason for the report.',
+    report_too_long: 'The report reason is too long.',
+    invalid_vote: 'This vote is not allowed.',
+
+    // Permissions
+    not_an_admin: 'Only instance admins can do this.',
+    not_a_moderator: 'Only moderators of this community can do this.',
+    not_top_mod: 'Only the top moderator of this community can do this.',
+    only_mods_can_post_in_community: 'Only moderators can post in this community.',
+    only_admins_can_create_communities: 'Only admins can create communities on this instance.',
+    banned_from_community: 'You are banned from this community.',
+    no_post_edit_allowed: 'You can only edit your own posts.',
+    no_comment_edit_allowed: 'You can only edit your own comments.',
+    downvotes_are_disabled: 'Downvotes are disabled on this instance.',
+    locked: 'This post is locked. New comments are not allowed.',
+    person_is_blocked: 'You have blocked this user, or they have blocked you.',
+    community_is_blocked: 'You have blocked this community.',
+    cant_block_yourself: 'You can\'t block yourself.',
+    cant_block_admin: 'Instance admins can\'t be blocked.',
+    cant_block_local_instance: 'You can\'t block your own instance.',
+
+    // Missing content
+    couldnt_find_post: 'Post not found. It may have been deleted.',
+    couldnt_find_comment: 'Comment not found. It may have been deleted.',
+    couldnt_find_community: 'Community not found.',
+    couldnt_find_person: 'User not found.',
+    couldnt_find_private_message: 'Message not found.',
+    couldnt_find_object: 'The requested content could not be found.',
+    not_found: 'The requested content could not be found.',
+
+    // Failed writes
+    community_already_exists: 'A community with this name already exists. Please choose a different name.',
+    couldnt_create_comment: 'The comment could not be created. Please try again.',
+    couldnt_update_comment: 'The comment could not be updated. Please try again.',
+    couldnt_create_post: 'The post could not be created. Please try again.',
+    couldnt_update_post: 'The post could not be updated. Please try again.',
+    couldnt_create_private_message: 'The message could not be sent. Please try again.',
+    couldnt_update_private_message: 'The message could not be updated. Please try again.',
+    couldnt_update_comment_reply: 'The reply could not be updated. Please try again.',
+    couldnt_update_mention: 'The mention could not be updated. Please try again.',
+    couldnt_update_community: 'The community could not be updated. Please try again.',
+    couldnt_update_user: 'Your settings could not be saved. Please try again.',
+    couldnt_like_post: 'Your vote could not be saved. Please try again.',
+    couldnt_like_comment: 'Your vote could not be saved. Please try again.',
+    couldnt_save_post: 'The post could not be saved. Please try again.',
+    couldnt_save_comment: 'The comment could not be saved. Please try again.',
+    person_block_already_exists: 'You have already blocked this user.',
+    instance_block_already_exists: 'You have already blocked this instance.',
+    couldnt_create_report: 'The report could not be sent. Please try again.',
+    couldnt_resolve_report: 'The report could not be resolved. Please try again.',
+
+    // Limits
+    rate_limit_error: CONFIG.ERRORS.RATE_LIMITED,
+    too_many_items: 'Too many items. Please remove some and try again.'
+};
+
+/**
+ * Lemmy error codes caused by invalid user input (reported as ValidationError)
+ * @type {Set<string>}
+ */
+const VALIDATION_CODES = new Set([
+    'invalid_name',
+    'invalid_display_name',
+    'invalid_matrix_id',
+    'invalid_post_title',
+    'invalid_body_field',
+    'invalid_url',
+    'invalid_password',
+    'invalid_vote',
+    'bio_length_overflow',
+    'passwords_do_not_match',
+    'email_required',
+    'registration_application_answer_required',
+    'report_reason_required',
+    'report_too_long',
+    'captcha_incorrect',
+    'user_already_exists',
+    'email_already_exists',
+    'community_already_exists'
+]);
+
+/**
+ * Lemmy error codes meaning the session token is missing or no longer valid
+ * @type {Set<string>}
+ */
+const AUTH_EXPIRED_CODES = new Set(['not_logged_in']);
+
+// ========================================
+// ERROR CLASSES
+// ========================================
+
+/**
+ * Base class for every error raised by LemmyAPI
+ */
+export class ApiError extends Error {
+    /**
+     * @param {string} message - User-facing message
+     * @param {Object} details - Error details
+     * @param {number|null} details.status - HTTP status (null if no response was received)
+     * @param {string|null} details.code - Lemmy error code (e.g. 'couldnt_find_post')
+     * @param {string|null} details.endpoint - API endpoint that failed
+     * @param {boolean} details.retryable - Whether sending the same request again may succeed
+     * @param {Object|null} details.responseData - Parsed error body, if any
+     * @param {Error} [details.cause] - Underlying error
+     */
+    constructor(message, { status = null, code = null, endpoint = null, retryable = false, responseData = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.endpoint = endpoint;
+        this.retryable = retryable;
+        this.responseData = responseData;
+    }
+}
+
+/**
+ * The request never reached the instance (offline, DNS, CORS...)
+ */
+export class NetworkError extends ApiError {
+    constructor(details = {}) {
+        super(CONFIG.ERRORS.NETWORK, { retryable: true, ...details });
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * The instance didn't answer within CONFIG.API.TIMEOUT
+ */
+export class TimeoutError extends ApiError {
+    constructor(details = {}) {
+        super('The instance took too long to respond. Please try again.', { retryable: true, ...details });
+        this.name = 'TimeoutError';
+    }
+}
+
+/**
+ * Too many requests, either detected locally or refused by the instance
+ * The instance answers with 429, or with 400 and rate_limit_error before Lemmy 0.19.
+ */
+export class RateLimitError extends ApiError {
+    /**
+     * @param {Object} details - Error details (see ApiError)
+     * @param {number|null} details.retryAfter - Milliseconds to wait before retrying, if known
+     * @param {boolean} [details.local] - True if our own rate limiter refused the request
+     */
+    constructor({ retryAfter = null, local = false, ...details } = {}) {
+        super(CONFIG.ERRORS.RATE_LIMITED, { status: 429, code: 'rate_limit_error', retryable: true, ...details });
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter;
+        this.local = local;
+    }
+}
+
+/**
+ * The instance failed with a 5xx status
+ */
+export class ServerError extends ApiError {
+    constructor(details = {}) {
+        super(CONFIG.ERRORS.INSTANCE_DOWN, { retryable: true, ...details });
+        this.name = 'ServerError';
+    }
+}
+
+/**
+ * The instance rejected the request with a Lemmy error code
+ */
+export class LemmyError extends ApiError {
+    /**
+     * @param {Object} details - Error details (see ApiError)
+     * @param {string} [details.message] - Message to use instead of the one mapped from the code
+     */
+    constructor({ message, ...details } = {}) {
+        super(message || getLemmyErrorMessage(details.code, details.status), details);
+        this.name = 'LemmyError';
+    }
+}
+
+/**
+ * The session token is missing or has expired; the user has to sign in again
+ */
+export class AuthExpiredError extends LemmyError {
+    constructor(details = {}) {
+        super({ status: 401, code: 'not_logged_in', ...details });
+        this.name = 'AuthExpiredError';
+    }
+}
+
+/**
+ * The request was refused because of invalid input
+ * Also thrown by forms for input rejected before anything is sent.
+ */
+export class ValidationError extends LemmyError {
+    /**
+     * @param {Object} details - Error details (see ApiError)
+     * @param {string|null} details.field - Form field the error refers to, if known
+     */
+    constructor({ field = null, ...details } = {}) {
+        super({ status: 400, ...details });
+        this.name = 'ValidationError';
+        this.field = field;
+    }
+}
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Get the user-facing message for a Lemmy error code
+ * @param {string|null} code - Lemmy error code
+ * @param {number|null} status - HTTP status, used when the code is unknown
+ * @returns {string} Message
+ */
+export function getLemmyErrorMessage(code, status = null) {
+    if (code && LEMMY_ERROR_MESSAGES[code]) {
+        return LEMMY_ERROR_MESSAGES[code];
+    }
+
+    if (code) {
+        // Unknown code: "couldnt_find_tagline" -> "Couldnt find tagline"
+        const readable = code.replace(/_/g, ' ');
+        return `${readable.charAt(0).toUpperCase()}${readable.slice(1)}.`;
+    }
+
+    if (status === 404) {
+        return LEMMY_ERROR_MESSAGES.not_found;
+    }
+
+    return status ? `Request failed (HTTP ${status}).` : CONFIG.ERRORS.UNKNOWN;
+}
+
+/**
+ * Parse the Retry-After header of a response
+ * @param {Response} response - HTTP response
+ * @returns {number|null} Delay in milliseconds, or null if absent or invalid
+ */
+function parseRetryAfter(response) {
+    const header = response.headers?.get?.('retry-after');
+    if (!header) {
+        return null;
+    }
+
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Build the error for a failed (non-2xx) response
+ * @param {Response} response - HTTP response
+ * @param {string} endpoint - API endpoint that was requested
+ * @returns {Promise<ApiError>} Typed error
+ */
+export async function createErrorFromResponse(response, endpoint) {
+    const status = response.status;
+    let responseData = null;
+
+    try {
+        const text = await response.text();
+        responseData = text ? JSON.parse(text) : null;
+    } catch (error) {
+        // Not JSON (proxy error page, empty body...)
+    }
+
+    const code = typeof responseData?.error === 'string' ? responseData.error : null;
+    const details = { status, code, endpoint, responseData };
+
+    if (status === 429 || code === 'rate_limit_error') {
+        return new RateLimitError({ ...details, retryAfter: parseRetryAfter(response) });
+    }
+    if (status >= 500) {
+        return new ServerError(details);
+    }
+    if (AUTH_EXPIRED_CODES.has(code) || (status === 401 && !code)) {
+        return new AuthExpiredError(details);
+    }
+    if (VALIDATION_CODES.has(code)) {
+        return new ValidationError(details);
+    }
+    return new LemmyError(details);
+}
+
+/**
+ * Create the error used when a request is cancelled by its caller
+ * @returns {DOMException} AbortError
+ */
+export function createAbortError() {
+    return new DOMException('The request was cancelled.', 'AbortError');
+}
+
+/**
+ * Check if an error means the request was cancelled (not a failure)
+ * @param {Error} error - Error thrown by an API call
+ * @returns {boolean} True if the request was aborted by its caller
+ */
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+/**
+ * Check if an error has a given Lemmy error code
+ * @param {Error} error - Error to check
+ * @param {...string} codes - Lemmy error codes
+ * @returns {boolean} True if the error carries one of the codes
+ */
+export function hasErrorCode(error, ...codes) {
+    return Boolean(error?.code) && codes.includes(error.code);
+}
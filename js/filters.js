@@ -0,0 +1,355 @@
+/**
+ * Content filters for Lemmeric
+ *
+ * Local mute rules applied to posts and comments before they are rendered:
+ * keywords, regular expressions, link domains and communities, plus an NSFW
+ * setting. Each rule either hides matching items or collapses them behind a
+ * notice naming the rule, which can be revealed item by item.
+ *
+ * Rules are stored in localStorage and are not sent to any instance, so they
+ * apply to every instance and account.
+ *
+ * @fileoverview Client-side keyword, regex, domain and community filters
+ */
+
+import { CONFIG } from './config.js';
+import { URLUtils } from './utils.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+/**
+ * What a rule does to matching items
+ * @type {Object<string, string>}
+ */
+export const FILTER_MODE = {
+    HIDE: 'hide',
+    COLLAPSE: 'collapse'
+};
+
+/**
+ * Kinds of rule
+ * @type {Object<string, string>}
+ */
+export const FILTER_TYPE = {
+    KEYWORD: 'keyword',
+    REGEX: 'regex',
+    DOMAIN: 'domain',
+    COMMUNITY: 'community'
+};
+
+/**
+ * NSFW setting values (SHOW leaves NSFW posts alone)
+ * @type {Object<string, string>}
+ */
+export const NSFW_MODE = {
+    SHOW: 'show',
+    ...FILTER_MODE
+};
+
+/**
+ * Links in comment text, for domain rules
+ * @type {RegExp}
+ */
+const LINK_PATTERN = /https?:\/\/[^\s)\]>"']+/gi;
+
+// ========================================
+// CONTENT FILTERS CLASS
+// ========================================
+
+/**
+ * Content filters class
+ *
+ * Stores the rules and matches posts and comments against them
+ */
+class ContentFilters {
+    constructor() {
+        this.settings = null;
+        this.compiled = null;
+        this.revealed = new Set();
+    }
+
+    // ========================================
+    // STORAGE
+    // ========================================
+
+    /**
+     * Get the stored settings
+     * @returns {Object} Settings with nsfw and rules
+     */
+    getSettings() {
+        if (!this.settings) {
+            let stored = null;
+            try {
+                stored = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.CONTENT_FILTERS));
+            } catch {
+                stored = null;
+            }
+            this.settings = {
+                nsfw: Object.values(NSFW_MODE).includes(stored?.nsfw) ? stored.nsfw : NSFW_MODE.SHOW,
+                rules: Array.isArray(stored?.rules) ? stored.rules : []
+            };
+        }
+        return this.settings;
+    }
+
+    /**
+     * Store new settings
+     * @param {Object} settings - Settings with nsfw and rules
+     */
+    saveSettings(settings) {
+        this.settings = settings;
+        this.compiled = null;
+        localStorage.setItem(CONFIG.STORAGE_KEYS.CONTENT_FILTERS, JSON.stringify(settings));
+    }
+
+    /**
+     * Add a rule
+     * @param {string} type - One of FILTER_TYPE
+     * @param {string} value - Keyword, pattern, domain or community
+     * @param {string} mode - One of FILTER_MODE
+     * @returns {Object} The added rule
+     * @throws {Error} If the value is empty or not valid for the type
+     */
+    addRule(type, value, mode) {
+        const rule = {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            type,
+            value: normalizeRuleValue(type, value),
+            mode: mode === FILTER_MODE.HIDE ? FILTER_MODE.HIDE : FILTER_MODE.COLLAPSE
+        };
+
+        const settings = this.getSettings();
+        if (settings.rules.some(existing => existing.type === rule.type && existing.value === rule.value)) {
+            throw new Error('This filter already exists.');
+        }
+
+        this.saveSettings({ ...settings, rules: [...settings.rules, rule] });
+        return rule;
+    }
+
+    /**
+     * Remove a rule
+     * @param {string} ruleId - Rule ID
+     */
+    removeRule(ruleId) {
+        const settings = this.getSettings();
+        this.saveSettings({ ...settings, rules: settings.rules.filter(rule => rule.id !== ruleId) });
+    }
+
+    /**
+     * Change what happens to NSFW posts
+     * @param {string} mode - One of NSFW_MODE
+     */
+    setNsfwMode(mode) {
+        this.saveSettings({ ...this.getSettings(), nsfw: mode });
+    }
+
+    // ========================================
+    // MATCHING
+    // ========================================
+
+    /**
+     * Match a post against the filters
+     * @param {Object} post - Post formatted by APIUtils.formatPost
+     * @param {Object} options - Matching options
+     * @param {boolean} [options.skipCommunityRules=false] - Ignore community rules (on the community's own page)
+     * @returns {Object|null} Match with mode and reason, or null
+     */
+    matchPost(post, options = {}) {
+        if (!post) return null;
+        if (this.revealed.has(`post:${post.id}`)) return null;
+
+        const match = this.matchRules({
+            text: [post.title, post.content, post.embedTitle, post.embedDescription],
+            domains: [post.url ? URLUtils.getDomain(post.url) : null],
+            community: options.skipCommunityRules ? null : post.community
+        });
+
+        const nsfwMode = this.getSettings().nsfw;
+        if (post.nsfw && nsfwMode !== NSFW_MODE.SHOW && match?.mode !== FILTER_MODE.HIDE) {
+            return { mode: nsfwMode, reason: 'NSFW' };
+        }
+        return match;
+    }
+
+    /**
+     * Match a comment against the filters
+     * @param {Object} comment - Comment with id and content
+     * @param {Object} [community] - Community the comment was posted in (name, actor_id)
+     * @returns {Object|null} Match with mode and reason, or null
+     */
+    matchComment(comment, community = null) {
+        if (!comment || comment.deleted) return null;
+        if (this.revealed.has(`comment:${comment.id}`)) return null;
+
+        const content = comment.content || '';
+        return this.matchRules({
+            text: [content],
+            domains: (content.match(LINK_PATTERN) || []).map(link => URLUtils.getDomain(link)),
+            community
+        });
+    }
+
+    /**
+     * Show an item despite the filters, for the rest of the session
+     * @param {string} kind - 'post' or 'comment'
+     * @param {number|string} id - Item ID
+     */
+    reveal(kind, id) {
+        this.revealed.add(`${kind}:${id}`);
+    }
+
+    /**
+     * Check if any rules are set up
+     * @returns {boolean} True if there is something to filter
+     */
+    isActive() {
+        const settings = this.getSettings();
+        return settings.rules.length > 0 || settings.nsfw !== NSFW_MODE.SHOW;
+    }
+
+    /**
+     * Find the first rule matching the given fields (hide rules win over collapse rules)
+     * @param {Object} fields - text, domains and community to check
+     * @returns {Object|null} Match with mode and reason, or null
+     */
+    matchRules({ text, domains, community }) {
+        const rules = this.getCompiledRules();
+        if (rules.length === 0) return null;
+
+        const joinedText = text.filter(Boolean).join('\n');
+        const postDomains = domains.filter(Boolean).map(domain => domain.toLowerCase().replace(/^www\./, ''));
+        const communityName = community?.name?.toLowerCase();
+        const communityHost = community?.actor_id ? URLUtils.getDomain(community.actor_id).toLowerCase() : null;
+
+        let match = null;
+        for (const rule of rules) {
+            let reason = null;
+
+            switch (rule.type) {
+                case FILTER_TYPE.KEYWORD:
+                case FILTER_TYPE.REGEX:
+                    if (joinedText && rule.pattern.test(joinedText)) {
+                        reason = rule.type === FILTER_TYPE.KEYWORD ? `keyword "${rule.value}"` : `pattern /${rule.value}/`;
+                    }
+                    break;
+                case FILTER_TYPE.DOMAIN:
+                    if (postDomains.some(domain => domain === rule.value || domain.endsWith(`.${rule.value}`))) {
+                        reason = `domain ${rule.value}`;
+                    }
+                    break;
+                case FILTER_TYPE.COMMUNITY:
+                    if (communityName && communityName === rule.name && (!rule.host || rule.host === communityHost)) {
+                        reason = `community !${rule.value}`;
+                    }
+                    break;
+            }
+
+            if (reason) {
+                match = { mode: rule.mode, reason };
+                if (rule.mode === FILTER_MODE.HIDE) break;
+            }
+        }
+
+        return match;
+    }
+
+    /**
+     * Get the rules with their patterns compiled (cached until the rules change)
+     * @returns {Array} Compiled rules
+     */
+    getCompiledRules() {
+        if (!this.compiled) {
+            this.compiled = this.getSettings().rules
+                .map(rule => {
+                    try {
+                        return compileRule(rule);
+                    } catch (error) {
+                        console.warn('Skipping invalid content filter:', rule, error);
+                        return null;
+                    }
+                })
+                .filter(Boolean);
+        }
+        return this.compiled;
+    }
+}
+
+// ========================================
+// RULE HELPERS
+// ========================================
+
+/**
+ * Clean up and validate a rule value
+ * @param {string} type - One of FILTER_TYPE
+ * @param {string} value - Value typed by the user
+ * @returns {string} Normalized value
+ * @throws {Error} If the value is not valid for the type
+ */
+export function normalizeRuleValue(type, value) {
+    let normalized = String(value || '').trim();
+    if (!normalized) {
+        throw new Error('Please enter a value for the filter.');
+    }
+
+    switch (type) {
+        case FILTER_TYPE.KEYWORD:
+            return normalized.toLowerCase();
+        case FILTER_TYPE.REGEX:
+            try {
+                new RegExp(normalized, 'iu');
+            } catch (error) {
+                // The message already reads "Invalid regular expression: ..."
+                throw new Error(error.message);
+            }
+            return normalized;
+        case FILTER_TYPE.DOMAIN:
+            normalized = normalized.includes('://') ? URLUtils.getDomain(normalized) : normalized.split('/')[0];
+            normalized = normalized.toLowerCase().replace(/^www\./, '');
+            if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(normalized)) {
+                throw new Error('Please enter a domain such as example.com.');
+            }
+            return normalized;
+        case FILTER_TYPE.COMMUNITY:
+            normalized = normalized.replace(/^!/, '').replace(/^c\//, '').toLowerCase();
+            if (!/^[a-z0-9_]+(@[a-z0-9.-]+)?$/.test(normalized)) {
+                throw new Error('Please enter a community as name or name@instance.');
+            }
+            return normalized;
+        default:
+            throw new Error(`Unknown filter type: ${type}`);
+    }
+}
+
+/**
+ * Build the matcher for a rule
+ * @param {Object} rule - Stored rule
+ * @returns {Object} Rule with a pattern (keyword/regex) or name and host (community)
+ */
+function compileRule(rule) {
+    switch (rule.type) {
+        case FILTER_TYPE.KEYWORD: {
+            // Whole words only, so "art" doesn't match "start"
+            const escaped = rule.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return { ...rule, pattern: new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, 'iu') };
+        }
+        case FILTER_TYPE.REGEX:
+            return { ...rule, pattern: new RegExp(rule.value, 'iu') };
+        case FILTER_TYPE.COMMUNITY: {
+            const [name, host = null] = rule.value.split('@');
+            return { ...rule, name, host };
+        }
+        default:
+            return { ...rule };
+    }
+}
+
+// ========================================
+// SINGLETON INSTANCE
+// ========================================
+
+export const contentFilters = new ContentFilters();
+
+export default contentFilters;
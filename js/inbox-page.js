@@ -4,6 +4,11 @@
  */
 
 import { authManager } from './auth.js';
+import { outbox, isQueuedResponse, isUnconfirmedResponse } from './outbox.js';
+import { DOM } from './utils.js';
+import { reportNotes } from './report-notes.js';
+import { askForReason } from './components/reason-dialog.js';
+import { openReportDialog } from './components/report-dialog.js';
 
 class LemmericInboxApp {
     constructor() {
@@ -19,6 +24,8 @@ class LemmericInboxApp {
             notifications: 'all',
             messages: 'all',
             reports: 'all',
+            reportStatus: 'open', // 'open' or 'resolved'
+            reportCommunity: null, // Community ID, from the per-community counts
             applications: 'pending'
         };
 
@@ -26,7 +33,8 @@ class LemmericInboxApp {
             reports: {
                 currentPage: 1,
                 hasMore: true,
-                loading: false
+                loading: false,
+                reloadPending: false
             },
             applications: {
                 currentPage: 1,
@@ -35,6 +43,9 @@ class LemmericInboxApp {
             }
         };
 
+        // Reported items (group keys) ticked for bulk actions
+        this.selectedReportGroups = new Set();
+
         // UI elements cache
         this.elements = {};
         
@@ -171,7 +182,15 @@ class LemmericInboxApp {
             reportsFilterPosts: document.getElementById('reports-filter-posts'),
             reportsFilterComments: document.getElementById('reports-filter-comments'),
             reportsFilterMessages: document.getElementById('reports-filter-messages'),
-            reportsCompletedToggle: document.getElementById('reports-completed-toggle'),
+            reportsStatusOpen: document.getElementById('reports-status-open'),
+            reportsStatusResolved: document.getElementById('reports-status-resolved'),
+            reportsCommunities: document.getElementById('reports-communities'),
+            reportsEmptyText: document.getElementById('reports-empty-text'),
+            reportsBulkBar: document.getElementById('reports-bulk-bar'),
+            reportsSelectAll: document.getElementById('reports-select-all'),
+            reportsSelectedCount: document.getElementById('reports-selected-count'),
+            reportsBulkResolve: document.getElementById('reports-bulk-resolve'),
+            reportsBulkRemove: document.getElementById('reports-bulk-remove'),
             
             // Applications filters
             applicationsFilterAll: document.getElementById('applications-filter-all'),
@@ -228,24 +247,21 @@ class LemmericInboxApp {
         reportsFilters.forEach(({ element, filter }) => {
             if (element) {
                 element.addEventListener('click', () => {
-                    // Only allow this if completed toggle is off
-                    if (!this.elements.reportsCompletedToggle.checked) {
-                        this.setReportsFilter(filter);
-                    }
+                    this.setReportsFilter(filter);
                 });
             }
         });
 
-        // Completed reports toggle
-        if (this.elements.reportsCompletedToggle) {
-            this.elements.reportsCompletedToggle.addEventListener('change', () => {
-                if (this.elements.reportsCompletedToggle.checked) {
-                    this.setReportsFilter('completed');
-                } else {
-                    this.setReportsFilter('all');
-                }
-            });
-        }
+        // Open / resolved report tabs
+        this.elements.reportsStatusOpen?.addEventListener('click', () => this.setReportStatus('open'));
+        this.elements.reportsStatusResolved?.addEventListener('click', () => this.setReportStatus('resolved'));
+
+        // Bulk report actions
+        this.elements.reportsSelectAll?.addEventListener('change', () => {
+            this.selectAllReportGroups(this.elements.reportsSelectAll.checked);
+        });
+        this.elements.reportsBulkResolve?.addEventListener('click', () => this.bulkResolveReports(false));
+        this.elements.reportsBulkRemove?.addEventListener('click', () => this.bulkResolveReports(true));
 
         // Applications filters
         const applicationsFilters = [
@@ -365,7 +381,7 @@ class LemmericInboxApp {
                         content: `${creator.display_name || creator.name} replied: "${comment.content.substring(0, 100)}${comment.content.length > 100 ? '...' : ''}"`,
                         timestamp: new Date(comment.published),
                         read: commentReply.read,
-                        url: `/post/${post.id}#comment-${comment.id}`,
+                        url: `/post/${post.id}?comment=${comment.id}`,
                         rawData: reply
                     };
                 });
@@ -387,7 +403,7 @@ class LemmericInboxApp {
                         content: `${creator.display_name || creator.name} mentioned you: "${comment.content.substring(0, 100)}${comment.content.length > 100 ? '...' : ''}"`,
                         timestamp: new Date(comment.published),
                         read: personMention.read,
-                        url: `/post/${post.id}#comment-${comment.id}`,
+                        url: `/post/${post.id}?comment=${comment.id}`,
                         rawData: mention
                     };
                 });
@@ -517,6 +533,7 @@ class LemmericInboxApp {
                 this.pagination.reports.currentPage = 1;
                 this.pagination.reports.hasMore = true;
                 this.inbox.reports = [];
+                this.selectedReportGroups.clear();
             }
 
             // Show loading state (only for initial load)
@@ -535,8 +552,8 @@ class LemmericInboxApp {
             const api = authManager.api;
             let allReports = [];
 
-            // Determine if we're fetching completed (resolved) or unresolved reports
-            const isCompletedFilter = this.currentFilter.reports === 'completed';
+            // The resolved tab needs unresolved_only=false, which returns both kinds
+            const isCompletedFilter = this.currentFilter.reportStatus === 'resolved';
             const unresolvedOnly = !isCompletedFilter;
 
             // Fetch different types of reports in parallel
@@ -558,6 +575,8 @@ class LemmericInboxApp {
                         timestamp: new Date(report.post_report.published),
                         read: false,
                         url: `/post/${report.post.id}`,
+                        groupKey: `post:${report.post.id}`,
+                        community: report.community,
                         originalId: report.post_report.id,
                         resolved: report.post_report.resolved,
                         resolver: report.resolver,
@@ -577,7 +596,9 @@ class LemmericInboxApp {
                         content: report.comment_report.reason,
                         timestamp: new Date(report.comment_report.published),
                         read: false,
-                        url: `/post/${report.post.id}#comment-${report.comment.id}`,
+                        url: `/post/${report.post.id}?comment=${report.comment.id}`,
+                        groupKey: `comment:${report.comment.id}`,
+                        community: report.community,
                         originalId: report.comment_report.id,
                         resolved: report.comment_report.resolved,
                         resolver: report.resolver,
@@ -598,6 +619,8 @@ class LemmericInboxApp {
                         timestamp: new Date(report.private_message_report.published),
                         read: false,
                         url: '#',
+                        groupKey: `message:${report.private_message.id}`,
+                        community: null,
                         originalId: report.private_message_report.id,
                         resolved: report.private_message_report.resolved,
                         resolver: report.resolver,
@@ -645,6 +668,12 @@ class LemmericInboxApp {
             if (!append && this.elements.reportsLoading) {
                 this.elements.reportsLoading.style.display = 'none';
             }
+
+            // The open/resolved tab changed while this page was loading
+            if (this.pagination.reports.reloadPending) {
+                this.pagination.reports.reloadPending = false;
+                this.loadReports();
+            }
         }
     }
 
@@ -1050,7 +1079,7 @@ class LemmericInboxApp {
                     <div class="message ${message.type === 'sent' ? 'message-sent' : 'message-received'} ${!message.read ? 'message-unread' : ''}">
                         <div class="message-bubble">
                             <div class="message-content">${message.fullContent}</div>
-                            <div class="message-time">${this.formatTimestamp(message.timestamp)}</div>
+                            <div class="message-time">${this.formatTimestamp(message.timestamp)}${message.queued ? ' <i class="bi bi-clock" title="Waiting to be sent"></i>' : ''}</div>
                         </div>
                         <div class="message-actions">
                             <div class="dropdown">
@@ -1155,8 +1184,10 @@ class LemmericInboxApp {
 
                 // Create a new message object to add to the conversation
                 const currentUser = authManager.getCurrentUser();
+                const queued = isQueuedResponse(response);
                 const newMessage = {
                     id: `temp-${Date.now()}`, // Temporary ID until we reload
+                    queued: queued, // Sent later by the outbox
                     content: content,
                     fullContent: content,
                     timestamp: new Date(),
@@ -1184,6 +1215,24 @@ class LemmericInboxApp {
                 // Also update the conversations list to show the new message
                 this.renderMessages();
 
+                if (queued) {
+                    // Offline: reload once the outbox has delivered the message
+                    if (isUnconfirmedResponse(response)) {
+                        DOM.showToast('The connection dropped while sending your message. Check whether it went through, then send it again from the pending actions.', 'warning');
+                    } else {
+                        DOM.showToast('You are offline. Your message will be sent when you reconnect.', 'info');
+                    }
+                    outbox.waitFor(response.outboxId)
+                        .then(async () => {
+                            await this.loadMessages();
+                            this.selectConversation(userId);
+                        })
+                        .catch(error => {
+                            DOM.showToast(`Your offline message was not sent: ${error.message}`, 'error');
+                        });
+                    return;
+                }
+
                 // Reload messages from server with a longer delay to ensure server processing
                 setTimeout(async () => {
                     await this.loadMessages();
@@ -1623,18 +1672,34 @@ class LemmericInboxApp {
      */
     /**
      * Render reports
+     * Duplicate reports of the same item are shown as one entry. A later page
+     * can add reports to an entry already on screen, so the whole list is
+     * redrawn even when appending (the list keeps its scroll position).
      */
     renderReports(append = false) {
         const container = this.elements.reportsList;
         if (!container) return;
 
-        const filteredReports = this.filterReports();
+        this.renderReportCommunities();
+
+        const groups = this.groupReports(this.filterReports());
 
-        if (filteredReports.length === 0 && !append) {
+        // Forget ticked items that are no longer listed (resolved, filtered out)
+        const visibleKeys = new Set(groups.map(group => group.key));
+        this.selectedReportGroups.forEach(key => {
+            if (!visibleKeys.has(key)) this.selectedReportGroups.delete(key);
+        });
+        this.updateReportsBulkBar(groups);
+
+        if (groups.length === 0) {
             container.style.display = 'none';
             if (this.elements.reportsEmpty) {
                 this.elements.reportsEmpty.style.display = 'block';
             }
+            if (this.elements.reportsEmptyText) {
+                this.elements.reportsEmptyText.textContent = this.currentFilter.reportStatus === 'resolved' ?
+                    'No resolved reports yet.' : 'No pending reports at this time.';
+            }
             return;
         }
 
@@ -1643,75 +1708,191 @@ class LemmericInboxApp {
             this.elements.reportsEmpty.style.display = 'none';
         }
 
-        const reportHTML = filteredReports.map(report => `
-            <div class="list-group-item list-group-item-action ${report.resolved ? 'border-start border-success border-3' : 'border-start border-danger border-3'} mb-3 shadow-sm" 
-                 data-report-id="${report.id}">
-                <div class="d-flex w-100 justify-content-between align-items-start">
-                    <div class="flex-grow-1">
-                        <div class="d-flex align-items-center mb-1">
-                            <i class="bi ${this.getReportIcon(report.type)} me-2 ${report.resolved ? 'text-success' : 'text-danger'}"></i>
-                            <h6 class="mb-0 fw-bold">${report.title}</h6>
-                            <span class="badge ${report.resolved ? 'bg-success' : 'bg-danger'} ms-2">
-                                ${report.resolved ? 'Resolved' : 'New'}
-                            </span>
-                        </div>
-                        <p class="mb-1 text-muted small">${report.content}</p>
-                        ${report.resolved && report.resolver ? `
-                            <div class="mt-2 p-2 bg-secondary rounded">
-                                <small class="text-light">
-                                    <strong>Resolved by ${report.resolver.name}</strong>
-                                </small>
-                            </div>
-                        ` : ''}
-                        <small class="text-muted">${this.formatTimestamp(report.timestamp)}</small>
-                    </div>
-                    <div class="dropdown">
-                        <button class="btn btn-link btn-sm text-muted" type="button" data-bs-toggle="dropdown">
-                            <i class="bi bi-three-dots-vertical"></i>
-                        </button>
-                        <ul class="dropdown-menu dropdown-menu-end">
-                            ${!report.resolved ? `
-                                <li><a class="dropdown-item" href="#" onclick="inboxApp.resolveReport('${report.id}')">
-                                    <i class="bi bi-check-circle me-2"></i>Resolve Report
-                                </a></li>
-                                <li><hr class="dropdown-divider"></li>
-                            ` : ''}
-                            <li><a class="dropdown-item" href="#" onclick="inboxApp.viewReport('${report.id}')">
-                                <i class="bi bi-eye me-2"></i>View Content
-                            </a></li>
-                            ${!report.resolved ? `
-                                <li><hr class="dropdown-divider"></li>
-                                <li><a class="dropdown-item text-danger" href="#" onclick="inboxApp.dismissReport('${report.id}')">
-                                    <i class="bi bi-x-circle me-2"></i>Dismiss
-                                </a></li>
-                            ` : ''}
-                        </ul>
-                    </div>
-                </div>
-            </div>
-        `).join('');
+        const scrollTop = container.scrollTop;
+        DOM.clearChildren(container);
+        groups.forEach(group => container.appendChild(this.renderReportGroup(group)));
+        container.scrollTop = scrollTop;
+    }
 
-        // Append or replace content
-        if (append) {
-            container.insertAdjacentHTML('beforeend', reportHTML);
-        } else {
-            container.innerHTML = reportHTML;
+    /**
+     * Group reports by the post, comment or message they are about
+     * @param {Array<Object>} reports - Reports, newest first
+     * @returns {Array<Object>} Groups with key, type, reports and latest (newest report), newest first
+     */
+    groupReports(reports) {
+        const groups = new Map();
+        reports.forEach(report => {
+            if (!groups.has(report.groupKey)) {
+                groups.set(report.groupKey, { key: report.groupKey, type: report.type, latest: report, reports: [] });
+            }
+            groups.get(report.groupKey).reports.push(report);
+        });
+        return Array.from(groups.values());
+    }
+
+    /**
+     * Render one reported item with all its reports
+     * @param {Object} group - Group from groupReports()
+     * @returns {HTMLElement} Report entry
+     */
+    renderReportGroup(group) {
+        const { latest, reports } = group;
+        const resolved = reports.every(report => report.resolved);
+        const note = reportNotes.get(this.getModeratorKey(), group.key);
+        const resolver = reports.find(report => report.resolver)?.resolver;
+
+        const checkbox = !resolved ? DOM.createElement('input', {
+            className: 'form-check-input mt-1 flex-shrink-0',
+            type: 'checkbox',
+            'aria-label': 'Select report',
+            onChange: (event) => this.toggleReportGroupSelection(group.key, event.target.checked)
+        }) : null;
+        if (checkbox) {
+            checkbox.checked = this.selectedReportGroups.has(group.key);
         }
 
-        // Add click handlers for new reports only (to avoid duplicate handlers)
-        const newItems = append ? 
-            container.querySelectorAll('.list-group-item:not([data-click-handler])') :
-            container.querySelectorAll('.list-group-item');
-            
-        newItems.forEach(item => {
-            item.setAttribute('data-click-handler', 'true');
-            item.addEventListener('click', (e) => {
-                if (!e.target.closest('.dropdown')) {
-                    const reportId = item.dataset.reportId;
-                    this.handleReportClick(reportId);
+        const item = DOM.createElement('div', {
+            className: `list-group-item list-group-item-action border-start border-3 ${resolved ? 'border-success' : 'border-danger'} mb-3 shadow-sm report-group`,
+            'data-report-id': latest.id,
+            'data-report-group': group.key,
+            onClick: (event) => {
+                if (!event.target.closest('.dropdown, input, a')) {
+                    this.handleReportClick(latest.id);
                 }
-            });
+            }
+        }, [
+            DOM.createElement('div', { className: 'd-flex w-100 gap-2 align-items-start' }, [
+                checkbox,
+                DOM.createElement('div', { className: 'flex-grow-1' }, [
+                    DOM.createElement('div', { className: 'd-flex align-items-center flex-wrap gap-2 mb-1' }, [
+                        DOM.createElement('i', { className: `bi ${this.getReportIcon(group.type)} ${resolved ? 'text-success' : 'text-danger'}` }),
+                        DOM.createElement('h6', { className: 'mb-0 fw-bold' }, latest.title),
+                        DOM.createElement('span', { className: `badge ${resolved ? 'bg-success' : 'bg-danger'}` }, resolved ? 'Resolved' : 'New'),
+                        reports.length > 1 ? DOM.createElement('span', {
+                            className: 'badge bg-warning text-dark',
+                            title: 'Reports on the same item'
+                        }, `${reports.length} reports`) : null,
+                        note?.claimed ? DOM.createElement('span', { className: 'badge bg-info text-dark' }, [
+                            DOM.createElement('i', { className: 'bi bi-person-check me-1' }),
+                            'Claimed by you'
+                        ]) : null
+                    ]),
+                    latest.community ? DOM.createElement('div', { className: 'small text-muted mb-1' }, `c/${latest.community.name}`) : null,
+                    DOM.createElement('ul', { className: 'list-unstyled small text-muted mb-1 report-reasons' },
+                        reports.map(report => DOM.createElement('li', {}, [
+                            DOM.createElement('span', { className: 'text-body' }, report.content || 'No reason provided'),
+                            ` · ${report.rawData?.creator?.name || 'unknown'} · ${this.formatTimestamp(report.timestamp)}`
+                        ]))),
+                    note?.note ? DOM.createElement('div', { className: 'small report-note mb-1' }, [
+                        DOM.createElement('i', { className: 'bi bi-sticky me-1' }),
+                        note.note
+                    ]) : null,
+                    resolved && resolver ? DOM.createElement('div', { className: 'mt-2 p-2 bg-secondary rounded' }, [
+                        DOM.createElement('small', { className: 'text-light fw-bold' }, `Resolved by ${resolver.name}`)
+                    ]) : null
+                ]),
+                this.renderReportGroupMenu(group, resolved, note)
+            ])
+        ]);
+
+        return item;
+    }
+
+    /**
+     * Render the action menu of a reported item
+     * @param {Object} group - Group from groupReports()
+     * @param {boolean} resolved - Whether all its reports are resolved
+     * @param {Object|null} note - The moderator's note on it
+     * @returns {HTMLElement} Dropdown
+     */
+    renderReportGroupMenu(group, resolved, note) {
+        const menuItem = (icon, label, onClick, className = '') => DOM.createElement('li', {}, [
+            DOM.createElement('a', {
+                className: `dropdown-item ${className}`.trim(),
+                href: '#',
+                onClick: (event) => {
+                    event.preventDefault();
+                    onClick();
+                }
+            }, [DOM.createElement('i', { className: `bi ${icon} me-2` }), label])
+        ]);
+        const divider = () => DOM.createElement('li', {}, [DOM.createElement('hr', { className: 'dropdown-divider' })]);
+
+        return DOM.createElement('div', { className: 'dropdown' }, [
+            DOM.createElement('button', {
+                className: 'btn btn-link btn-sm text-muted',
+                type: 'button',
+                'data-bs-toggle': 'dropdown',
+                'aria-label': 'Report actions'
+            }, [DOM.createElement('i', { className: 'bi bi-three-dots-vertical' })]),
+            DOM.createElement('ul', { className: 'dropdown-menu dropdown-menu-end' }, [
+                !resolved ? menuItem('bi-check-circle', group.reports.length > 1 ? 'Resolve All Reports' : 'Resolve Report',
+                    () => this.resolveReport(group.latest.id)) : null,
+                !resolved ? divider() : null,
+                menuItem('bi-eye', 'View Content', () => this.viewReport(group.latest.id)),
+                divider(),
+                !resolved ? menuItem(note?.claimed ? 'bi-person-dash' : 'bi-person-check',
+                    note?.claimed ? 'Unclaim' : 'Claim', () => this.toggleReportClaim(group.key)) : null,
+                menuItem('bi-sticky', note?.note ? 'Edit Note' : 'Add Note', () => this.editReportNote(group.key))
+            ])
+        ]);
+    }
+
+    /**
+     * Render the report counts per community (clicking one shows only its reports)
+     */
+    renderReportCommunities() {
+        const container = this.elements.reportsCommunities;
+        if (!container) return;
+
+        // Counted over the loaded reports of the current tab and kind
+        const counts = new Map();
+        this.filterReports({ ignoreCommunity: true }).forEach(report => {
+            if (!report.community) return;
+            const entry = counts.get(report.community.id) || { community: report.community, count: 0 };
+            entry.count++;
+            counts.set(report.community.id, entry);
         });
+
+        // Drop a community filter that no longer matches anything
+        if (this.currentFilter.reportCommunity !== null && !counts.has(this.currentFilter.reportCommunity)) {
+            this.currentFilter.reportCommunity = null;
+        }
+
+        DOM.clearChildren(container);
+        Array.from(counts.values())
+            .sort((a, b) => b.count - a.count || a.community.name.localeCompare(b.community.name))
+            .forEach(({ community, count }) => {
+                const active = this.currentFilter.reportCommunity === community.id;
+                container.appendChild(DOM.createElement('button', {
+                    type: 'button',
+                    className: `btn btn-sm ${active ? 'btn-secondary' : 'btn-outline-secondary'}`,
+                    title: active ? 'Show reports from all communities' : `Show only reports from c/${community.name}`,
+                    onClick: () => this.setReportCommunity(active ? null : community.id)
+                }, [
+                    `c/${community.name} `,
+                    DOM.createElement('span', { className: 'badge bg-danger' }, String(count))
+                ]));
+            });
+    }
+
+    /**
+     * Show, hide and update the bulk action bar
+     * @param {Array<Object>} groups - Listed groups
+     */
+    updateReportsBulkBar(groups) {
+        const bar = this.elements.reportsBulkBar;
+        if (!bar) return;
+
+        const selectable = groups.filter(group => group.reports.some(report => !report.resolved));
+        bar.classList.toggle('d-none', this.currentFilter.reportStatus !== 'open' || selectable.length === 0);
+
+        const selected = this.selectedReportGroups.size;
+        this.elements.reportsSelectedCount.textContent = selected > 0 ? `${selected} selected` : 'Select all';
+        this.elements.reportsSelectAll.checked = selected > 0 && selected === selectable.length;
+        this.elements.reportsSelectAll.indeterminate = selected > 0 && selected < selectable.length;
+        this.elements.reportsBulkResolve.disabled = selected === 0;
+        this.elements.reportsBulkRemove.disabled = selected === 0;
     }
 
     /**
@@ -1842,23 +2023,21 @@ class LemmericInboxApp {
 
     /**
      * Filter reports based on current filter
+     * Reports resolved from the open tab stay loaded (marked resolved) but
+     * are only listed on the resolved tab.
+     * @param {Object} options - Filter options
+     * @param {boolean} [options.ignoreCommunity=false] - Keep reports from every community
+     * @returns {Array<Object>} Reports to list
      */
-    filterReports() {
-        const filter = this.currentFilter.reports;
-        
-        switch (filter) {
-            case 'posts':
-                return this.inbox.reports.filter(r => r.type === 'post');
-            case 'comments':
-                return this.inbox.reports.filter(r => r.type === 'comment');
-            case 'messages':
-                return this.inbox.reports.filter(r => r.type === 'message');
-            case 'completed':
-                // For completed filter, return all reports (they're already filtered as resolved in loadReports)
-                return this.inbox.reports;
-            default:
-                return this.inbox.reports;
-        }
+    filterReports({ ignoreCommunity = false } = {}) {
+        const type = { posts: 'post', comments: 'comment', messages: 'message' }[this.currentFilter.reports];
+        const wantResolved = this.currentFilter.reportStatus === 'resolved';
+        const communityId = ignoreCommunity ? null : this.currentFilter.reportCommunity;
+
+        return this.inbox.reports.filter(r =>
+            r.resolved === wantResolved &&
+            (!type || r.type === type) &&
+            (communityId === null || r.community?.id === communityId));
     }
 
     /**
@@ -1923,44 +2102,60 @@ class LemmericInboxApp {
     }
 
     /**
-     * Set reports filter
+     * Set reports filter (kind of report; filtered locally)
      */
     setReportsFilter(filter) {
         this.currentFilter.reports = filter;
         
-        if (filter === 'completed') {
-            // When showing completed reports, disable regular filter buttons and check toggle
-            const reportsFilterButtons = [this.elements.reportsFilterAll, this.elements.reportsFilterPosts, this.elements.reportsFilterComments, this.elements.reportsFilterMessages];
-            reportsFilterButtons.forEach(btn => btn?.classList.remove('active'));
-            
-            if (this.elements.reportsCompletedToggle) {
-                this.elements.reportsCompletedToggle.checked = true;
-            }
-        } else {
-            // Update active filter button for regular filters
-            const reportsFilterButtons = [this.elements.reportsFilterAll, this.elements.reportsFilterPosts, this.elements.reportsFilterComments, this.elements.reportsFilterMessages];
-            reportsFilterButtons.forEach(btn => btn?.classList.remove('active'));
-            
-            const activeButton = {
-                'all': this.elements.reportsFilterAll,
-                'posts': this.elements.reportsFilterPosts,
-                'comments': this.elements.reportsFilterComments,
-                'messages': this.elements.reportsFilterMessages
-            }[filter];
-            
-            activeButton?.classList.add('active');
-            
-            if (this.elements.reportsCompletedToggle) {
-                this.elements.reportsCompletedToggle.checked = false;
-            }
-        }
+        // Update active filter button
+        const reportsFilterButtons = [this.elements.reportsFilterAll, this.elements.reportsFilterPosts, this.elements.reportsFilterComments, this.elements.reportsFilterMessages];
+        reportsFilterButtons.forEach(btn => btn?.classList.remove('active'));
+        
+        const activeButton = {
+            'all': this.elements.reportsFilterAll,
+            'posts': this.elements.reportsFilterPosts,
+            'comments': this.elements.reportsFilterComments,
+            'messages': this.elements.reportsFilterMessages
+        }[filter];
         
-        // Reset pagination and reload reports with new filter
+        activeButton?.classList.add('active');
+        
+        this.renderReports();
+    }
+
+    /**
+     * Switch between the open and resolved reports
+     * @param {string} status - 'open' or 'resolved'
+     */
+    setReportStatus(status) {
+        if (this.currentFilter.reportStatus === status) return;
+
+        this.currentFilter.reportStatus = status;
+        this.currentFilter.reportCommunity = null;
+        this.elements.reportsStatusOpen?.classList.toggle('active', status === 'open');
+        this.elements.reportsStatusResolved?.classList.toggle('active', status === 'resolved');
+
+        // A page for the other tab is still loading: reload when it's done
+        if (this.pagination.reports.loading) {
+            this.pagination.reports.reloadPending = true;
+            return;
+        }
+
+        // Reset pagination and reload reports for the other tab
         this.pagination.reports.currentPage = 1;
         this.pagination.reports.hasMore = true;
         this.loadReports();
     }
 
+    /**
+     * Show only the reports from one community
+     * @param {number|null} communityId - Community ID, or null for all communities
+     */
+    setReportCommunity(communityId) {
+        this.currentFilter.reportCommunity = communityId;
+        this.renderReports();
+    }
+
     /**
      * Set applications filter
      */
@@ -2004,14 +2199,15 @@ class LemmericInboxApp {
             this.elements.messagesBadge.style.display = unreadMessageCount > 0 ? 'inline' : 'none';
         }
 
-        // Reports and applications counts
-        const reportsCount = this.isAdmin ? this.inbox.reports.length : 0;
+        // Reports and applications counts (the reports badge counts the current tab)
+        const showResolved = this.currentFilter.reportStatus === 'resolved';
+        const reportsCount = this.isAdmin ? this.inbox.reports.filter(r => r.resolved === showResolved).length : 0;
         const applicationsCount = this.isAdmin ? this.inbox.applications.filter(a => a.status === 'pending').length : 0;
-        const totalAdminCount = reportsCount + applicationsCount;
         
-        // For navbar badge, we want to show unresolved reports + pending applications regardless of current filter
+        // For the tab and navbar badges, we want to show unresolved reports + pending applications regardless of current filter
         const unresolvedReportsCount = this.isAdmin ? this.inbox.reports.filter(r => !r.resolved).length : 0;
-        const navbarAdminCount = unresolvedReportsCount + applicationsCount;
+        const totalAdminCount = unresolvedReportsCount + applicationsCount;
+        const navbarAdminCount = totalAdminCount;
         
         if (this.isAdmin) {
             // Update reports count
@@ -2188,37 +2384,186 @@ class LemmericInboxApp {
     }
 
     /**
-     * Resolve a report
+     * Resolve a report (and the other reports on the same item)
      */
     async resolveReport(reportId) {
         try {
             const report = this.inbox.reports.find(r => r.id === reportId);
             if (!report) return;
 
-            const api = authManager.api;
-            
-            // Call appropriate resolve API based on report type
-            if (report.type === 'post') {
-                await api.resolvePostReport({ report_id: report.originalId, resolved: true });
-            } else if (report.type === 'comment') {
-                await api.resolveCommentReport({ report_id: report.originalId, resolved: true });
-            } else if (report.type === 'message') {
-                await api.resolvePrivateMessageReport({ report_id: report.originalId, resolved: true });
-            }
+            const count = await this.resolveReportGroup(report);
 
-            // Remove from local state
-            this.inbox.reports = this.inbox.reports.filter(r => r.id !== reportId);
             this.renderReports();
             this.updateBadges();
             
-            this.showSuccessToast('Report resolved successfully');
+            this.showSuccessToast(count > 1 ? `${count} reports resolved successfully` : 'Report resolved successfully');
             
         } catch (error) {
             console.error('Error resolving report:', error);
+            this.renderReports();
             this.showError('Failed to resolve report');
         }
     }
 
+    /**
+     * Resolve the open reports on the same item as a report
+     * @param {Object} report - Any report on the item
+     * @returns {Promise<number>} Number of reports resolved
+     */
+    async resolveReportGroup(report) {
+        const reports = this.inbox.reports.filter(r => r.groupKey === report.groupKey && !r.resolved);
+        for (const openReport of reports) {
+            await this.sendReportResolution(openReport);
+        }
+        return reports.length;
+    }
+
+    /**
+     * Resolve one report on the instance and mark it resolved in the list
+     * Resolved reports are kept, so the resolved tab and counts stay right.
+     * @param {Object} report - Report
+     */
+    async sendReportResolution(report) {
+        const api = authManager.api;
+        const params = { report_id: report.originalId, resolved: true };
+
+        let response = null;
+        if (report.type === 'post') {
+            response = await api.resolvePostReport(params);
+        } else if (report.type === 'comment') {
+            response = await api.resolveCommentReport(params);
+        } else if (report.type === 'message') {
+            response = await api.resolvePrivateMessageReport(params);
+        }
+
+        const view = response?.post_report_view || response?.comment_report_view || response?.private_message_report_view;
+        report.resolved = true;
+        report.resolver = view?.resolver || this.currentUser || null;
+    }
+
+    // ========================================
+    // BULK REPORT ACTIONS, CLAIMS AND NOTES
+    // ========================================
+
+    /**
+     * Tick or untick a reported item for bulk actions
+     * @param {string} groupKey - Reported item
+     * @param {boolean} selected - True to tick it
+     */
+    toggleReportGroupSelection(groupKey, selected) {
+        if (selected) {
+            this.selectedReportGroups.add(groupKey);
+        } else {
+            this.selectedReportGroups.delete(groupKey);
+        }
+        this.updateReportsBulkBar(this.groupReports(this.filterReports()));
+    }
+
+    /**
+     * Tick or untick every listed open item
+     * @param {boolean} selected - True to tick them all
+     */
+    selectAllReportGroups(selected) {
+        this.selectedReportGroups.clear();
+        if (selected) {
+            this.groupReports(this.filterReports())
+                .filter(group => group.reports.some(report => !report.resolved))
+                .forEach(group => this.selectedReportGroups.add(group.key));
+        }
+        this.renderReports();
+    }
+
+    /**
+     * Resolve the reports on every ticked item, optionally removing the items
+     * @param {boolean} removeContent - Remove the reported posts and comments first
+     */
+    async bulkResolveReports(removeContent) {
+        const groups = this.groupReports(this.filterReports())
+            .filter(group => this.selectedReportGroups.has(group.key));
+        if (groups.length === 0) return;
+
+        let reason = 'Content removed due to report';
+        if (removeContent) {
+            const removable = groups.filter(group => group.type !== 'message').length;
+            const typed = await askForReason({
+                title: `Remove ${removable} item${removable === 1 ? '' : 's'}`,
+                message: 'The reported posts and comments are removed and all their reports resolved. ' +
+                    'Reported private messages are only resolved.',
+                placeholder: reason,
+                confirmLabel: 'Remove and resolve'
+            });
+            if (typed === null) return;
+            reason = typed || reason;
+        }
+
+        this.elements.reportsBulkResolve.disabled = true;
+        this.elements.reportsBulkRemove.disabled = true;
+
+        let resolved = 0;
+        let failed = 0;
+        for (const group of groups) {
+            try {
+                if (removeContent && group.type !== 'message') {
+                    await this.performRemoveContent(group.latest, reason);
+                }
+                resolved += await this.resolveReportGroup(group.latest);
+                this.selectedReportGroups.delete(group.key);
+            } catch (error) {
+                console.error(`Error resolving reports on ${group.key}:`, error);
+                failed++;
+            }
+        }
+
+        this.renderReports();
+        this.updateBadges();
+
+        if (failed > 0) {
+            this.showError(`${failed} of ${groups.length} items could not be ${removeContent ? 'removed' : 'resolved'}; they are still selected`);
+        }
+        if (resolved > 0) {
+            this.showSuccessToast(`${resolved} report${resolved === 1 ? '' : 's'} resolved${removeContent ? ' and content removed' : ''}`);
+        }
+    }
+
+    /**
+     * Key of the logged in moderator for report notes (account and instance)
+     * @returns {string} Moderator key
+     */
+    getModeratorKey() {
+        return `${authManager.api.instanceName}:${this.currentUser?.id ?? 'unknown'}`;
+    }
+
+    /**
+     * Claim a reported item, or give up the claim
+     * @param {string} groupKey - Reported item
+     */
+    toggleReportClaim(groupKey) {
+        const moderator = this.getModeratorKey();
+        const claimed = reportNotes.get(moderator, groupKey)?.claimed;
+        reportNotes.setClaimed(moderator, groupKey, !claimed);
+        this.renderReports();
+    }
+
+    /**
+     * Add, change or remove the note on a reported item
+     * @param {string} groupKey - Reported item
+     */
+    async editReportNote(groupKey) {
+        const moderator = this.getModeratorKey();
+        const note = await askForReason({
+            title: 'Report note',
+            message: 'Notes are kept in this browser and are only shown to you.',
+            label: 'Note',
+            value: reportNotes.get(moderator, groupKey)?.note || '',
+            confirmLabel: 'Save Note',
+            confirmClass: 'btn-primary'
+        });
+        if (note === null) return;
+
+        reportNotes.setNote(moderator, groupKey, note);
+        this.renderReports();
+    }
+
     /**
      * View report details
      */
@@ -2397,8 +2742,6 @@ class LemmericInboxApp {
                 return;
             }
 
-            const api = authManager.api;
-            
             // First, perform the moderation action based on selection
             switch (this.selectedModerationAction) {
                 case 'remove-content':
@@ -2413,17 +2756,9 @@ class LemmericInboxApp {
                     break;
             }
             
-            // Then resolve the report
-            if (report.type === 'post') {
-                await api.resolvePostReport({ report_id: report.originalId, resolved: true });
-            } else if (report.type === 'comment') {
-                await api.resolveCommentReport({ report_id: report.originalId, resolved: true });
-            } else if (report.type === 'message') {
-                await api.resolvePrivateMessageReport({ report_id: report.originalId, resolved: true });
-            }
+            // Then resolve the report, with the other reports on the same item
+            await this.resolveReportGroup(report);
 
-            // Remove from local state
-            this.inbox.reports = this.inbox.reports.filter(r => r.id !== reportId);
             this.renderReports();
             this.updateBadges();
             
@@ -2523,8 +2858,10 @@ class LemmericInboxApp {
 
     /**
      * Perform content removal action
+     * @param {Object} report - Report on the post or comment to remove
+     * @param {string} [reason] - Removal reason for the modlog
      */
-    async performRemoveContent(report) {
+    async performRemoveContent(report, reason = 'Content removed due to report') {
         try {
             const api = authManager.api;
             
@@ -2533,14 +2870,14 @@ class LemmericInboxApp {
                 await api.removePost({
                     post_id: report.rawData.post.id,
                     removed: true,
-                    reason: 'Content removed due to report'
+                    reason
                 });
             } else if (report.type === 'comment' && report.rawData?.comment) {
                 // Remove comment
                 await api.removeComment({
                     comment_id: report.rawData.comment.id,
                     removed: true,
-                    reason: 'Content removed due to report'
+                    reason
                 });
             }
             // Note: Private messages typically can't be "removed" in the same way
@@ -2715,17 +3052,9 @@ class LemmericInboxApp {
                 expires: expires
             });
             
-            // Now resolve the report
-            if (report.type === 'post') {
-                await api.resolvePostReport({ report_id: report.originalId, resolved: true });
-            } else if (report.type === 'comment') {
-                await api.resolveCommentReport({ report_id: report.originalId, resolved: true });
-            } else if (report.type === 'message') {
-                await api.resolvePrivateMessageReport({ report_id: report.originalId, resolved: true });
-            }
+            // Now resolve the report, with the other reports on the same item
+            await this.resolveReportGroup(report);
 
-            // Remove from local state
-            this.inbox.reports = this.inbox.reports.filter(r => r.id !== reportId);
             this.renderReports();
             this.updateBadges();
             
@@ -2950,7 +3279,7 @@ class LemmericInboxApp {
             
             // Update navbar badge counts
             const unreadCount = this.inbox.notifications.filter(n => !n.read).length;
-            const reportsCount = this.inbox.reports.length;
+            const reportsCount = this.inbox.reports.filter(r => !r.resolved).length;
             const applicationsCount = this.inbox.applications.filter(a => a.status === 'pending').length;
             this.updateNavbarBadges(unreadCount, reportsCount + applicationsCount);
             
@@ -3009,140 +3338,21 @@ class LemmericInboxApp {
     /**
      * Report a message to administrators
      */
-    async reportMessage(messageId) {
+    reportMessage(messageId) {
         // Check if user is authenticated
         if (!authManager.isAuthenticated()) {
             console.log('Please log in to report messages');
             return;
         }
 
-        // Show the report message modal
-        this.showReportMessageModal(messageId);
-    }
-
-    /**
-     * Show the report message modal
-     */
-    showReportMessageModal(messageId) {
-        // Create modal HTML
-        const modalHTML = `
-            <div class="modal fade" id="reportMessageModal" tabindex="-1" aria-labelledby="reportMessageModalLabel" aria-hidden="true">
-                <div class="modal-dialog">
-                    <div class="modal-content">
-                        <div class="modal-header">
-                            <h5 class="modal-title" id="reportMessageModalLabel">Report Message</h5>
-                            <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
-                        </div>
-                        <div class="modal-body">
-                            <form id="reportMessageForm">
-                                <div class="mb-3">
-                                    <label for="messageReportReason" class="form-label">Reason for Report</label>
-                                    <textarea class="form-control" id="messageReportReason" rows="3" placeholder="Please provide a reason for reporting this message..." required></textarea>
-                                    <div class="form-text">Your report will be reviewed by administrators.</div>
-                                </div>
-                                <div id="messageReportValidationMessage" class="alert" style="display: none;"></div>
-                            </form>
-                        </div>
-                        <div class="modal-footer">
-                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
-                            <button type="button" class="btn btn-warning" id="submitMessageReportBtn">
-                                <span class="spinner-border spinner-border-sm me-2" role="status" style="display: none;"></span>
-                                Submit Report
-                            </button>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
-
-        // Remove existing modal if present
-        const existingModal = document.getElementById('reportMessageModal');
-        if (existingModal) {
-            existingModal.remove();
-        }
-
-        // Add modal to body
-        document.body.insertAdjacentHTML('beforeend', modalHTML);
-
-        // Get modal elements
-        const modal = document.getElementById('reportMessageModal');
-        const form = document.getElementById('reportMessageForm');
-        const reasonField = document.getElementById('messageReportReason');
-        const submitBtn = document.getElementById('submitMessageReportBtn');
-        const validationMessage = document.getElementById('messageReportValidationMessage');
-
-        // Add event listeners
-        submitBtn.addEventListener('click', () => this.submitMessageReport(modal, reasonField, submitBtn, validationMessage, messageId));
-        
-        // Show modal
-        const bootstrapModal = new bootstrap.Modal(modal);
-        bootstrapModal.show();
-
-        // Focus on reason field
-        setTimeout(() => reasonField.focus(), 500);
-    }
-
-    /**
-     * Submit the message report
-     */
-    async submitMessageReport(modal, reasonField, submitBtn, validationMessage, messageId) {
-        const reason = reasonField.value.trim();
-        
-        if (!reason) {
-            this.showReportValidationMessage(validationMessage, 'Please provide a reason for the report.', 'danger');
-            return;
-        }
-
-        // Show loading state
-        submitBtn.disabled = true;
-        const spinner = submitBtn.querySelector('.spinner-border');
-        spinner.style.display = 'inline-block';
-
-        try {
-            // Import API at runtime to avoid circular dependencies
-            const { LemmyAPI } = await import('./api.js');
-            const api = new LemmyAPI();
-
-            // Create the report
-            const reportData = {
-                private_message_id: parseInt(messageId, 10),
-                reason: reason
-            };
-
-            // Submit the report via API
-            await api.createPrivateMessageReport(reportData);
-            
-            // Show success message in validation area instead of toast
-            this.showReportValidationMessage(validationMessage, 'Message report submitted successfully!', 'success');
-            
-            // Hide modal after a short delay to show success message
-            setTimeout(() => {
-                const bootstrapModal = bootstrap.Modal.getInstance(modal);
-                bootstrapModal.hide();
-            }, 1500);
-            
-        } catch (error) {
-            console.error('Error submitting message report:', error);
-            this.showReportValidationMessage(validationMessage, 'Failed to submit report. Please try again.', 'danger');
-        } finally {
-            // Reset loading state
-            submitBtn.disabled = false;
-            spinner.style.display = 'none';
-        }
-    }
+        const message = this.inbox.messages.find(m => m.id === messageId);
 
-    /**
-     * Show validation message in the report modal
-     */
-    showReportValidationMessage(element, message, type) {
-        element.textContent = message;
-        element.className = `alert alert-${type}`;
-        element.style.display = 'block';
-        
-        // Auto-hide after 5 seconds
-        setTimeout(() => {
-            element.style.display = 'none';
-        }, 5000);
+        openReportDialog({
+            kind: 'message',
+            id: messageId,
+            api: authManager.api,
+            excerpt: message?.fullContent || ''
+        });
     }
 
     /**
@@ -3395,15 +3605,15 @@ class LemmericInboxApp {
      */
     goToPost(url) {
         if (url) {
-            // Parse the URL to extract post ID and comment hash
-            const match = url.match(/^\/post\/(\d+)(#comment-\d+)?$/);
+            // Parse the URL to extract post ID and the linked comment (?comment= or #comment-)
+            const match = url.match(/^\/post\/(\d+)(\?comment=\d+|#comment-\d+)?$/);
             if (match) {
                 const postId = match[1];
-                const commentHash = match[2] || '';
+                const commentPart = match[2] || '';
                 
                 // Direct navigation to post with clean URL
                 try {
-                    const directUrl = `/post/${postId}${commentHash}`;
+                    const directUrl = `/post/${postId}${commentPart}`;
                     window.location.href = directUrl;
                     return;
                 } catch (error) {
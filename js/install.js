@@ -0,0 +1,125 @@
+/**
+ * App install prompt handling for Lemmeric
+ *
+ * Browsers that can install Lemmeric as an app fire `beforeinstallprompt`.
+ * The event is kept instead of letting the browser show its own mini-infobar,
+ * so the navbar can offer an "Install app" button and show the prompt when
+ * the user asks for it.
+ *
+ * @fileoverview Deferred install prompt for the web app manifest
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Install');
+
+// ========================================
+// INSTALL PROMPT CLASS
+// ========================================
+
+/**
+ * Keeps the deferred install prompt and tells listeners when it changes
+ */
+class InstallPrompt {
+    constructor() {
+        this.deferredPrompt = null;
+        this.listeners = new Set();
+
+        if (typeof window === 'undefined') {
+            return;
+        }
+
+        window.addEventListener('beforeinstallprompt', (event) => {
+            event.preventDefault();
+            this.deferredPrompt = event;
+            this.notifyListeners('available');
+        });
+
+        window.addEventListener('appinstalled', () => {
+            this.deferredPrompt = null;
+            logger.debug('Lemmeric installed as an app');
+            this.notifyListeners('installed');
+        });
+    }
+
+    /**
+     * Check if the browser has offered to install the app
+     * @returns {boolean} True if promptInstall() can be called
+     */
+    canInstall() {
+        return this.deferredPrompt !== null;
+    }
+
+    /**
+     * Check if the page is running as an installed app
+     * @returns {boolean} True in standalone display mode
+     */
+    isInstalled() {
+        return window.matchMedia?.('(display-mode: standalone)').matches ||
+            window.navigator.standalone === true;
+    }
+
+    /**
+     * Show the browser's install prompt
+     * A prompt can only be used once; the browser fires a new event if it can be shown again.
+     * @returns {Promise<boolean>} True if the user accepted
+     */
+    async promptInstall() {
+        if (!this.deferredPrompt) {
+            return false;
+        }
+
+        const prompt = this.deferredPrompt;
+        this.deferredPrompt = null;
+        this.notifyListeners('unavailable');
+
+        prompt.prompt();
+        const { outcome } = await prompt.userChoice;
+        return outcome === 'accepted';
+    }
+
+    // ========================================
+    // EVENT HANDLING
+    // ========================================
+
+    /**
+     * Add event listener
+     * Events: available, unavailable, installed
+     * @param {Function} callback - Callback function (event)
+     */
+    addListener(callback) {
+        this.listeners.add(callback);
+    }
+
+    /**
+     * Remove event listener
+     * @param {Function} callback - Callback function
+     */
+    removeListener(callback) {
+        this.listeners.delete(callback);
+    }
+
+    /**
+     * Notify all listeners of an event
+     * @param {string} event - Event name
+     */
+    notifyListeners(event) {
+        this.listeners.forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error('Error in install prompt listener:', error);
+            }
+        });
+    }
+}
+
+// ========================================
+// SINGLETON INSTANCE
+// ========================================
+
+/**
+ * Shared install prompt (must be imported early so the event isn't missed)
+ * @type {InstallPrompt}
+ */
+export const installPrompt = new InstallPrompt();
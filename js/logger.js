@@ -0,0 +1,135 @@
+/**
+ * Debug logging for Lemmeric
+ *
+ * Request details are useful when debugging an instance, but they contain
+ * JWTs and passwords. Everything passed to this logger is redacted first:
+ * token and password fields, bearer headers, `auth=` query parameters and
+ * JSON request bodies. Debug output is off unless CONFIG.DEVELOPMENT.DEBUG_API
+ * is set or the lemmeric_debug localStorage key is 'true'.
+ *
+ * @fileoverview Redacting console logger for API debugging
+ */
+
+import { CONFIG } from './config.js';
+
+// ========================================
+// REDACTION
+// ========================================
+
+const REDACTED = '[redacted]';
+
+/**
+ * Object keys whose values are never logged
+ * @type {Set<string>}
+ */
+const SECRET_KEYS = new Set([
+    'auth',
+    'jwt',
+    'token',
+    'authorization',
+    'cookie',
+    'password',
+    'password_verify',
+    'new_password',
+    'new_password_verify',
+    'old_password',
+    'totp_2fa_token',
+    'totp_2fa_secret'
+]);
+
+/**
+ * Remove secrets from a string (URLs, headers, JSON bodies)
+ * @param {string} text - Text to clean
+ * @returns {string} Redacted text
+ */
+function redactString(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        try {
+            return JSON.stringify(redact(JSON.parse(trimmed)));
+        } catch (error) {
+            // Not JSON, fall through to the patterns below
+        }
+    }
+
+    return text
+        .replace(/([?&](?:auth|jwt|token)=)[^&#\s]*/gi, `$1${REDACTED}`)
+        .replace(/(Bearer\s+)[\w.\-~+/=]+/gi, `$1${REDACTED}`)
+        .replace(/(mock-jwt\.)\d+/g, `$1${REDACTED}`);
+}
+
+/**
+ * Make a copy of a value that is safe to log
+ * @param {*} value - Value to redact
+ * @param {WeakSet} seen - Objects already visited (guards against cycles)
+ * @returns {*} Redacted copy
+ */
+export function redact(value, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (value instanceof Error) {
+        return value;
+    }
+    if (typeof FormData !== 'undefined' && value instanceof FormData) {
+        return '[FormData]';
+    }
+    if (seen.has(value)) {
+        return '[circular]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, seen));
+    }
+
+    const copy = {};
+    Object.entries(value).forEach(([key, item]) => {
+        copy[key] = SECRET_KEYS.has(key.toLowerCase()) && item ? REDACTED : redact(item, seen);
+    });
+    return copy;
+}
+
+// ========================================
+// LOGGER
+// ========================================
+
+/**
+ * Check if debug logging is enabled
+ * @returns {boolean} True if debug messages should be printed
+ */
+export function isDebugEnabled() {
+    if (CONFIG.DEVELOPMENT?.DEBUG_API === true) {
+        return true;
+    }
+
+    try {
+        return localStorage.getItem(CONFIG.STORAGE_KEYS.DEBUG) === 'true';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Create a logger whose messages are prefixed with a scope and redacted
+ * @param {string} scope - Prefix shown before every message (e.g. 'API')
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}} Logger
+ */
+export function createLogger(scope) {
+    const prefix = `[${scope}]`;
+    const write = (method, args) => console[method](prefix, ...args.map(arg => redact(arg)));
+
+    return {
+        debug: (...args) => {
+            if (isDebugEnabled()) {
+                write('debug', args);
+            }
+        },
+        info: (...args) => write('info', args),
+        warn: (...args) => write('warn', args),
+        error: (...args) => write('error', args)
+    };
+}
@@ -27,11 +27,12 @@ import {
     setCurrentListingType, 
     getInstanceConfig 
 } from './config.js';
-import { LemmyAPI, APIUtils } from './api.js';
+import { LemmyAPI, APIUtils, isAbortError } from './api.js';
 import { DOM, PerformanceUtils } from './utils.js';
 import { router } from './router.js';
 import { authManager } from './auth.js';
 import { VERSION_INFO } from './version.js';
+import { shortcuts } from './shortcuts.js';
 
 // Components
 import { PostListManager } from './components/post.js';
@@ -241,39 +242,12 @@ class LemmericApp {
     }
 
     /**
-     * Setup keyboard shortcuts
+     * Setup keyboard shortcuts for the feed
+     * Navigation and post shortcuts come from the post list; '/', 'h', 't'
+     * and '?' from the navbar.
      */
     setupKeyboardShortcuts() {
-        if (!CONFIG.FEATURES.KEYBOARD_SHORTCUTS) return;
-
-        document.addEventListener('keydown', (e) => {
-            // Don't trigger shortcuts when typing in inputs
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
-                return;
-            }
-
-            switch (e.key.toLowerCase()) {
-                case 'r':
-                    if (e.ctrlKey || e.metaKey) return; // Allow browser refresh
-                    e.preventDefault();
-                    this.refreshPosts();
-                    break;
-                case 't':
-                    e.preventDefault();
-                    if (window.navbar) {
-                        window.navbar.toggleTheme();
-                    }
-                    break;
-                case 'h':
-                    e.preventDefault();
-                    router.navigate('/');
-                    break;
-                case '/':
-                    e.preventDefault();
-                    // Focus search (when implemented)
-                    break;
-            }
-        });
+        shortcuts.register('r', () => this.refreshPosts(), { group: 'Feed' });
     }
 
     // ========================================
@@ -365,9 +339,9 @@ class LemmericApp {
         }
 
         try {
-            // Construct the URL with hash fragment if present
+            // Construct the URL with the query (?comment=) and hash fragment if present
             const hash = window.location.hash;
-            const postUrl = `/post/${postId}${hash}`;
+            const postUrl = `/post/${postId}${window.location.search}${hash}`;
             
             // Redirect to the dedicated post page
             window.location.href = postUrl;
@@ -542,13 +516,13 @@ class LemmericApp {
         
         // Initialize post feed
         this.postFeed = new PostFeed(this.elements.postsContainer, {
-            fetchFunction: async (params) => {
+            fetchFunction: async (params, requestOptions) => {
                 return await this.api.getPosts({
                     sort: this.state.currentSort,
                     type: this.state.currentListingType,
                     page: params.page,
                     limit: params.limit
-                });
+                }, requestOptions);
             },
             emptyMessage: 'No posts found',
             emptyDescription: 'There are no posts to display.',
@@ -725,6 +699,9 @@ class LemmericApp {
             this.elements.mobileInstanceInfo.appendChild(mobileInfoElement);
 
         } catch (error) {
+            // Cancelled by an instance switch, the new instance's data is on its way
+            if (isAbortError(error)) return;
+            
             console.error('Failed to load instance info:', error);
             DOM.showError(this.elements.sidebarInstanceInfo, 'Failed to load instance info');
             DOM.showError(this.elements.mobileInstanceInfo, 'Failed to load instance info');
@@ -766,6 +743,8 @@ class LemmericApp {
             this.elements.mobileTaglines.appendChild(mobileTaglineElement);
 
         } catch (error) {
+            if (isAbortError(error)) return;
+            
             console.error('Failed to load taglines:', error);
             // Hide the card on error
             this.elements.sidebarTaglinesCard.style.display = 'none';
@@ -927,6 +906,8 @@ class LemmericApp {
             });
 
         } catch (error) {
+            if (isAbortError(error)) return;
+            
             console.error('Failed to load trending communities:', error);
             DOM.showError(this.elements.sidebarTrendingCommunities, 'Failed to load communities');
             DOM.showError(this.elements.mobileTrendingCommunities, 'Failed to load communities');
@@ -1012,6 +993,8 @@ class LemmericApp {
             this.elements.mobileInstanceAdmins.appendChild(mobileAdminsList);
 
         } catch (error) {
+            if (isAbortError(error)) return;
+            
             console.error('Failed to load instance admins:', error);
             DOM.showError(this.elements.sidebarInstanceAdmins, 'Failed to load admins');
             DOM.showError(this.elements.mobileInstanceAdmins, 'Failed to load admins');
@@ -1067,6 +1050,8 @@ class LemmericApp {
             this.elements.mobileSiteStats.appendChild(statsElement.cloneNode(true));
 
         } catch (error) {
+            if (isAbortError(error)) return;
+            
             console.error('Failed to load site stats:', error);
             DOM.showError(this.elements.sidebarStats, 'Failed to load statistics');
             DOM.showError(this.elements.mobileSiteStats, 'Failed to load statistics');
@@ -1089,6 +1074,9 @@ class LemmericApp {
             this.state.currentInstance = instanceName;
             setCurrentInstance(instanceName);
             
+            // Drop requests still pending against the previous instance
+            this.api?.abortPendingRequests();
+            
             // Setup new API instance
             this.setupAPI();
             
@@ -0,0 +1,626 @@
+/**
+ * Fixture data for the mock Lemmy backend
+ *
+ * Builds a small, deterministic Lemmy v3 instance: people, communities,
+ * posts, threaded comments, inbox items, reports and registration
+ * applications. Everything is generated from a seeded PRNG, so the same
+ * host and timestamp always produce the same data.
+ *
+ * @fileoverview Deterministic fixtures for offline development
+ */
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+/**
+ * Password accepted for every fixture account
+ * @type {string}
+ */
+export const MOCK_PASSWORD = 'password';
+
+/**
+ * Host used for federated (non-local) fixture content
+ * @type {string}
+ */
+const REMOTE_HOST = 'remote.example';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning floats in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Format a timestamp the way Lemmy does
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string} ISO timestamp
+ */
+function isoTime(time) {
+    return new Date(time).toISOString();
+}
+
+// ========================================
+// FIXTURE FACTORY
+// ========================================
+
+/**
+ * Create a fresh set of fixtures
+ * @param {Object} options - Fixture options
+ * @param {string} [options.host='lemmy.mock'] - Hostname of the mocked instance
+ * @param {number} [options.now=Date.now()] - Reference time for relative timestamps
+ * @returns {Object} Mutable fixture database
+ */
+export function createFixtures({ host = 'lemmy.mock', now = Date.now() } = {}) {
+    const random = createRandom(1337);
+    const pick = (items) => items[Math.floor(random() * items.length)];
+    const ago = (ms) => isoTime(now - ms);
+
+    // ----------------------------------------
+    // People
+    // ----------------------------------------
+
+    const personSeeds = [
+        { name: 'mockadmin', display_name: 'Mock Admin', admin: true, bio: 'Runs this instance.' },
+        { name: 'demo', display_name: 'Demo User', bio: 'The account you log in with. Password is "password".' },
+        { name: 'alice', display_name: 'Alice', bio: 'Likes hardware and long threads.' },
+        { name: 'bob', display_name: null, bio: null },
+        { name: 'carol', display_name: 'Carol', bio: 'Federated friend.', remote: true },
+        { name: 'newbie', display_name: null, bio: null }
+    ];
+
+    const persons = personSeeds.map((seed, index) => {
+        const personHost = seed.remote ? REMOTE_HOST : host;
+        return {
+            id: index + 1,
+            name: seed.name,
+            display_name: seed.display_name,
+            avatar: null,
+            banner: null,
+            bio: seed.bio,
+            banned: false,
+            published: ago((400 - index * 30) * 24 * HOUR),
+            updated: null,
+            actor_id: `https://${personHost}/u/${seed.name}`,
+            local: !seed.remote,
+            deleted: false,
+            bot_account: false,
+            matrix_user_id: null,
+            ban_expires: null,
+            instance_id: seed.remote ? 2 : 1,
+            admin: seed.admin === true
+        };
+    });
+
+    const personByName = (name) => persons.find(person => person.name === name);
+
+    const localUsers = persons.filter(person => person.local).map(person => ({
+        id: person.id,
+        person_id: person.id,
+        email: `${person.name}@${host}`,
+        show_nsfw: false,
+        theme: 'browser',
+        default_sort_type: 'Active',
+        default_listing_type: 'Local',
+        interface_language: 'browser',
+        show_avatars: true,
+        send_notifications_to_email: false,
+        show_scores: true,
+        show_bot_accounts: true,
+        show_read_posts: true,
+        email_verified: true,
+        accepted_application: person.name !== 'newbie',
+        open_links_in_new_tab: false,
+        blur_nsfw: true,
+        auto_expand: false,
+        infinite_scroll_enabled: true,
+        admin: person.admin,
+        post_listing_mode: 'List',
+        totp_2fa_enabled: false,
+        enable_keyboard_navigation: false,
+        enable_animated_images: true,
+        collapse_bot_comments: false
+    }));
+
+    // ----------------------------------------
+    // Communities
+    // ----------------------------------------
+
+    const communitySeeds = [
+        { name: 'technology', title: 'Technology', description: 'News and discussion about technology.\n\n## Rules\n\n1. Stay on topic\n2. No **spam** or self-promotion\n3. Link to the [original source](https://example.com/sources) where possible' },
+        { name: 'gaming', title: 'Gaming', description: 'Video games, board games and everything in between.' },
+        { name: 'news', title: 'World News', description: 'Breaking news from around the world.' },
+        { name: 'lemmeric', title: 'Lemmeric', description: 'Feedback and development of the Lemmeric client.' },
+        { name: 'photography', title: 'Photography', description: 'Share your shots.', remote: true },
+        { name: 'nsfw_test', title: 'NSFW Test', description: 'Fixture community flagged as NSFW.', nsfw: true }
+    ];
+
+    const communities = communitySeeds.map((seed, index) => {
+        const communityHost = seed.remote ? REMOTE_HOST : host;
+        return {
+            id: index + 1,
+            name: seed.name,
+            title: seed.title,
+            description: seed.description,
+            removed: false,
+            published: ago((380 - index * 20) * 24 * HOUR),
+            updated: null,
+            deleted: false,
+            nsfw: seed.nsfw === true,
+            actor_id: `https://${communityHost}/c/${seed.name}`,
+            local: !seed.remote,
+            icon: null,
+            banner: null,
+            hidden: false,
+            posting_restricted_to_mods: false,
+            instance_id: seed.remote ? 2 : 1,
+            visibility: 'Public'
+        };
+    });
+
+    // [community_id, person_id] pairs
+    const moderators = [
+        [1, 1], [1, 3],
+        [2, 4],
+        [3, 1],
+        [4, 2], [4, 3],
+        [5, 5],
+        [6, 1]
+    ].map(([community_id, person_id]) => ({ community_id, person_id }));
+
+    // [community_id, person_id] pairs; demo follows technology and lemmeric
+    const follows = [
+        [1, 2], [4, 2], [1, 3], [2, 3], [3, 4], [1, 5]
+    ].map(([community_id, person_id]) => ({ community_id, person_id, pending: false }));
+
+    // ----------------------------------------
+    // Posts
+    // ----------------------------------------
+
+    const postTitles = [
+        'What is your favourite self-hosted service?',
+        'New open hardware laptop announced',
+        'Show me your desk setup',
+        'Weekly discussion thread',
+        'Which distro did you start with?',
+        'A deep dive into federation',
+        'This game deserves more attention',
+        'Looking for co-op recommendations',
+        'Patch notes are out',
+        'Election results are in',
+        'Storm warnings issued along the coast',
+        'Feature request: keyboard navigation',
+        'Bug: images flicker when scrolling',
+        'Release notes for the next version',
+        'Golden hour at the lake',
+        'Film vs digital in 2024?',
+        'TIL about a neat shell trick',
+        'Retro console restoration log',
+        'Ask me anything about moderation',
+        'Markdown rendering test post'
+    ];
+
+    const postBodies = [
+        'Curious what everyone is running at home. I have been using a small NAS for backups.',
+        'Full write-up in the link. **Specs** look promising and the repair score is great.',
+        'Post a picture of your setup!\n\n- Monitor\n- Keyboard\n- Too many cables',
+        'Use this thread for anything that does not deserve its own post.',
+        null,
+        'Federation lets communities on different servers talk to each other. Here is how it works under the hood.',
+        'It has been out for a year and nobody talks about it. Great soundtrack, tight controls.',
+        null,
+        'Highlights:\n\n1. Balance changes\n2. New map\n3. Bug fixes',
+        null,
+        'Stay safe everyone.',
+        'It would be great to have `j`/`k` navigation like other clients.',
+        'Steps to reproduce:\n\n1. Open the feed\n2. Scroll quickly\n3. Watch thumbnails flicker',
+        'See the changelog for details. Thanks to everyone who contributed!',
+        null,
+        'I keep going back to film for the look, but digital is so convenient.',
+        'You can use `ctrl+r` to search your shell history.',
+        'Day 3: retrobrighting the case. Results are better than expected.',
+        'I have moderated communities for a while. Ask away.',
+        '# Heading\n\n*Italic*, **bold**, `code`, and a [link](https://join-lemmy.org).\n\n> Quote\n\n```\ncode block\n```'
+    ];
+
+    const postCommunityIds = [1, 1, 1, 4, 1, 3, 2, 2, 2, 3, 3, 4, 4, 4, 5, 5, 1, 2, 3, 4];
+
+    const posts = [];
+    const postCount = 60;
+    for (let index = 0; index < postCount; index++) {
+        const template = index % postTitles.length;
+        const round = Math.floor(index / postTitles.length);
+        const creator = pick(persons);
+        const hasLink = template === 1 || template === 5 || template === 9 || template === 13;
+        const hasImage = template === 2 || template === 14;
+
+        posts.push({
+            id: index + 1,
+            name: round === 0 ? postTitles[template] : `${postTitles[template]} (part ${round + 1})`,
+            url: hasLink ? `https://example.com/articles/${index + 1}` :
+                (hasImage ? `https://picsum.photos/seed/lemmeric${index + 1}/800/600.jpg` : null),
+            body: postBodies[template],
+            creator_id: creator.id,
+            community_id: index === postCount - 1 ? 6 : postCommunityIds[template],
+            removed: false,
+            locked: index === 3,
+            published: ago((index * 3 + Math.floor(random() * 3)) * HOUR + 5 * MINUTE),
+            updated: null,
+            deleted: false,
+            nsfw: index === postCount - 1,
+            embed_title: hasLink ? `Article ${index + 1}` : null,
+            embed_description: hasLink ? 'An example article used by the mock backend.' : null,
+            thumbnail_url: hasImage ? `https://picsum.photos/seed/lemmeric${index + 1}/200/200.jpg` : null,
+            ap_id: `https://${host}/post/${index + 1}`,
+            local: true,
+            embed_video_url: null,
+            language_id: 0,
+            featured_community: index === 3,
+            featured_local: false,
+            url_content_type: hasImage ? 'image/jpeg' : null,
+            alt_text: null
+        });
+    }
+
+    // ----------------------------------------
+    // Comments
+    // ----------------------------------------
+
+    const commentLines = [
+        'Great post, thanks for sharing!',
+        'I disagree, but I see where you are coming from.',
+        'Source?',
+        'This is the way.',
+        'Has anyone tried this on older hardware?',
+        'Came here to say this.',
+        'Could you elaborate on the second point?',
+        'Underrated comment.',
+        'I had the exact same experience last week.',
+        'Here is a longer reply that wraps over several lines so that the comment layout can be checked with realistic text lengths in the thread view.'
+    ];
+
+    const comments = [];
+    let nextCommentId = 1;
+
+    /**
+     * Add a comment (and optionally replies) to the fixture tree
+     * @param {Object} post - Post being commented on
+     * @param {Object|null} parent - Parent comment or null for top level
+     * @param {number} depth - Current depth (0 for top level)
+     */
+    const addComment = (post, parent, depth) => {
+        const id = nextCommentId++;
+        const creator = pick(persons);
+        const comment = {
+            id,
+            creator_id: creator.id,
+            post_id: post.id,
+            content: pick(commentLines),
+            removed: false,
+            // Always after the post, never in the future
+            published: isoTime(Math.min(now - MINUTE, Date.parse(post.published) + (comments.length % 50 + 1) * MINUTE)),
+            updated: null,
+            deleted: false,
+            ap_id: `https://${host}/comment/${id}`,
+            local: creator.local,
+            path: parent ? `${parent.path}.${id}` : `0.${id}`,
+            distinguished: false,
+            language_id: 0
+        };
+        comments.push(comment);
+
+        // Build a deeper chain in the first post so depth limits can be exercised
+        const replyCount = post.id === 1 && depth < 10 ? 1 + (depth === 0 ? 2 : 0) :
+            (depth < 3 ? Math.floor(random() * 3) : 0);
+        for (let reply = 0; reply < replyCount; reply++) {
+            addComment(post, comment, depth + 1);
+        }
+    };
+
+    posts.slice(0, 24).forEach(post => {
+        const topLevelCount = post.id === 1 ? 6 : 1 + Math.floor(random() * 4);
+        for (let index = 0; index < topLevelCount; index++) {
+            addComment(post, null, 0);
+        }
+    });
+
+    // ----------------------------------------
+    // Votes and saves
+    // ----------------------------------------
+
+    // Every vote is recorded so counts stay consistent when the user votes
+    const postVotes = [];
+    const commentVotes = [];
+    posts.forEach(post => {
+        persons.forEach(person => {
+            const roll = random();
+            if (roll < 0.55) postVotes.push({ post_id: post.id, person_id: person.id, score: 1 });
+            else if (roll < 0.65) postVotes.push({ post_id: post.id, person_id: person.id, score: -1 });
+        });
+    });
+    comments.forEach(comment => {
+        persons.forEach(person => {
+            const roll = random();
+            if (roll < 0.4) commentVotes.push({ comment_id: comment.id, person_id: person.id, score: 1 });
+            else if (roll < 0.45) commentVotes.push({ comment_id: comment.id, person_id: person.id, score: -1 });
+        });
+    });
+
+    // A busy thread on the second post: one comment with more direct replies
+    // than a tree fetch returns (300), so paging and windowing can be checked.
+    // Added after the votes so the other fixtures stay the same.
+    const busyPost = posts[1];
+    const busyRoot = {
+        id: nextCommentId++,
+        creator_id: persons[1].id,
+        post_id: busyPost.id,
+        content: 'Megathread: post your setup below.',
+        removed: false,
+        published: isoTime(Date.parse(busyPost.published) + MINUTE),
+        updated: null,
+        deleted: false,
+        ap_id: `https://${host}/comment/${nextCommentId - 1}`,
+        local: true,
+        path: `0.${nextCommentId - 1}`,
+        distinguished: false,
+        language_id: 0
+    };
+    comments.push(busyRoot);
+    for (let index = 0; index < 350; index++) {
+        const id = nextCommentId++;
+        const creator = persons[(index % (persons.length - 1)) + 1];
+        comments.push({
+            ...busyRoot,
+            id,
+            creator_id: creator.id,
+            content: commentLines[index % commentLines.length],
+            // Ten seconds apart, the newest last
+            published: isoTime(Math.min(now - MINUTE, Date.parse(busyRoot.published) + (index + 1) * 10 * 1000)),
+            ap_id: `https://${host}/comment/${id}`,
+            local: creator.local,
+            path: `${busyRoot.path}.${id}`
+        });
+    }
+
+    const demo = personByName('demo');
+    const savedPosts = [{ post_id: 2, person_id: demo.id }, { post_id: 6, person_id: demo.id }];
+    const savedComments = [{ comment_id: 1, person_id: demo.id }];
+
+    // ----------------------------------------
+    // Inbox
+    // ----------------------------------------
+
+    // Replies: comments by others under posts/comments written by demo
+    const demoComments = comments.filter(comment => comment.creator_id === demo.id);
+    const demoPosts = posts.filter(post => post.creator_id === demo.id);
+    const commentReplies = [];
+    comments.forEach(comment => {
+        if (comment.creator_id === demo.id) return;
+        const parentId = comment.path.split('.').slice(-2, -1)[0];
+        const parentIsDemo = demoComments.some(parent => String(parent.id) === parentId);
+        const postIsDemo = parentId === '0' && demoPosts.some(post => post.id === comment.post_id);
+        if (parentIsDemo || postIsDemo) {
+            commentReplies.push({
+                id: commentReplies.length + 1,
+                recipient_id: demo.id,
+                comment_id: comment.id,
+                read: commentReplies.length >= 2,
+                published: comment.published
+            });
+        }
+    });
+
+    const personMentions = comments
+        .filter(comment => comment.creator_id !== demo.id)
+        .slice(3, 5)
+        .map((comment, index) => {
+            comment.content = `${comment.content} /cc @demo@${host}`;
+            return {
+                id: index + 1,
+                recipient_id: demo.id,
+                comment_id: comment.id,
+                read: index > 0,
+                published: comment.published
+            };
+        });
+
+    const alice = personByName('alice');
+    const bob = personByName('bob');
+    const privateMessages = [
+        [alice.id, demo.id, 'Hey! Did you see the new release notes?', 5 * HOUR, true],
+        [demo.id, alice.id, 'Yes, the keyboard navigation looks great.', 4 * HOUR, true],
+        [alice.id, demo.id, 'Want to help test the mobile layout?', 30 * MINUTE, false],
+        [bob.id, demo.id, 'Thanks for moderating /c/lemmeric!', 2 * HOUR, false]
+    ].map(([creator_id, recipient_id, content, age, read], index) => ({
+        id: index + 1,
+        creator_id,
+        recipient_id,
+        content,
+        deleted: false,
+        read,
+        published: ago(age),
+        updated: null,
+        ap_id: `https://${host}/private_message/${index + 1}`,
+        local: true
+    }));
+
+    // ----------------------------------------
+    // Reports and applications
+    // ----------------------------------------
+
+    const postReports = [
+        { id: 1, creator_id: bob.id, post_id: 12, reason: 'Spam', resolved: false, resolver_id: null, published: ago(3 * HOUR) },
+        { id: 2, creator_id: alice.id, post_id: 12, reason: 'Off topic', resolved: false, resolver_id: null, published: ago(2 * HOUR) },
+        { id: 3, creator_id: alice.id, post_id: 7, reason: 'Misleading title', resolved: true, resolver_id: 1, published: ago(30 * HOUR) }
+    ].map(report => ({
+        ...report,
+        original_post_name: posts[report.post_id - 1].name,
+        original_post_url: posts[report.post_id - 1].url,
+        original_post_body: posts[report.post_id - 1].body,
+        updated: report.resolved ? report.published : null
+    }));
+
+    const commentReports = [
+        { id: 1, creator_id: alice.id, comment_id: 2, reason: 'Rude', resolved: false, resolver_id: null, published: ago(90 * MINUTE) },
+        { id: 2, creator_id: bob.id, comment_id: 5, reason: 'Harassment', resolved: true, resolver_id: 1, published: ago(50 * HOUR) }
+    ].map(report => ({
+        ...report,
+        original_comment_text: comments[report.comment_id - 1].content,
+        updated: report.resolved ? report.published : null
+    }));
+
+    const privateMessageReports = [
+        { id: 1, creator_id: demo.id, private_message_id: 4, reason: 'Unsolicited message', resolved: false, resolver_id: null, published: ago(HOUR) }
+    ].map(report => ({
+        ...report,
+        original_pm_text: privateMessages[report.private_message_id - 1].content,
+        updated: null
+    }));
+
+    // Modlog entries for the fixture post that starts out locked and pinned
+    const modlog = [
+        { id: 1, type: 'ModFeaturePost', mod_person_id: 2, other_person_id: posts[3].creator_id, community_id: posts[3].community_id,
+            fields: { post_id: posts[3].id, featured: true, is_featured_community: true }, when_: ago(3 * HOUR) },
+        { id: 2, type: 'ModLockPost', mod_person_id: 2, other_person_id: posts[3].creator_id, community_id: posts[3].community_id,
+            fields: { post_id: posts[3].id, locked: true, reason: 'Announcement, comments are off' }, when_: ago(2 * HOUR) }
+    ];
+
+    const newbie = personByName('newbie');
+    const registrationApplications = [{
+        id: 1,
+        local_user_id: newbie.id,
+        answer: 'I would like to join to discuss technology.',
+        admin_id: null,
+        deny_reason: null,
+        published: ago(6 * HOUR)
+    }];
+
+    // ----------------------------------------
+    // Site
+    // ----------------------------------------
+
+    const site = {
+        id: 1,
+        name: 'Mock Lemmy',
+        sidebar: 'This instance is served by the **Lemmeric mock backend**. Log in as `demo` or `mockadmin` with the password `password`.\n\n**Instance rules**\n\n- Be civil\n- No harassment or hate speech\n- No illegal content',
+        published: ago(500 * 24 * HOUR),
+        updated: null,
+        icon: null,
+        banner: null,
+        description: 'Offline Lemmy instance for development',
+        actor_id: `https://${host}/`,
+        last_refreshed_at: ago(HOUR),
+        inbox_url: `https://${host}/site_inbox`,
+        public_key: '',
+        instance_id: 1,
+        content_warning: null
+    };
+
+    const instances = [
+        { id: 1, domain: host, published: site.published, updated: null, software: 'lemmy', version: '0.19.3' },
+        { id: 2, domain: REMOTE_HOST, published: ago(400 * 24 * HOUR), updated: null, software: 'lemmy', version: '0.19.3' }
+    ];
+
+    const localSite = {
+        id: 1,
+        site_id: 1,
+        site_setup: true,
+        enable_downvotes: true,
+        enable_nsfw: true,
+        community_creation_admin_only: false,
+        require_email_verification: false,
+        application_question: 'Why do you want to join?',
+        private_instance: false,
+        default_theme: 'browser',
+        default_post_listing_type: 'Local',
+        legal_information: null,
+        hide_modlog_mod_names: false,
+        application_email_admins: false,
+        slur_filter_regex: null,
+        actor_name_max_length: 20,
+        federation_enabled: true,
+        captcha_enabled: false,
+        captcha_difficulty: 'medium',
+        published: site.published,
+        updated: null,
+        registration_mode: 'RequireApplication',
+        reports_email_admins: false,
+        federation_signed_fetch: false
+    };
+
+    const localSiteRateLimit = {
+        local_site_id: 1,
+        message: 180,
+        message_per_second: 60,
+        post: 6,
+        post_per_second: 600,
+        register: 10,
+        register_per_second: 3600,
+        image: 6,
+        image_per_second: 3600,
+        comment: 6,
+        comment_per_second: 600,
+        search: 60,
+        search_per_second: 600,
+        published: site.published,
+        updated: null
+    };
+
+    const taglines = [
+        'Running entirely offline.',
+        'Every post here is a fixture.',
+        'No servers were harmed in the making of this feed.'
+    ].map((content, index) => ({ id: index + 1, local_site_id: 1, content, published: site.published, updated: null }));
+
+    return {
+        host,
+        now,
+        version: '0.19.3',
+        site,
+        localSite,
+        localSiteRateLimit,
+        taglines,
+        instances,
+        persons,
+        localUsers,
+        communities,
+        moderators,
+        follows,
+        communityBlocks: [],
+        personBlocks: [],
+        instanceBlocks: [],
+        posts,
+        comments,
+        postVotes,
+        commentVotes,
+        savedPosts,
+        savedComments,
+        postReads: [],
+        commentReplies,
+        personMentions,
+        privateMessages,
+        postReports,
+        commentReports,
+        privateMessageReports,
+        registrationApplications,
+        modlog,
+        uploads: []
+    };
+}
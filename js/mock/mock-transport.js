@@ -0,0 +1,1954 @@
+/**
+ * Mock Lemmy backend
+ *
+ * An in-memory stand-in for a Lemmy v3 server that plugs into the transport
+ * layer (see transport.js). It routes requests by method and path, answers
+ * with the same response shapes as Lemmy 0.19, and keeps state changes
+ * (votes, new comments, read markers, reports...) for the lifetime of the page.
+ *
+ * Log in as `demo` (regular user and moderator of /c/lemmeric) or
+ * `mockadmin` (admin) with the password `password`.
+ *
+ * @fileoverview In-memory Lemmy v3 backend for offline development
+ */
+
+import { createFixtures, MOCK_PASSWORD } from './fixtures.js';
+
+// ========================================
+// CONSTANTS AND HELPERS
+// ========================================
+
+/**
+ * Prefix of the tokens handed out by the mock login (followed by the person ID)
+ * @type {string}
+ */
+const TOKEN_PREFIX = 'mock-jwt.';
+
+/**
+ * Most comments Lemmy returns for a tree fetch (max_depth set)
+ * @type {number}
+ */
+const MAX_TREE_COMMENTS = 300;
+
+/**
+ * Status texts for the status codes the mock produces
+ * @type {Object<number, string>}
+ */
+const STATUS_TEXT = {
+    200: 'OK',
+    400: 'Bad Request',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'Not Found'
+};
+
+/**
+ * Modlog action types: response list, record field, and the key of the person acted on
+ * @type {Object<string, Array<string|null>>}
+ */
+const MODLOG_KINDS = {
+    ModRemovePost: ['removed_posts', 'mod_remove_post', null],
+    ModLockPost: ['locked_posts', 'mod_lock_post', null],
+    ModFeaturePost: ['featured_posts', 'mod_feature_post', null],
+    ModRemoveComment: ['removed_comments', 'mod_remove_comment', 'commenter'],
+    ModRemoveCommunity: ['removed_communities', 'mod_remove_community', null],
+    ModBanFromCommunity: ['banned_from_community', 'mod_ban_from_community', 'banned_person'],
+    ModAddCommunity: ['added_to_community', 'mod_add_community', 'modded_person'],
+    ModTransferCommunity: ['transferred_to_community', 'mod_transfer_community', 'modded_person'],
+    ModAdd: ['added', 'mod_add', 'modded_person'],
+    ModBan: ['banned', 'mod_ban', 'banned_person'],
+    ModHideCommunity: ['hidden_communities', 'mod_hide_community', null],
+    AdminPurgePerson: ['admin_purged_persons', 'admin_purge_person', null],
+    AdminPurgeCommunity: ['admin_purged_communities', 'admin_purge_community', null],
+    AdminPurgePost: ['admin_purged_posts', 'admin_purge_post', null],
+    AdminPurgeComment: ['admin_purged_comments', 'admin_purge_comment', null]
+};
+
+/**
+ * Error thrown by route handlers, turned into a Lemmy style `{ error }` response
+ */
+class MockApiError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} code - Lemmy error code (e.g. 'couldnt_find_post')
+     */
+    constructor(status, code) {
+        super(code);
+        this.name = 'MockApiError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Build a JSON response
+ * @param {number} status - HTTP status code
+ * @param {Object} data - Response payload
+ * @returns {Response} Response object
+ */
+function jsonResponse(status, data) {
+    return new Response(JSON.stringify(data), {
+        status,
+        statusText: STATUS_TEXT[status] || '',
+        headers: { 'content-type': 'application/json' }
+    });
+}
+
+/**
+ * Wait for the simulated network latency, honouring abort signals
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Abort signal from the request options
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason || new DOMException('The operation was aborted.', 'AbortError'));
+            return;
+        }
+
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason || new DOMException('The operation was aborted.', 'AbortError'));
+        }, { once: true });
+    });
+}
+
+/**
+ * Parse a query/body flag that may be a boolean or a 'true'/'false' string
+ * @param {*} value - Raw value
+ * @returns {boolean} Parsed flag
+ */
+function toBool(value) {
+    return value === true || value === 'true';
+}
+
+/**
+ * Apply page/limit pagination
+ * @param {Array} items - Items to paginate
+ * @param {Object} params - Object with optional page and limit
+ * @param {number} defaultLimit - Limit used when none is given
+ * @returns {Array} Requested page
+ */
+function paginate(items, params, defaultLimit = 20) {
+    const page = Math.max(1, parseInt(params.page) || 1);
+    const limit = Math.max(1, parseInt(params.limit) || defaultLimit);
+    return items.slice((page - 1) * limit, page * limit);
+}
+
+/**
+ * Split a community/person identifier like `name@host` into its parts
+ * @param {string} identifier - Name with optional host
+ * @returns {Object} Object with name and host (null if not given)
+ */
+function splitName(identifier) {
+    const [name, host] = String(identifier).split('@');
+    return { name, host: host || null };
+}
+
+/**
+ * Get the hostname from an actor id
+ * @param {string} actorId - Actor URL
+ * @returns {string} Hostname
+ */
+function actorHost(actorId) {
+    try {
+        return new URL(actorId).hostname;
+    } catch {
+        return '';
+    }
+}
+
+// ========================================
+// MOCK TRANSPORT CLASS
+// ========================================
+
+/**
+ * Transport that answers Lemmy API requests from in-memory fixtures
+ */
+export class MockTransport {
+    /**
+     * @param {Object} options - Mock options
+     * @param {number} [options.latency=150] - Simulated latency per request in ms
+     * @param {number} [options.now] - Reference time passed to the fixtures
+     * @param {Function} [options.fixtures=createFixtures] - Fixture factory ({ host, now }) => db
+     */
+    constructor({ latency = 150, now = undefined, fixtures = createFixtures } = {}) {
+        this.latency = latency;
+        this.now = now;
+        this.createFixtures = fixtures;
+
+        // One database per mocked host so switching instances behaves sensibly
+        this.databases = new Map();
+        this.routes = this.buildRoutes();
+    }
+
+    // ========================================
+    // TRANSPORT INTERFACE
+    // ========================================
+
+    /**
+     * Handle a request the same way fetch would
+     * @param {string} url - Absolute request URL
+     * @param {Object} options - Fetch options
+     * @returns {Promise<Response>} Mock response
+     */
+    async request(url, options = {}) {
+        await delay(this.latency || 0, options.signal);
+
+        const parsedUrl = new URL(url);
+        const method = (options.method || 'GET').toUpperCase();
+        const path = parsedUrl.pathname.replace(/^\/api\/v3/, '').replace(/\/$/, '') || '/';
+        const query = Object.fromEntries(parsedUrl.searchParams.entries());
+
+        let body = {};
+        if (typeof options.body === 'string' && options.body.length > 0) {
+            try {
+                body = JSON.parse(options.body);
+            } catch {
+                return jsonResponse(400, { error: 'invalid_body' });
+            }
+        } else if (options.body instanceof FormData) {
+            body = options.body;
+        }
+
+        const db = this.getDatabase(parsedUrl.hostname);
+        const viewer = this.authenticate(db, options.headers || {}, query, body);
+        const handler = this.routes[`${method} ${path}`];
+
+        if (!handler) {
+            console.warn(`Mock backend: no route for ${method} ${path}`);
+            return jsonResponse(404, { error: 'unknown_endpoint' });
+        }
+
+        try {
+            const data = handler({ db, query, body, viewer });
+            // Round-trip through JSON so callers never share objects with the database
+            return jsonResponse(200, data);
+        } catch (error) {
+            if (error instanceof MockApiError) {
+                return jsonResponse(error.status, { error: error.code });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Reset all mock state (fixtures are rebuilt on the next request)
+     */
+    reset() {
+        this.databases.clear();
+    }
+
+    // ========================================
+    // STATE AND AUTHENTICATION
+    // ========================================
+
+    /**
+     * Get (or create) the database for a host
+     * @param {string} host - Hostname of the mocked instance
+     * @returns {Object} Fixture database
+     */
+    getDatabase(host) {
+        if (!this.databases.has(host)) {
+            this.databases.set(host, this.createFixtures({ host, now: this.now }));
+        }
+        return this.databases.get(host);
+    }
+
+    /**
+     * Resolve the logged in person from header, query or body auth
+     * @param {Object} db - Fixture database
+     * @param {Object} headers - Request headers
+     * @param {Object} query - Query parameters
+     * @param {Object} body - Parsed request body
+     * @returns {Object|null} Viewer with person and localUser, or null
+     */
+    authenticate(db, headers, query, body) {
+        const header = headers.authorization || headers.Authorization || '';
+        const token = header.replace(/^Bearer\s+/i, '') || query.auth || body?.auth || '';
+
+        if (!token.startsWith(TOKEN_PREFIX)) {
+            return null;
+        }
+
+        const personId = parseInt(token.slice(TOKEN_PREFIX.length));
+        const person = db.persons.find(p => p.id === personId);
+        const localUser = db.localUsers.find(user => user.person_id === personId);
+        return person && localUser ? { person, localUser } : null;
+    }
+
+    /**
+     * Throw unless a user is logged in
+     * @param {Object|null} viewer - Current viewer
+     * @returns {Object} The viewer
+     */
+    requireViewer(viewer) {
+        if (!viewer) {
+            throw new MockApiError(401, 'not_logged_in');
+        }
+        return viewer;
+    }
+
+    /**
+     * Throw unless the viewer is an admin
+     * @param {Object|null} viewer - Current viewer
+     */
+    requireAdmin(viewer) {
+        if (!this.requireViewer(viewer).person.admin) {
+            throw new MockApiError(400, 'not_an_admin');
+        }
+    }
+
+    /**
+     * Throw unless the viewer moderates the community (admins always pass)
+     * @param {Object} db - Fixture database
+     * @param {Object|null} viewer - Current viewer
+     * @param {number} communityId - Community ID
+     */
+    requireModerator(db, viewer, communityId) {
+        this.requireViewer(viewer);
+        if (!viewer.person.admin && !this.isModerator(db, viewer.person.id, communityId)) {
+            throw new MockApiError(400, 'not_a_moderator');
+        }
+    }
+
+    /**
+     * Check if a person moderates a community
+     * @param {Object} db - Fixture database
+     * @param {number} personId - Person ID
+     * @param {number} communityId - Community ID
+     * @returns {boolean} True if moderator
+     */
+    isModerator(db, personId, communityId) {
+        return db.moderators.some(mod => mod.person_id === personId && mod.community_id === communityId);
+    }
+
+    // ========================================
+    // LOOKUPS
+    // ========================================
+
+    /**
+     * Find a record by ID or throw a Lemmy "couldnt_find_*" error
+     * @param {Array} collection - Records to search
+     * @param {*} id - Record ID (number or numeric string)
+     * @param {string} kind - Object kind used in the error code
+     * @returns {Object} Record
+     */
+    findOrThrow(collection, id, kind) {
+        const record = collection.find(item => item.id === parseInt(id));
+        if (!record) {
+            throw new MockApiError(404, `couldnt_find_${kind}`);
+        }
+        return record;
+    }
+
+    /**
+     * Find a community by `name` or `name@host`
+     * @param {Object} db - Fixture database
+     * @param {string} identifier - Community name
+     * @returns {Object|undefined} Community
+     */
+    findCommunityByName(db, identifier) {
+        const { name, host } = splitName(identifier);
+        return db.communities.find(community =>
+            community.name === name && (!host || actorHost(community.actor_id) === host));
+    }
+
+    /**
+     * Find a person by `name` or `name@host`
+     * @param {Object} db - Fixture database
+     * @param {string} identifier - Username
+     * @returns {Object|undefined} Person
+     */
+    findPersonByName(db, identifier) {
+        const { name, host } = splitName(identifier);
+        return db.persons.find(person =>
+            person.name === name && (!host || actorHost(person.actor_id) === host));
+    }
+
+    /**
+     * Get the next free ID in a collection
+     * @param {Array} collection - Records with numeric IDs
+     * @returns {number} Next ID
+     */
+    nextId(collection) {
+        return collection.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+    }
+
+    // ========================================
+    // VIEW BUILDERS
+    // ========================================
+
+    /**
+     * Build a PersonView
+     * @param {Object} db - Fixture database
+     * @param {Object} person - Person record
+     * @returns {Object} Person view
+     */
+    personView(db, person) {
+        return {
+            person,
+            counts: {
+                person_id: person.id,
+                post_count: db.posts.filter(post => post.creator_id === person.id && !post.deleted).length,
+                comment_count: db.comments.filter(comment => comment.creator_id === person.id && !comment.deleted).length
+            },
+            is_admin: person.admin
+        };
+    }
+
+    /**
+     * Get the subscription state of a viewer for a community
+     * @param {Object} db - Fixture database
+     * @param {Object|null} viewer - Current viewer
+     * @param {number} communityId - Community ID
+     * @returns {string} 'Subscribed', 'Pending' or 'NotSubscribed'
+     */
+    subscribedType(db, viewer, communityId) {
+        const follow = viewer && db.follows.find(f => f.person_id === viewer.person.id && f.community_id === communityId);
+        if (!follow) return 'NotSubscribed';
+        return follow.pending ? 'Pending' : 'Subscribed';
+    }
+
+    /**
+     * Build a CommunityView
+     * @param {Object} db - Fixture database
+     * @param {Object} community - Community record
+     * @param {Object|null} viewer - Current viewer
+     * @returns {Object} Community view
+     */
+    communityView(db, community, viewer) {
+        const followers = db.follows.filter(f => f.community_id === community.id && !f.pending);
+        return {
+            community,
+            subscribed: this.subscribedType(db, viewer, community.id),
+            blocked: !!viewer && db.communityBlocks.some(b => b.person_id === viewer.person.id && b.community_id === community.id),
+            counts: {
+                community_id: community.id,
+                subscribers: followers.length,
+                posts: db.posts.filter(post => post.community_id === community.id && !post.deleted).length,
+                comments: db.comments.filter(comment =>
+                    db.posts.find(post => post.id === comment.post_id)?.community_id === community.id).length,
+                published: community.published,
+                users_active_day: Math.min(followers.length, 2),
+                users_active_week: followers.length,
+                users_active_month: followers.length,
+                users_active_half_year: followers.length,
+                subscribers_local: followers.filter(f => db.persons.find(p => p.id === f.person_id)?.local).length
+            },
+            banned_from_community: false
+        };
+    }
+
+    /**
+     * Compute vote counts for a post or comment
+     * @param {Array} votes - Vote records for the item
+     * @returns {Object} Object with score, upvotes and downvotes
+     */
+    voteCounts(votes) {
+        const upvotes = votes.filter(vote => vote.score > 0).length;
+        const downvotes = votes.filter(vote => vote.score < 0).length;
+        return { score: upvotes - downvotes, upvotes, downvotes };
+    }
+
+    /**
+     * Build a PostView
+     * @param {Object} db - Fixture database
+     * @param {Object} post - Post record
+     * @param {Object|null} viewer - Current viewer
+     * @returns {Object} Post view
+     */
+    postView(db, post, viewer) {
+        const creator = db.persons.find(p => p.id === post.creator_id);
+        const community = db.communities.find(c => c.id === post.community_id);
+        const votes = db.postVotes.filter(vote => vote.post_id === post.id);
+        const postComments = db.comments.filter(comment => comment.post_id === post.id);
+        const viewerId = viewer?.person.id;
+        const myVote = votes.find(vote => vote.person_id === viewerId);
+
+        return {
+            post,
+            creator,
+            community,
+            creator_banned_from_community: false,
+            banned_from_community: false,
+            creator_is_moderator: this.isModerator(db, creator.id, community.id),
+            creator_is_admin: creator.admin,
+            counts: {
+                post_id: post.id,
+                comments: postComments.length,
+                ...this.voteCounts(votes),
+                published: post.published,
+                newest_comment_time: postComments.reduce((latest, c) => c.published > latest ? c.published : latest, post.published)
+            },
+            subscribed: this.subscribedType(db, viewer, community.id),
+            saved: !!viewer && db.savedPosts.some(s => s.person_id === viewerId && s.post_id === post.id),
+            read: !!viewer && db.postReads.some(r => r.person_id === viewerId && r.post_id === post.id),
+            hidden: false,
+            creator_blocked: !!viewer && db.personBlocks.some(b => b.person_id === viewerId && b.target_id === creator.id),
+            my_vote: viewer ? (myVote?.score ?? 0) : undefined,
+            unread_comments: 0
+        };
+    }
+
+    /**
+     * Build a CommentView
+     * @param {Object} db - Fixture database
+     * @param {Object} comment - Comment record
+     * @param {Object|null} viewer - Current viewer
+     * @returns {Object} Comment view
+     */
+    commentView(db, comment, viewer) {
+        const creator = db.persons.find(p => p.id === comment.creator_id);
+        const post = db.posts.find(p => p.id === comment.post_id);
+        const community = db.communities.find(c => c.id === post.community_id);
+        const votes = db.commentVotes.filter(vote => vote.comment_id === comment.id);
+        const viewerId = viewer?.person.id;
+        const myVote = votes.find(vote => vote.person_id === viewerId);
+
+        // Removed content is only sent to the community's moderators and admins
+        const hideContent = comment.removed && !(viewer && (viewer.person.admin || this.isModerator(db, viewerId, community.id)));
+
+        return {
+            comment: hideContent ? { ...comment, content: '' } : comment,
+            creator,
+            post,
+            community,
+            counts: {
+                comment_id: comment.id,
+                ...this.voteCounts(votes),
+                published: comment.published,
+                child_count: db.comments.filter(c => c.id !== comment.id && c.path.startsWith(`${comment.path}.`)).length
+            },
+            creator_banned_from_community: false,
+            banned_from_community: false,
+            creator_is_moderator: this.isModerator(db, creator.id, community.id),
+            creator_is_admin: creator.admin,
+            subscribed: this.subscribedType(db, viewer, community.id),
+            saved: !!viewer && db.savedComments.some(s => s.person_id === viewerId && s.comment_id === comment.id),
+            creator_blocked: !!viewer && db.personBlocks.some(b => b.person_id === viewerId && b.target_id === creator.id),
+            my_vote: viewer ? (myVote?.score ?? 0) : undefined
+        };
+    }
+
+    /**
+     * Build a PrivateMessageView
+     * @param {Object} db - Fixture database
+     * @param {Object} message - Private message record
+     * @returns {Object} Private message view
+     */
+    privateMessageView(db, message) {
+        return {
+            private_message: message,
+            creator: db.persons.find(p => p.id === message.creator_id),
+            recipient: db.persons.find(p => p.id === message.recipient_id)
+        };
+    }
+
+    /**
+     * Build the moderator list of a community
+     * @param {Object} db - Fixture database
+     * @param {Object} community - Community record
+     * @returns {Array} CommunityModeratorView list
+     */
+    moderatorViews(db, community) {
+        return db.moderators
+            .filter(mod => mod.community_id === community.id)
+            .map(mod => ({ community, moderator: db.persons.find(p => p.id === mod.person_id) }));
+    }
+
+    /**
+     * Build the my_user block of the /site response
+     * @param {Object} db - Fixture database
+     * @param {Object} viewer - Current viewer
+     * @returns {Object} MyUserInfo
+     */
+    myUserInfo(db, viewer) {
+        const { person, localUser } = viewer;
+        // Lemmy 0.19 keeps the admin flag on local_user (the fixtures have it on both)
+        const personWithoutAdmin = { ...person };
+        delete personWithoutAdmin.admin;
+        return {
+            local_user_view: {
+                local_user: localUser,
+                person: personWithoutAdmin,
+                counts: this.personView(db, person).counts
+            },
+            follows: db.follows
+                .filter(f => f.person_id === person.id)
+                .map(f => ({ community: db.communities.find(c => c.id === f.community_id), follower: person })),
+            moderates: db.moderators
+                .filter(mod => mod.person_id === person.id)
+                .map(mod => ({ community: db.communities.find(c => c.id === mod.community_id), moderator: person })),
+            community_blocks: db.communityBlocks
+                .filter(b => b.person_id === person.id)
+                .map(b => ({ person, community: db.communities.find(c => c.id === b.community_id) })),
+            instance_blocks: db.instanceBlocks
+                .filter(b => b.person_id === person.id)
+                .map(b => ({ person, instance: db.instances.find(i => i.id === b.instance_id) })),
+            person_blocks: db.personBlocks
+                .filter(b => b.person_id === person.id)
+                .map(b => ({ person, target: db.persons.find(p => p.id === b.target_id) })),
+            discussion_languages: []
+        };
+    }
+
+    // ========================================
+    // MODLOG
+    // ========================================
+
+    /**
+     * Add an entry to the modlog
+     * @param {Object} db - Fixture database
+     * @param {Object} viewer - Moderator or admin taking the action
+     * @param {string} type - Key of MODLOG_KINDS
+     * @param {Object} entry - community_id and other_person_id to filter on, and the record fields
+     */
+    recordModAction(db, viewer, type, { community_id = null, other_person_id = null, fields }) {
+        db.modlog.push({
+            id: this.nextId(db.modlog),
+            type,
+            mod_person_id: viewer.person.id,
+            community_id,
+            other_person_id,
+            fields,
+            when_: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Build the view of a modlog entry
+     * @param {Object} db - Fixture database
+     * @param {Object} entry - Modlog entry
+     * @param {Object|null} viewer - Current viewer
+     * @returns {Object} Modlog view (e.g. ModLockPostView)
+     */
+    modlogView(db, entry, viewer) {
+        const [, recordKey, targetKey] = MODLOG_KINDS[entry.type];
+        const isAdminAction = entry.type.startsWith('Admin');
+        const { post_id, comment_id } = entry.fields;
+
+        // Like Lemmy, only admins see who did it when the instance hides moderator names
+        const showName = !db.localSite.hide_modlog_mod_names || viewer?.person.admin;
+        const actor = showName ? db.persons.find(p => p.id === entry.mod_person_id) : null;
+
+        const view = {
+            [recordKey]: {
+                id: entry.id,
+                [isAdminAction ? 'admin_person_id' : 'mod_person_id']: entry.mod_person_id,
+                ...entry.fields,
+                when_: entry.when_
+            },
+            [isAdminAction ? 'admin' : 'moderator']: actor
+        };
+
+        if (entry.community_id) view.community = db.communities.find(c => c.id === entry.community_id);
+        if (post_id) view.post = db.posts.find(p => p.id === post_id);
+        if (comment_id) view.comment = db.comments.find(c => c.id === comment_id);
+        if (targetKey) view[targetKey] = db.persons.find(p => p.id === entry.other_person_id);
+        return view;
+    }
+
+    // ========================================
+    // SORTING
+    // ========================================
+
+    /**
+     * Sort views the way Lemmy would (approximately)
+     * @param {Array} views - Post or comment views
+     * @param {string} sort - Lemmy sort type
+     * @param {Function} getItem - Returns the post/comment record of a view
+     * @returns {Array} Sorted views
+     */
+    sortViews(views, sort = 'Hot', getItem) {
+        const published = view => Date.parse(getItem(view).published);
+        const byNew = (a, b) => published(b) - published(a);
+        const age = view => Math.max(1, (Date.now() - published(view)) / 3600000);
+        const hot = view => (view.counts.score + 1) / Math.pow(age(view) + 2, 1.8);
+
+        const sorters = {
+            New: byNew,
+            Old: (a, b) => published(a) - published(b),
+            MostComments: (a, b) => (b.counts.comments || 0) - (a.counts.comments || 0) || byNew(a, b),
+            NewComments: (a, b) => (b.counts.newest_comment_time || '').localeCompare(a.counts.newest_comment_time || ''),
+            Controversial: (a, b) => Math.min(b.counts.upvotes, b.counts.downvotes) - Math.min(a.counts.upvotes, a.counts.downvotes),
+            Hot: (a, b) => hot(b) - hot(a) || byNew(a, b),
+            Active: (a, b) => hot(b) - hot(a) || byNew(a, b),
+            Scaled: (a, b) => hot(b) - hot(a) || byNew(a, b)
+        };
+
+        const sorter = sorters[sort] || ((a, b) => b.counts.score - a.counts.score || byNew(a, b));
+        return [...views].sort(sorter);
+    }
+
+    // ========================================
+    // ROUTES
+    // ========================================
+
+    /**
+     * Build the route table (`METHOD /path` => handler)
+     * @returns {Object<string, Function>} Route handlers
+     */
+    buildRoutes() {
+        const routes = {};
+        const route = (key, handler) => {
+            routes[key] = handler.bind(this);
+        };
+
+        // ----------------------------------------
+        // Site
+        // ----------------------------------------
+
+        route('GET /site', ({ db, viewer }) => ({
+            site_view: {
+                site: db.site,
+                local_site: db.localSite,
+                local_site_rate_limit: db.localSiteRateLimit,
+                counts: {
+                    site_id: db.site.id,
+                    users: db.persons.filter(p => p.local).length,
+                    posts: db.posts.length,
+                    comments: db.comments.length,
+                    communities: db.communities.filter(c => c.local).length,
+                    users_active_day: 3,
+                    users_active_week: 4,
+                    users_active_month: 5,
+                    users_active_half_year: db.persons.length
+                }
+            },
+            admins: db.persons.filter(p => p.admin).map(p => this.personView(db, p)),
+            version: db.version,
+            my_user: viewer ? this.myUserInfo(db, viewer) : undefined,
+            all_languages: [
+                { id: 0, code: 'und', name: 'Undetermined' },
+                { id: 37, code: 'en', name: 'English' }
+            ],
+            discussion_languages: [],
+            taglines: db.taglines,
+            custom_emojis: [],
+            blocked_urls: []
+        }));
+
+        route('POST /site/block', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const instance = this.findOrThrow(db.instances, body.instance_id, 'instance');
+            const block = toBool(body.block);
+
+            if (instance.id === db.site.instance_id) {
+                throw new MockApiError(400, 'cant_block_local_instance');
+            }
+
+            db.instanceBlocks = db.instanceBlocks.filter(b => !(b.instance_id === instance.id && b.person_id === person.id));
+            if (block) {
+                db.instanceBlocks.push({ instance_id: instance.id, person_id: person.id });
+            }
+
+            return { blocked: block };
+        });
+
+        // ----------------------------------------
+        // Authentication
+        // ----------------------------------------
+
+        route('POST /user/login', ({ db, body }) => {
+            const identifier = String(body.username_or_email || '').toLowerCase();
+            const localUser = db.localUsers.find(user => user.email === identifier);
+            const person = localUser ?
+                db.persons.find(p => p.id === localUser.person_id) :
+                db.persons.find(p => p.local && p.name.toLowerCase() === identifier);
+
+            if (!person || body.password !== MOCK_PASSWORD) {
+                throw new MockApiError(400, 'incorrect_login');
+            }
+
+            const user = db.localUsers.find(u => u.person_id === person.id);
+            if (!user.accepted_application) {
+                throw new MockApiError(400, 'registration_application_is_pending');
+            }
+
+            return { jwt: `${TOKEN_PREFIX}${person.id}`, registration_created: false, verify_email_sent: false };
+        });
+
+        route('POST /user/register', ({ db, body }) => {
+            const name = String(body.username || '').trim();
+            if (!/^[a-zA-Z0-9_]{3,20}$/.test(name)) {
+                throw new MockApiError(400, 'invalid_name');
+            }
+            if (db.persons.some(p => p.local && p.name.toLowerCase() === name.toLowerCase())) {
+                throw new MockApiError(400, 'user_already_exists');
+            }
+            if (body.password !== body.password_verify) {
+                throw new MockApiError(400, 'passwords_do_not_match');
+            }
+
+            const person = {
+                ...db.persons[db.persons.length - 1],
+                id: this.nextId(db.persons),
+                name,
+                display_name: null,
+                bio: null,
+                admin: false,
+                local: true,
+                instance_id: 1,
+                published: new Date().toISOString(),
+                actor_id: `https://${db.host}/u/${name}`
+            };
+            db.persons.push(person);
+
+            const requiresApplication = db.localSite.registration_mode === 'RequireApplication';
+            db.localUsers.push({
+                ...db.localUsers[0],
+                id: person.id,
+                person_id: person.id,
+                email: body.email || null,
+                show_nsfw: toBool(body.show_nsfw),
+                admin: false,
+                accepted_application: !requiresApplication
+            });
+
+            if (requiresApplication) {
+                db.registrationApplications.push({
+                    id: this.nextId(db.registrationApplications),
+                    local_user_id: person.id,
+                    answer: body.answer || '',
+                    admin_id: null,
+                    deny_reason: null,
+                    published: person.published
+                });
+                return { jwt: null, registration_created: true, verify_email_sent: false };
+            }
+
+            return { jwt: `${TOKEN_PREFIX}${person.id}`, registration_created: true, verify_email_sent: false };
+        });
+
+        route('POST /user/logout', () => ({ success: true }));
+
+        route('PUT /user/save_user_settings', ({ viewer, body }) => {
+            const { person, localUser } = this.requireViewer(viewer);
+            ['display_name', 'bio', 'avatar', 'banner', 'matrix_user_id', 'bot_account'].forEach(key => {
+                if (body[key] !== undefined) person[key] = body[key];
+            });
+            Object.keys(body).forEach(key => {
+                if (key in localUser && key !== 'id' && key !== 'person_id' && key !== 'admin') {
+                    localUser[key] = body[key];
+                }
+            });
+            return { success: true };
+        });
+
+        // ----------------------------------------
+        // Posts
+        // ----------------------------------------
+
+        route('GET /post/list', ({ db, query, viewer }) => {
+            let posts = db.posts.filter(post => !post.removed && !post.deleted);
+
+            let community = null;
+            if (query.community_id) {
+                community = this.findOrThrow(db.communities, query.community_id, 'community');
+            } else if (query.community_name) {
+                community = this.findCommunityByName(db, query.community_name);
+                if (!community) throw new MockApiError(404, 'couldnt_find_community');
+            }
+
+            if (community) {
+                posts = posts.filter(post => post.community_id === community.id);
+            } else {
+                const type = query.type_ || 'All';
+                if (type === 'Local') {
+                    posts = posts.filter(post => db.communities.find(c => c.id === post.community_id)?.local);
+                } else if (type === 'Subscribed') {
+                    const followed = viewer ? db.follows.filter(f => f.person_id === viewer.person.id && !f.pending).map(f => f.community_id) : [];
+                    posts = posts.filter(post => followed.includes(post.community_id));
+                } else if (type === 'ModeratorView') {
+                    const moderated = viewer ? db.moderators.filter(m => m.person_id === viewer.person.id).map(m => m.community_id) : [];
+                    posts = posts.filter(post => moderated.includes(post.community_id));
+                }
+
+                // Like Lemmy, blocked communities and instances only disappear from combined feeds
+                if (viewer) {
+                    const blocked = db.communityBlocks.filter(b => b.person_id === viewer.person.id).map(b => b.community_id);
+                    const blockedInstances = db.instanceBlocks.filter(b => b.person_id === viewer.person.id).map(b => b.instance_id);
+                    posts = posts.filter(post => !blocked.includes(post.community_id) &&
+                        !blockedInstances.includes(db.communities.find(c => c.id === post.community_id)?.instance_id));
+                }
+            }
+
+            // Posts by blocked people are left out everywhere
+            if (viewer) {
+                const blockedPeople = db.personBlocks.filter(b => b.person_id === viewer.person.id).map(b => b.target_id);
+                posts = posts.filter(post => !blockedPeople.includes(post.creator_id));
+            }
+
+            if (toBool(query.saved_only)) {
+                const saved = viewer ? db.savedPosts.filter(s => s.person_id === viewer.person.id).map(s => s.post_id) : [];
+                posts = posts.filter(post => saved.includes(post.id));
+            }
+
+            let views = this.sortViews(posts.map(post => this.postView(db, post, viewer)), query.sort, view => view.post);
+
+            // Pinned posts go first inside a community, and local pins on the front page
+            const pinned = view => community ? view.post.featured_community : view.post.featured_local;
+            views = [...views.filter(pinned), ...views.filter(view => !pinned(view))];
+
+            return { posts: paginate(views, query), next_page: null };
+        });
+
+        route('GET /post', ({ db, query, viewer }) => {
+            const post = query.comment_id ?
+                db.posts.find(p => p.id === this.findOrThrow(db.comments, query.comment_id, 'comment').post_id) :
+                this.findOrThrow(db.posts, query.id, 'post');
+            const community = db.communities.find(c => c.id === post.community_id);
+
+            if (viewer && !db.postReads.some(r => r.person_id === viewer.person.id && r.post_id === post.id)) {
+                db.postReads.push({ person_id: viewer.person.id, post_id: post.id });
+            }
+
+            return {
+                post_view: this.postView(db, post, viewer),
+                community_view: this.communityView(db, community, viewer),
+                moderators: this.moderatorViews(db, community),
+                cross_posts: db.posts
+                    .filter(other => other.id !== post.id && post.url && other.url === post.url)
+                    .map(other => this.postView(db, other, viewer))
+            };
+        });
+
+        route('POST /post', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const community = this.findOrThrow(db.communities, body.community_id, 'community');
+            const name = String(body.name || '').trim();
+
+            if (!name || name.length > 200) {
+                throw new MockApiError(400, 'invalid_post_title');
+            }
+            if (community.posting_restricted_to_mods && !this.isModerator(db, person.id, community.id)) {
+                throw new MockApiError(400, 'only_mods_can_post_in_community');
+            }
+
+            const post = {
+                ...db.posts[0],
+                id: this.nextId(db.posts),
+                name,
+                url: body.url || null,
+                body: body.body || null,
+                creator_id: person.id,
+                community_id: community.id,
+                locked: false,
+                removed: false,
+                deleted: false,
+                nsfw: toBool(body.nsfw),
+                published: new Date().toISOString(),
+                updated: null,
+                embed_title: null,
+                embed_description: null,
+                thumbnail_url: null,
+                url_content_type: null,
+                featured_community: false,
+                featured_local: false,
+                language_id: body.language_id || 0
+            };
+            post.ap_id = `https://${db.host}/post/${post.id}`;
+            db.posts.push(post);
+
+            // Lemmy upvotes your own post automatically
+            db.postVotes.push({ post_id: post.id, person_id: person.id, score: 1 });
+
+            return { post_view: this.postView(db, post, viewer) };
+        });
+
+        route('PUT /post', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const post = this.findOrThrow(db.posts, body.post_id, 'post');
+            if (post.creator_id !== person.id) {
+                throw new MockApiError(400, 'no_post_edit_allowed');
+            }
+
+            ['name', 'url', 'body', 'nsfw', 'language_id'].forEach(key => {
+                if (body[key] !== undefined) post[key] = body[key];
+            });
+            post.updated = new Date().toISOString();
+
+            return { post_view: this.postView(db, post, viewer) };
+        });
+
+        route('POST /post/delete', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const post = this.findOrThrow(db.posts, body.post_id, 'post');
+            if (post.creator_id !== person.id) {
+                throw new MockApiError(400, 'no_post_edit_allowed');
+            }
+
+            post.deleted = toBool(body.deleted);
+            return { post_view: this.postView(db, post, viewer) };
+        });
+
+        route('POST /post/remove', ({ db, body, viewer }) => {
+            const post = this.findOrThrow(db.posts, body.post_id, 'post');
+            this.requireModerator(db, viewer, post.community_id);
+
+            post.removed = toBool(body.removed);
+            this.recordModAction(db, viewer, 'ModRemovePost', {
+                community_id: post.community_id,
+                other_person_id: post.creator_id,
+                fields: { post_id: post.id, removed: post.removed, reason: body.reason || null }
+            });
+            return { post_view: this.postView(db, post, viewer) };
+        });
+
+        route('POST /post/lock', ({ db, body, viewer }) => {
+            const post = this.findOrThrow(db.posts, body.post_id, 'post');
+            this.requireModerator(db, viewer, post.community_id);
+
+            post.locked = toBool(body.locked);
+            this.recordModAction(db, viewer, 'ModLockPost', {
+                community_id: post.community_id,
+                other_person_id: post.creator_id,
+                fields: { post_id: post.id, locked: post.locked, reason: body.reason || null }
+            });
+            return { post_view: this.postView(db, post, viewer) };
+        });
+
+        route('POST /post/feature', ({ db, body, viewer }) => {
+            const post = this.findOrThrow(db.posts, body.post_id, 'post');
+
+            // Community pins are for moderators, front page pins for admins
+            if (body.feature_type === 'Local') {
+                this.requireAdmin(viewer);
+                post.featured_local = toBool(body.featured);
+            } else {
+                this.requireModerator(db, viewer, post.community_id);
+                post.featured_community = toBool(body.featured);
+            }
+            this.recordModAction(db, viewer, 'ModFeaturePost', {
+                community_id: post.community_id,
+                other_person_id: post.creator_id,
+                fields: { post_id: post.id, featured: toBool(body.featured), is_featured_community: body.feature_type !== 'Local' }
+            });
+            return { post_view: this.postView(db, post, viewer) };
+        });
+
+        route('POST /post/like', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const post = this.findOrThrow(db.posts, body.post_id, 'post');
+            const score = parseInt(body.score);
+
+            if (![-1, 0, 1].includes(score)) {
+                throw new MockApiError(400, 'invalid_vote');
+            }
+            if (score === -1 && !db.localSite.enable_downvotes) {
+                throw new MockApiError(400, 'downvotes_are_disabled');
+            }
+
+            db.postVotes = db.postVotes.filter(vote => !(vote.post_id === post.id && vote.person_id === person.id));
+            if (score !== 0) {
+                db.postVotes.push({ post_id: post.id, person_id: person.id, score });
+            }
+
+            return { post_view: this.postView(db, post, viewer) };
+        });
+
+        route('PUT /post/save', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const post = this.findOrThrow(db.posts, body.post_id, 'post');
+
+            db.savedPosts = db.savedPosts.filter(s => !(s.post_id === post.id && s.person_id === person.id));
+            if (toBool(body.save)) {
+                db.savedPosts.push({ post_id: post.id, person_id: person.id });
+            }
+
+            return { post_view: this.postView(db, post, viewer) };
+        });
+
+        // ----------------------------------------
+        // Comments
+        // ----------------------------------------
+
+        route('GET /comment/list', ({ db, query, viewer }) => {
+            let comments = db.comments;
+
+            if (query.post_id) {
+                const post = this.findOrThrow(db.posts, query.post_id, 'post');
+                comments = comments.filter(comment => comment.post_id === post.id);
+            }
+
+            if (query.community_id) {
+                const communityId = parseInt(query.community_id);
+                comments = comments.filter(comment => db.posts.find(p => p.id === comment.post_id)?.community_id === communityId);
+            }
+
+            if (viewer) {
+                const blockedPeople = db.personBlocks.filter(b => b.person_id === viewer.person.id).map(b => b.target_id);
+                comments = comments.filter(comment => !blockedPeople.includes(comment.creator_id));
+            }
+
+            if (toBool(query.saved_only)) {
+                const saved = viewer ? db.savedComments.filter(s => s.person_id === viewer.person.id).map(s => s.comment_id) : [];
+                comments = comments.filter(comment => saved.includes(comment.id));
+            }
+
+            // Depth limits follow Lemmy: nlevel(path) <= nlevel(base) + max_depth
+            let baseLevel = 1;
+            if (query.parent_id) {
+                const parent = this.findOrThrow(db.comments, query.parent_id, 'comment');
+                baseLevel = parent.path.split('.').length;
+                comments = comments.filter(comment =>
+                    comment.id === parent.id || comment.path.startsWith(`${parent.path}.`));
+            }
+            if (query.max_depth) {
+                const maxLevel = baseLevel + parseInt(query.max_depth);
+                comments = comments.filter(comment => comment.path.split('.').length <= maxLevel);
+            }
+
+            const views = this.sortViews(comments.map(comment => this.commentView(db, comment, viewer)), query.sort, view => view.comment);
+            if (!query.max_depth) {
+                return { comments: paginate(views, query, 50) };
+            }
+
+            // Tree fetches ignore page and limit like Lemmy: up to 300 comments, grouped by parent path
+            const parentPath = view => view.comment.path.split('.').slice(0, -1).map(Number);
+            const byParentPath = (a, b) => {
+                const pathA = parentPath(a);
+                const pathB = parentPath(b);
+                for (let index = 0; index < Math.min(pathA.length, pathB.length); index++) {
+                    if (pathA[index] !== pathB[index]) return pathA[index] - pathB[index];
+                }
+                return pathA.length - pathB.length;
+            };
+            return { comments: [...views].sort(byParentPath).slice(0, MAX_TREE_COMMENTS) };
+        });
+
+        route('GET /comment', ({ db, query, viewer }) => {
+            const comment = this.findOrThrow(db.comments, query.id, 'comment');
+            return { comment_view: this.commentView(db, comment, viewer) };
+        });
+
+        route('POST /comment', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const post = this.findOrThrow(db.posts, body.post_id, 'post');
+            const content = String(body.content || '').trim();
+
+            if (!content) {
+                throw new MockApiError(400, 'couldnt_create_comment');
+            }
+            if (post.locked) {
+                throw new MockApiError(400, 'locked');
+            }
+
+            const parent = body.parent_id ? this.findOrThrow(db.comments, body.parent_id, 'comment') : null;
+            const id = this.nextId(db.comments);
+            const comment = {
+                id,
+                creator_id: person.id,
+                post_id: post.id,
+                content,
+                removed: false,
+                published: new Date().toISOString(),
+                updated: null,
+                deleted: false,
+                ap_id: `https://${db.host}/comment/${id}`,
+                local: true,
+                path: parent ? `${parent.path}.${id}` : `0.${id}`,
+                distinguished: false,
+                language_id: body.language_id || 0
+            };
+            db.comments.push(comment);
+            db.commentVotes.push({ comment_id: id, person_id: person.id, score: 1 });
+
+            // Notify whoever we replied to
+            const recipientId = parent ? parent.creator_id : post.creator_id;
+            if (recipientId !== person.id) {
+                db.commentReplies.push({
+                    id: this.nextId(db.commentReplies),
+                    recipient_id: recipientId,
+                    comment_id: id,
+                    read: false,
+                    published: comment.published
+                });
+            }
+
+            return { comment_view: this.commentView(db, comment, viewer), recipient_ids: [recipientId] };
+        });
+
+        route('PUT /comment', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const comment = this.findOrThrow(db.comments, body.comment_id, 'comment');
+            if (comment.creator_id !== person.id) {
+                throw new MockApiError(400, 'no_comment_edit_allowed');
+            }
+
+            if (body.content !== undefined) comment.content = body.content;
+            if (body.language_id !== undefined) comment.language_id = body.language_id;
+            comment.updated = new Date().toISOString();
+
+            return { comment_view: this.commentView(db, comment, viewer), recipient_ids: [] };
+        });
+
+        route('POST /comment/delete', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const comment = this.findOrThrow(db.comments, body.comment_id, 'comment');
+            if (comment.creator_id !== person.id) {
+                throw new MockApiError(400, 'no_comment_edit_allowed');
+            }
+
+            comment.deleted = toBool(body.deleted);
+            return { comment_view: this.commentView(db, comment, viewer), recipient_ids: [] };
+        });
+
+        route('POST /comment/remove', ({ db, body, viewer }) => {
+            const comment = this.findOrThrow(db.comments, body.comment_id, 'comment');
+            const post = db.posts.find(p => p.id === comment.post_id);
+            this.requireModerator(db, viewer, post.community_id);
+
+            comment.removed = toBool(body.removed);
+            this.recordModAction(db, viewer, 'ModRemoveComment', {
+                community_id: post.community_id,
+                other_person_id: comment.creator_id,
+                fields: { comment_id: comment.id, post_id: post.id, removed: comment.removed, reason: body.reason || null }
+            });
+            return { comment_view: this.commentView(db, comment, viewer), recipient_ids: [] };
+        });
+
+        route('POST /comment/distinguish', ({ db, body, viewer }) => {
+            const comment = this.findOrThrow(db.comments, body.comment_id, 'comment');
+            const post = db.posts.find(p => p.id === comment.post_id);
+            this.requireModerator(db, viewer, post.community_id);
+
+            // Like Lemmy, moderators can only distinguish their own comments
+            if (comment.creator_id !== viewer.person.id) {
+                throw new MockApiError(400, 'no_comment_edit_allowed');
+            }
+
+            comment.distinguished = toBool(body.distinguished);
+            return { comment_view: this.commentView(db, comment, viewer), recipient_ids: [] };
+        });
+
+        route('POST /comment/like', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const comment = this.findOrThrow(db.comments, body.comment_id, 'comment');
+            const score = parseInt(body.score);
+
+            if (![-1, 0, 1].includes(score)) {
+                throw new MockApiError(400, 'invalid_vote');
+            }
+
+            db.commentVotes = db.commentVotes.filter(vote => !(vote.comment_id === comment.id && vote.person_id === person.id));
+            if (score !== 0) {
+                db.commentVotes.push({ comment_id: comment.id, person_id: person.id, score });
+            }
+
+            return { comment_view: this.commentView(db, comment, viewer), recipient_ids: [] };
+        });
+
+        route('PUT /comment/save', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const comment = this.findOrThrow(db.comments, body.comment_id, 'comment');
+
+            db.savedComments = db.savedComments.filter(s => !(s.comment_id === comment.id && s.person_id === person.id));
+            if (toBool(body.save)) {
+                db.savedComments.push({ comment_id: comment.id, person_id: person.id });
+            }
+
+            return { comment_view: this.commentView(db, comment, viewer) };
+        });
+
+        // ----------------------------------------
+        // Communities
+        // ----------------------------------------
+
+        route('GET /community/list', ({ db, query, viewer }) => {
+            let communities = db.communities.filter(c => !c.removed && !c.deleted);
+            const type = query.type_ || 'All';
+
+            if (type === 'Local') {
+                communities = communities.filter(c => c.local);
+            } else if (type === 'Subscribed') {
+                communities = communities.filter(c => this.subscribedType(db, viewer, c.id) !== 'NotSubscribed');
+            } else if (type === 'ModeratorView') {
+                communities = communities.filter(c => viewer && this.isModerator(db, viewer.person.id, c.id));
+            }
+
+            if (query.show_nsfw !== undefined && !toBool(query.show_nsfw)) {
+                communities = communities.filter(c => !c.nsfw);
+            }
+
+            const views = communities.map(c => this.communityView(db, c, viewer));
+            const sort = query.sort || 'Active';
+            if (sort === 'New') {
+                views.sort((a, b) => b.community.published.localeCompare(a.community.published));
+            } else if (sort === 'Old') {
+                views.sort((a, b) => a.community.published.localeCompare(b.community.published));
+            } else if (sort === 'MostComments') {
+                views.sort((a, b) => b.counts.comments - a.counts.comments);
+            } else {
+                views.sort((a, b) => b.counts.subscribers - a.counts.subscribers || b.counts.posts - a.counts.posts);
+            }
+
+            return { communities: paginate(views, query, 50) };
+        });
+
+        route('GET /community', ({ db, query, viewer }) => {
+            const community = query.id ?
+                this.findOrThrow(db.communities, query.id, 'community') :
+                this.findCommunityByName(db, query.name || '');
+
+            if (!community) {
+                throw new MockApiError(404, 'couldnt_find_community');
+            }
+
+            return {
+                community_view: this.communityView(db, community, viewer),
+                moderators: this.moderatorViews(db, community),
+                discussion_languages: []
+            };
+        });
+
+        route('POST /community', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const name = String(body.name || '').trim();
+
+            if (!/^[a-z0-9_]{3,20}$/.test(name)) {
+                throw new MockApiError(400, 'invalid_name');
+            }
+            if (db.communities.some(c => c.local && c.name === name)) {
+                throw new MockApiError(400, 'community_already_exists');
+            }
+            if (db.localSite.community_creation_admin_only && !person.admin) {
+                throw new MockApiError(400, 'only_admins_can_create_communities');
+            }
+
+            const community = {
+                ...db.communities[0],
+                id: this.nextId(db.communities),
+                name,
+                title: body.title || name,
+                description: body.description || null,
+                icon: body.icon || null,
+                banner: body.banner || null,
+                nsfw: toBool(body.nsfw),
+                posting_restricted_to_mods: toBool(body.posting_restricted_to_mods),
+                visibility: body.visibility || 'Public',
+                published: new Date().toISOString(),
+                actor_id: `https://${db.host}/c/${name}`
+            };
+            db.communities.push(community);
+            db.moderators.push({ community_id: community.id, person_id: person.id });
+            db.follows.push({ community_id: community.id, person_id: person.id, pending: false });
+
+            return { community_view: this.communityView(db, community, viewer), discussion_languages: [] };
+        });
+
+        route('PUT /community', ({ db, body, viewer }) => {
+            const community = this.findOrThrow(db.communities, body.community_id, 'community');
+            this.requireModerator(db, viewer, community.id);
+
+            ['title', 'description', 'icon', 'banner', 'nsfw', 'posting_restricted_to_mods', 'visibility'].forEach(key => {
+                if (body[key] !== undefined) community[key] = body[key];
+            });
+            community.updated = new Date().toISOString();
+
+            return { community_view: this.communityView(db, community, viewer), discussion_languages: [] };
+        });
+
+        route('POST /community/follow', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const community = this.findOrThrow(db.communities, body.community_id, 'community');
+
+            db.follows = db.follows.filter(f => !(f.community_id === community.id && f.person_id === person.id));
+            if (toBool(body.follow)) {
+                // Remote instances confirm follows asynchronously; the mock never does
+                db.follows.push({ community_id: community.id, person_id: person.id, pending: !community.local });
+            }
+
+            return { community_view: this.communityView(db, community, viewer), discussion_languages: [] };
+        });
+
+        route('POST /community/block', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const community = this.findOrThrow(db.communities, body.community_id, 'community');
+            const block = toBool(body.block);
+
+            db.communityBlocks = db.communityBlocks.filter(b => !(b.community_id === community.id && b.person_id === person.id));
+            if (block) {
+                db.communityBlocks.push({ community_id: community.id, person_id: person.id });
+                // Blocking a community also unfollows it
+                db.follows = db.follows.filter(f => !(f.community_id === community.id && f.person_id === person.id));
+            }
+
+            return { community_view: this.communityView(db, community, viewer), blocked: block };
+        });
+
+        route('POST /community/ban_user', ({ db, body, viewer }) => {
+            const community = this.findOrThrow(db.communities, body.community_id, 'community');
+            this.requireModerator(db, viewer, community.id);
+            const person = this.findOrThrow(db.persons, body.person_id, 'person');
+
+            if (toBool(body.remove_data)) {
+                db.posts.filter(p => p.creator_id === person.id && p.community_id === community.id).forEach(p => { p.removed = true; });
+            }
+            this.recordModAction(db, viewer, 'ModBanFromCommunity', {
+                community_id: community.id,
+                other_person_id: person.id,
+                fields: { banned: toBool(body.ban), reason: body.reason || null, expires: body.expires ? new Date(body.expires * 1000).toISOString() : null }
+            });
+
+            return { person_view: this.personView(db, person), banned: toBool(body.ban) };
+        });
+
+        // ----------------------------------------
+        // Search and users
+        // ----------------------------------------
+
+        route('GET /search', ({ db, query, viewer }) => {
+            const term = String(query.q || '').toLowerCase();
+            const type = query.type_ || 'All';
+            const wants = kind => type === 'All' || type === kind;
+            const matches = (...fields) => fields.some(field => field && String(field).toLowerCase().includes(term));
+
+            const posts = !wants('Posts') && type !== 'Url' ? [] : db.posts
+                .filter(p => !p.removed && !p.deleted)
+                .filter(p => type === 'Url' ? matches(p.url) : matches(p.name, p.body))
+                .filter(p => !query.community_id || p.community_id === parseInt(query.community_id))
+                .filter(p => !query.creator_id || p.creator_id === parseInt(query.creator_id))
+                .map(p => this.postView(db, p, viewer));
+
+            const comments = !wants('Comments') ? [] : db.comments
+                .filter(c => !c.removed && !c.deleted && matches(c.content))
+                .filter(c => !query.creator_id || c.creator_id === parseInt(query.creator_id))
+                .map(c => this.commentView(db, c, viewer));
+
+            const communities = !wants('Communities') ? [] : db.communities
+                .filter(c => matches(c.name, c.title, c.description))
+                .map(c => this.communityView(db, c, viewer));
+
+            const users = !wants('Users') ? [] : db.persons
+                .filter(p => matches(p.name, p.display_name))
+                .map(p => this.personView(db, p));
+
+            return {
+                type_: type,
+                posts: paginate(this.sortViews(posts, query.sort, view => view.post), query),
+                comments: paginate(this.sortViews(comments, query.sort, view => view.comment), query),
+                communities: paginate(communities, query),
+                users: paginate(users, query)
+            };
+        });
+
+        route('GET /resolve_object', ({ db, query, viewer }) => {
+            this.requireViewer(viewer);
+            const q = String(query.q || '').trim();
+
+            const community = db.communities.find(c => c.actor_id === q) ||
+                (q.startsWith('!') ? this.findCommunityByName(db, q.slice(1)) : undefined);
+            if (community) {
+                return { community: this.communityView(db, community, viewer) };
+            }
+
+            const person = db.persons.find(p => p.actor_id === q) ||
+                (q.startsWith('@') ? this.findPersonByName(db, q.slice(1)) : undefined);
+            if (person) {
+                return { person: this.personView(db, person) };
+            }
+
+            throw new MockApiError(404, 'couldnt_find_object');
+        });
+
+        route('GET /user', ({ db, query, viewer }) => {
+            const person = query.person_id ?
+                this.findOrThrow(db.persons, query.person_id, 'person') :
+                this.findPersonByName(db, query.username || '');
+
+            if (!person) {
+                throw new MockApiError(404, 'couldnt_find_person');
+            }
+
+            let posts;
+            let comments;
+            if (toBool(query.saved_only)) {
+                // Lemmy only returns saved content to its owner
+                const isSelf = viewer?.person.id === person.id;
+                const savedPostIds = isSelf ? db.savedPosts.filter(s => s.person_id === person.id).map(s => s.post_id) : [];
+                const savedCommentIds = isSelf ? db.savedComments.filter(s => s.person_id === person.id).map(s => s.comment_id) : [];
+                posts = db.posts.filter(p => savedPostIds.includes(p.id));
+                comments = db.comments.filter(c => savedCommentIds.includes(c.id));
+            } else {
+                posts = db.posts.filter(p => p.creator_id === person.id && !p.deleted);
+                comments = db.comments.filter(c => c.creator_id === person.id && !c.deleted);
+            }
+
+            if (query.community_id) {
+                const communityId = parseInt(query.community_id);
+                posts = posts.filter(p => p.community_id === communityId);
+                comments = comments.filter(c => db.posts.find(p => p.id === c.post_id)?.community_id === communityId);
+            }
+
+            const sort = query.sort || 'New';
+            return {
+                person_view: this.personView(db, person),
+                posts: paginate(this.sortViews(posts.map(p => this.postView(db, p, viewer)), sort, view => view.post), query),
+                comments: paginate(this.sortViews(comments.map(c => this.commentView(db, c, viewer)), sort, view => view.comment), query),
+                moderates: db.moderators
+                    .filter(mod => mod.person_id === person.id)
+                    .map(mod => ({ community: db.communities.find(c => c.id === mod.community_id), moderator: person }))
+            };
+        });
+
+        route('POST /user/block', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const target = this.findOrThrow(db.persons, body.person_id, 'person');
+            const block = toBool(body.block);
+
+            if (target.id === person.id) {
+                throw new MockApiError(400, 'cant_block_yourself');
+            }
+            if (block && target.admin && target.local) {
+                throw new MockApiError(400, 'cant_block_admin');
+            }
+
+            db.personBlocks = db.personBlocks.filter(b => !(b.target_id === target.id && b.person_id === person.id));
+            if (block) {
+                db.personBlocks.push({ person_id: person.id, target_id: target.id });
+            }
+
+            return { person_view: this.personView(db, target), blocked: block };
+        });
+
+        // ----------------------------------------
+        // Inbox
+        // ----------------------------------------
+
+        route('GET /user/replies', ({ db, query, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            let replies = db.commentReplies.filter(reply => reply.recipient_id === person.id);
+            if (toBool(query.unread_only)) {
+                replies = replies.filter(reply => !reply.read);
+            }
+
+            const views = replies.map(reply => ({
+                comment_reply: reply,
+                ...this.commentView(db, db.comments.find(c => c.id === reply.comment_id), viewer),
+                recipient: person
+            }));
+            const sorted = this.sortViews(views, query.sort === 'Old' ? 'Old' : 'New', view => view.comment);
+
+            return { replies: paginate(sorted, query, 50) };
+        });
+
+        route('GET /user/mention', ({ db, query, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            let mentions = db.personMentions.filter(mention => mention.recipient_id === person.id);
+            if (toBool(query.unread_only)) {
+                mentions = mentions.filter(mention => !mention.read);
+            }
+
+            const views = mentions.map(mention => ({
+                person_mention: mention,
+                ...this.commentView(db, db.comments.find(c => c.id === mention.comment_id), viewer),
+                recipient: person
+            }));
+            const sorted = this.sortViews(views, query.sort === 'Old' ? 'Old' : 'New', view => view.comment);
+
+            return { mentions: paginate(sorted, query, 50) };
+        });
+
+        route('GET /private_message/list', ({ db, query, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            let messages = db.privateMessages.filter(message =>
+                !message.deleted && (message.creator_id === person.id || message.recipient_id === person.id));
+
+            if (toBool(query.unread_only)) {
+                messages = messages.filter(message => message.recipient_id === person.id && !message.read);
+            }
+            if (query.creator_id) {
+                messages = messages.filter(message => message.creator_id === parseInt(query.creator_id));
+            }
+
+            const views = messages
+                .sort((a, b) => b.published.localeCompare(a.published))
+                .map(message => this.privateMessageView(db, message));
+
+            return { private_messages: paginate(views, query, 50) };
+        });
+
+        route('GET /user/unread_count', ({ db, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            return {
+                replies: db.commentReplies.filter(r => r.recipient_id === person.id && !r.read).length,
+                mentions: db.personMentions.filter(m => m.recipient_id === person.id && !m.read).length,
+                private_messages: db.privateMessages.filter(m => m.recipient_id === person.id && !m.read && !m.deleted).length
+            };
+        });
+
+        route('POST /user/mark_comment_reply_as_read', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const reply = this.findOrThrow(db.commentReplies, body.comment_reply_id, 'comment_reply');
+            if (reply.recipient_id !== person.id) {
+                throw new MockApiError(400, 'couldnt_update_comment_reply');
+            }
+
+            reply.read = toBool(body.read);
+            return {
+                comment_reply_view: {
+                    comment_reply: reply,
+                    ...this.commentView(db, db.comments.find(c => c.id === reply.comment_id), viewer),
+                    recipient: person
+                }
+            };
+        });
+
+        route('POST /user/mark_person_mention_as_read', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const mention = this.findOrThrow(db.personMentions, body.person_mention_id, 'person_mention');
+            if (mention.recipient_id !== person.id) {
+                throw new MockApiError(400, 'couldnt_update_mention');
+            }
+
+            mention.read = toBool(body.read);
+            return {
+                person_mention_view: {
+                    person_mention: mention,
+                    ...this.commentView(db, db.comments.find(c => c.id === mention.comment_id), viewer),
+                    recipient: person
+                }
+            };
+        });
+
+        route('POST /user/mark_all_as_read', ({ db, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            db.commentReplies.filter(r => r.recipient_id === person.id).forEach(r => { r.read = true; });
+            db.personMentions.filter(m => m.recipient_id === person.id).forEach(m => { m.read = true; });
+            db.privateMessages.filter(m => m.recipient_id === person.id).forEach(m => { m.read = true; });
+            return { replies: [] };
+        });
+
+        route('POST /private_message', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const recipient = this.findOrThrow(db.persons, body.recipient_id, 'person');
+            const content = String(body.content || '').trim();
+
+            if (!content) {
+                throw new MockApiError(400, 'couldnt_create_private_message');
+            }
+
+            const message = {
+                id: this.nextId(db.privateMessages),
+                creator_id: person.id,
+                recipient_id: recipient.id,
+                content,
+                deleted: false,
+                read: false,
+                published: new Date().toISOString(),
+                updated: null,
+                local: true
+            };
+            message.ap_id = `https://${db.host}/private_message/${message.id}`;
+            db.privateMessages.push(message);
+
+            return { private_message_view: this.privateMessageView(db, message) };
+        });
+
+        route('POST /private_message/mark_as_read', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const message = this.findOrThrow(db.privateMessages, body.private_message_id, 'private_message');
+            if (message.recipient_id !== person.id) {
+                throw new MockApiError(400, 'couldnt_update_private_message');
+            }
+
+            message.read = toBool(body.read);
+            return { private_message_view: this.privateMessageView(db, message) };
+        });
+
+        // ----------------------------------------
+        // Reports
+        // ----------------------------------------
+
+        /**
+         * Check whether the viewer may see reports for a community
+         * @param {Object} db - Fixture database
+         * @param {Object} viewer - Current viewer
+         * @param {number} communityId - Community ID
+         * @returns {boolean} True if allowed
+         */
+        const canModerate = (db, viewer, communityId) =>
+            viewer.person.admin || this.isModerator(db, viewer.person.id, communityId);
+
+        const postReportView = (db, report, viewer) => {
+            const post = db.posts.find(p => p.id === report.post_id);
+            const postView = this.postView(db, post, viewer);
+            return {
+                post_report: report,
+                post,
+                community: postView.community,
+                creator: db.persons.find(p => p.id === report.creator_id),
+                post_creator: postView.creator,
+                creator_banned_from_community: false,
+                creator_is_moderator: postView.creator_is_moderator,
+                creator_is_admin: postView.creator_is_admin,
+                subscribed: postView.subscribed,
+                saved: postView.saved,
+                read: postView.read,
+                hidden: false,
+                creator_blocked: false,
+                my_vote: postView.my_vote,
+                unread_comments: 0,
+                counts: postView.counts,
+                resolver: report.resolver_id ? db.persons.find(p => p.id === report.resolver_id) : null
+            };
+        };
+
+        const commentReportView = (db, report, viewer) => {
+            const comment = db.comments.find(c => c.id === report.comment_id);
+            const commentView = this.commentView(db, comment, viewer);
+            return {
+                comment_report: report,
+                comment,
+                post: commentView.post,
+                community: commentView.community,
+                creator: db.persons.find(p => p.id === report.creator_id),
+                comment_creator: commentView.creator,
+                counts: commentView.counts,
+                creator_banned_from_community: false,
+                creator_is_moderator: commentView.creator_is_moderator,
+                creator_is_admin: commentView.creator_is_admin,
+                creator_blocked: false,
+                subscribed: commentView.subscribed,
+                saved: commentView.saved,
+                my_vote: commentView.my_vote,
+                resolver: report.resolver_id ? db.persons.find(p => p.id === report.resolver_id) : null
+            };
+        };
+
+        const privateMessageReportView = (db, report) => {
+            const message = db.privateMessages.find(m => m.id === report.private_message_id);
+            return {
+                private_message_report: report,
+                private_message: message,
+                private_message_creator: db.persons.find(p => p.id === message.creator_id),
+                creator: db.persons.find(p => p.id === report.creator_id),
+                resolver: report.resolver_id ? db.persons.find(p => p.id === report.resolver_id) : null
+            };
+        };
+
+        const filterReports = (reports, query) => {
+            const unresolvedOnly = query.unresolved_only === undefined || toBool(query.unresolved_only);
+            return reports
+                .filter(report => !unresolvedOnly || !report.resolved)
+                .sort((a, b) => b.published.localeCompare(a.published));
+        };
+
+        route('GET /post/report/list', ({ db, query, viewer }) => {
+            this.requireViewer(viewer);
+            const reports = filterReports(db.postReports, query).filter(report => {
+                const communityId = db.posts.find(p => p.id === report.post_id).community_id;
+                return canModerate(db, viewer, communityId) &&
+                    (!query.community_id || communityId === parseInt(query.community_id));
+            });
+            return { post_reports: paginate(reports, query, 10).map(report => postReportView(db, report, viewer)) };
+        });
+
+        route('GET /comment/report/list', ({ db, query, viewer }) => {
+            this.requireViewer(viewer);
+            const reports = filterReports(db.commentReports, query).filter(report => {
+                const comment = db.comments.find(c => c.id === report.comment_id);
+                const communityId = db.posts.find(p => p.id === comment.post_id).community_id;
+                return canModerate(db, viewer, communityId) &&
+                    (!query.community_id || communityId === parseInt(query.community_id));
+            });
+            return { comment_reports: paginate(reports, query, 10).map(report => commentReportView(db, report, viewer)) };
+        });
+
+        route('GET /private_message/report/list', ({ db, query, viewer }) => {
+            this.requireAdmin(viewer);
+            const reports = filterReports(db.privateMessageReports, query);
+            return { private_message_reports: paginate(reports, query, 10).map(report => privateMessageReportView(db, report)) };
+        });
+
+        route('POST /post/report', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const post = this.findOrThrow(db.posts, body.post_id, 'post');
+            const reason = String(body.reason || '').trim();
+            if (!reason) {
+                throw new MockApiError(400, 'report_reason_required');
+            }
+
+            const report = {
+                id: this.nextId(db.postReports),
+                creator_id: person.id,
+                post_id: post.id,
+                original_post_name: post.name,
+                original_post_url: post.url,
+                original_post_body: post.body,
+                reason,
+                resolved: false,
+                resolver_id: null,
+                published: new Date().toISOString(),
+                updated: null
+            };
+            db.postReports.push(report);
+            return { post_report_view: postReportView(db, report, viewer) };
+        });
+
+        route('POST /comment/report', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const comment = this.findOrThrow(db.comments, body.comment_id, 'comment');
+            const reason = String(body.reason || '').trim();
+            if (!reason) {
+                throw new MockApiError(400, 'report_reason_required');
+            }
+
+            const report = {
+                id: this.nextId(db.commentReports),
+                creator_id: person.id,
+                comment_id: comment.id,
+                original_comment_text: comment.content,
+                reason,
+                resolved: false,
+                resolver_id: null,
+                published: new Date().toISOString(),
+                updated: null
+            };
+            db.commentReports.push(report);
+            return { comment_report_view: commentReportView(db, report, viewer) };
+        });
+
+        route('POST /private_message/report', ({ db, body, viewer }) => {
+            const { person } = this.requireViewer(viewer);
+            const message = this.findOrThrow(db.privateMessages, body.private_message_id, 'private_message');
+            const reason = String(body.reason || '').trim();
+            if (!reason) {
+                throw new MockApiError(400, 'report_reason_required');
+            }
+
+            const report = {
+                id: this.nextId(db.privateMessageReports),
+                creator_id: person.id,
+                private_message_id: message.id,
+                original_pm_text: message.content,
+                reason,
+                resolved: false,
+                resolver_id: null,
+                published: new Date().toISOString(),
+                updated: null
+            };
+            db.privateMessageReports.push(report);
+            return { private_message_report_view: privateMessageReportView(db, report) };
+        });
+
+        route('PUT /post/report/resolve', ({ db, body, viewer }) => {
+            const report = this.findOrThrow(db.postReports, body.report_id, 'post_report');
+            this.requireModerator(db, viewer, db.posts.find(p => p.id === report.post_id).community_id);
+
+            report.resolved = toBool(body.resolved);
+            report.resolver_id = report.resolved ? viewer.person.id : null;
+            report.updated = new Date().toISOString();
+            return { post_report_view: postReportView(db, report, viewer) };
+        });
+
+        route('PUT /comment/report/resolve', ({ db, body, viewer }) => {
+            const report = this.findOrThrow(db.commentReports, body.report_id, 'comment_report');
+            const comment = db.comments.find(c => c.id === report.comment_id);
+            this.requireModerator(db, viewer, db.posts.find(p => p.id === comment.post_id).community_id);
+
+            report.resolved = toBool(body.resolved);
+            report.resolver_id = report.resolved ? viewer.person.id : null;
+            report.updated = new Date().toISOString();
+            return { comment_report_view: commentReportView(db, report, viewer) };
+        });
+
+        route('PUT /private_message/report/resolve', ({ db, body, viewer }) => {
+            this.requireAdmin(viewer);
+            const report = this.findOrThrow(db.privateMessageReports, body.report_id, 'private_message_report');
+
+            report.resolved = toBool(body.resolved);
+            report.resolver_id = report.resolved ? viewer.person.id : null;
+            report.updated = new Date().toISOString();
+            return { private_message_report_view: privateMessageReportView(db, report) };
+        });
+
+        // ----------------------------------------
+        // Administration
+        // ----------------------------------------
+
+        const registrationApplicationView = (db, application) => {
+            const localUser = db.localUsers.find(u => u.id === application.local_user_id);
+            return {
+                registration_application: application,
+                creator_local_user: localUser,
+                creator: db.persons.find(p => p.id === localUser.person_id),
+                admin: application.admin_id ? db.persons.find(p => p.id === application.admin_id) : null
+            };
+        };
+
+        route('GET /admin/registration_application/list', ({ db, query, viewer }) => {
+            this.requireAdmin(viewer);
+            let applications = [...db.registrationApplications].sort((a, b) => b.published.localeCompare(a.published));
+            if (toBool(query.unread_only)) {
+                applications = applications.filter(app => !app.admin_id);
+            }
+            return {
+                registration_applications: paginate(applications, query, 10).map(app => registrationApplicationView(db, app))
+            };
+        });
+
+        route('PUT /admin/registration_application/approve', ({ db, body, viewer }) => {
+            this.requireAdmin(viewer);
+            const application = this.findOrThrow(db.registrationApplications, body.id, 'registration_application');
+            const localUser = db.localUsers.find(u => u.id === application.local_user_id);
+
+            application.admin_id = viewer.person.id;
+            application.deny_reason = toBool(body.approve) ? null : (body.deny_reason || null);
+            localUser.accepted_application = toBool(body.approve);
+
+            return { registration_application: registrationApplicationView(db, application) };
+        });
+
+        route('POST /admin/purge/person', ({ db, body, viewer }) => {
+            this.requireAdmin(viewer);
+            const person = this.findOrThrow(db.persons, body.person_id, 'person');
+
+            db.posts = db.posts.filter(p => p.creator_id !== person.id);
+            db.comments = db.comments.filter(c => c.creator_id !== person.id);
+            person.deleted = true;
+            this.recordModAction(db, viewer, 'AdminPurgePerson', { fields: { reason: body.reason || null } });
+
+            return { success: true };
+        });
+
+        // ----------------------------------------
+        // Modlog
+        // ----------------------------------------
+
+        route('GET /modlog', ({ db, query, viewer }) => {
+            const type = query.type_ || 'All';
+            const entries = db.modlog
+                .filter(entry => type === 'All' || entry.type === type)
+                .filter(entry => !query.community_id || entry.community_id === parseInt(query.community_id))
+                .filter(entry => !query.mod_person_id || entry.mod_person_id === parseInt(query.mod_person_id))
+                .filter(entry => !query.other_person_id || entry.other_person_id === parseInt(query.other_person_id))
+                .sort((a, b) => Date.parse(b.when_) - Date.parse(a.when_));
+
+            // Every kind is paged on its own, and every list is always present
+            const response = {};
+            Object.entries(MODLOG_KINDS).forEach(([kind, [listKey]]) => {
+                response[listKey] = paginate(entries.filter(entry => entry.type === kind), query)
+                    .map(entry => this.modlogView(db, entry, viewer));
+            });
+            return response;
+        });
+
+        // ----------------------------------------
+        // Image uploads (pict-rs lives outside /api/v3)
+        // ----------------------------------------
+
+        route('POST /pictrs/image', ({ db, viewer }) => {
+            this.requireViewer(viewer);
+            const file = `mock-upload-${db.uploads.length + 1}.png`;
+            db.uploads.push(file);
+            return { msg: 'ok', files: [{ file, delete_token: `delete-${file}` }] };
+        });
+
+        return routes;
+    }
+}
@@ -0,0 +1,651 @@
+/**
+ * Modlog Page for Lemmeric
+ *
+ * Lists the instance's moderation log: removals, bans, locks, pins, moderator
+ * changes, purges and admin actions, newest first. The log can be narrowed to
+ * one kind of action, a community, a moderator and the person an action was
+ * taken against. Filters are kept in the URL (/modlog?community=name), so a
+ * filtered log can be linked to, as the community sidebar does.
+ *
+ * Lemmy pages each kind of action separately, so like the report list in the
+ * inbox, more entries load while scrolling until every kind is exhausted.
+ *
+ * @fileoverview Moderation log page controller
+ */
+
+import { LemmyAPI, APIUtils } from './api.js';
+import { getCurrentInstance } from './config.js';
+import { DOM, TextUtils, URLUtils, PerformanceUtils } from './utils.js';
+import { getPersonLabel } from './components/block-actions.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+/**
+ * Entries requested per kind of action and page
+ * @type {number}
+ */
+const PAGE_LIMIT = 20;
+
+/**
+ * Kinds of modlog entry, in the order of the action filter
+ * `listKey` is the response array, `recordKey` the field holding the action
+ * itself; `describe` renders what was done.
+ * @type {Array<Object>}
+ */
+const MODLOG_ACTIONS = [
+    {
+        type: 'ModRemovePost', group: 'Removals', label: 'Posts removed', icon: 'bi-trash',
+        listKey: 'removed_posts', recordKey: 'mod_remove_post',
+        describe: (view, record) => [record.removed ? 'Removed post ' : 'Restored post ',
+            postLink(view.post), ' in ', communityLink(view.community)]
+    },
+    {
+        type: 'ModRemoveComment', group: 'Removals', label: 'Comments removed', icon: 'bi-chat-square-x',
+        listKey: 'removed_comments', recordKey: 'mod_remove_comment',
+        describe: (view, record) => [record.removed ? 'Removed comment ' : 'Restored comment ',
+            commentLink(view.comment, view.post), ' by ', personLink(view.commenter), ' on ', postLink(view.post)]
+    },
+    {
+        type: 'ModRemoveCommunity', group: 'Removals', label: 'Communities removed', icon: 'bi-x-octagon',
+        listKey: 'removed_communities', recordKey: 'mod_remove_community',
+        describe: (view, record) => [record.removed ? 'Removed community ' : 'Restored community ',
+            communityLink(view.community)]
+    },
+    {
+        type: 'ModBanFromCommunity', group: 'Bans', label: 'Community bans', icon: 'bi-person-x',
+        listKey: 'banned_from_community', recordKey: 'mod_ban_from_community',
+        describe: (view, record) => [record.banned ? 'Banned ' : 'Unbanned ',
+            personLink(view.banned_person), ' from ', communityLink(view.community)]
+    },
+    {
+        type: 'ModBan', group: 'Bans', label: 'Instance bans', icon: 'bi-person-slash',
+        listKey: 'banned', recordKey: 'mod_ban',
+        describe: (view, record) => [record.banned ? 'Banned ' : 'Unbanned ',
+            personLink(view.banned_person), ' from the instance']
+    },
+    {
+        type: 'ModLockPost', group: 'Locks', label: 'Posts locked', icon: 'bi-lock',
+        listKey: 'locked_posts', recordKey: 'mod_lock_post',
+        describe: (view, record) => [record.locked ? 'Locked post ' : 'Unlocked post ',
+            postLink(view.post), ' in ', communityLink(view.community)]
+    },
+    {
+        type: 'ModFeaturePost', group: 'Features', label: 'Posts pinned', icon: 'bi-pin-angle',
+        listKey: 'featured_posts', recordKey: 'mod_feature_post',
+        describe: (view, record) => [record.featured ? 'Pinned post ' : 'Unpinned post ', postLink(view.post),
+            ...(record.is_featured_community ? [' in ', communityLink(view.community)] : [' on the front page'])]
+    },
+    {
+        type: 'ModAddCommunity', group: 'Moderators', label: 'Moderators added', icon: 'bi-shield-plus',
+        listKey: 'added_to_community', recordKey: 'mod_add_community',
+        describe: (view, record) => [record.removed ? 'Removed ' : 'Added ', personLink(view.modded_person),
+            ' as a moderator of ', communityLink(view.community)]
+    },
+    {
+        type: 'ModTransferCommunity', group: 'Moderators', label: 'Communities transferred', icon: 'bi-arrow-left-right',
+        listKey: 'transferred_to_community', recordKey: 'mod_transfer_community',
+        describe: (view) => ['Transferred ', communityLink(view.community), ' to ', personLink(view.modded_person)]
+    },
+    {
+        type: 'AdminPurgePerson', group: 'Purges', label: 'People purged', icon: 'bi-fire',
+        listKey: 'admin_purged_persons', recordKey: 'admin_purge_person',
+        describe: () => ['Purged a person']
+    },
+    {
+        type: 'AdminPurgeCommunity', group: 'Purges', label: 'Communities purged', icon: 'bi-fire',
+        listKey: 'admin_purged_communities', recordKey: 'admin_purge_community',
+        describe: () => ['Purged a community']
+    },
+    {
+        type: 'AdminPurgePost', group: 'Purges', label: 'Posts purged', icon: 'bi-fire',
+        listKey: 'admin_purged_posts', recordKey: 'admin_purge_post',
+        describe: (view) => ['Purged a post from ', communityLink(view.community)]
+    },
+    {
+        type: 'AdminPurgeComment', group: 'Purges', label: 'Comments purged', icon: 'bi-fire',
+        listKey: 'admin_purged_comments', recordKey: 'admin_purge_comment',
+        describe: (view) => ['Purged a comment from ', postLink(view.post)]
+    },
+    {
+        type: 'ModAdd', group: 'Admin actions', label: 'Admins added', icon: 'bi-person-gear',
+        listKey: 'added', recordKey: 'mod_add',
+        describe: (view, record) => record.removed ?
+            ['Removed ', personLink(view.modded_person), ' as an admin'] :
+            ['Made ', personLink(view.modded_person), ' an admin']
+    },
+    {
+        type: 'ModHideCommunity', group: 'Admin actions', label: 'Communities hidden', icon: 'bi-eye-slash',
+        listKey: 'hidden_communities', recordKey: 'mod_hide_community',
+        describe: (view, record) => [record.hidden ? 'Hid community ' : 'Unhid community ', communityLink(view.community)]
+    }
+];
+
+// ========================================
+// MODLOG PAGE CLASS
+// ========================================
+
+/**
+ * Modlog page application class
+ *
+ * Reads the filters, loads the log page by page and renders the entries
+ */
+class ModlogPage {
+    constructor() {
+        this.api = null;
+        this.filters = { type: 'All', community: '', moderator: '', user: '' };
+        this.entries = []; // Every entry loaded, newest first
+        this.shownSince = null; // Only entries at or after this time are shown (see loadEntries)
+        this.pagination = {
+            currentPage: 1,
+            hasMore: true,
+            loading: false
+        };
+        this.resolvedIds = new Map(); // "kind:name" -> ID, so paging doesn't look names up again
+        this.elements = {};
+
+        this.init();
+    }
+
+    // ========================================
+    // INITIALIZATION METHODS
+    // ========================================
+
+    /**
+     * Initialize the page
+     */
+    async init() {
+        try {
+            this.api = new LemmyAPI(getCurrentInstance());
+            this.bindElements();
+            this.renderTypeOptions();
+            this.readFiltersFromURL();
+            this.setupEventListeners();
+            await this.loadEntries();
+        } catch (error) {
+            console.error('Failed to initialize modlog page:', error);
+            this.showError('Failed to initialize the modlog page.');
+        }
+    }
+
+    /**
+     * Bind DOM elements
+     */
+    bindElements() {
+        this.elements = {
+            title: document.getElementById('modlog-title'),
+            form: document.getElementById('modlog-filters-form'),
+            type: document.getElementById('modlog-type'),
+            community: document.getElementById('modlog-community'),
+            moderator: document.getElementById('modlog-moderator'),
+            user: document.getElementById('modlog-user'),
+            filterError: document.getElementById('modlog-filter-error'),
+            clear: document.getElementById('modlog-clear'),
+            loading: document.getElementById('modlog-loading'),
+            loadingMore: document.getElementById('modlog-loading-more'),
+            empty: document.getElementById('modlog-empty'),
+            error: document.getElementById('modlog-error'),
+            errorMessage: document.getElementById('modlog-error-message'),
+            retry: document.getElementById('modlog-retry'),
+            list: document.getElementById('modlog-list')
+        };
+    }
+
+    /**
+     * Fill the action filter, one group per kind of action
+     */
+    renderTypeOptions() {
+        const groups = new Map();
+        MODLOG_ACTIONS.forEach(action => {
+            if (!groups.has(action.group)) {
+                groups.set(action.group, []);
+            }
+            groups.get(action.group).push(DOM.createElement('option', { value: action.type }, action.label));
+        });
+
+        this.elements.type.appendChild(DOM.createElement('option', { value: 'All' }, 'All actions'));
+        groups.forEach((options, group) => {
+            this.elements.type.appendChild(DOM.createElement('optgroup', { label: group }, options));
+        });
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.elements.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.applyFilters();
+        });
+
+        this.elements.clear.addEventListener('click', () => {
+            this.elements.form.reset();
+            this.applyFilters();
+        });
+
+        this.elements.retry.addEventListener('click', () => this.loadEntries());
+
+        // Infinite scroll
+        window.addEventListener('scroll', PerformanceUtils.throttle(() => this.handleScroll(), 200));
+    }
+
+    // ========================================
+    // FILTERS
+    // ========================================
+
+    /**
+     * Read the filters from the URL into the form
+     */
+    readFiltersFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        const type = params.get('type');
+
+        this.filters = {
+            type: MODLOG_ACTIONS.some(action => action.type === type) ? type : 'All',
+            community: params.get('community') || '',
+            moderator: params.get('mod') || '',
+            user: params.get('user') || ''
+        };
+
+        this.elements.type.value = this.filters.type;
+        this.elements.community.value = this.filters.community;
+        this.elements.moderator.value = this.filters.moderator;
+        this.elements.user.value = this.filters.user;
+    }
+
+    /**
+     * Take the filters from the form, put them in the URL and reload the log
+     */
+    applyFilters() {
+        this.filters = {
+            type: this.elements.type.value || 'All',
+            community: cleanName(this.elements.community.value, /^(!|c\/)/),
+            moderator: cleanName(this.elements.moderator.value, /^(@|u\/)/),
+            user: cleanName(this.elements.user.value, /^(@|u\/)/)
+        };
+
+        const params = new URLSearchParams();
+        if (this.filters.type !== 'All') params.set('type', this.filters.type);
+        if (this.filters.community) params.set('community', this.filters.community);
+        if (this.filters.moderator) params.set('mod', this.filters.moderator);
+        if (this.filters.user) params.set('user', this.filters.user);
+
+        const query = params.toString();
+        window.history.replaceState(null, '', `/modlog${query ? `?${query}` : ''}`);
+
+        this.loadEntries();
+    }
+
+    /**
+     * Turn the community and user names of the filters into IDs
+     * @returns {Promise<Object>} community_id, mod_person_id and other_person_id (only the ones set)
+     * @throws {Error} If a name can't be found
+     */
+    async resolveFilterIds() {
+        const ids = {};
+
+        if (this.filters.community) {
+            ids.community_id = await this.resolveId('community', this.filters.community, async name => {
+                const response = await this.api.getCommunity(name);
+                return response?.community_view?.community?.id;
+            });
+        }
+
+        const findPerson = async name => {
+            const response = await this.api.getUser(name);
+            return response?.person_view?.person?.id;
+        };
+        if (this.filters.moderator) {
+            ids.mod_person_id = await this.resolveId('moderator', this.filters.moderator, findPerson);
+        }
+        if (this.filters.user) {
+            ids.other_person_id = await this.resolveId('user', this.filters.user, findPerson);
+        }
+
+        return ids;
+    }
+
+    /**
+     * Look up the ID of a community or person by name (once per name)
+     * @param {string} kind - 'community', 'moderator' or 'user', for the error message
+     * @param {string} name - Name or name@instance
+     * @param {Function} lookup - Resolves the ID for a name
+     * @returns {Promise<number>} ID
+     * @throws {Error} If nothing has that name
+     */
+    async resolveId(kind, name, lookup) {
+        const key = `${kind === 'community' ? 'community' : 'person'}:${name.toLowerCase()}`;
+        if (this.resolvedIds.has(key)) {
+            return this.resolvedIds.get(key);
+        }
+
+        let id = null;
+        try {
+            id = await lookup(name);
+        } catch (error) {
+            console.warn(`Modlog ${kind} lookup failed:`, error);
+        }
+        if (!id) {
+            throw new Error(kind === 'community' ? `Community "${name}" not found.` : `User "${name}" not found.`);
+        }
+
+        this.resolvedIds.set(key, id);
+        return id;
+    }
+
+    // ========================================
+    // LOADING
+    // ========================================
+
+    /**
+     * Load the log from the API
+     * Lemmy pages each kind of action on its own, so the next page of one
+     * kind can hold entries newer than the last page of another. Entries
+     * older than the oldest one of a kind that may have more are held back
+     * until that kind's next page arrives, so the log stays in time order.
+     * @param {boolean} append - Add the next page instead of starting over
+     */
+    async loadEntries(append = false) {
+        // Prevent multiple simultaneous requests
+        if (this.pagination.loading) return;
+        this.pagination.loading = true;
+        let loaded = false;
+
+        try {
+            const page = append ? this.pagination.currentPage : 1;
+
+            // Reset pagination state if not appending
+            if (!append) {
+                this.pagination.currentPage = 1;
+                this.pagination.hasMore = true;
+                this.entries = [];
+                this.shownSince = null;
+                this.elements.filterError.textContent = '';
+                this.updateTitle();
+                this.showState('loading');
+            } else {
+                this.elements.loadingMore.style.display = 'block';
+            }
+
+            let ids;
+            try {
+                ids = await this.resolveFilterIds();
+            } catch (error) {
+                this.elements.filterError.textContent = error.message;
+                this.pagination.hasMore = false;
+                this.showState('empty');
+                return;
+            }
+
+            const response = await this.api.getModlog({
+                ...ids,
+                type_: this.filters.type,
+                page,
+                limit: PAGE_LIMIT
+            });
+
+            const actions = this.filters.type === 'All' ?
+                MODLOG_ACTIONS :
+                MODLOG_ACTIONS.filter(action => action.type === this.filters.type);
+
+            const entries = [];
+            let shownSince = null;
+            actions.forEach(action => {
+                const views = response?.[action.listKey] || [];
+                const kindEntries = views.map(view => formatEntry(action, view)).filter(Boolean);
+                entries.push(...kindEntries);
+
+                // A full page means this kind may have older entries still to load
+                if (views.length >= PAGE_LIMIT && kindEntries.length > 0) {
+                    const oldest = Math.min(...kindEntries.map(entry => entry.when));
+                    shownSince = Math.max(shownSince ?? oldest, oldest);
+                }
+            });
+
+            if (shownSince !== null) {
+                this.pagination.currentPage++;
+            } else {
+                this.pagination.hasMore = false;
+            }
+
+            // Merge with what's loaded, newest first
+            this.entries = [...this.entries, ...entries].sort((a, b) => b.when - a.when);
+            this.shownSince = shownSince;
+            this.renderEntries();
+            loaded = true;
+        } catch (error) {
+            console.error('Error loading modlog:', error);
+            if (!append) {
+                this.showError(error.message || 'An error occurred while loading the modlog.');
+            } else {
+                this.pagination.hasMore = false;
+                DOM.showToast('Failed to load more of the modlog', 'error');
+            }
+        } finally {
+            this.pagination.loading = false;
+            this.elements.loadingMore.style.display = 'none';
+        }
+
+        // Held-back entries can leave the list too short to scroll
+        if (loaded) {
+            this.handleScroll();
+        }
+    }
+
+    /**
+     * Load the next page (infinite scroll)
+     */
+    async loadMoreEntries() {
+        if (!this.pagination.hasMore || this.pagination.loading) {
+            return;
+        }
+
+        await this.loadEntries(true);
+    }
+
+    /**
+     * Handle scroll event for infinite loading
+     */
+    handleScroll() {
+        const scrollBottom = window.scrollY + window.innerHeight;
+
+        // Check if user has scrolled near the bottom (within 200px)
+        if (scrollBottom >= document.documentElement.scrollHeight - 200) {
+            this.loadMoreEntries();
+        }
+    }
+
+    // ========================================
+    // RENDERING METHODS
+    // ========================================
+
+    /**
+     * Render the loaded entries that are in time order
+     * The list is drawn again as a whole, since a new page can add entries
+     * between the ones already shown. Entries only ever appear below the
+     * ones on screen before, so the scroll position holds.
+     */
+    renderEntries() {
+        const entries = this.shownSince === null ?
+            this.entries :
+            this.entries.filter(entry => entry.when >= this.shownSince);
+
+        DOM.clearChildren(this.elements.list);
+        entries.forEach(entry => this.elements.list.appendChild(this.renderEntry(entry)));
+
+        if (entries.length > 0) {
+            this.showState('list');
+        } else {
+            // Everything loaded so far is held back: keep loading until something shows
+            this.showState(this.pagination.hasMore ? 'loading' : 'empty');
+        }
+    }
+
+    /**
+     * Render one entry
+     * @param {Object} entry - Entry from formatEntry()
+     * @returns {HTMLElement} List item
+     */
+    renderEntry(entry) {
+        return DOM.createElement('li', {
+            className: 'list-group-item modlog-entry',
+            'data-modlog-id': entry.id
+        }, [
+            DOM.createElement('div', { className: 'd-flex align-items-start gap-2' }, [
+                DOM.createElement('i', { className: `bi ${entry.action.icon} text-muted mt-1`, title: entry.action.label }),
+                DOM.createElement('div', { className: 'flex-grow-1' }, [
+                    DOM.createElement('div', { className: 'd-flex flex-wrap align-items-center gap-2 small text-muted mb-1' }, [
+                        entry.moderator ?
+                            personLink(entry.moderator, 'fw-semibold') :
+                            DOM.createElement('span', { className: 'fst-italic' }, entry.isAdminAction ? 'An admin' : 'A moderator'),
+                        DOM.createElement('span', { title: entry.when.toLocaleString() }, APIUtils.formatTime(entry.when))
+                    ]),
+                    DOM.createElement('div', { className: 'modlog-description' }, entry.description),
+                    entry.reason ? DOM.createElement('div', { className: 'small mt-1' }, [
+                        DOM.createElement('span', { className: 'text-muted' }, 'Reason: '),
+                        entry.reason
+                    ]) : null,
+                    entry.expires ? DOM.createElement('div', { className: 'small text-muted mt-1' },
+                        `Expires ${entry.expires.toLocaleString()}`) : null
+                ])
+            ])
+        ]);
+    }
+
+    /**
+     * Show the community in the title when the log is filtered by one
+     */
+    updateTitle() {
+        const title = this.filters.community ? `Moderation Log: c/${this.filters.community}` : 'Moderation Log';
+        this.elements.title.textContent = title;
+        document.title = `${title} - Lemmeric`;
+    }
+
+    /**
+     * Show one of the loading, empty, error and list states
+     * @param {string} state - 'loading', 'empty', 'error' or 'list'
+     */
+    showState(state) {
+        this.elements.loading.style.display = state === 'loading' ? 'block' : 'none';
+        this.elements.empty.style.display = state === 'empty' ? 'block' : 'none';
+        this.elements.error.style.display = state === 'error' ? 'block' : 'none';
+        this.elements.list.style.display = state === 'list' ? '' : 'none';
+    }
+
+    /**
+     * Show the error state
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        if (this.elements.errorMessage) {
+            this.elements.errorMessage.textContent = message;
+        }
+        this.showState('error');
+    }
+}
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Turn a modlog view into an entry
+ * @param {Object} action - Kind of action (from MODLOG_ACTIONS)
+ * @param {Object} view - View from the modlog response
+ * @returns {Object|null} Entry, or null if the view has no action record
+ */
+function formatEntry(action, view) {
+    const record = view?.[action.recordKey];
+    if (!record) return null;
+
+    return {
+        id: `${action.type}-${record.id}`,
+        action,
+        when: new Date(record.when_ || record.published),
+        // Instances can hide moderator names from the public
+        moderator: view.moderator || view.admin || null,
+        isAdminAction: record.admin_person_id !== undefined,
+        description: action.describe(view, record),
+        reason: record.reason || null,
+        expires: record.expires ? new Date(record.expires) : null
+    };
+}
+
+/**
+ * Strip a prefix people often type (!, c/, @, u/) and spaces from a name
+ * @param {string} value - Typed name
+ * @param {RegExp} prefix - Prefix to remove
+ * @returns {string} Clean name
+ */
+function cleanName(value, prefix) {
+    return String(value || '').trim().replace(prefix, '');
+}
+
+/**
+ * Link to a person's profile
+ * @param {Object|null} person - Person
+ * @param {string} [className=''] - Extra classes
+ * @returns {HTMLElement} Link, or a placeholder when the person is unknown
+ */
+function personLink(person, className = '') {
+    if (!person) {
+        return DOM.createElement('span', { className: 'fst-italic' }, 'someone');
+    }
+    const label = getPersonLabel(person);
+    return DOM.createElement('a', { href: `/u/${label}`, className: `text-decoration-none ${className}`.trim() }, label);
+}
+
+/**
+ * Link to a community
+ * @param {Object|null} community - Community
+ * @returns {HTMLElement} Link, or a placeholder when the community is unknown
+ */
+function communityLink(community) {
+    if (!community) {
+        return DOM.createElement('span', { className: 'fst-italic' }, 'a community');
+    }
+    const host = community.local === false && community.actor_id ? URLUtils.getDomain(community.actor_id) : null;
+    const label = host ? `${community.name}@${host}` : community.name;
+    return DOM.createElement('a', { href: `/c/${label}`, className: 'text-decoration-none' }, `c/${label}`);
+}
+
+/**
+ * Link to a post
+ * @param {Object|null} post - Post
+ * @returns {HTMLElement} Link, or a placeholder when the post is unknown
+ */
+function postLink(post) {
+    if (!post) {
+        return DOM.createElement('span', { className: 'fst-italic' }, 'a post');
+    }
+    return DOM.createElement('a', { href: `/post/${post.id}`, className: 'text-decoration-none' }, `"${post.name}"`);
+}
+
+/**
+ * Link to a comment, showing the start of its text
+ * @param {Object|null} comment - Comment
+ * @param {Object|null} post - Post the comment is on
+ * @returns {HTMLElement} Link, or a placeholder when the comment is unknown
+ */
+function commentLink(comment, post) {
+    if (!comment || !post) {
+        return DOM.createElement('span', { className: 'fst-italic' }, 'a comment');
+    }
+    const excerpt = TextUtils.truncate(comment.content || '', 80) || `#${comment.id}`;
+    return DOM.createElement('a', {
+        href: `/post/${post.id}?comment=${comment.id}`,
+        className: 'text-decoration-none'
+    }, `"${excerpt}"`);
+}
+
+// ========================================
+// APPLICATION INITIALIZATION
+// ========================================
+
+/**
+ * Initialize the modlog page when the DOM is loaded
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    window.lemmericModlogPage = new ModlogPage();
+});
@@ -0,0 +1,160 @@
+/**
+ * Offline support for Lemmeric
+ *
+ * Registers the service worker (sw.js) and tracks whether the app is
+ * currently working offline. The API client reports network failures and
+ * responses the service worker served from its cache; the offline banner
+ * listens for the resulting state changes.
+ *
+ * @fileoverview Service worker registration and connectivity state
+ */
+
+import { CONFIG } from './config.js';
+import { LEMMERIC_VERSION } from './version.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Offline');
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+/**
+ * Header sw.js adds to API responses served from its cache
+ * @type {string}
+ */
+export const OFFLINE_COPY_HEADER = 'X-Lemmeric-Offline-Copy';
+
+// ========================================
+// CONNECTIVITY STATE
+// ========================================
+
+/**
+ * Tracks whether the app is online, offline, or showing cached content
+ */
+class Connectivity {
+    constructor() {
+        this.online = typeof navigator === 'undefined' || navigator.onLine !== false;
+        this.showingOfflineCopy = false;
+        this.listeners = new Set();
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => this.setState({ online: true }));
+            window.addEventListener('offline', () => this.setState({ online: false }));
+        }
+    }
+
+    /**
+     * Check if the app should present itself as offline
+     * @returns {boolean} True when offline or showing cached content
+     */
+    isOffline() {
+        return !this.online || this.showingOfflineCopy;
+    }
+
+    /**
+     * Record a request that could not reach the server
+     */
+    reportNetworkError() {
+        this.setState({ online: false });
+    }
+
+    /**
+     * Record a response from the server or the service worker cache
+     * @param {Response} response - Fetch response
+     */
+    reportResponse(response) {
+        const fromCache = response?.headers?.get?.(OFFLINE_COPY_HEADER) === '1';
+        this.setState({ online: !fromCache, showingOfflineCopy: fromCache });
+    }
+
+    /**
+     * Update the state and notify listeners if it changed
+     * @param {Object} changes - New values for online / showingOfflineCopy
+     */
+    setState(changes) {
+        const wasOffline = this.isOffline();
+        Object.assign(this, changes);
+        if (changes.online && changes.showingOfflineCopy === undefined) {
+            this.showingOfflineCopy = false;
+        }
+
+        if (wasOffline !== this.isOffline()) {
+            this.notifyListeners(this.isOffline() ? 'offline' : 'online');
+        }
+    }
+
+    /**
+     * Add event listener
+     * @param {Function} callback - Callback function (event, data)
+     */
+    addListener(callback) {
+        this.listeners.add(callback);
+    }
+
+    /**
+     * Remove event listener
+     * @param {Function} callback - Callback function
+     */
+    removeListener(callback) {
+        this.listeners.delete(callback);
+    }
+
+    /**
+     * Notify all listeners of an event
+     * @param {string} event - Event name ('online' or 'offline')
+     */
+    notifyListeners(event) {
+        const data = { online: this.online, showingOfflineCopy: this.showingOfflineCopy };
+        this.listeners.forEach(callback => {
+            try {
+                callback(event, data);
+            } catch (error) {
+                console.error('Error in connectivity listener:', error);
+            }
+        });
+    }
+}
+
+/**
+ * Shared connectivity state
+ * @type {Connectivity}
+ */
+export const connectivity = new Connectivity();
+
+// ========================================
+// SERVICE WORKER
+// ========================================
+
+/**
+ * Register the service worker
+ * The app version is part of the worker URL, so a release installs a new
+ * worker and refreshes the app-shell cache.
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null if unsupported or disabled
+ */
+export async function registerServiceWorker() {
+    if (!CONFIG.FEATURES.OFFLINE_MODE || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+        return null;
+    }
+
+    try {
+        const registration = await navigator.serviceWorker.register(
+            `${SERVICE_WORKER_URL}?v=${encodeURIComponent(LEMMERIC_VERSION)}`,
+            { scope: '/' }
+        );
+        logger.debug('Service worker registered:', registration.scope);
+        return registration;
+    } catch (error) {
+        console.warn('Service worker registration failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Delete the posts and comments kept for offline reading (e.g. on logout)
+ */
+export function clearOfflineContent() {
+    navigator.serviceWorker?.controller?.postMessage({ type: 'clear-content' });
+}
@@ -0,0 +1,634 @@
+/**
+ * Offline mutation outbox for Lemmeric
+ *
+ * Votes, comments and private messages made while the network is down are
+ * stored in IndexedDB instead of failing. When connectivity returns (or the
+ * next page loads) they are sent again, oldest first. Repeated votes on the
+ * same item are merged so only the latest one is sent. Actions the server
+ * refuses on replay (post locked, comment deleted, signed out...) stay in the
+ * outbox as failed so the pending-actions panel can show them.
+ *
+ * Only votes and saves are sent again automatically after a send that may
+ * have reached the server. Sending a comment or message twice would post it
+ * twice, so an interrupted one is held as unconfirmed until the user checks
+ * and sends it again from the panel.
+ *
+ * @fileoverview IndexedDB-persisted queue of mutations made while offline
+ */
+
+import { getCurrentInstance, getUserData } from './config.js';
+import { NetworkError, TimeoutError, RateLimitError, ServerError, AuthExpiredError } from './errors.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Outbox');
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+const DB_NAME = 'lemmeric-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'actions';
+
+/**
+ * Name of the Web Lock held while replaying, so two tabs never send the same action
+ * @type {string}
+ */
+const FLUSH_LOCK = 'lemmeric-outbox-flush';
+
+/**
+ * Delay before trying again after a replay stopped on a network error
+ * @type {number}
+ */
+const RETRY_DELAY_MS = 30000;
+
+/**
+ * Reason shown for an action that may or may not have been sent
+ * @type {string}
+ */
+const UNCONFIRMED_MESSAGE = 'The connection dropped while this was being sent, so it may already be posted. Check before sending it again.';
+
+/**
+ * Action kinds that can safely be sent twice (the second send sets the same state)
+ * @type {Set<string>}
+ */
+const IDEMPOTENT_KINDS = new Set(['post_vote', 'comment_vote', 'post_save', 'comment_save']);
+
+/**
+ * Action states
+ * UNCONFIRMED actions were interrupted mid-send and wait for the user.
+ * @enum {string}
+ */
+export const OUTBOX_STATUS = {
+    PENDING: 'pending',
+    SENDING: 'sending',
+    FAILED: 'failed',
+    UNCONFIRMED: 'unconfirmed'
+};
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Check if the browser believes it is online
+ * @returns {boolean} False only when the browser reports being offline
+ */
+export function isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+/**
+ * Check if an API response means the action was queued instead of sent
+ * @param {Object} response - Value returned by a queueable LemmyAPI method
+ * @returns {boolean} True if the action is waiting in the outbox
+ */
+export function isQueuedResponse(response) {
+    return Boolean(response && response.queued === true);
+}
+
+/**
+ * Check if a queued action is held because its send was interrupted
+ * @param {Object} response - Value returned by a queueable LemmyAPI method
+ * @returns {boolean} True if the action waits for the user to send it again
+ */
+export function isUnconfirmedResponse(response) {
+    return isQueuedResponse(response) && response.unconfirmed === true;
+}
+
+/**
+ * Check if an action can be sent again when it's unknown whether the last send arrived
+ * @param {Object} action - Action record (only its kind is read)
+ * @returns {boolean} True for votes and saves
+ */
+export function isIdempotentAction(action) {
+    return IDEMPOTENT_KINDS.has(action.kind);
+}
+
+/**
+ * Check if an action is still waiting to be sent automatically
+ * @param {Object} action - Action record
+ * @returns {boolean} True if pending, or left sending by a closed tab
+ */
+function isWaiting(action) {
+    return action.status === OUTBOX_STATUS.PENDING || action.status === OUTBOX_STATUS.SENDING;
+}
+
+/**
+ * Check if a replay error means "try again later" rather than "the server refused"
+ * @param {Error} error - Error thrown while sending
+ * @returns {boolean} True if the action should stay pending
+ */
+function isTransientError(error) {
+    return error instanceof NetworkError ||
+        error instanceof TimeoutError ||
+        error instanceof RateLimitError ||
+        error instanceof ServerError;
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// ========================================
+// OUTBOX CLASS
+// ========================================
+
+/**
+ * Persistent queue of mutations waiting to be sent
+ */
+export class Outbox {
+    constructor() {
+        this.dbPromise = null;
+        this.memory = new Map(); // Used when IndexedDB is unavailable
+        this.nextMemoryId = 1;
+        this.listeners = new Set();
+        this.waiters = new Map();
+        this.sender = null;
+        this.flushing = null;
+        this.flushTimer = null;
+        this.flushAgain = false;
+        this.started = false;
+    }
+
+    // ========================================
+    // DATABASE ACCESS
+    // ========================================
+
+    /**
+     * Open the outbox database
+     * Resolves to null when IndexedDB is unavailable; actions are then kept
+     * in memory and lost on reload.
+     * @returns {Promise<IDBDatabase|null>} Database connection
+     */
+    openDatabase() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            try {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                    }
+                };
+
+                request.onsuccess = () => {
+                    const db = request.result;
+                    db.onversionchange = () => db.close();
+                    resolve(db);
+                };
+
+                request.onerror = () => {
+                    console.warn('Outbox: IndexedDB unavailable, queued actions will not survive a reload', request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                console.warn('Outbox: IndexedDB unavailable, queued actions will not survive a reload', error);
+                resolve(null);
+            }
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a callback against the object store
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} callback - Receives the object store, may return a promise
+     * @returns {Promise<*>} Callback result, or undefined if IndexedDB is unavailable
+     */
+    async withStore(mode, callback) {
+        const db = await this.openDatabase();
+        if (!db) {
+            return undefined;
+        }
+
+        const transaction = db.transaction(STORE_NAME, mode);
+        const done = new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        const result = await callback(transaction.objectStore(STORE_NAME));
+        await done;
+        return result;
+    }
+
+    /**
+     * Write an action (insert or update)
+     * @param {Object} action - Action record
+     * @returns {Promise<Object>} Stored action (with its id)
+     */
+    async put(action) {
+        const db = await this.openDatabase();
+        if (!db) {
+            if (!action.id) {
+                action.id = this.nextMemoryId++;
+            }
+            this.memory.set(action.id, action);
+            return action;
+        }
+
+        const id = await this.withStore('readwrite', store => promisifyRequest(store.put(action)));
+        action.id = id;
+        return action;
+    }
+
+    // ========================================
+    // QUEUE OPERATIONS
+    // ========================================
+
+    /**
+     * Get every queued action, oldest first
+     * @param {string|null} instanceName - Only return actions for this instance
+     * @returns {Promise<Object[]>} Actions
+     */
+    async getAll(instanceName = null) {
+        const db = await this.openDatabase();
+        const actions = db
+            ? await this.withStore('readonly', store => promisifyRequest(store.getAll()))
+            : Array.from(this.memory.values());
+
+        return (actions || [])
+            .filter(action => !instanceName || action.instanceName === instanceName)
+            .sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Check if an instance has actions waiting to be sent
+     * New actions must queue behind them so the server sees them in order.
+     * @param {string} instanceName - Instance name
+     * @returns {Promise<boolean>} True if anything is pending
+     */
+    async hasPending(instanceName) {
+        const actions = await this.getAll(instanceName);
+        return actions.some(isWaiting);
+    }
+
+    /**
+     * Queue an action
+     * If a pending action has the same coalesceKey (e.g. a vote on the same post),
+     * it is updated in place instead, so only the latest state is sent.
+     * @param {Object} action - Action to queue
+     * @param {string} action.instanceName - Instance the action belongs to
+     * @param {number|null} action.personId - Account that made the action
+     * @param {string} action.kind - Action type ('post_vote', 'comment_vote', 'comment', 'private_message', ...)
+     * @param {string} action.endpoint - API endpoint
+     * @param {string} action.method - HTTP method
+     * @param {Object} action.body - Request body
+     * @param {string} action.label - Description shown in the pending-actions panel
+     * @param {string|null} action.coalesceKey - Key of actions that replace each other
+     * @param {string} [action.status] - OUTBOX_STATUS.UNCONFIRMED for a send that may have arrived
+     * @returns {Promise<Object>} Stored action
+     */
+    async enqueue(action) {
+        const now = Date.now();
+        const unconfirmed = action.status === OUTBOX_STATUS.UNCONFIRMED;
+
+        if (action.coalesceKey) {
+            const existing = (await this.getAll(action.instanceName)).find(queued =>
+                queued.coalesceKey === action.coalesceKey && queued.status === OUTBOX_STATUS.PENDING);
+
+            if (existing) {
+                const updated = await this.put({ ...existing, body: action.body, label: action.label, updatedAt: now });
+                this.notifyListeners('updated', updated);
+                return updated;
+            }
+        }
+
+        const record = await this.put({
+            instanceName: action.instanceName,
+            personId: action.personId ?? null,
+            kind: action.kind,
+            endpoint: action.endpoint,
+            method: action.method || 'POST',
+            body: action.body,
+            label: action.label,
+            coalesceKey: action.coalesceKey || null,
+            status: unconfirmed ? OUTBOX_STATUS.UNCONFIRMED : OUTBOX_STATUS.PENDING,
+            attempts: unconfirmed ? 1 : 0,
+            error: unconfirmed ? UNCONFIRMED_MESSAGE : null,
+            createdAt: now,
+            updatedAt: now
+        });
+
+        logger.debug('Queued', record.kind, record.id, record.status);
+        this.notifyListeners(unconfirmed ? 'unconfirmed' : 'queued', record);
+
+        if (unconfirmed) {
+            return record;
+        }
+
+        // Queued behind older actions while online: send them all shortly
+        if (isOnline()) {
+            this.scheduleFlush(0);
+        }
+        return record;
+    }
+
+    /**
+     * Remove an action without sending it
+     * @param {number} id - Action ID
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        await this.deleteRecord(id);
+        this.settleWaiters(id, null, new Error('The action was discarded.'));
+        this.notifyListeners('removed', { id });
+    }
+
+    /**
+     * Delete an action record
+     * @param {number} id - Action ID
+     * @returns {Promise<void>}
+     */
+    async deleteRecord(id) {
+        const db = await this.openDatabase();
+        if (db) {
+            await this.withStore('readwrite', store => {
+                store.delete(id);
+            });
+        } else {
+            this.memory.delete(id);
+        }
+    }
+
+    /**
+     * Put a failed or unconfirmed action back in the queue and try to send it
+     * @param {number} id - Action ID
+     * @returns {Promise<void>}
+     */
+    async retry(id) {
+        const action = (await this.getAll()).find(queued => queued.id === id);
+        if (!action) {
+            return;
+        }
+
+        const pending = await this.put({ ...action, status: OUTBOX_STATUS.PENDING, error: null, updatedAt: Date.now() });
+        this.notifyListeners('updated', pending);
+        this.scheduleFlush(0);
+    }
+
+    /**
+     * Put every failed action back in the queue and try to send them
+     * Unconfirmed actions are left alone: each needs checking on its own.
+     * @returns {Promise<void>}
+     */
+    async retryAll() {
+        const failed = (await this.getAll()).filter(action => action.status === OUTBOX_STATUS.FAILED);
+        for (const action of failed) {
+            const pending = await this.put({ ...action, status: OUTBOX_STATUS.PENDING, error: null, updatedAt: Date.now() });
+            this.notifyListeners('updated', pending);
+        }
+        this.scheduleFlush(0);
+    }
+
+    /**
+     * Wait for a queued action to be sent
+     * Only works within the page that queued it.
+     * @param {number} id - Action ID
+     * @returns {Promise<Object>} Server response once the action is sent; rejects if it fails or is discarded
+     */
+    waitFor(id) {
+        return new Promise((resolve, reject) => {
+            if (!this.waiters.has(id)) {
+                this.waiters.set(id, []);
+            }
+            this.waiters.get(id).push({ resolve, reject });
+        });
+    }
+
+    /**
+     * Resolve or reject everyone waiting on an action
+     * @param {number} id - Action ID
+     * @param {Object|null} response - Server response
+     * @param {Error|null} error - Failure
+     */
+    settleWaiters(id, response, error = null) {
+        const waiters = this.waiters.get(id) || [];
+        this.waiters.delete(id);
+        waiters.forEach(({ resolve, reject }) => (error ? reject(error) : resolve(response)));
+    }
+
+    // ========================================
+    // REPLAY
+    // ========================================
+
+    /**
+     * Set the function used to send actions
+     * @param {Function} sender - Receives an action, resolves to the server response
+     */
+    setSender(sender) {
+        this.sender = sender;
+    }
+
+    /**
+     * Start replaying: now, and whenever the browser comes back online
+     */
+    start() {
+        if (this.started || typeof window === 'undefined') {
+            return;
+        }
+        this.started = true;
+
+        window.addEventListener('online', () => this.scheduleFlush(0));
+        this.scheduleFlush(0);
+    }
+
+    /**
+     * Flush after a delay (replaces any flush already scheduled)
+     * Always asynchronous, so callers can register waitFor() first.
+     * @param {number} delay - Delay in milliseconds
+     */
+    scheduleFlush(delay) {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, delay);
+    }
+
+    /**
+     * Send pending actions for the current instance, oldest first
+     * Stops at the first transient failure (still offline, rate limited...).
+     * Actions refused by the server are marked failed and skipped.
+     * Comments and messages whose send was interrupted are marked unconfirmed.
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (this.flushing) {
+            // Actions queued during a replay weren't in the list it read
+            this.flushAgain = true;
+            return this.flushing;
+        }
+
+        const run = () => this.replayPending();
+        const locks = typeof navigator !== 'undefined' ? navigator.locks : null;
+
+        this.flushAgain = false;
+        this.flushing = (locks ? locks.request(FLUSH_LOCK, run) : run())
+            .catch(error => console.error('Outbox: replay failed', error))
+            .finally(() => {
+                this.flushing = null;
+                if (this.flushAgain && !this.flushTimer) {
+                    this.scheduleFlush(0);
+                }
+            });
+
+        return this.flushing;
+    }
+
+    /**
+     * Replay loop (runs under the flush lock)
+     * @returns {Promise<void>}
+     */
+    async replayPending() {
+        if (!this.sender || !isOnline()) {
+            return;
+        }
+
+        // Tokens are stored per instance, and requests use the current one
+        const instanceName = getCurrentInstance();
+        const personId = getUserData(instanceName)?.id ?? null;
+        const pending = (await this.getAll(instanceName)).filter(isWaiting);
+
+        for (const action of pending) {
+            if (action.personId !== null && action.personId !== personId) {
+                await this.markFailed(action, personId === null
+                    ? 'Sign in again to send this.'
+                    : 'This was queued by a different account.');
+                continue;
+            }
+
+            // Still marked sending under the lock: the tab sending it was closed
+            // before the server answered
+            if (action.status === OUTBOX_STATUS.SENDING && !isIdempotentAction(action)) {
+                await this.markUnconfirmed(action);
+                continue;
+            }
+
+            const sending = await this.put({ ...action, status: OUTBOX_STATUS.SENDING, attempts: action.attempts + 1 });
+            this.notifyListeners('sending', sending);
+
+            try {
+                const response = await this.sender(sending);
+                await this.deleteRecord(sending.id);
+                this.settleWaiters(sending.id, response);
+                this.notifyListeners('sent', { action: sending, response });
+                logger.debug('Sent', sending.kind, sending.id);
+            } catch (error) {
+                if (isTransientError(error)) {
+                    // A rate limit refusal means the server didn't act on the request
+                    if (error instanceof RateLimitError || isIdempotentAction(sending)) {
+                        const pendingAgain = await this.put({ ...sending, status: OUTBOX_STATUS.PENDING });
+                        this.notifyListeners('updated', pendingAgain);
+                    } else {
+                        await this.markUnconfirmed(sending);
+                    }
+                    this.scheduleFlush(error instanceof RateLimitError && error.retryAfter
+                        ? error.retryAfter
+                        : RETRY_DELAY_MS);
+                    return;
+                }
+
+                await this.markFailed(sending,
+                    error instanceof AuthExpiredError ? 'Sign in again to send this.' : error.message, error);
+            }
+        }
+    }
+
+    /**
+     * Mark an action as refused so it stops being replayed
+     * @param {Object} action - Action record
+     * @param {string} message - Reason shown to the user
+     * @param {Error} [error] - Underlying error
+     * @returns {Promise<void>}
+     */
+    async markFailed(action, message, error = null) {
+        const failed = await this.put({ ...action, status: OUTBOX_STATUS.FAILED, error: message, updatedAt: Date.now() });
+        this.settleWaiters(action.id, null, error || new Error(message));
+        this.notifyListeners('failed', failed);
+        console.warn('Outbox: action failed', action.kind, action.id, message);
+    }
+
+    /**
+     * Hold an action that may already have reached the server until the user sends it again
+     * Anyone waiting on it keeps waiting: it resolves if the user resends it.
+     * @param {Object} action - Action record
+     * @returns {Promise<void>}
+     */
+    async markUnconfirmed(action) {
+        const unconfirmed = await this.put({
+            ...action,
+            status: OUTBOX_STATUS.UNCONFIRMED,
+            error: UNCONFIRMED_MESSAGE,
+            updatedAt: Date.now()
+        });
+        this.notifyListeners('unconfirmed', unconfirmed);
+        console.warn('Outbox: action unconfirmed', action.kind, action.id);
+    }
+
+    // ========================================
+    // EVENT HANDLING
+    // ========================================
+
+    /**
+     * Add event listener
+     * Events: queued, updated, sending, sent, failed, unconfirmed, removed
+     * @param {Function} callback - Callback function (event, data)
+     */
+    addListener(callback) {
+        this.listeners.add(callback);
+    }
+
+    /**
+     * Remove event listener
+     * @param {Function} callback - Callback function
+     */
+    removeListener(callback) {
+        this.listeners.delete(callback);
+    }
+
+    /**
+     * Notify all listeners of an event
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    notifyListeners(event, data = null) {
+        this.listeners.forEach(callback => {
+            try {
+                callback(event, data);
+            } catch (error) {
+                console.error('Error in outbox listener:', error);
+            }
+        });
+    }
+}
+
+// ========================================
+// SINGLETON INSTANCE
+// ========================================
+
+/**
+ * Shared outbox used by every LemmyAPI instance
+ * @type {Outbox}
+ */
+export const outbox = new Outbox();
@@ -32,6 +32,7 @@ class PostPage {
         // Core application state
         this.api = null;
         this.currentPostId = null;
+        this.postDetail = null;
         
         // Cache DOM elements for performance
         this.elements = {};
@@ -130,6 +131,7 @@ class PostPage {
         
         // Handle both /post/123 and /post.html?id=123 formats (legacy support)
         let postId = null;
+        const urlParams = new URLSearchParams(window.location.search);
         
         // First try to extract from URL path like /post/123
         const pathMatch = path.match(/^\/post\/(\d+)$/);
@@ -138,7 +140,6 @@ class PostPage {
         }
         // Fallback to query parameter for /post.html?id=123 (legacy support)
         else if (path.includes('post.html')) {
-            const urlParams = new URLSearchParams(window.location.search);
             const idParam = urlParams.get('id');
             if (idParam) {
                 postId = parseInt(idParam, 10);
@@ -151,8 +152,11 @@ class PostPage {
             // Update page title
             document.title = `Lemmeric - Post ${postId}`;
             
+            // ?comment= shows only that comment with its parents and replies
+            const commentId = parseInt(urlParams.get('comment'), 10);
+            
             // Load and display the post
-            await this.loadPost(postId);
+            await this.loadPost(postId, { commentId: isNaN(commentId) ? null : commentId });
             
             // Handle comment scrolling if there's a hash fragment
             this.handleCommentScrolling();
@@ -164,8 +168,9 @@ class PostPage {
     /**
      * Load and display a post
      * @param {number} postId - The post ID to load
+     * @param {Object} options - Options for PostDetailComponent (commentId)
      */
-    async loadPost(postId) {
+    async loadPost(postId, options = {}) {
         if (!this.elements.postContainer) {
             console.error('Post container not found');
             return;
@@ -183,8 +188,9 @@ class PostPage {
             }
 
             // Create and render post detail component
-            const postDetail = new PostDetailComponent(postData);
+            const postDetail = new PostDetailComponent(postData, options);
             const postElement = await postDetail.render();
+            this.postDetail = postDetail;
 
             // Clear container and add post
             DOM.clearChildren(this.elements.postContainer);
@@ -352,6 +358,9 @@ class PostPage {
         const maxAttempts = 10;
         const delay = 500;
         
+        // Threads far down the page are only rendered when needed
+        this.postDetail?.mountComment(commentId);
+        
         // Try to find the comment
         const selectors = [
             `#comment-${commentId}`,
@@ -387,6 +396,8 @@ class PostPage {
      * @param {string} commentId - The comment ID to scroll to
      */
     scrollToComment(commentId) {
+        this.postDetail?.mountComment(commentId);
+
         // Try different possible selectors for the comment
         const selectors = [
             `#comment-${commentId}`,
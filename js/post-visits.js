@@ -0,0 +1,86 @@
+/**
+ * Post visit tracking for Lemmeric
+ *
+ * Remembers when each post was last opened, so the comments posted since the
+ * previous visit can be highlighted. Only the most recently visited posts are
+ * kept, so the stored list doesn't grow forever.
+ *
+ * @fileoverview Per-post "last seen" times in localStorage
+ */
+
+import { CONFIG } from './config.js';
+
+// ========================================
+// POST VISITS CLASS
+// ========================================
+
+/**
+ * Post visits class
+ *
+ * Stores the time each post was last seen, by post ID
+ */
+class PostVisits {
+    constructor() {
+        this.visits = null;
+    }
+
+    /**
+     * Get the stored visits
+     * @returns {Object<string, number>} Last seen time (ms since epoch) by post ID
+     */
+    getVisits() {
+        if (!this.visits) {
+            let stored = null;
+            try {
+                stored = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.VISITED_POSTS));
+            } catch {
+                stored = null;
+            }
+            this.visits = stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+        }
+        return this.visits;
+    }
+
+    /**
+     * Get when a post was last seen
+     * @param {number|string} postId - Post ID
+     * @returns {Date|null} Time of the last visit, or null if it wasn't visited before
+     */
+    getLastSeen(postId) {
+        const time = this.getVisits()[postId];
+        return Number.isFinite(time) ? new Date(time) : null;
+    }
+
+    /**
+     * Record a visit to a post
+     * @param {number|string} postId - Post ID
+     * @param {number} [time=Date.now()] - Time of the visit
+     */
+    markSeen(postId, time = Date.now()) {
+        const visits = this.getVisits();
+        visits[postId] = time;
+
+        // Forget the oldest visits beyond the limit
+        const excess = Object.keys(visits).length - CONFIG.LIVE_COMMENTS.REMEMBERED_POSTS;
+        if (excess > 0) {
+            Object.entries(visits)
+                .sort(([, a], [, b]) => a - b)
+                .slice(0, excess)
+                .forEach(([oldPostId]) => delete visits[oldPostId]);
+        }
+
+        try {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.VISITED_POSTS, JSON.stringify(visits));
+        } catch (error) {
+            console.warn('Failed to save post visits:', error);
+        }
+    }
+}
+
+// ========================================
+// SINGLETON INSTANCE
+// ========================================
+
+export const postVisits = new PostVisits();
+
+export default postVisits;
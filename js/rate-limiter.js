@@ -0,0 +1,282 @@
+/**
+ * Client-side rate limiting for Lemmeric
+ *
+ * Lemmy limits requests per IP in separate categories (message, post,
+ * register, image, comment, search), each allowing a number of requests per
+ * interval. This module mirrors those limits with one token bucket per
+ * category and instance, so requests wait for a free slot instead of being
+ * rejected with 429. Limits start from Lemmy's defaults and are replaced by the
+ * instance's own `local_site_rate_limit` once /site has been loaded. A 429 from
+ * the server pauses the category for the Retry-After delay.
+ *
+ * @fileoverview Token-bucket rate limiter matching Lemmy's rate-limit categories
+ */
+
+import { CONFIG } from './config.js';
+import { RateLimitError, createAbortError } from './errors.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('RateLimiter');
+
+// ========================================
+// CATEGORY MAPPING
+// ========================================
+
+/**
+ * Rate-limit categories used by Lemmy
+ * @type {string[]}
+ */
+export const RATE_LIMIT_CATEGORIES = ['message', 'post', 'register', 'image', 'comment', 'search'];
+
+/**
+ * Endpoints with their own category; everything else counts as 'message'
+ * @type {Object<string, string>}
+ */
+const CATEGORY_BY_ROUTE = {
+    'POST /post': 'post',
+    'POST /comment': 'comment',
+    'POST /user/register': 'register',
+    'POST /pictrs/image': 'image',
+    'GET /search': 'search',
+    'GET /resolve_object': 'search'
+};
+
+/**
+ * Get the Lemmy rate-limit category of a request
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint (query string is ignored)
+ * @returns {string} Category name
+ */
+export function getRateLimitCategory(method, endpoint) {
+    const path = endpoint.split('?')[0];
+    return CATEGORY_BY_ROUTE[`${method.toUpperCase()} ${path}`] || 'message';
+}
+
+// ========================================
+// TOKEN BUCKET
+// ========================================
+
+/**
+ * Token bucket allowing `capacity` requests per `intervalMs`, refilled continuously
+ */
+export class TokenBucket {
+    /**
+     * @param {number} capacity - Requests allowed per interval
+     * @param {number} intervalMs - Interval length in milliseconds
+     */
+    constructor(capacity, intervalMs) {
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+        this.pausedUntil = 0;
+        this.configure(capacity, intervalMs);
+    }
+
+    /**
+     * Change the bucket's limits, keeping the tokens already used
+     * @param {number} capacity - Requests allowed per interval
+     * @param {number} intervalMs - Interval length in milliseconds
+     */
+    configure(capacity, intervalMs) {
+        this.refill();
+        this.capacity = Math.max(1, capacity);
+        this.refillPerMs = this.capacity / Math.max(1, intervalMs);
+        this.tokens = Math.min(this.tokens, this.capacity);
+    }
+
+    /**
+     * Add the tokens earned since the last update
+     */
+    refill() {
+        const now = Date.now();
+        if (this.refillPerMs) {
+            this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+        }
+        this.updatedAt = now;
+    }
+
+    /**
+     * Get how long until a token is available
+     * @param {number} queued - Requests already waiting ahead of this one
+     * @returns {number} Wait in milliseconds (0 if a token is available now)
+     */
+    getWaitTime(queued = 0) {
+        this.refill();
+        const pause = Math.max(0, this.pausedUntil - Date.now());
+        const missing = queued + 1 - this.tokens;
+        const refillWait = missing > 0 ? Math.ceil(missing / this.refillPerMs) : 0;
+        return Math.max(pause, refillWait);
+    }
+
+    /**
+     * Use one token (call only when getWaitTime() is 0)
+     */
+    take() {
+        this.tokens -= 1;
+    }
+
+    /**
+     * Stop handing out tokens for a while (after the server answered 429)
+     * @param {number} ms - Pause length in milliseconds
+     */
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+        // The server says we're out; don't burst again when the pause ends
+        this.tokens = Math.min(this.tokens, 0);
+    }
+}
+
+// ========================================
+// RATE LIMITER CLASS
+// ========================================
+
+/**
+ * Rate limiter for one instance: a token bucket and a FIFO queue per category
+ */
+export class RateLimiter {
+    /**
+     * @param {Object} limits - Limits per category ({ count, perSecond })
+     */
+    constructor(limits = CONFIG.API.RATE_LIMIT.DEFAULT_LIMITS) {
+        this.buckets = new Map();
+        this.queues = new Map();
+        this.timers = new Map();
+        this.configured = false;
+
+        RATE_LIMIT_CATEGORIES.forEach(category => {
+            const { count, perSecond } = limits[category] || limits.message;
+            this.buckets.set(category, new TokenBucket(count, perSecond * 1000));
+            this.queues.set(category, []);
+        });
+    }
+
+    /**
+     * Apply the limits configured by the instance
+     * @param {Object} localSiteRateLimit - `local_site_rate_limit` from GET /site
+     */
+    configure(localSiteRateLimit) {
+        if (!localSiteRateLimit) {
+            return;
+        }
+
+        RATE_LIMIT_CATEGORIES.forEach(category => {
+            const count = localSiteRateLimit[category];
+            const perSecond = localSiteRateLimit[`${category}_per_second`];
+            if (count > 0 && perSecond > 0) {
+                this.buckets.get(category).configure(count, perSecond * 1000);
+            }
+        });
+
+        this.configured = true;
+        RATE_LIMIT_CATEGORIES.forEach(category => this.drain(category));
+    }
+
+    /**
+     * Wait for permission to send a request
+     * Rejects with a RateLimitError if the wait would exceed CONFIG.API.RATE_LIMIT.MAX_QUEUE_WAIT_MS,
+     * or with an AbortError if the signal aborts while waiting.
+     * @param {string} category - Rate-limit category
+     * @param {AbortSignal} [signal] - Cancellation signal
+     * @returns {Promise<void>} Resolves when the request may be sent
+     */
+    acquire(category, signal) {
+        const bucket = this.buckets.get(category) || this.buckets.get('message');
+        const queue = this.queues.get(category) || this.queues.get('message');
+
+        if (signal?.aborted) {
+            return Promise.reject(createAbortError());
+        }
+
+        const wait = bucket.getWaitTime(queue.length);
+        if (wait === 0 && queue.length === 0) {
+            bucket.take();
+            return Promise.resolve();
+        }
+
+        if (wait > CONFIG.API.RATE_LIMIT.MAX_QUEUE_WAIT_MS) {
+            return Promise.reject(new RateLimitError({ status: null, retryAfter: wait, local: true }));
+        }
+
+        logger.debug(`Queueing ${category} request for ~${wait}ms`);
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, signal, onAbort: null };
+
+            if (signal) {
+                waiter.onAbort = () => {
+                    const index = queue.indexOf(waiter);
+                    if (index !== -1) {
+                        queue.splice(index, 1);
+                    }
+                    reject(createAbortError());
+                };
+                signal.addEventListener('abort', waiter.onAbort, { once: true });
+            }
+
+            queue.push(waiter);
+            this.drain(category);
+        });
+    }
+
+    /**
+     * Pause a category after the server answered 429
+     * @param {string} category - Rate-limit category
+     * @param {number|null} retryAfter - Delay from the Retry-After header, in milliseconds
+     */
+    pause(category, retryAfter = null) {
+        const bucket = this.buckets.get(category) || this.buckets.get('message');
+        bucket.pause(retryAfter ?? CONFIG.API.RATE_LIMIT.DEFAULT_RETRY_AFTER_MS);
+        this.drain(category);
+    }
+
+    /**
+     * Release queued requests as tokens become available
+     * @param {string} category - Rate-limit category
+     */
+    drain(category) {
+        const bucket = this.buckets.get(category);
+        const queue = this.queues.get(category);
+        if (!bucket || !queue) {
+            return;
+        }
+
+        clearTimeout(this.timers.get(category));
+        this.timers.delete(category);
+
+        while (queue.length > 0) {
+            const wait = bucket.getWaitTime();
+            if (wait > 0) {
+                this.timers.set(category, setTimeout(() => this.drain(category), wait));
+                return;
+            }
+
+            const waiter = queue.shift();
+            bucket.take();
+            if (waiter.onAbort) {
+                waiter.signal.removeEventListener('abort', waiter.onAbort);
+            }
+            waiter.resolve();
+        }
+    }
+}
+
+// ========================================
+// REGISTRY
+// ========================================
+
+/**
+ * Rate limiters by instance API URL (shared by every LemmyAPI for the same instance)
+ * @type {Map<string, RateLimiter>}
+ */
+const rateLimiters = new Map();
+
+/**
+ * Get the rate limiter of an instance
+ * @param {string} instanceKey - Instance API base URL
+ * @returns {RateLimiter} Rate limiter
+ */
+export function getRateLimiter(instanceKey) {
+    if (!rateLimiters.has(instanceKey)) {
+        rateLimiters.set(instanceKey, new RateLimiter());
+    }
+    return rateLimiters.get(instanceKey);
+}
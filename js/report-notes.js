@@ -0,0 +1,128 @@
+/**
+ * Report notes for Lemmeric
+ *
+ * Lets a moderator claim a reported post, comment or message ("I'm handling
+ * this") and keep a short note on it. Notes belong to the reported item, not
+ * to one report, so they cover every duplicate report on it.
+ *
+ * Notes are stored in localStorage under the moderator's account on the
+ * instance, so two accounts using the same browser keep separate notes.
+ * Lemmy has no place to store them, so other moderators can't see them.
+ *
+ * @fileoverview Per-moderator claim markers and notes on reports
+ */
+
+import { CONFIG } from './config.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+/**
+ * Notes kept per moderator; the oldest are forgotten beyond this
+ * @type {number}
+ */
+const MAX_NOTES = 500;
+
+// ========================================
+// REPORT NOTES CLASS
+// ========================================
+
+/**
+ * Report notes class
+ *
+ * Stores { claimed, note, updated } by moderator and reported item
+ */
+class ReportNotes {
+    constructor() {
+        this.notes = null;
+    }
+
+    /**
+     * Get the stored notes
+     * @returns {Object<string, Object>} Notes by item key, by moderator
+     */
+    getAll() {
+        if (!this.notes) {
+            let stored = null;
+            try {
+                stored = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.REPORT_NOTES));
+            } catch {
+                stored = null;
+            }
+            this.notes = stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+        }
+        return this.notes;
+    }
+
+    /**
+     * Get the note on a reported item
+     * @param {string} moderator - Moderator key (instance and person ID)
+     * @param {string} itemKey - Reported item (e.g. 'post:12')
+     * @returns {Object|null} Note with claimed, note and updated, or null if none
+     */
+    get(moderator, itemKey) {
+        return this.getAll()[moderator]?.[itemKey] || null;
+    }
+
+    /**
+     * Claim or unclaim a reported item
+     * @param {string} moderator - Moderator key
+     * @param {string} itemKey - Reported item
+     * @param {boolean} claimed - True to claim
+     */
+    setClaimed(moderator, itemKey, claimed) {
+        this.update(moderator, itemKey, { claimed: Boolean(claimed) });
+    }
+
+    /**
+     * Set the note text on a reported item
+     * @param {string} moderator - Moderator key
+     * @param {string} itemKey - Reported item
+     * @param {string} note - Note text (empty to remove it)
+     */
+    setNote(moderator, itemKey, note) {
+        this.update(moderator, itemKey, { note: String(note || '').trim() });
+    }
+
+    /**
+     * Change the note on an item, dropping it once it's empty
+     * @param {string} moderator - Moderator key
+     * @param {string} itemKey - Reported item
+     * @param {Object} changes - Fields to change
+     */
+    update(moderator, itemKey, changes) {
+        const all = this.getAll();
+        const notes = all[moderator] || (all[moderator] = {});
+        const entry = { claimed: false, note: '', ...notes[itemKey], ...changes, updated: Date.now() };
+
+        if (entry.claimed || entry.note) {
+            notes[itemKey] = entry;
+        } else {
+            delete notes[itemKey];
+        }
+
+        // Forget the oldest notes beyond the limit
+        const excess = Object.keys(notes).length - MAX_NOTES;
+        if (excess > 0) {
+            Object.entries(notes)
+                .sort(([, a], [, b]) => a.updated - b.updated)
+                .slice(0, excess)
+                .forEach(([oldKey]) => delete notes[oldKey]);
+        }
+
+        try {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.REPORT_NOTES, JSON.stringify(all));
+        } catch (error) {
+            console.warn('Failed to save report notes:', error);
+        }
+    }
+}
+
+// ========================================
+// SINGLETON INSTANCE
+// ========================================
+
+export const reportNotes = new ReportNotes();
+
+export default reportNotes;
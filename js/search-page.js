@@ -11,10 +11,12 @@
  */
 
 // Core configuration and utilities
-import { LemmyAPI } from './api.js';
+import { LemmyAPI, APIUtils } from './api.js';
 import { getCurrentInstance } from './config.js';
 import { DOM } from './utils.js';
 import { router } from './router.js';
+import { contentFilters, FILTER_MODE } from './filters.js';
+import { renderFilteredNotice } from './components/filtered-notice.js';
 
 /**
  * Search page application class
@@ -310,11 +312,44 @@ class SearchPage {
         this.elements.searchResultsList.innerHTML = '';
 
         this.searchResults.forEach((result, index) => {
+            const filterMatch = this.getFilterMatch(result);
+            if (filterMatch?.mode === FILTER_MODE.HIDE) {
+                return;
+            }
+
             const resultElement = this.createResultElement(result, index);
-            this.elements.searchResultsList.appendChild(resultElement);
+            if (filterMatch) {
+                // Collapsed by a content filter until revealed
+                const notice = renderFilteredNotice(filterMatch, () => {
+                    contentFilters.reveal(result.resultType, result[result.resultType].id);
+                    notice.replaceWith(resultElement);
+                }, {
+                    label: result.resultType === 'post' ? 'Post' : 'Comment',
+                    className: 'card mb-3 px-3 py-2'
+                });
+                this.elements.searchResultsList.appendChild(notice);
+            } else {
+                this.elements.searchResultsList.appendChild(resultElement);
+            }
         });
     }
 
+    /**
+     * Match a post or comment result against the content filters
+     * @param {Object} result - Search result
+     * @returns {Object|null} Filter match, or null
+     */
+    getFilterMatch(result) {
+        switch (result.resultType) {
+            case 'post':
+                return contentFilters.matchPost(APIUtils.formatPost(result));
+            case 'comment':
+                return contentFilters.matchComment(result.comment, result.community);
+            default:
+                return null;
+        }
+    }
+
     /**
      * Create a single search result element
      */
@@ -18,10 +18,16 @@ import {
     isSingleInstanceMode
 } from './config.js';
 import { authManager } from './auth.js';
+import { SubscriptionsManagerComponent } from './components/subscriptions-manager.js';
+import { BlockedListComponent } from './components/blocked-list.js';
+import { ContentFiltersEditorComponent } from './components/content-filters-editor.js';
 
 class LemmericSettingsApp {
     constructor() {
         this.currentUser = null;
+        this.subscriptionsManager = null;
+        this.blockedList = null;
+        this.contentFiltersEditor = null;
         this.settings = {
             general: {
                 defaultInstance: getCurrentInstance(),
@@ -94,6 +100,14 @@ class LemmericSettingsApp {
             backBtn: document.getElementById('back-btn'),
             adminTabItem: document.getElementById('admin-tab-item'),
             accountTabItem: document.getElementById('account-tab')?.closest('li'),
+            subscriptionsTab: document.getElementById('subscriptions-tab'),
+            subscriptionsTabItem: document.getElementById('subscriptions-tab-item'),
+            subscriptionsManager: document.getElementById('subscriptions-manager'),
+            filtersTab: document.getElementById('filters-tab'),
+            contentFiltersEditor: document.getElementById('content-filters-editor'),
+            blockedTab: document.getElementById('blocked-tab'),
+            blockedTabItem: document.getElementById('blocked-tab-item'),
+            blockedList: document.getElementById('blocked-list'),
             
             // General settings
             defaultInstance: document.getElementById('default-instance'),
@@ -142,6 +156,27 @@ class LemmericSettingsApp {
             });
         }
 
+        // Subscriptions tab - load the follows list the first time it is opened
+        if (this.elements.subscriptionsTab) {
+            this.elements.subscriptionsTab.addEventListener('click', () => {
+                this.loadSubscriptionsManager();
+            });
+        }
+
+        // Filters tab - render the editor the first time it is opened
+        if (this.elements.filtersTab) {
+            this.elements.filtersTab.addEventListener('click', () => {
+                this.loadContentFiltersEditor();
+            });
+        }
+
+        // Blocked tab - refresh the block list the first time it is opened
+        if (this.elements.blockedTab) {
+            this.elements.blockedTab.addEventListener('click', () => {
+                this.loadBlockedList();
+            });
+        }
+
         // Theme cards
         this.elements.themeCards.forEach(card => {
             card.addEventListener('click', () => {
@@ -637,6 +672,42 @@ class LemmericSettingsApp {
         `;
     }
 
+    /**
+     * Mount the subscriptions manager (once, when its tab is first opened)
+     */
+    loadSubscriptionsManager() {
+        if (this.subscriptionsManager || !this.currentUser || !this.elements.subscriptionsManager) {
+            return;
+        }
+
+        this.subscriptionsManager = new SubscriptionsManagerComponent(this.elements.subscriptionsManager, this.currentUser);
+        this.subscriptionsManager.mount();
+    }
+
+    /**
+     * Mount the content filters editor (once, when its tab is first opened)
+     */
+    loadContentFiltersEditor() {
+        if (this.contentFiltersEditor || !this.elements.contentFiltersEditor) {
+            return;
+        }
+
+        this.contentFiltersEditor = new ContentFiltersEditorComponent(this.elements.contentFiltersEditor);
+        this.contentFiltersEditor.mount();
+    }
+
+    /**
+     * Mount the blocked list (once, when its tab is first opened)
+     */
+    loadBlockedList() {
+        if (this.blockedList || !this.currentUser || !this.elements.blockedList) {
+            return;
+        }
+
+        this.blockedList = new BlockedListComponent(this.elements.blockedList);
+        this.blockedList.mount();
+    }
+
     /**
      * Check if current user is an admin and show/hide admin tab accordingly
      */
@@ -685,6 +756,14 @@ class LemmericSettingsApp {
      * Update UI based on authentication status
      */
     updateAuthenticationUI() {
+        // The Subscriptions and Blocked tabs need an account as well
+        if (this.elements.subscriptionsTabItem) {
+            this.elements.subscriptionsTabItem.style.display = this.currentUser ? 'block' : 'none';
+        }
+        if (this.elements.blockedTabItem) {
+            this.elements.blockedTabItem.style.display = this.currentUser ? 'block' : 'none';
+        }
+
         // Show/hide Account tab based on authentication status
         if (this.elements.accountTabItem) {
             if (this.currentUser) {
@@ -0,0 +1,417 @@
+/**
+ * Keyboard shortcuts for Lemmeric
+ *
+ * One keydown listener for the whole page. Components register the keys they
+ * handle, optionally with a condition saying when the binding applies (for
+ * example "the feed is visible"); the most recently registered binding whose
+ * condition holds gets the key. The help overlay ('?') is generated from the
+ * bindings that apply at the time, so it always matches the current page.
+ *
+ * FocusNavigator moves a visible focus through a list of elements (posts,
+ * comments) for the j/k keys.
+ *
+ * @fileoverview Shared keyboard shortcut registry, help overlay and list focus
+ */
+
+import { CONFIG } from './config.js';
+import { DOM } from './utils.js';
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+/**
+ * Class added to the element the keyboard focus is on
+ * @type {string}
+ */
+const FOCUS_CLASS = 'keyboard-focus';
+
+/**
+ * Group for bindings registered without one
+ * @type {string}
+ */
+const DEFAULT_GROUP = 'General';
+
+// ========================================
+// SHORTCUT MANAGER CLASS
+// ========================================
+
+/**
+ * Shortcut manager class
+ *
+ * Keeps the registered bindings and dispatches key presses to them
+ */
+class ShortcutManager {
+    constructor() {
+        this.bindings = [];
+        this.helpModal = null;
+        this.listening = false;
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    // ========================================
+    // REGISTRATION
+    // ========================================
+
+    /**
+     * Register a shortcut
+     * @param {string} key - Key as reported by KeyboardEvent.key (e.g. 'j', '/', '?')
+     * @param {Function} handler - Called with the keydown event
+     * @param {Object} options - Binding options
+     * @param {string} [options.description] - Text for the help overlay (defaults to CONFIG.KEYBOARD_SHORTCUTS)
+     * @param {string} [options.group='General'] - Help overlay section
+     * @param {Function} [options.when] - Returns true when the binding applies
+     * @returns {Object} The binding, for unregister()
+     */
+    register(key, handler, options = {}) {
+        const binding = {
+            key,
+            handler,
+            description: options.description || CONFIG.KEYBOARD_SHORTCUTS[key] || key,
+            group: options.group || DEFAULT_GROUP,
+            when: options.when || null
+        };
+
+        this.bindings.push(binding);
+        this.start();
+        return binding;
+    }
+
+    /**
+     * Register several shortcuts sharing the same group and condition
+     * @param {Array<Object>} definitions - Objects with key, handler and optional description
+     * @param {Object} options - Options applied to every binding (group, when)
+     * @returns {Array<Object>} The bindings, for unregisterAll()
+     */
+    registerAll(definitions, options = {}) {
+        return definitions.map(({ key, handler, description }) =>
+            this.register(key, handler, { ...options, description }));
+    }
+
+    /**
+     * Remove a binding
+     * @param {Object} binding - Binding returned by register()
+     */
+    unregister(binding) {
+        this.bindings = this.bindings.filter(existing => existing !== binding);
+    }
+
+    /**
+     * Remove several bindings
+     * @param {Array<Object>} bindings - Bindings returned by registerAll()
+     */
+    unregisterAll(bindings) {
+        const removed = new Set(bindings);
+        this.bindings = this.bindings.filter(existing => !removed.has(existing));
+    }
+
+    /**
+     * Start listening for key presses (once, and only if shortcuts are enabled)
+     */
+    start() {
+        if (this.listening || !CONFIG.FEATURES.KEYBOARD_SHORTCUTS) return;
+        document.addEventListener('keydown', this.handleKeydown);
+        this.listening = true;
+    }
+
+    // ========================================
+    // DISPATCH
+    // ========================================
+
+    /**
+     * Find the binding that currently handles a key
+     * @param {string} key - Pressed key
+     * @returns {Object|null} Binding, or null
+     */
+    findBinding(key) {
+        for (let i = this.bindings.length - 1; i >= 0; i--) {
+            const binding = this.bindings[i];
+            if (binding.key === key && this.isActive(binding)) {
+                return binding;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check a binding's condition
+     * @param {Object} binding - Binding
+     * @returns {boolean} True if the binding applies right now
+     */
+    isActive(binding) {
+        try {
+            return !binding.when || Boolean(binding.when());
+        } catch (error) {
+            console.error('Keyboard shortcut condition failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Handle a key press
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleKeydown(event) {
+        if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+        if (isTypingTarget(event.target)) return;
+
+        // Leave open dialogs alone; they have their own keys
+        if (document.querySelector('.modal.show')) return;
+
+        const binding = this.findBinding(event.key);
+        if (!binding) return;
+
+        event.preventDefault();
+        try {
+            binding.handler(event);
+        } catch (error) {
+            console.error(`Keyboard shortcut "${binding.key}" failed:`, error);
+        }
+    }
+
+    // ========================================
+    // HELP OVERLAY
+    // ========================================
+
+    /**
+     * Get the bindings that apply right now, one per key, by group
+     * @returns {Map<string, Array<Object>>} Bindings by group name
+     */
+    getActiveBindings() {
+        const seen = new Set();
+        const groups = new Map();
+
+        [...this.bindings].reverse().forEach(binding => {
+            if (seen.has(binding.key) || !this.isActive(binding)) return;
+            seen.add(binding.key);
+
+            if (!groups.has(binding.group)) {
+                groups.set(binding.group, []);
+            }
+            groups.get(binding.group).unshift(binding);
+        });
+
+        // General shortcuts last, after the page's own
+        const general = groups.get(DEFAULT_GROUP);
+        if (general) {
+            groups.delete(DEFAULT_GROUP);
+            groups.set(DEFAULT_GROUP, general);
+        }
+        return groups;
+    }
+
+    /**
+     * Show the help overlay listing the shortcuts that apply on this page
+     */
+    showHelp() {
+        if (!this.helpModal) {
+            this.helpModal = this.createHelpModal();
+            document.body.appendChild(this.helpModal);
+        }
+
+        const body = this.helpModal.querySelector('.modal-body');
+        body.innerHTML = '';
+        this.getActiveBindings().forEach((bindings, group) => {
+            body.appendChild(DOM.createElement('h6', { className: 'mt-2' }, group));
+            body.appendChild(DOM.createElement('table', {
+                className: 'table table-sm mb-3'
+            }, [
+                DOM.createElement('tbody', {}, bindings.map(binding => DOM.createElement('tr', {}, [
+                    DOM.createElement('td', { className: 'shortcut-key' }, [
+                        DOM.createElement('kbd', {}, binding.key)
+                    ]),
+                    DOM.createElement('td', {}, binding.description)
+                ])))
+            ]));
+        });
+
+        window.bootstrap.Modal.getOrCreateInstance(this.helpModal).show();
+    }
+
+    /**
+     * Create the (empty) help modal
+     * @returns {HTMLElement} Modal element
+     */
+    createHelpModal() {
+        return DOM.createElement('div', {
+            className: 'modal fade',
+            id: 'keyboard-shortcuts-modal',
+            tabindex: '-1',
+            'aria-labelledby': 'keyboard-shortcuts-title',
+            'aria-hidden': 'true'
+        }, [
+            DOM.createElement('div', { className: 'modal-dialog modal-dialog-scrollable' }, [
+                DOM.createElement('div', { className: 'modal-content' }, [
+                    DOM.createElement('div', { className: 'modal-header' }, [
+                        DOM.createElement('h5', { className: 'modal-title', id: 'keyboard-shortcuts-title' }, [
+                            DOM.createElement('i', { className: 'bi bi-keyboard me-2' }),
+                            'Keyboard Shortcuts'
+                        ]),
+                        DOM.createElement('button', {
+                            type: 'button',
+                            className: 'btn-close',
+                            'data-bs-dismiss': 'modal',
+                            'aria-label': 'Close'
+                        })
+                    ]),
+                    DOM.createElement('div', { className: 'modal-body' })
+                ])
+            ])
+        ]);
+    }
+}
+
+// ========================================
+// FOCUS NAVIGATOR CLASS
+// ========================================
+
+/**
+ * Focus navigator class
+ *
+ * Moves a visible focus (the keyboard-focus class) through a list of elements
+ */
+export class FocusNavigator {
+    /**
+     * Initialize the navigator
+     * @param {Function} getItems - Returns the elements to move through, in page order
+     * @param {string} keyAttribute - Attribute identifying an item, to find it again after a re-render
+     * @param {Function} [resolve] - Turns an item into the element to focus (e.g. renders a virtual list placeholder)
+     */
+    constructor(getItems, keyAttribute, resolve = item => item) {
+        this.getItems = getItems;
+        this.keyAttribute = keyAttribute;
+        this.resolve = resolve;
+        this.current = null;
+    }
+
+    /**
+     * Get the visible items
+     * @returns {Array<HTMLElement>} Items that are on the page and not hidden
+     */
+    getVisibleItems() {
+        return this.getItems().filter(item => item?.isConnected && item.getClientRects().length > 0);
+    }
+
+    /**
+     * Check if there is anything to move through
+     * @returns {boolean} True if at least one item is visible
+     */
+    hasItems() {
+        return this.getVisibleItems().length > 0;
+    }
+
+    /**
+     * Get the focused item
+     * @returns {HTMLElement|null} Focused item, or null if none
+     */
+    getCurrent() {
+        if (this.current && !this.current.isConnected) {
+            // The item was re-rendered; follow it to its new element
+            const key = this.current.getAttribute(this.keyAttribute);
+            this.current = this.getVisibleItems().find(item => item.getAttribute(this.keyAttribute) === key) || null;
+            this.current?.classList.add(FOCUS_CLASS);
+        }
+        return this.current;
+    }
+
+    /**
+     * Move the focus to the next item
+     * @returns {HTMLElement|null} Newly focused item
+     */
+    next() {
+        return this.move(1);
+    }
+
+    /**
+     * Move the focus to the previous item
+     * @returns {HTMLElement|null} Newly focused item
+     */
+    previous() {
+        return this.move(-1);
+    }
+
+    /**
+     * Move the focus by a number of items
+     * Without a focused item, starts at the first item on screen.
+     * @param {number} step - 1 for next, -1 for previous
+     * @returns {HTMLElement|null} Newly focused item
+     */
+    move(step) {
+        const items = this.getVisibleItems();
+        if (items.length === 0) return null;
+
+        const index = items.indexOf(this.getCurrent());
+        let target;
+        if (index === -1) {
+            target = items.find(item => item.getBoundingClientRect().bottom > 0) || items[items.length - 1];
+        } else {
+            target = items[Math.min(Math.max(index + step, 0), items.length - 1)];
+        }
+
+        target = this.resolve(target);
+        this.setCurrent(target);
+        return target;
+    }
+
+    /**
+     * Focus an item and scroll it into view
+     * @param {HTMLElement} item - Item to focus
+     */
+    setCurrent(item) {
+        this.current?.classList.remove(FOCUS_CLASS);
+        this.current = item;
+        item.classList.add(FOCUS_CLASS);
+        item.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+
+    /**
+     * Remove the focus
+     */
+    clear() {
+        this.current?.classList.remove(FOCUS_CLASS);
+        this.current = null;
+    }
+}
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Check if a key press target is somewhere the user types
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} True for inputs, text areas, selects and editable elements
+ */
+function isTypingTarget(target) {
+    if (!target || !target.tagName) return false;
+    return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+}
+
+/**
+ * Click an element's action button, if it has one that isn't disabled
+ * Reuses the element's own click handling, so shortcuts behave like the buttons.
+ * @param {HTMLElement} item - Post or comment element
+ * @param {string} action - data-action of the button
+ * @param {string} [ownerSelector] - Only consider buttons whose closest match is the item (skips nested comments)
+ * @returns {boolean} True if a button was clicked
+ */
+export function clickAction(item, action, ownerSelector = null) {
+    if (!item) return false;
+
+    const button = Array.from(item.querySelectorAll(`[data-action="${action}"]`))
+        .find(candidate => !ownerSelector || candidate.closest(ownerSelector) === item);
+    if (!button || button.disabled || button.classList.contains('disabled')) {
+        return false;
+    }
+
+    button.click();
+    return true;
+}
+
+// ========================================
+// SINGLETON INSTANCE
+// ========================================
+
+export const shortcuts = new ShortcutManager();
+
+export default shortcuts;
@@ -0,0 +1,184 @@
+/**
+ * Request transport layer for the Lemmy API client
+ *
+ * This module decouples LemmyAPI from the global fetch function. A transport
+ * is any object exposing `request(url, options)` that resolves to a standard
+ * Response. The default transport talks to the network; a bundled mock
+ * transport serves an in-memory Lemmy v3 backend for offline development.
+ *
+ * @fileoverview Pluggable request transports for the Lemmy API client
+ */
+
+import { CONFIG } from './config.js';
+
+// ========================================
+// TRANSPORT IMPLEMENTATIONS
+// ========================================
+
+/**
+ * Default transport that sends requests over the network using fetch
+ */
+export class FetchTransport {
+    /**
+     * Send a request
+     * @param {string} url - Absolute request URL
+     * @param {Object} options - Fetch options
+     * @returns {Promise<Response>} Response from the server
+     */
+    async request(url, options = {}) {
+        return fetch(url, options);
+    }
+}
+
+// ========================================
+// TRANSPORT REGISTRY
+// ========================================
+
+/**
+ * Transport shared by every LemmyAPI instance that doesn't provide its own
+ * @type {Object|null}
+ */
+let activeTransport = null;
+
+/**
+ * Pending resolution of the default transport (the mock is loaded lazily)
+ * @type {Promise<Object>|null}
+ */
+let transportPromise = null;
+
+/**
+ * Hostnames of a local development server
+ * @type {string[]}
+ */
+const DEVELOPMENT_HOSTS = ['localhost', '127.0.0.1', '[::1]', '::1'];
+
+/**
+ * Check if the page is served by a local development server
+ * @returns {boolean} True on localhost and *.localhost
+ */
+export function isDevelopmentHost() {
+    try {
+        const hostname = window.location.hostname;
+        return DEVELOPMENT_HOSTS.includes(hostname) || hostname.endsWith('.localhost');
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Check if the mock backend should be used instead of the network
+ * Enabled by CONFIG.DEVELOPMENT.MOCK_BACKEND, or on a development host by
+ * `?mock=1` in the page URL or the lemmeric_mock_backend localStorage key.
+ * Deployed sites ignore both, so a shared link can't switch a visitor's
+ * browser over to fake data.
+ * @returns {boolean} True if the mock backend is enabled
+ */
+export function isMockBackendEnabled() {
+    if (CONFIG.DEVELOPMENT?.MOCK_BACKEND === true) {
+        return true;
+    }
+
+    try {
+        if (!isDevelopmentHost()) {
+            // Drop a flag stored before the mock was limited to development
+            localStorage.removeItem(CONFIG.STORAGE_KEYS.MOCK_BACKEND);
+            return false;
+        }
+
+        const urlFlag = new URLSearchParams(window.location.search).get('mock');
+        if (urlFlag === '1' || urlFlag === 'true') {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.MOCK_BACKEND, 'true');
+        } else if (urlFlag === '0' || urlFlag === 'false') {
+            localStorage.removeItem(CONFIG.STORAGE_KEYS.MOCK_BACKEND);
+        }
+
+        return localStorage.getItem(CONFIG.STORAGE_KEYS.MOCK_BACKEND) === 'true';
+    } catch (error) {
+        // No window/localStorage (e.g. running under a worker or Node)
+        return false;
+    }
+}
+
+/**
+ * Show a banner on every page while the mock backend is active, so fake
+ * data is never mistaken for a real instance
+ */
+function showMockBanner() {
+    if (typeof document === 'undefined') {
+        return;
+    }
+
+    const mount = () => {
+        if (document.querySelector('.mock-backend-banner')) {
+            return;
+        }
+
+        const banner = document.createElement('div');
+        banner.className = 'mock-backend-banner alert alert-danger rounded-0 border-0 mb-0 py-1 text-center small';
+        banner.setAttribute('role', 'status');
+        banner.append('Mock backend: nothing here comes from or is sent to a real instance. ');
+
+        const disable = document.createElement('a');
+        disable.className = 'alert-link';
+        disable.textContent = 'Turn it off';
+        const url = new URL(window.location.href);
+        url.searchParams.set('mock', '0');
+        disable.href = url.toString();
+        banner.appendChild(disable);
+
+        document.body.appendChild(banner);
+    };
+
+    if (document.body) {
+        mount();
+    } else {
+        document.addEventListener('DOMContentLoaded', mount, { once: true });
+    }
+}
+
+/**
+ * Get the active transport, creating the default one on first use
+ * @returns {Promise<Object>} Transport with a request(url, options) method
+ */
+export async function getTransport() {
+    if (activeTransport) {
+        return activeTransport;
+    }
+
+    if (!transportPromise) {
+        transportPromise = (async () => {
+            if (isMockBackendEnabled()) {
+                // Loaded on demand so production pages never download the fixtures
+                const { MockTransport } = await import('./mock/mock-transport.js');
+                console.info('Lemmeric is using the mock backend. Append ?mock=0 to the URL to disable it.');
+                showMockBanner();
+                return new MockTransport({ latency: CONFIG.DEVELOPMENT?.MOCK_LATENCY_MS });
+            }
+            return new FetchTransport();
+        })();
+    }
+
+    activeTransport = await transportPromise;
+    return activeTransport;
+}
+
+/**
+ * Replace the transport used by all API clients
+ * @param {Object} transport - Object with a request(url, options) method
+ */
+export function setTransport(transport) {
+    if (!transport || typeof transport.request !== 'function') {
+        throw new Error('Transport must implement request(url, options)');
+    }
+
+    activeTransport = transport;
+    transportPromise = Promise.resolve(transport);
+}
+
+/**
+ * Restore the default transport selection
+ */
+export function resetTransport() {
+    activeTransport = null;
+    transportPromise = null;
+}
@@ -12,6 +12,8 @@ import { PostFeed } from './components/post-feed.js';
 import { UserSidebarComponent } from './components/user-sidebar.js';
 import { UserEditModal } from './components/user-edit-modal.js';
 import { authManager } from './auth.js';
+import { contentFilters, FILTER_MODE } from './filters.js';
+import { renderFilteredNotice } from './components/filtered-notice.js';
 
 class LemmericUserApp {
     constructor() {
@@ -20,8 +22,11 @@ class LemmericUserApp {
         this.isLoading = false;
         this.hasMorePosts = true;
         this.currentPage = 1;
-        this.currentTab = 'posts'; // 'posts' or 'comments'
+        this.currentTab = 'posts'; // 'posts', 'comments' or 'saved'
+        this.savedView = 'posts'; // What the Saved tab lists: 'posts' or 'comments'
+        this.isOwnProfile = false;
         this.postFeed = null;
+        this.savedPostFeed = null;
         
         // Application state - get current instance from centralized storage
         this.state = {
@@ -134,11 +139,17 @@ class LemmericUserApp {
             // Content areas
             postsContainer: document.getElementById('posts-container'),
             commentsContainer: document.getElementById('comments-container'),
+            savedPostsContainer: document.getElementById('saved-posts-container'),
+            savedCommentsContainer: document.getElementById('saved-comments-container'),
             userSidebarContainer: document.getElementById('user-sidebar-container'),
             
             // Tabs
             postsTab: document.getElementById('posts-tab'),
             commentsTab: document.getElementById('comments-tab'),
+            savedTab: document.getElementById('saved-tab'),
+            savedTabItem: document.getElementById('saved-tab-item'),
+            savedPostsToggle: document.getElementById('saved-posts-toggle'),
+            savedCommentsToggle: document.getElementById('saved-comments-toggle'),
             
             // Mobile modal
             mobileUserInfo: document.getElementById('mobile-user-info')
@@ -187,6 +198,25 @@ class LemmericUserApp {
                 this.switchToTab('comments');
             });
         }
+
+        if (this.elements.savedTab) {
+            this.elements.savedTab.addEventListener('click', () => {
+                this.switchToTab('saved');
+            });
+        }
+
+        // Saved tab: posts / comments toggle
+        if (this.elements.savedPostsToggle) {
+            this.elements.savedPostsToggle.addEventListener('click', () => {
+                this.switchSavedView('posts');
+            });
+        }
+
+        if (this.elements.savedCommentsToggle) {
+            this.elements.savedCommentsToggle.addEventListener('click', () => {
+                this.switchSavedView('comments');
+            });
+        }
     }
 
     /**
@@ -198,7 +228,7 @@ class LemmericUserApp {
             clearTimeout(scrollTimeout);
             scrollTimeout = setTimeout(() => {
                 if ((window.innerHeight + window.scrollY) >= document.body.offsetHeight - 1000) {
-                    if (this.currentTab === 'posts') {
+                    if (this.isShowingPosts()) {
                         this.loadMorePosts();
                     } else {
                         this.loadMoreComments();
@@ -237,14 +267,16 @@ class LemmericUserApp {
         
         // Initialize post feed
         this.postFeed = new PostFeed(this.elements.postsContainer, {
-            fetchFunction: async (params) => {
+            fetchFunction: async (params, requestOptions) => {
                 if (this.currentTab === 'posts') {
                     // Ensure we're always passing the correct page parameter
                     const page = params.page || 1;
                     return await this.api.getUserPosts(
                         this.userName,
                         this.state.currentSort,
-                        page
+                        page,
+                        20,
+                        requestOptions
                     );
                 } else {
                     // For comments, we'll handle this differently
@@ -253,8 +285,27 @@ class LemmericUserApp {
             },
             emptyMessage: 'No posts found',
             emptyDescription: 'This user hasn\'t posted anything yet.',
-            emptyIcon: 'bi-inbox'
+            emptyIcon: 'bi-inbox',
+            // A profile shows its owner's posts even if they are blocked
+            hideBlocked: false
         });
+
+        // Saved posts (only loaded on the user's own profile)
+        if (this.elements.savedPostsContainer) {
+            this.savedPostFeed = new PostFeed(this.elements.savedPostsContainer, {
+                fetchFunction: async (params, requestOptions) => {
+                    return await this.api.getSavedPosts(
+                        this.state.currentSort,
+                        params.page || 1,
+                        20,
+                        requestOptions
+                    );
+                },
+                emptyMessage: 'No saved posts',
+                emptyDescription: 'Use the bookmark button on a post to save it here.',
+                emptyIcon: 'bi-bookmark'
+            });
+        }
     }
 
     /**
@@ -358,6 +409,10 @@ class LemmericUserApp {
             // Render user sidebar
             this.renderUserSidebar(formattedUser);
 
+            // Saved items are private, so the tab is only offered on your own profile
+            this.isOwnProfile = !!this.currentUser && this.currentUser.name === user.name && user.local !== false;
+            this.elements.savedTabItem?.classList.toggle('d-none', !this.isOwnProfile);
+
         } catch (error) {
             console.error('Failed to load user info:', error);
             this.showError(`Failed to load user: ${this.userName}`);
@@ -462,7 +517,7 @@ class LemmericUserApp {
     }
 
     /**
-     * Switch between posts and comments tabs
+     * Switch between posts, comments and saved tabs
      */
     switchToTab(tab) {
         this.currentTab = tab;
@@ -473,25 +528,100 @@ class LemmericUserApp {
         if (tab === 'posts') {
             // Ensure PostFeed is properly reset when switching to posts tab
             this.postFeed.clear();
+        } else if (tab === 'saved' && this.savedView === 'posts') {
+            this.savedPostFeed.clear();
         } else {
-            DOM.clearChildren(this.elements.commentsContainer);
+            DOM.clearChildren(this.getCommentsContainer());
         }
         
         // Load content for the new tab
         this.loadUserContent(true);
     }
 
+    /**
+     * Switch the Saved tab between saved posts and saved comments
+     * @param {string} view - 'posts' or 'comments'
+     */
+    switchSavedView(view) {
+        if (this.savedView === view) return;
+
+        this.savedView = view;
+        this.elements.savedPostsToggle?.classList.toggle('active', view === 'posts');
+        this.elements.savedCommentsToggle?.classList.toggle('active', view === 'comments');
+        this.elements.savedPostsContainer.style.display = view === 'posts' ? '' : 'none';
+        this.elements.savedCommentsContainer.style.display = view === 'comments' ? '' : 'none';
+
+        this.switchToTab('saved');
+    }
+
+    /**
+     * Check if the current tab lists posts (user posts or saved posts)
+     * @returns {boolean} True if posts are shown through a PostFeed
+     */
+    isShowingPosts() {
+        return this.currentTab === 'posts' || (this.currentTab === 'saved' && this.savedView === 'posts');
+    }
+
+    /**
+     * Get the post feed for the current tab
+     * @returns {PostFeed} Post feed
+     */
+    getCurrentPostFeed() {
+        return this.currentTab === 'saved' ? this.savedPostFeed : this.postFeed;
+    }
+
+    /**
+     * Get the comments container for the current tab
+     * @returns {HTMLElement} Container element
+     */
+    getCommentsContainer() {
+        return this.currentTab === 'saved' ? this.elements.savedCommentsContainer : this.elements.commentsContainer;
+    }
+
+    /**
+     * Get the container for the current tab's content
+     * @returns {HTMLElement} Container element
+     */
+    getCurrentContainer() {
+        if (this.currentTab === 'posts') {
+            return this.elements.postsContainer;
+        }
+        if (this.currentTab === 'saved' && this.savedView === 'posts') {
+            return this.elements.savedPostsContainer;
+        }
+        return this.getCommentsContainer();
+    }
+
+    /**
+     * Fetch a page of comments for the current tab
+     * @returns {Promise<Object>} Response with a comments array
+     */
+    fetchCommentsPage() {
+        if (this.currentTab === 'saved') {
+            // Comment listings only know the plain Top sort, not Top Day/Week/...
+            const sort = this.state.currentSort.startsWith('Top') ? 'Top' : this.state.currentSort;
+            return this.api.getSavedComments(sort, this.currentPage, 20);
+        }
+
+        return this.api.getUserComments(
+            this.userName,
+            this.state.currentSort,
+            this.currentPage
+        );
+    }
+
     /**
      * Load user content (posts or comments)
      */
     async loadUserContent(reset = true) {
-        if (this.currentTab === 'posts') {
+        if (this.isShowingPosts()) {
             // Use PostFeed for posts - ensure proper reset
+            const feed = this.getCurrentPostFeed();
             if (reset) {
                 // Force PostFeed to reset to page 1
-                this.postFeed.clear();
+                feed.clear();
             }
-            return await this.postFeed.loadPosts(reset);
+            return await feed.loadPosts(reset);
         } else {
             // Handle comments separately (keep existing logic)
             if (this.isLoading) return;
@@ -506,11 +636,7 @@ class LemmericUserApp {
                 }
 
 
-                const response = await this.api.getUserComments(
-                    this.userName,
-                    this.state.currentSort,
-                    this.currentPage
-                );
+                const response = await this.fetchCommentsPage();
 
                 if (!response) {
                     throw new Error(`Failed to load user comments`);
@@ -523,7 +649,7 @@ class LemmericUserApp {
                 
                 if (comments.length === 0) {
                     if (this.currentPage === 1) {
-                        this.showNoContent('comments');
+                        this.showNoContent(this.currentTab === 'saved' ? 'saved comments' : 'comments');
                     }
                     this.hasMorePosts = false;
                 } else {
@@ -552,15 +678,15 @@ class LemmericUserApp {
      * Load more posts
      */
     async loadMorePosts() {
-        if (this.currentTab !== 'posts') return;
-        return await this.postFeed.loadMorePosts();
+        if (!this.isShowingPosts()) return;
+        return await this.getCurrentPostFeed().loadMorePosts();
     }
 
     /**
      * Load more comments
      */
     async loadMoreComments() {
-        if (!this.hasMorePosts || this.isLoading || this.currentTab !== 'comments') return;
+        if (!this.hasMorePosts || this.isLoading || this.isShowingPosts()) return;
         await this.loadUserContent(false);
     }
 
@@ -568,7 +694,7 @@ class LemmericUserApp {
      * Render comments (simplified implementation)
      */
     renderComments(comments) {
-        const container = this.elements.commentsContainer;
+        const container = this.getCommentsContainer();
         
         comments.forEach(commentData => {
             // Handle different possible structures
@@ -576,6 +702,11 @@ class LemmericUserApp {
             const comment = commentView.comment || commentData.comment;
             const creator = commentView.creator || commentData.creator;
             const post = commentView.post || commentData.post;
+
+            const filterMatch = contentFilters.matchComment(comment, commentView.community);
+            if (filterMatch?.mode === FILTER_MODE.HIDE) {
+                return;
+            }
             
             // Create post link - link directly to the post
             let postLink;
@@ -665,7 +796,19 @@ class LemmericUserApp {
                 ])
             ]);
             
-            container.appendChild(commentElement);
+            if (filterMatch) {
+                // Collapsed by a content filter until revealed
+                const notice = renderFilteredNotice(filterMatch, () => {
+                    contentFilters.reveal('comment', comment.id);
+                    notice.replaceWith(commentElement);
+                }, {
+                    label: 'Comment',
+                    className: 'card mb-2 px-3 py-2'
+                });
+                container.appendChild(notice);
+            } else {
+                container.appendChild(commentElement);
+            }
         });
     }
 
@@ -689,6 +832,7 @@ class LemmericUserApp {
         this.hasMorePosts = true;
         this.postListManager.clearPosts();
         DOM.clearChildren(this.elements.commentsContainer);
+        DOM.clearChildren(this.elements.savedCommentsContainer);
         
         await this.loadInitialData();
     }
@@ -704,10 +848,10 @@ class LemmericUserApp {
         this.currentPage = 1;
         this.hasMorePosts = true;
         
-        if (this.currentTab === 'posts') {
-            await this.postFeed.updateParams();
+        if (this.isShowingPosts()) {
+            await this.getCurrentPostFeed().updateParams();
         } else {
-            DOM.clearChildren(this.elements.commentsContainer);
+            DOM.clearChildren(this.getCommentsContainer());
             await this.loadUserContent(true);
         }
     }
@@ -718,9 +862,7 @@ class LemmericUserApp {
      * Show loading in container
      */
     showLoadingInContainer() {
-        const container = this.currentTab === 'posts' ? 
-            this.elements.postsContainer : 
-            this.elements.commentsContainer;
+        const container = this.getCurrentContainer();
             
         if (container && !container.querySelector('.spinner-border')) {
             const loadingElement = DOM.createElement('div', {
@@ -744,9 +886,7 @@ class LemmericUserApp {
      * Hide loading in container
      */
     hideLoadingInContainer() {
-        const container = this.currentTab === 'posts' ? 
-            this.elements.postsContainer : 
-            this.elements.commentsContainer;
+        const container = this.getCurrentContainer();
             
         if (container) {
             const loadingElements = container.querySelectorAll('.d-flex.justify-content-center.p-4');
@@ -764,7 +904,7 @@ class LemmericUserApp {
     showNoContent(type) {
         const container = type === 'posts' ? 
             this.elements.postsContainer : 
-            this.elements.commentsContainer;
+            this.getCommentsContainer();
             
         const message = DOM.createElement('div', {
             className: 'text-center p-4'
@@ -791,9 +931,7 @@ class LemmericUserApp {
         let container = null;
         
         if (this.elements && this.elements.postsContainer && this.elements.commentsContainer) {
-            container = this.currentTab === 'posts' ? 
-                this.elements.postsContainer : 
-                this.elements.commentsContainer;
+            container = this.getCurrentContainer();
         } else {
             // Fallback: try to find containers directly
             container = document.getElementById('posts-container') || 
@@ -8,6 +8,8 @@
  * @fileoverview Central utility functions for Lemmeric application
  */
 
+import { getLemmyErrorMessage } from './errors.js';
+
 // ========================================
 // DOM MANIPULATION UTILITIES
 // ========================================
@@ -818,20 +820,31 @@ export const AnimationUtils = {
 export const ErrorUtils = {
     /**
      * Format error message for display
+     * API errors (see errors.js) already carry a user-facing message; `overrides`
+     * lets a form word specific Lemmy error codes for its own context.
      * @param {string|Error} error - Error to format
+     * @param {Object<string, string>} overrides - Messages keyed by Lemmy error code
      * @returns {string} Formatted error message
      */
-    formatError(error) {
+    formatError(error, overrides = {}) {
         if (typeof error === 'string') {
             return error;
         }
         
+        if (error?.code && overrides[error.code]) {
+            return overrides[error.code];
+        }
+        
         if (error instanceof Error) {
             return error.message || 'An unknown error occurred';
         }
         
         if (error && typeof error === 'object') {
-            return error.message || error.error || JSON.stringify(error);
+            // Raw Lemmy error body ({ error: 'couldnt_find_post' })
+            if (typeof error.error === 'string') {
+                return overrides[error.error] || getLemmyErrorMessage(error.error);
+            }
+            return error.message || JSON.stringify(error);
         }
         
         return 'An unknown error occurred';
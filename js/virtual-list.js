@@ -0,0 +1,421 @@
+/**
+ * Windowed rendering for Lemmeric
+ *
+ * Long feeds and big comment threads make the page slow because every item
+ * stays in the DOM. A VirtualList keeps only the items near the viewport
+ * attached: the others are swapped for empty placeholders of the same height,
+ * so the scroll position doesn't move. Detached elements are kept (not
+ * re-rendered) when they come back, so their state - collapsed threads, open
+ * reply forms, vote buttons - is unchanged. Items that were never on screen
+ * can be rendered lazily the first time they get close.
+ *
+ * Items holding the keyboard focus or the focused element are never detached.
+ *
+ * @fileoverview Placeholder-based virtualization for feeds and comment trees
+ */
+
+import { CONFIG } from './config.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('VirtualList');
+
+// ========================================
+// VIRTUAL LIST CLASS
+// ========================================
+
+/**
+ * Virtual list class
+ *
+ * Attaches and detaches the items of one container as they approach and
+ * leave the viewport
+ */
+export class VirtualList {
+    /**
+     * Initialize the list
+     * @param {HTMLElement} container - Element the items are rendered into
+     * @param {Object} options - List options
+     * @param {number} [options.estimatedHeight=200] - Placeholder height for items never rendered
+     * @param {number} [options.overscan] - Distance in pixels outside the viewport that stays rendered
+     * @param {string} [options.name='list'] - Name used in debug messages
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            estimatedHeight: 200,
+            overscan: CONFIG.VIRTUAL_LIST.OVERSCAN_PX,
+            name: 'list',
+            ...options
+        };
+        this.items = new Map(); // key -> { key, render, element, placeholder, margin }
+        this.itemsByNode = new WeakMap(); // attached node (element or placeholder) -> item
+        this.heights = new Map(); // Last measured height by key; survives clear() so re-renders keep their layout
+        this.attachedBeforeClear = new Set(); // Keys on screen before the last clear(), rendered straight away when re-added
+        this.stats = { rendered: 0, attached: 0, detached: 0 };
+
+        this.enabled = CONFIG.FEATURES.VIRTUALIZED_LISTS && typeof IntersectionObserver !== 'undefined';
+        this.observer = this.enabled ? new IntersectionObserver(
+            (entries) => this.handleIntersections(entries),
+            { rootMargin: `${this.options.overscan}px 0px` }
+        ) : null;
+    }
+
+    // ========================================
+    // ADDING AND REMOVING ITEMS
+    // ========================================
+
+    /**
+     * Add an item at the end of the list
+     * @param {string|number} key - Unique item key
+     * @param {HTMLElement|Function} content - Element, or function rendering it (may return null)
+     * @param {Object} options - Item options
+     * @param {boolean} [options.lazy=false] - Start as a placeholder and render when near the viewport
+     * @returns {HTMLElement|null} The attached node (element or placeholder)
+     */
+    append(key, content, options = {}) {
+        return this.insertBefore(key, content, null, options);
+    }
+
+    /**
+     * Add an item at the start of the list
+     * @param {string|number} key - Unique item key
+     * @param {HTMLElement|Function} content - Element, or function rendering it (may return null)
+     * @param {Object} options - Item options (see append)
+     * @returns {HTMLElement|null} The attached node (element or placeholder)
+     */
+    prepend(key, content, options = {}) {
+        const firstKey = this.items.keys().next().value;
+        return this.insertBefore(key, content, firstKey ?? null, options);
+    }
+
+    /**
+     * Add an item before another one
+     * @param {string|number} key - Unique item key
+     * @param {HTMLElement|Function} content - Element, or function rendering it (may return null)
+     * @param {string|number|null} beforeKey - Key of the item to insert before (null for the end)
+     * @param {Object} options - Item options (see append)
+     * @returns {HTMLElement|null} The attached node (element or placeholder)
+     */
+    insertBefore(key, content, beforeKey, options = {}) {
+        this.remove(key);
+
+        const item = {
+            key,
+            render: typeof content === 'function' ? content : () => content,
+            element: typeof content === 'function' ? null : content,
+            placeholder: null
+        };
+
+        const lazy = this.enabled && options.lazy && !this.attachedBeforeClear.has(key);
+        if (!lazy && !this.renderItem(item)) {
+            return null;
+        }
+
+        const node = lazy ? this.createPlaceholder(item) : item.element;
+        const before = this.items.has(beforeKey) ? this.getNode(beforeKey) : null;
+        this.container.insertBefore(node, before);
+
+        if (before) {
+            // Keep the items in page order
+            const entries = Array.from(this.items.entries());
+            entries.splice(entries.findIndex(([existingKey]) => existingKey === beforeKey), 0, [key, item]);
+            this.items = new Map(entries);
+        } else {
+            this.items.set(key, item);
+        }
+        this.track(item, node);
+        return node;
+    }
+
+    /**
+     * Swap an item's element for another (e.g. a filter notice for the post)
+     * @param {string|number} key - Item key
+     * @param {HTMLElement} element - New element
+     */
+    replace(key, element) {
+        const item = this.items.get(key);
+        if (!item) return;
+
+        const node = this.getNode(key);
+        this.untrack(node);
+        item.element = element;
+        item.render = () => element;
+        item.placeholder = null;
+        node.replaceWith(element);
+        this.track(item, element);
+    }
+
+    /**
+     * Remove an item
+     * @param {string|number} key - Item key
+     */
+    remove(key) {
+        const item = this.items.get(key);
+        if (!item) return;
+
+        const node = this.getNode(key);
+        this.untrack(node);
+        node?.remove();
+        this.items.delete(key);
+        this.heights.delete(key);
+    }
+
+    /**
+     * Forget all items (the container is left for the caller to clear)
+     * Heights and which items were attached are kept, so rendering the same
+     * items again (a re-sort, a block) keeps the page layout and scroll position.
+     */
+    clear() {
+        this.attachedBeforeClear.clear();
+        this.items.forEach(item => {
+            if (!item.element?.isConnected) return;
+            this.attachedBeforeClear.add(item.key);
+            const height = item.element.getBoundingClientRect().height;
+            if (height > 0) {
+                this.heights.set(item.key, height);
+            }
+        });
+
+        this.observer?.disconnect();
+        this.items.clear();
+        this.itemsByNode = new WeakMap();
+    }
+
+    /**
+     * Take over the layout of a list this one replaces (its container was re-rendered)
+     * Items the old list had on screen render straight away, at their old heights.
+     * @param {VirtualList} previous - List being replaced; it is destroyed
+     */
+    adoptLayout(previous) {
+        if (previous.items.size > 0) {
+            previous.clear();
+        }
+        previous.heights.forEach((height, key) => this.heights.set(key, height));
+        previous.attachedBeforeClear.forEach(key => this.attachedBeforeClear.add(key));
+        previous.destroy();
+    }
+
+    /**
+     * Stop observing and forget everything
+     */
+    destroy() {
+        this.clear();
+        this.heights.clear();
+        this.attachedBeforeClear.clear();
+        this.observer = null;
+        this.container = null;
+    }
+
+    // ========================================
+    // LOOKUP
+    // ========================================
+
+    /**
+     * Get the node currently in the DOM for an item
+     * @param {string|number} key - Item key
+     * @returns {HTMLElement|null} Element or placeholder
+     */
+    getNode(key) {
+        const item = this.items.get(key);
+        if (!item) return null;
+        return item.element?.isConnected ? item.element : (item.placeholder || item.element);
+    }
+
+    /**
+     * Get the nodes of all items in page order
+     * @returns {Array<HTMLElement>} Elements and placeholders
+     */
+    getNodes() {
+        return Array.from(this.items.keys()).map(key => this.getNode(key)).filter(Boolean);
+    }
+
+    /**
+     * Get the key of the item an attached node belongs to
+     * @param {HTMLElement} node - Element or placeholder
+     * @returns {string|number|undefined} Item key
+     */
+    getKey(node) {
+        return this.itemsByNode.get(node)?.key;
+    }
+
+    /**
+     * Find an element inside the items, attached or not
+     * Elements detached while off screen aren't found by document.querySelector.
+     * @param {string} selector - CSS selector
+     * @returns {HTMLElement|null} First match
+     */
+    querySelector(selector) {
+        for (const item of this.items.values()) {
+            const element = item.element;
+            if (!element) continue;
+            if (element.matches(selector)) return element;
+            const match = element.querySelector(selector);
+            if (match) return match;
+        }
+        return null;
+    }
+
+    // ========================================
+    // ATTACHING AND DETACHING
+    // ========================================
+
+    /**
+     * Make sure an item is rendered and attached (e.g. before scrolling to it)
+     * @param {string|number} key - Item key
+     * @returns {HTMLElement|null} The item's element
+     */
+    mount(key) {
+        const item = this.items.get(key);
+        if (!item) return null;
+        this.attach(item);
+        return item.element?.isConnected ? item.element : null;
+    }
+
+    /**
+     * Same as mount(), for an attached node (element or placeholder)
+     * @param {HTMLElement} node - Node of the item
+     * @returns {HTMLElement} The item's element, or the node if it isn't in the list
+     */
+    mountNode(node) {
+        const key = this.getKey(node);
+        return key === undefined ? node : (this.mount(key) || node);
+    }
+
+    /**
+     * Attach or detach the items that crossed the overscan boundary
+     * @param {Array<IntersectionObserverEntry>} entries - Observer entries
+     */
+    handleIntersections(entries) {
+        entries.forEach(entry => {
+            const item = this.itemsByNode.get(entry.target);
+            if (!item) return;
+
+            if (entry.isIntersecting && entry.target === item.placeholder) {
+                this.attach(item);
+            } else if (!entry.isIntersecting && entry.target === item.element) {
+                this.detach(item);
+            }
+        });
+    }
+
+    /**
+     * Swap an item's placeholder for its element, rendering it if needed
+     * @param {Object} item - List item
+     */
+    attach(item) {
+        const placeholder = item.placeholder;
+        if (!placeholder?.isConnected) return;
+
+        if (!item.element && !this.renderItem(item)) {
+            // Rendered to nothing (e.g. hidden by a filter)
+            this.untrack(placeholder);
+            placeholder.remove();
+            this.items.delete(item.key);
+            return;
+        }
+
+        this.untrack(placeholder);
+        placeholder.replaceWith(item.element);
+        item.placeholder = null;
+        this.track(item, item.element);
+        this.stats.attached++;
+    }
+
+    /**
+     * Swap an item's element for a placeholder of the same height
+     * @param {Object} item - List item
+     */
+    detach(item) {
+        const element = item.element;
+        const height = element.getBoundingClientRect().height;
+
+        // Hidden (e.g. in an inactive tab) or holding the focus: leave it alone
+        if (height === 0 || this.holdsFocus(element)) return;
+
+        this.heights.set(item.key, height);
+        item.margin = getComputedStyle(element).margin; // Margins aren't part of the height
+        this.untrack(element);
+        element.replaceWith(this.createPlaceholder(item));
+        this.track(item, item.placeholder);
+        this.stats.detached++;
+    }
+
+    /**
+     * Check if an element holds the keyboard focus or the focused element
+     * @param {HTMLElement} element - Item element
+     * @returns {boolean} True if it must stay attached
+     */
+    holdsFocus(element) {
+        return element.classList.contains('keyboard-focus') ||
+            Boolean(element.querySelector('.keyboard-focus')) ||
+            element.contains(document.activeElement);
+    }
+
+    // ========================================
+    // HELPERS
+    // ========================================
+
+    /**
+     * Render an item's element
+     * @param {Object} item - List item
+     * @returns {boolean} True if there is an element
+     */
+    renderItem(item) {
+        item.element = item.render() || null;
+        if (item.element) {
+            this.stats.rendered++;
+        }
+        return Boolean(item.element);
+    }
+
+    /**
+     * Create the placeholder standing in for an item
+     * @param {Object} item - List item
+     * @returns {HTMLElement} Placeholder
+     */
+    createPlaceholder(item) {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'virtual-placeholder';
+        placeholder.setAttribute('aria-hidden', 'true');
+        placeholder.style.height = `${this.heights.get(item.key) ?? this.options.estimatedHeight}px`;
+        if (item.margin) {
+            placeholder.style.margin = item.margin;
+        }
+
+        item.placeholder = placeholder;
+        return placeholder;
+    }
+
+    /**
+     * Start observing an attached node
+     * @param {Object} item - List item
+     * @param {HTMLElement} node - Element or placeholder
+     */
+    track(item, node) {
+        this.itemsByNode.set(node, item);
+        this.observer?.observe(node);
+    }
+
+    /**
+     * Stop observing a node
+     * @param {HTMLElement|null} node - Element or placeholder
+     */
+    untrack(node) {
+        if (!node) return;
+        this.itemsByNode.delete(node);
+        this.observer?.unobserve(node);
+    }
+
+    /**
+     * Log how much work the list has done (debug logging only)
+     * @param {string} message - What happened
+     * @param {number} startTime - performance.now() when the work started
+     */
+    logTiming(message, startTime) {
+        logger.debug(`${this.options.name}: ${message} in ${(performance.now() - startTime).toFixed(1)} ms`, {
+            items: this.items.size,
+            ...this.stats
+        });
+    }
+}
+
+export default VirtualList;
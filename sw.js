@@ -0,0 +1,363 @@
+/**
+ * Service worker for Lemmeric
+ *
+ * Precaches the app shell (HTML pages, js/, assets/ and the Bootstrap CDN
+ * files) so the UI loads without a connection, and keeps copies of recently
+ * viewed posts and comment trees so they can be read offline. Everything is
+ * fetched from the network first; the caches are only used when that fails,
+ * so a deploy (or a dev-server edit) is picked up on the next load.
+ *
+ * Responses served from the content cache carry an X-Lemmeric-Offline-Copy
+ * header, which the page uses to show its offline banner.
+ *
+ * Registered by js/offline.js as /sw.js?v=<LEMMERIC_VERSION>; the version
+ * names the caches, so old ones are dropped when a new release activates.
+ *
+ * @fileoverview App-shell precache and offline reading for posts and comments
+ */
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+const VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+const SHELL_CACHE = `lemmeric-shell-${VERSION}`;
+const CONTENT_CACHE = 'lemmeric-content';
+const CDN_CACHE = 'lemmeric-cdn';
+
+/**
+ * Posts / comment trees kept for offline reading (oldest are dropped first)
+ * @type {number}
+ */
+const MAX_CONTENT_ENTRIES = 60;
+
+/**
+ * Header added to API responses served from the content cache
+ * @type {string}
+ */
+const OFFLINE_COPY_HEADER = 'X-Lemmeric-Offline-Copy';
+
+/**
+ * Files needed to start every page
+ * @type {string[]}
+ */
+const SHELL_FILES = [
+    '/index.html',
+    '/post.html',
+    '/community.html',
+    '/communities.html',
+    '/user.html',
+    '/search.html',
+    '/modlog.html',
+    '/inbox.html',
+    '/settings.html',
+    '/create_post.html',
+    '/create-community.html',
+    '/components/navbar.html',
+    '/manifest.webmanifest',
+    '/assets/css/main.css',
+    '/assets/css/themes.css',
+    '/assets/images/Lemmeric Logo - No BG.png',
+    '/assets/images/Lemmeric Logo.png',
+    '/assets/images/Lemmeric-404.png',
+    '/js/config.js',
+    '/js/version.js',
+    '/js/api.js',
+    '/js/api-adapters.js',
+    '/js/auth-strategy.js',
+    '/js/auth.js',
+    '/js/blocklist.js',
+    '/js/filters.js',
+    '/js/shortcuts.js',
+    '/js/virtual-list.js',
+    '/js/post-visits.js',
+    '/js/report-notes.js',
+    '/js/cache.js',
+    '/js/errors.js',
+    '/js/install.js',
+    '/js/logger.js',
+    '/js/offline.js',
+    '/js/outbox.js',
+    '/js/rate-limiter.js',
+    '/js/transport.js',
+    '/js/utils.js',
+    '/js/router.js',
+    '/js/main.js',
+    '/js/post-page.js',
+    '/js/community-page.js',
+    '/js/communities-page.js',
+    '/js/user-page.js',
+    '/js/search-page.js',
+    '/js/modlog-page.js',
+    '/js/inbox-page.js',
+    '/js/settings-page.js',
+    '/js/create-post.js',
+    '/js/create-community.js',
+    '/js/markdown-it.js',
+    '/js/markdown-it-setup.js',
+    '/js/markdown-it-plugins/markdown-it-sub.min.js',
+    '/js/markdown-it-plugins/markdown-it-sup.min.js',
+    '/js/markdown-it-plugins/markdown-it-footnote.min.js',
+    '/js/markdown-it-plugins/markdown-it-container.min.js',
+    '/js/markdown-it-plugins/markdown-it-html5-embed.min.js',
+    '/js/components/navbar.js',
+    '/js/components/offline-banner.js',
+    '/js/components/pending-actions.js',
+    '/js/components/post.js',
+    '/js/components/post-detail.js',
+    '/js/components/post-feed.js',
+    '/js/components/community.js',
+    '/js/components/community-actions.js',
+    '/js/components/community-sidebar.js',
+    '/js/components/community-edit-modal.js',
+    '/js/components/user-sidebar.js',
+    '/js/components/user-edit-modal.js',
+    '/js/components/block-actions.js',
+    '/js/components/mod-actions.js',
+    '/js/components/reason-dialog.js',
+    '/js/components/report-dialog.js',
+    '/js/components/blocked-list.js',
+    '/js/components/filtered-notice.js',
+    '/js/components/content-filters-editor.js',
+    '/js/components/instance.js',
+    '/js/components/subscriptions-manager.js',
+    '/js/components/searchable-select.js'
+];
+
+/**
+ * Third-party files the pages load from the CDN
+ * @type {string[]}
+ */
+const CDN_FILES = [
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/js/bootstrap.bundle.min.js',
+    'https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.0/font/bootstrap-icons.css'
+];
+
+/**
+ * Clean URLs and the page that serves them (same rules as dev-server.py)
+ * @type {Array<[RegExp, string]>}
+ */
+const PAGE_ROUTES = [
+    [/^\/$/, '/index.html'],
+    [/^\/post\/\d+\/?$/, '/post.html'],
+    [/^\/c\/[^/]+\/?$/, '/community.html'],
+    [/^\/u\/[^/]+\/?$/, '/user.html'],
+    [/^\/communities\/?$/, '/communities.html'],
+    [/^\/search\/?$/, '/search.html'],
+    [/^\/modlog\/?$/, '/modlog.html'],
+    [/^\/inbox\/?$/, '/inbox.html'],
+    [/^\/settings\/?$/, '/settings.html'],
+    [/^\/create-post\/?$/, '/create_post.html'],
+    [/^\/create-community\/?$/, '/create-community.html']
+];
+
+/**
+ * API reads kept for offline reading: a post and its comment tree
+ * @type {RegExp}
+ */
+const CONTENT_PATH = /\/api\/v\d+\/(post|comment\/list)$/;
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Get the HTML file serving a page URL
+ * @param {URL} url - Page URL
+ * @returns {string} Path of the HTML file
+ */
+function getPageFile(url) {
+    const route = PAGE_ROUTES.find(([pattern]) => pattern.test(url.pathname));
+    return route ? route[1] : url.pathname;
+}
+
+/**
+ * Check if a request is an API read worth keeping for offline reading
+ * @param {Request} request - Request
+ * @param {URL} url - Request URL
+ * @returns {boolean} True for GET /post and GET /comment/list
+ */
+function isContentRequest(request, url) {
+    return request.method === 'GET' && CONTENT_PATH.test(url.pathname);
+}
+
+/**
+ * Check if a same-origin path must never come from the shell cache
+ * (the service worker itself, and instance APIs proxied on the same origin)
+ * @param {string} pathname - URL path
+ * @returns {boolean} True if the request should go straight to the network
+ */
+function isUncachedPath(pathname) {
+    return pathname === '/sw.js' || pathname.startsWith('/api/') || pathname.startsWith('/pictrs/');
+}
+
+/**
+ * Cache files one by one, so a single missing file doesn't fail the install
+ * @param {string} cacheName - Cache name
+ * @param {string[]} urls - URLs to cache
+ * @returns {Promise<void>}
+ */
+async function precache(cacheName, urls) {
+    const cache = await caches.open(cacheName);
+    await Promise.all(urls.map(async (url) => {
+        try {
+            await cache.add(new Request(url, { cache: 'reload' }));
+        } catch (error) {
+            console.warn('Service worker: could not precache', url, error);
+        }
+    }));
+}
+
+/**
+ * Store a content response, dropping the oldest entries over the limit
+ * @param {Request} request - Request
+ * @param {Response} response - Response to store
+ * @returns {Promise<void>}
+ */
+async function storeContent(request, response) {
+    const cache = await caches.open(CONTENT_CACHE);
+    // Re-adding moves the entry to the end of the (insertion-ordered) key list
+    await cache.delete(request.url);
+    await cache.put(request.url, response);
+
+    const keys = await cache.keys();
+    await Promise.all(keys
+        .slice(0, Math.max(0, keys.length - MAX_CONTENT_ENTRIES))
+        .map(key => cache.delete(key)));
+}
+
+/**
+ * Mark a cached API response as an offline copy
+ * @param {Response} response - Cached response
+ * @returns {Response} Response with the offline header
+ */
+function markOfflineCopy(response) {
+    const headers = new Headers(response.headers);
+    headers.set(OFFLINE_COPY_HEADER, '1');
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+// ========================================
+// STRATEGIES
+// ========================================
+
+/**
+ * Page navigations: network first, then the cached page for that URL
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Response
+ */
+async function handleNavigation(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const url = new URL(request.url);
+        return (await caches.match(getPageFile(url), { ignoreSearch: true })) ||
+            (await caches.match('/index.html')) ||
+            Response.error();
+    }
+}
+
+/**
+ * App files: network first (refreshing the shell cache), then the cache
+ * @param {Request} request - Request for a same-origin or CDN file
+ * @param {string} cacheName - Cache to refresh and fall back to
+ * @returns {Promise<Response>} Response
+ */
+async function handleStatic(request, cacheName) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const copy = response.clone();
+            caches.open(cacheName).then(cache => cache.put(request, copy));
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Posts and comment trees: network first, keeping a copy for offline reading
+ * @param {Request} request - API request
+ * @returns {Promise<Response>} Response
+ */
+async function handleContent(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            storeContent(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cache = await caches.open(CONTENT_CACHE);
+        const cached = await cache.match(request.url);
+        if (cached) {
+            return markOfflineCopy(cached);
+        }
+        throw error;
+    }
+}
+
+// ========================================
+// LIFECYCLE EVENTS
+// ========================================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(Promise.all([
+        precache(SHELL_CACHE, SHELL_FILES),
+        precache(CDN_CACHE, CDN_FILES)
+    ]).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith('lemmeric-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+    // Sent on logout: cached threads may contain the account's votes and saves
+    if (event.data?.type === 'clear-content') {
+        event.waitUntil(caches.delete(CONTENT_CACHE));
+    }
+});
+
+// ========================================
+// FETCH ROUTING
+// ========================================
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+        return;
+    }
+
+    if (isContentRequest(request, url)) {
+        event.respondWith(handleContent(request));
+        return;
+    }
+
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    if (url.origin === self.location.origin && !isUncachedPath(url.pathname)) {
+        event.respondWith(handleStatic(request, SHELL_CACHE));
+    } else if (url.hostname === 'cdn.jsdelivr.net') {
+        event.respondWith(handleStatic(request, CDN_CACHE));
+    }
+});